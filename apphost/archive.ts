@@ -0,0 +1,256 @@
+import * as path from "https://deno.land/std/path/mod.ts";
+import { walk } from "https://deno.land/std/fs/mod.ts";
+import { deflateRaw, inflateRaw } from "https://deno.land/x/compress/mod.ts";
+
+/**Extension of packed (zip based) module archives*/
+export const MODULE_ARCHIVE_EXT = ".obfmod";
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIG = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIR_SIZE = 22;
+//EOCD can be followed by a comment of up to 65535 bytes
+const MAX_EOCD_SEARCH = END_OF_CENTRAL_DIR_SIZE + 0xffff;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+export interface ZipEntry {
+  name: string;
+  method: number;
+  crc: number;
+  compressedSize: number;
+  size: number;
+  localHeaderOffset: number;
+}
+
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let c = i;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  CRC_TABLE[i] = c >>> 0;
+}
+
+export function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function readAt(file: Deno.File, offset: number, length: number): Promise<Uint8Array> {
+  await file.seek(offset, Deno.SeekMode.Start);
+  let result = new Uint8Array(length);
+  let read = 0;
+  while (read < length) {
+    let n = await file.read(result.subarray(read));
+    if (n === null) throw `Unexpected end of archive reading ${length} bytes at ${offset}`;
+    read += n;
+  }
+  return result;
+}
+
+/**Read only view of a zip archive on disk
+ * Entries are read on demand, nothing is extracted
+ */
+export class ZipArchive {
+  fpath: string;
+  entries: Map<string, ZipEntry>;
+
+  constructor(fpath: string) {
+    this.fpath = fpath;
+    this.entries = new Map();
+  }
+  static async open(fpath: string): Promise<ZipArchive> {
+    let result = new ZipArchive(fpath);
+    await result.readCentralDirectory();
+    return result;
+  }
+  private async readCentralDirectory() {
+    let file = await Deno.open(this.fpath, { read: true });
+    try {
+      let fileSize = (await Deno.stat(this.fpath)).size;
+      let searchSize = Math.min(fileSize, MAX_EOCD_SEARCH);
+      let tail = await readAt(file, fileSize - searchSize, searchSize);
+      let tailView = new DataView(tail.buffer);
+
+      let eocd = -1;
+      for (let i = searchSize - END_OF_CENTRAL_DIR_SIZE; i >= 0; i--) {
+        if (tailView.getUint32(i, true) === END_OF_CENTRAL_DIR_SIG) {
+          eocd = i;
+          break;
+        }
+      }
+      if (eocd < 0) throw `${this.fpath} is not a zip archive`;
+
+      let entryCount = tailView.getUint16(eocd + 10, true);
+      let dirSize = tailView.getUint32(eocd + 12, true);
+      let dirOffset = tailView.getUint32(eocd + 16, true);
+
+      let dir = await readAt(file, dirOffset, dirSize);
+      let view = new DataView(dir.buffer);
+      let decoder = new TextDecoder();
+      let offset = 0;
+      for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIG) {
+          throw `${this.fpath} has a corrupt central directory`;
+        }
+        let nameLength = view.getUint16(offset + 28, true);
+        let extraLength = view.getUint16(offset + 30, true);
+        let commentLength = view.getUint16(offset + 32, true);
+        let name = decoder.decode(dir.subarray(
+          offset + CENTRAL_HEADER_SIZE,
+          offset + CENTRAL_HEADER_SIZE + nameLength
+        ));
+        //Folders are implied by file names
+        if (!name.endsWith("/")) {
+          this.entries.set(name, {
+            name,
+            method: view.getUint16(offset + 10, true),
+            crc: view.getUint32(offset + 16, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true),
+            localHeaderOffset: view.getUint32(offset + 42, true)
+          });
+        }
+        offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+      }
+    } finally {
+      file.close();
+    }
+  }
+  has(name: string): boolean {
+    return this.entries.has(name);
+  }
+  list(): Array<string> {
+    return Array.from(this.entries.keys());
+  }
+  /**Reads and decompresses one entry
+   * @param name path inside the archive using forward slashes, ex: models/x.glb
+   */
+  async read(name: string): Promise<Uint8Array> {
+    let entry = this.entries.get(name);
+    if (!entry) throw `${name} not found in ${this.fpath}`;
+
+    let file = await Deno.open(this.fpath, { read: true });
+    let compressed: Uint8Array;
+    try {
+      let header = await readAt(file, entry.localHeaderOffset, LOCAL_HEADER_SIZE);
+      let view = new DataView(header.buffer);
+      if (view.getUint32(0, true) !== LOCAL_HEADER_SIG) throw `${name} has a corrupt header in ${this.fpath}`;
+      let dataOffset = entry.localHeaderOffset +
+        LOCAL_HEADER_SIZE +
+        view.getUint16(26, true) +
+        view.getUint16(28, true);
+      compressed = await readAt(file, dataOffset, entry.compressedSize);
+    } finally {
+      file.close();
+    }
+
+    switch (entry.method) {
+      case METHOD_STORE:
+        return compressed;
+      case METHOD_DEFLATE:
+        return inflateRaw(compressed);
+      default:
+        throw `${name} uses unsupported compression method ${entry.method}`;
+    }
+  }
+}
+
+function toDosTime(date: Date): { time: number, date: number } {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**Packs every file in a folder into a zip archive
+ * Files that don't get smaller when deflated are stored
+ * Resolves the number of files packed
+ */
+export async function packDirectory(dir: string, outPath: string): Promise<number> {
+  let encoder = new TextEncoder();
+  let chunks = new Array<Uint8Array>();
+  let central = new Array<Uint8Array>();
+  let offset = 0;
+  let count = 0;
+  let dos = toDosTime(new Date());
+
+  for await (let file of walk(dir, { includeDirs: false })) {
+    let name = encoder.encode(path.relative(dir, file.path).split(path.SEP).join("/"));
+    let data = await Deno.readFile(file.path);
+    let deflated = deflateRaw(data);
+    let method = deflated.byteLength < data.byteLength ? METHOD_DEFLATE : METHOD_STORE;
+    let body = method === METHOD_DEFLATE ? deflated : data;
+    let crc = crc32(data);
+
+    if (offset + body.byteLength > 0xffffffff) throw "Archive too large, zip64 is not supported";
+
+    let local = new Uint8Array(LOCAL_HEADER_SIZE + name.byteLength);
+    let lv = new DataView(local.buffer);
+    lv.setUint32(0, LOCAL_HEADER_SIG, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, 0x0800, true); //utf-8 names
+    lv.setUint16(8, method, true);
+    lv.setUint16(10, dos.time, true);
+    lv.setUint16(12, dos.date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, body.byteLength, true);
+    lv.setUint32(22, data.byteLength, true);
+    lv.setUint16(26, name.byteLength, true);
+    lv.setUint16(28, 0, true);
+    local.set(name, LOCAL_HEADER_SIZE);
+
+    let header = new Uint8Array(CENTRAL_HEADER_SIZE + name.byteLength);
+    let cv = new DataView(header.buffer);
+    cv.setUint32(0, CENTRAL_HEADER_SIG, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, method, true);
+    cv.setUint16(12, dos.time, true);
+    cv.setUint16(14, dos.date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, body.byteLength, true);
+    cv.setUint32(24, data.byteLength, true);
+    cv.setUint16(28, name.byteLength, true);
+    cv.setUint32(42, offset, true);
+    header.set(name, CENTRAL_HEADER_SIZE);
+
+    chunks.push(local, body);
+    central.push(header);
+    offset += local.byteLength + body.byteLength;
+    count++;
+  }
+  if (count > 0xffff) throw "Too many files, zip64 is not supported";
+
+  let dirSize = 0;
+  for (let header of central) dirSize += header.byteLength;
+
+  let end = new Uint8Array(END_OF_CENTRAL_DIR_SIZE);
+  let ev = new DataView(end.buffer);
+  ev.setUint32(0, END_OF_CENTRAL_DIR_SIG, true);
+  ev.setUint16(8, count, true);
+  ev.setUint16(10, count, true);
+  ev.setUint32(12, dirSize, true);
+  ev.setUint32(16, offset, true);
+
+  let out = await Deno.open(outPath, { write: true, create: true, truncate: true });
+  try {
+    for (let chunk of [...chunks, ...central, end]) {
+      let written = 0;
+      while (written < chunk.byteLength) {
+        written += await out.write(chunk.subarray(written));
+      }
+    }
+  } finally {
+    out.close();
+  }
+  return count;
+}
@@ -0,0 +1 @@
+node ./build/headless.js "$@"
\ No newline at end of file
@@ -3,6 +3,9 @@ import { serve } from "https://deno.land/std/http/server.ts";
 import { Status } from "https://deno.land/std/http/http_status.ts";
 import * as path from "https://deno.land/std/path/mod.ts";
 import { walk, exists, ensureDirSync } from "https://deno.land/std/fs/mod.ts";
+import { acceptWebSocket, isWebSocketCloseEvent, WebSocket } from "https://deno.land/std/ws/mod.ts";
+import { createHash } from "https://deno.land/std/hash/mod.ts";
+import { ZipArchive, MODULE_ARCHIVE_EXT } from "./archive.ts";
 
 let port: number = 8080;
 let textDec = new TextDecoder();
@@ -14,6 +17,12 @@ let modulesDir = path.join(Deno.cwd(), httpRelDir, moduleRelDir);
 
 const MODULE_DEF_JSON_NAME = "module.json";
 
+//Clients subscribed to file change notifications
+const LIVE_QUERY = "/~live";
+//File saves usually come as several events, wait for them to settle
+const LIVE_DEBOUNCE_MS = 100;
+const liveSockets: Set<WebSocket> = new Set();
+
 const server = serve({ port });
 
 console.log(`http://localhost:${port}/`);
@@ -48,12 +57,57 @@ function resolveUrl(url: string): string {
     return url;
   }
 
+  //Query strings only bust browser caches (module reloads), files don't have them
+  let queryIndex = url.indexOf("?");
+  if (queryIndex > -1) url = url.substring(0, queryIndex);
+
   if (url == "/") {
     url = "index.html";
   }
   return path.join(Deno.cwd(), "build", url);
 }
 
+interface CachedArchive {
+  mtime: number;
+  archive: ZipArchive;
+}
+
+//Opened archives, reopened when they change on disk
+const archives: Map<string, CachedArchive> = new Map();
+
+async function getArchive(fpath: string): Promise<ZipArchive> {
+  let info = await Deno.stat(fpath);
+  let mtime = info.mtime ? info.mtime.getTime() : 0;
+  let cached = archives.get(fpath);
+  if (cached && cached.mtime === mtime) return cached.archive;
+  let archive = await ZipArchive.open(fpath);
+  archives.set(fpath, { mtime, archive });
+  return archive;
+}
+
+/**Splits a path that goes through a module archive
+ * ex: .../modules/mymod.obfmod/models/x.glb -> [.../modules/mymod.obfmod, models/x.glb]
+ * Returns undefined if the path doesn't go through an archive
+ */
+function splitArchivePath(fpath: string): [string, string] | undefined {
+  let marker = `${MODULE_ARCHIVE_EXT}${path.SEP}`;
+  let index = fpath.indexOf(marker);
+  if (index < 0) return undefined;
+  let archivePath = fpath.substring(0, index + MODULE_ARCHIVE_EXT.length);
+  let entry = fpath.substring(index + marker.length).split(path.SEP).join("/");
+  return [archivePath, entry];
+}
+
+/**Reads a file from disk, or from inside a module archive if the path goes through one*/
+async function readResource(fpath: string): Promise<Uint8Array> {
+  let split = splitArchivePath(fpath);
+  if (split) {
+    let archive = await getArchive(split[0]);
+    return archive.read(split[1]);
+  }
+  return Deno.readFile(fpath);
+}
+
 async function queryModules(): Promise<Map<string, string>> {
   let result: Map<string, string> = new Map();
   try {
@@ -63,6 +117,23 @@ async function queryModules(): Promise<Map<string, string>> {
         if (await exists(path.join(file.path, MODULE_DEF_JSON_NAME))) {
           result.set(file.name, path.join(moduleRelDir, file.name));
         }
+      } else if (file.isFile && file.name.endsWith(MODULE_ARCHIVE_EXT)) {
+        //Packed modules are served as if they were folders
+        let name = file.name.substring(0, file.name.length - MODULE_ARCHIVE_EXT.length);
+        if (result.has(name)) {
+          console.warn(`module ${name} exists as folder and archive, using folder`);
+          continue;
+        }
+        try {
+          let archive = await getArchive(file.path);
+          if (archive.has(MODULE_DEF_JSON_NAME)) {
+            result.set(name, path.join(moduleRelDir, file.name));
+          } else {
+            console.warn(`${file.name} has no ${MODULE_DEF_JSON_NAME}, ignoring`);
+          }
+        } catch (ex) {
+          console.warn(`${file.name} couldn't be read`, ex);
+        }
       }
     }
   } catch (ex) {
@@ -71,6 +142,126 @@ async function queryModules(): Promise<Map<string, string>> {
   return result;
 }
 
+interface LiveChange {
+  /**path relative to build dir, using forward slashes, same as the client requests it*/
+  path: string;
+  kind: string;
+}
+
+function toBuildRelativePath(fpath: string): string {
+  return path.relative(path.join(Deno.cwd(), httpRelDir), fpath).split(path.SEP).join("/");
+}
+
+function broadcastLive(changes: Array<LiveChange>) {
+  let msg = JSON.stringify({ type: "changes", changes });
+  for (let sock of liveSockets) {
+    sock.send(msg).catch(() => {
+      liveSockets.delete(sock);
+    });
+  }
+}
+
+async function handleLiveSocket(sock: WebSocket) {
+  liveSockets.add(sock);
+  try {
+    for await (const ev of sock) {
+      if (isWebSocketCloseEvent(ev)) break;
+    }
+  } catch (ex) {
+    console.warn("[live] socket error", ex);
+  }
+  liveSockets.delete(sock);
+}
+
+async function watchModules() {
+  ensureDirSync(modulesDir);
+  let pending: Map<string, string> = new Map();
+  let timer: number = undefined;
+  let flush = () => {
+    let changes = new Array<LiveChange>();
+    pending.forEach((kind, path) => changes.push({ path, kind }));
+    pending.clear();
+    console.log("[live]", changes.length, "changes to", liveSockets.size, "clients");
+    broadcastLive(changes);
+  };
+  for await (const event of Deno.watchFs(modulesDir, { recursive: true })) {
+    if (event.kind === "access") continue;
+    for (let fpath of event.paths) {
+      pending.set(toBuildRelativePath(fpath), event.kind);
+    }
+    if (timer !== undefined) clearTimeout(timer);
+    timer = setTimeout(flush, LIVE_DEBOUNCE_MS);
+  }
+}
+
+watchModules().catch((ex) => {
+  console.warn("[live] couldn't watch modules, live reload disabled", ex);
+});
+
+interface ManifestEntry {
+  /**sha-256 of the file contents, hex*/
+  hash: string;
+  size: number;
+}
+
+interface ModuleManifest {
+  /**module path relative to build dir, using forward slashes*/
+  path: string;
+  /**path relative to module folder -> entry*/
+  files: { [path: string]: ManifestEntry };
+}
+
+interface HashCacheEntry extends ManifestEntry {
+  mtime: number;
+}
+
+//Hashing every file on every query is slow, reuse hashes while size and mtime match
+const hashCache: Map<string, HashCacheEntry> = new Map();
+
+async function hashFile(fpath: string): Promise<ManifestEntry> {
+  let info = await Deno.stat(fpath);
+  let mtime = info.mtime ? info.mtime.getTime() : 0;
+  let cached = hashCache.get(fpath);
+  if (cached && cached.mtime === mtime && cached.size === info.size) {
+    return { hash: cached.hash, size: cached.size };
+  }
+  let data = await Deno.readFile(fpath);
+  let hash = createHash("sha256").update(data).toString();
+  hashCache.set(fpath, { hash, size: data.byteLength, mtime });
+  return { hash, size: data.byteLength };
+}
+
+async function hashArchiveEntry(fpath: string, archive: ZipArchive, name: string): Promise<ManifestEntry> {
+  let info = await Deno.stat(fpath);
+  let mtime = info.mtime ? info.mtime.getTime() : 0;
+  let key = `${fpath}${path.SEP}${name}`;
+  let cached = hashCache.get(key);
+  if (cached && cached.mtime === mtime) {
+    return { hash: cached.hash, size: cached.size };
+  }
+  let data = await archive.read(name);
+  let hash = createHash("sha256").update(data).toString();
+  hashCache.set(key, { hash, size: data.byteLength, mtime });
+  return { hash, size: data.byteLength };
+}
+
+async function buildManifest(relPath: string): Promise<ModuleManifest> {
+  let dir = path.join(Deno.cwd(), httpRelDir, relPath);
+  let files: { [path: string]: ManifestEntry } = {};
+  if (dir.endsWith(MODULE_ARCHIVE_EXT)) {
+    let archive = await getArchive(dir);
+    for (let name of archive.list()) {
+      files[name] = await hashArchiveEntry(dir, archive, name);
+    }
+  } else {
+    for await (let file of walk(dir, { includeDirs: false })) {
+      let rel = path.relative(dir, file.path).split(path.SEP).join("/");
+      files[rel] = await hashFile(file.path);
+    }
+  }
+  return { path: relPath.split(path.SEP).join("/"), files };
+}
+
 function mapToObject<K,V> (map: Map<K, V>, obj: any) {
   map.forEach((v, k)=>{
     obj[k] = v;
@@ -92,13 +283,37 @@ function handleJsonQuery(query: string): Promise<Uint8Array> {
     let resultStr: string;
     let resultArr: Uint8Array;
 
+    //ex: query.manifest/mymod
+    let queryArg: string;
+    let argIndex = query.indexOf("/");
+    if (argIndex > -1) {
+      queryArg = decodeURIComponent(query.substring(argIndex + 1));
+      query = query.substring(0, argIndex);
+    }
+
     switch (query) {
       case "query.modules":
+        let modules = await queryModules();
         let data = {};
-        mapToObject(await queryModules(), data);
+        mapToObject(modules, data);
         resultJson.data = data;
+        let manifests = {};
+        for (let [name, relPath] of modules) {
+          manifests[name] = await buildManifest(relPath);
+        }
+        resultJson.manifests = manifests;
         resultJson.description = "queried modules";
         break;
+      case "query.manifest":
+        let found = (await queryModules()).get(queryArg);
+        if (found) {
+          resultJson.data = await buildManifest(found);
+          resultJson.description = `queried manifest of ${queryArg}`;
+        } else {
+          resultJson.status = "error";
+          resultJson.description = `no module ${queryArg}`;
+        }
+        break;
       default:
         resultJson.status = "error";
         resultJson.description = `query ${query} unhandled`;
@@ -114,6 +329,22 @@ for await (const req of server) {
   let rpath = resolveUrl(req.url);
   console.log("[req]", rpath);
 
+  if (rpath === LIVE_QUERY) {
+    try {
+      const sock = await acceptWebSocket({
+        conn: req.conn,
+        bufReader: req.r,
+        bufWriter: req.w,
+        headers: req.headers
+      });
+      //Not awaited, the socket lives on while other requests are served
+      handleLiveSocket(sock);
+    } catch (ex) {
+      req.respond({ status: Status.BadRequest });
+    }
+    continue;
+  }
+
   let headers = new Headers();
 
   let data: Uint8Array;
@@ -121,7 +352,7 @@ for await (const req of server) {
     if (rpath.startsWith("/~")) {
       data = await handleJsonQuery(rpath.substring(2));
     } else {
-      data = await Deno.readFile(rpath);
+      data = await readResource(rpath);
       headers.set("content-type", getContentType(rpath));
     }
     req.respond({
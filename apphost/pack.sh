@@ -0,0 +1 @@
+deno run --allow-read --allow-write ./pack.ts "$@"
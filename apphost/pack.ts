@@ -0,0 +1,24 @@
+import * as path from "https://deno.land/std/path/mod.ts";
+import { exists } from "https://deno.land/std/fs/mod.ts";
+import { packDirectory, MODULE_ARCHIVE_EXT } from "./archive.ts";
+
+const MODULE_DEF_JSON_NAME = "module.json";
+
+//Usage: deno run --allow-read --allow-write pack.ts <module folder> [output file]
+let [input, output] = Deno.args;
+
+if (!input) {
+  console.log(`Usage: pack.sh <module folder> [output${MODULE_ARCHIVE_EXT}]`);
+  Deno.exit(1);
+}
+
+let dir = path.resolve(input);
+if (!await exists(path.join(dir, MODULE_DEF_JSON_NAME))) {
+  console.error(`${dir} has no ${MODULE_DEF_JSON_NAME}, not a module`);
+  Deno.exit(1);
+}
+
+if (!output) output = `${dir}${MODULE_ARCHIVE_EXT}`;
+
+let count = await packDirectory(dir, output);
+console.log(`Packed ${count} files into ${output}`);
@@ -5,26 +5,75 @@ import { ResourceManager } from "./resources/resources";
 import { TimeManager } from "./utils/time";
 import { ModuleManager } from "./resources/resources";
 import { PhysicsManager } from "./physics/physics";
+import { NetworkManager } from "./network/network";
+import { ReplayManager } from "./replay/replay";
+import { Random } from "./utils/random";
+import { BindingRegistry } from "./input/bindings";
+import { ProfileManager } from "./profiles/profiles";
+import { ScreenManager } from "./ui/screens";
+import { EventBus } from "./utils/events";
+import { EntityManager } from "./entities/entities";
 import { GameInput } from "@repcomm/gameinput-ts";
+import { Scene } from "three";
 
 export default class API {
   static SINGLETON: API;
   private physicsManager: PhysicsManager;
   private renderer: Renderer;
-  private headless: boolean;
+  private headless: boolean = false;
+  private scene: Scene;
   private timeManager: TimeManager;
   private moduleManager: ModuleManager;
   private resourceManager: ResourceManager;
   private input: GameInput;
+  private networkManager: NetworkManager;
+  private replayManager: ReplayManager;
+  private random: Random;
+  private bindings: BindingRegistry;
+  private profileManager: ProfileManager;
+  private screenManager: ScreenManager;
+  private entityManager: EntityManager;
+  private events: EventBus = new EventBus();
   static GameInput: typeof GameInput;
   static THREE: any;
 
+  /**Engine events (see EngineEvents) and namespaced events between modules*/
+  getEvents(): EventBus {
+    return this.events;
+  }
   getInputManager (): GameInput {
     return this.input;
   }
   setInputManager(im: GameInput) {
     this.input = im;
   }
+  setBindings(bindings: BindingRegistry) {
+    this.bindings = bindings;
+  }
+  /**Rebindable actions, undefined headless*/
+  getBindings(): BindingRegistry {
+    return this.bindings;
+  }
+  setProfileManager(v: ProfileManager) {
+    this.profileManager = v;
+  }
+  /**Local player profiles, undefined headless*/
+  getProfileManager(): ProfileManager {
+    return this.profileManager;
+  }
+  setScreenManager(v: ScreenManager) {
+    this.screenManager = v;
+  }
+  /**Menus and other screens over the game, undefined headless*/
+  getScreenManager(): ScreenManager {
+    return this.screenManager;
+  }
+  setEntityManager(v: EntityManager) {
+    this.entityManager = v;
+  }
+  getEntityManager(): EntityManager {
+    return this.entityManager;
+  }
   setTimeManager(tm: TimeManager) {
     this.timeManager = tm;
   }
@@ -34,9 +83,21 @@ export default class API {
   setHeadless(headless: boolean) {
     this.headless = headless;
   }
+  /**True when running without a renderer, DOM or input (dedicated server, CI)
+   * Modules should check this before touching any of those
+   */
   getHeadless(): boolean {
     return this.headless;
   }
+  /**Used by getScene when there is no renderer (headless)*/
+  setScene(scene: Scene) {
+    this.scene = scene;
+  }
+  /**The scene game objects are added to, the renderer's scene unless headless*/
+  getScene(): Scene {
+    if (this.renderer) return this.renderer.getScene();
+    return this.scene;
+  }
   setPhysicsManager(engine: PhysicsManager) {
     this.physicsManager = engine;
   }
@@ -65,4 +126,25 @@ export default class API {
   getModuleManager(): ModuleManager {
     return this.moduleManager;
   }
+  setNetworkManager(v: NetworkManager) {
+    this.networkManager = v;
+  }
+  getNetworkManager(): NetworkManager {
+    return this.networkManager;
+  }
+  setReplayManager(v: ReplayManager) {
+    this.replayManager = v;
+  }
+  getReplayManager(): ReplayManager {
+    return this.replayManager;
+  }
+  setRandom(v: Random) {
+    this.random = v;
+  }
+  /**Seeded random numbers for gameplay, recorded and restored by replays
+   * Use instead of Math.random so replays play out the same
+   */
+  getRandom(): Random {
+    return this.random;
+  }
 }
\ No newline at end of file
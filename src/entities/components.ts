@@ -0,0 +1,373 @@
+
+import { AudioListener, Object3D, PositionalAudio } from "three";
+import API from "../api";
+import { NetEntity, NetFieldKind } from "../network/entity";
+import { NetValue } from "../network/protocol";
+import { Body } from "../physics/physics";
+import { hideColliderMeshes } from "../physics/shapes";
+import { ModelResource, ModelReloadCallback } from "../resources/resources";
+import { makeColliderShape, WorldColliderDef } from "../resources/world";
+import { EntityComponent } from "./entity";
+
+const api = API.get();
+
+/**Registered type names of the built in components*/
+export const MESH = "mesh";
+export const BODY = "body";
+export const SCRIPT = "script";
+export const AUDIO = "audio";
+export const REPLICATED = "replicated";
+
+/**Shows a model resource on the entity, nothing headless*/
+export class MeshComponent extends EntityComponent {
+  /**Resource name of a gltf/glb, ex: @mymod:models/crate.glb*/
+  resource: string;
+  /**Scene index in the gltf*/
+  scene: number;
+  /**The model's clone, set once loaded*/
+  object: Object3D;
+  /**Resolves once the model shows or failed to, or right away headless*/
+  ready: Promise<void>;
+  /**Why the model didn't show, undefined if it did or is loading*/
+  loadError: any;
+  private model: ModelResource;
+  private onReload: ModelReloadCallback;
+  /**Changes every attach, so a load that finishes after detaching is dropped*/
+  private attachId: number = 0;
+
+  constructor(resource: string, scene: number = 0) {
+    super(MESH);
+    this.resource = resource;
+    this.scene = scene;
+    this.ready = Promise.resolve();
+    this.onReload = () => this.replaceObject();
+  }
+  static fromJson(json: any): MeshComponent {
+    if (typeof json.resource !== "string") throw "mesh component needs a resource";
+    return new MeshComponent(json.resource, json.scene || 0);
+  }
+  attach() {
+    if (api.getHeadless()) return;
+    let attachId = ++this.attachId;
+    this.loadError = undefined;
+    this.ready = api.getResourceManager().acquireResourceModel(this.resource).then((model) => {
+      //Detached while loading
+      if (attachId !== this.attachId) {
+        api.getResourceManager().releaseResource(this.resource);
+        return;
+      }
+      this.model = model;
+      model.listenReload(this.onReload);
+      this.replaceObject();
+    }).catch((ex) => {
+      if (attachId !== this.attachId) return;
+      this.loadError = ex;
+      console.warn(`Mesh ${this.resource} of entity ${this.entity.id} couldn't be shown`, ex);
+    });
+  }
+  private replaceObject() {
+    let scene = this.model.scenes[this.scene];
+    if (!scene) throw `${this.resource} has no scene ${this.scene}`;
+    if (this.object && this.object.parent) this.object.parent.remove(this.object);
+    this.object = scene.clone();
+    hideColliderMeshes(this.object);
+    this.entity.object.add(this.object);
+  }
+  detach() {
+    this.attachId++;
+    if (this.object && this.object.parent) this.object.parent.remove(this.object);
+    this.object = undefined;
+    if (this.model) {
+      this.model.deafenReload(this.onReload);
+      api.getResourceManager().releaseResource(this.resource);
+      this.model = undefined;
+    }
+  }
+  toJson(): any {
+    return { resource: this.resource, scene: this.scene };
+  }
+}
+
+/**Shape and settings of a BodyComponent, the shape is the same as a world file collider's*/
+export interface BodyDef {
+  shape: WorldColliderDef["shape"];
+  size?: WorldColliderDef["size"];
+  radius?: number;
+  height?: number;
+  normal?: WorldColliderDef["normal"];
+  /**0 for static bodies*/
+  mass?: number;
+  kinematic?: boolean;
+  friction?: number;
+  restitution?: number;
+  linearDamping?: number;
+  angularDamping?: number;
+  lockRotation?: boolean;
+}
+
+/**A rigid body that moves the entity's transform*/
+export class BodyComponent extends EntityComponent {
+  def: BodyDef;
+  /**Set while attached*/
+  body: Body;
+
+  constructor(def: BodyDef) {
+    super(BODY);
+    this.def = def;
+  }
+  static fromJson(json: any): BodyComponent {
+    if (typeof json.shape !== "string") throw "body component needs a shape";
+    return new BodyComponent(json);
+  }
+  attach() {
+    let def = this.def;
+    let physics = api.getPhysicsManager();
+    this.body = physics.makeBody({
+      shape: makeColliderShape(def as WorldColliderDef),
+      mass: def.mass || 0,
+      object3D: this.entity.object,
+      kinematic: def.kinematic,
+      friction: def.friction,
+      restitution: def.restitution,
+      linearDamping: def.linearDamping,
+      angularDamping: def.angularDamping
+    });
+    if (def.lockRotation) this.body.lockRotation(true);
+    physics.addBody(this.body);
+  }
+  detach() {
+    let physics = api.getPhysicsManager();
+    if (physics.hasBody(this.body)) physics.removeBody(this.body);
+    //The shape was made for this body alone
+    this.body.destroy(true);
+    this.body = undefined;
+  }
+  toJson(): any {
+    return { ...this.def };
+  }
+}
+
+/**Behaviour of ScriptComponents, registered by name with EntityManager.registerScript*/
+export interface EntityScript {
+  /**Called when the component attaches, or the script is registered after it did*/
+  start?(script: ScriptComponent): void;
+  /**Called every tick*/
+  update?(script: ScriptComponent, delta: number): void;
+  /**Called when the component detaches, or the script is unregistered*/
+  stop?(script: ScriptComponent): void;
+}
+
+/**Runs a registered EntityScript on the entity
+ * props configure it, state is whatever the script wants saved with the entity
+ */
+export class ScriptComponent extends EntityComponent {
+  script: string;
+  props: any;
+  state: any;
+  /**The running script, undefined while it isn't registered*/
+  handler: EntityScript;
+
+  constructor(script: string, props: any = {}, state: any = {}) {
+    super(SCRIPT);
+    this.script = script;
+    this.props = props;
+    this.state = state;
+  }
+  static fromJson(json: any): ScriptComponent {
+    if (typeof json.script !== "string") throw "script component needs a script";
+    return new ScriptComponent(json.script, json.props || {}, json.state || {});
+  }
+  attach() {
+    let handler = this.entity.manager.getScript(this.script);
+    if (!handler) {
+      console.warn(`Script ${this.script} of entity ${this.entity.id} isn't registered, it starts when it is`);
+      return;
+    }
+    this._start(handler);
+  }
+  /**Internal - runs the script, see EntityManager.registerScript*/
+  _start(handler: EntityScript) {
+    this.handler = handler;
+    if (handler.start) handler.start(this);
+  }
+  /**Internal - stops the script*/
+  _stop() {
+    let handler = this.handler;
+    this.handler = undefined;
+    if (handler && handler.stop) handler.stop(this);
+  }
+  update(delta: number) {
+    if (this.handler && this.handler.update) this.handler.update(this, delta);
+  }
+  detach() {
+    this._stop();
+  }
+  toJson(): any {
+    return { script: this.script, props: this.props, state: this.state };
+  }
+}
+
+/**Shared by every AudioComponent, follows the renderer's camera*/
+let audioListener: AudioListener;
+
+function getAudioListener(): AudioListener {
+  if (audioListener) return audioListener;
+  audioListener = new AudioListener();
+  api.getEvents().listen("prerender", ({ renderer }) => {
+    let camera = renderer.getCamera();
+    if (camera && audioListener.parent !== camera) camera.add(audioListener);
+  });
+  return audioListener;
+}
+
+/**Plays a sound resource positioned at the entity, nothing headless*/
+export class AudioComponent extends EntityComponent {
+  /**Resource name of an audio file the browser can decode, ex: @mymod:sounds/engine.ogg*/
+  resource: string;
+  volume: number;
+  loop: boolean;
+  /**Plays as soon as loaded*/
+  autoplay: boolean;
+  /**Distance at which the volume starts dropping*/
+  refDistance: number;
+  sound: PositionalAudio;
+  /**Resolves once the sound can play or failed to load, or right away headless*/
+  ready: Promise<void>;
+  /**Why the sound didn't load, undefined if it did or is loading*/
+  loadError: any;
+
+  constructor(resource: string, volume: number = 1, loop: boolean = false, autoplay: boolean = true, refDistance: number = 1) {
+    super(AUDIO);
+    this.resource = resource;
+    this.volume = volume;
+    this.loop = loop;
+    this.autoplay = autoplay;
+    this.refDistance = refDistance;
+    this.ready = Promise.resolve();
+  }
+  static fromJson(json: any): AudioComponent {
+    if (typeof json.resource !== "string") throw "audio component needs a resource";
+    return new AudioComponent(
+      json.resource,
+      json.volume !== undefined ? json.volume : 1,
+      json.loop === true,
+      json.autoplay !== false,
+      json.refDistance !== undefined ? json.refDistance : 1
+    );
+  }
+  attach() {
+    if (api.getHeadless()) return;
+    let sound = new PositionalAudio(getAudioListener());
+    sound.setVolume(this.volume);
+    sound.setLoop(this.loop);
+    sound.setRefDistance(this.refDistance);
+    this.sound = sound;
+    this.entity.object.add(sound);
+
+    this.loadError = undefined;
+    this.ready = api.getResourceManager().acquireResource(this.resource).then(async (res) => {
+      let buffer: AudioBuffer;
+      try {
+        //decodeAudioData takes the buffer, the resource keeps its own
+        buffer = await sound.context.decodeAudioData(res.arrayBuffer.slice(0));
+      } finally {
+        api.getResourceManager().releaseResource(this.resource);
+      }
+      //Detached while loading
+      if (this.sound !== sound) return;
+      sound.setBuffer(buffer);
+      if (this.autoplay) sound.play();
+    }).catch((ex) => {
+      if (this.sound !== sound) return;
+      this.loadError = ex;
+      console.warn(`Sound ${this.resource} of entity ${this.entity.id} couldn't be loaded`, ex);
+    });
+  }
+  play(): AudioComponent {
+    if (this.sound && this.sound.buffer && !this.sound.isPlaying) this.sound.play();
+    return this;
+  }
+  stop(): AudioComponent {
+    if (this.sound && this.sound.isPlaying) this.sound.stop();
+    return this;
+  }
+  detach() {
+    if (!this.sound) return;
+    this.stop();
+    if (this.sound.parent) this.sound.parent.remove(this.sound);
+    this.sound.disconnect();
+    this.sound = undefined;
+  }
+  toJson(): any {
+    return {
+      resource: this.resource,
+      volume: this.volume,
+      loop: this.loop,
+      autoplay: this.autoplay,
+      refDistance: this.refDistance
+    };
+  }
+}
+
+/**Replicates the entity from the server to clients, see EntityManager
+ * The transform is always replicated, plus every value in values when spawned
+ */
+export class ReplicatedComponent extends EntityComponent {
+  values: { [key: string]: NetValue };
+  /**How each value is blended on clients, discrete if not given*/
+  kinds: { [key: string]: NetFieldKind };
+  /**Client id controlling the entity, the server if undefined*/
+  owner: number;
+  /**Set while replicated*/
+  net: NetEntity;
+
+  constructor(values: { [key: string]: NetValue } = {}, kinds: { [key: string]: NetFieldKind } = {}, owner: number = undefined) {
+    super(REPLICATED);
+    this.values = values;
+    this.kinds = kinds;
+    this.owner = owner;
+  }
+  static fromJson(json: any): ReplicatedComponent {
+    return new ReplicatedComponent(json.values || {}, json.kinds || {}, json.owner);
+  }
+  get<T extends NetValue = NetValue>(key: string): T {
+    return this.values[key] as T;
+  }
+  /**Only the server's values are sent, clients receive theirs*/
+  set(key: string, value: NetValue): ReplicatedComponent {
+    this.values[key] = value;
+    return this;
+  }
+  attach() {
+    //Clients are linked when the server's copy arrives
+    if (this.net) return;
+    let network = api.getNetworkManager();
+    if (!network || network.getRole() !== "server") return;
+    this.entity.manager._replicate(this);
+  }
+  /**Internal - sets up fields the same way on the server and clients*/
+  _link(net: NetEntity) {
+    this.net = net;
+    net.setObject3D(this.entity.object);
+    net.replicateTransform();
+    for (let key of Object.keys(this.values)) {
+      net.addField(key, () => this.values[key], (value) => {
+        this.values[key] = value;
+      }, this.kinds[key] || "discrete");
+    }
+    //Snapshots move it on clients
+    let body = this.entity.getComponent<BodyComponent>(BODY);
+    if (body && body.body && !api.getNetworkManager().hasAuthority()) body.body.setKinematic(true);
+  }
+  detach() {
+    let net = this.net;
+    this.net = undefined;
+    let network = api.getNetworkManager();
+    if (net && network.hasAuthority()) network.despawn(net);
+  }
+  toJson(): any {
+    let result: any = { values: this.values, kinds: this.kinds };
+    if (this.owner !== undefined) result.owner = this.owner;
+    return result;
+  }
+}
@@ -0,0 +1,333 @@
+
+import { Object3D } from "three";
+import API from "../api";
+import { NetEntity } from "../network/entity";
+import { NetworkManager } from "../network/network";
+import { ResourceManager } from "../resources/resources";
+import { applyTransformDef } from "../resources/world";
+import {
+  AUDIO,
+  AudioComponent,
+  BODY,
+  BodyComponent,
+  EntityScript,
+  MESH,
+  MeshComponent,
+  REPLICATED,
+  ReplicatedComponent,
+  SCRIPT,
+  ScriptComponent
+} from "./components";
+import { Entity, EntityComponent, EntityJson } from "./entity";
+
+const api = API.get();
+
+/**World files spawn entities with { "type": "entity", "props": EntityJson }*/
+export const WORLD_ENTITY_TYPE = "entity";
+
+/**Net entity type replicated entities are spawned as, see ReplicatedComponent*/
+export const NET_ENTITY_TYPE = "openbf:entity";
+
+export interface ComponentFactory {
+  /**@param json what the component's toJson returned*/
+  (json: any): EntityComponent;
+}
+
+/**Logic over every entity with a set of components, run each tick*/
+export interface EntitySystem {
+  /**Entities given to update have all of these component types*/
+  components: Array<string>;
+  /**Higher runs first, 0 by default*/
+  priority?: number;
+  update(entities: Array<Entity>, delta: number): void;
+}
+
+/**Entities, their component types, scripts and the systems that run them
+ *
+ * Entities are saved and loaded as EntityJson, ex: in world files or saves
+ * Built in components are mesh, body, script, audio and replicated, see components.ts
+ */
+export class EntityManager {
+  static SINGLETON: EntityManager = undefined;
+  static get(): EntityManager {
+    if (!EntityManager.SINGLETON) new EntityManager();
+    return EntityManager.SINGLETON;
+  }
+  private entities: Map<string, Entity>;
+  private componentTypes: Map<string, ComponentFactory>;
+  private scripts: Map<string, EntityScript>;
+  private systems: Array<EntitySystem>;
+  /**Query results by sorted component types, cleared whenever components change*/
+  private queries: Map<string, Array<Entity>>;
+  private nextId: number = 1;
+
+  constructor() {
+    if (EntityManager.SINGLETON) throw "Cannot instance EntityManager twice";
+    EntityManager.SINGLETON = this;
+    this.entities = new Map();
+    this.componentTypes = new Map();
+    this.scripts = new Map();
+    this.systems = new Array();
+    this.queries = new Map();
+
+    this.registerComponentType(MESH, MeshComponent.fromJson);
+    this.registerComponentType(BODY, BodyComponent.fromJson);
+    this.registerComponentType(SCRIPT, ScriptComponent.fromJson);
+    this.registerComponentType(AUDIO, AudioComponent.fromJson);
+    this.registerComponentType(REPLICATED, ReplicatedComponent.fromJson);
+
+    this.addSystem({
+      components: [SCRIPT],
+      update: (entities, delta) => {
+        for (let entity of entities) {
+          try {
+            entity.getComponent<ScriptComponent>(SCRIPT).update(delta);
+          } catch (ex) {
+            console.warn(`Script of entity ${entity.id} threw`, ex);
+          }
+        }
+      }
+    });
+
+    ResourceManager.get().registerWorldEntityType(WORLD_ENTITY_TYPE, {
+      spawn: (def, world) => {
+        //Transform first, bodies start where the entity is
+        let json: EntityJson = { ...(def.props || {}), position: def.position, rotation: def.rotation, scale: def.scale };
+        if (def.name) json.name = def.name;
+        return this.fromJson(json, world.root).object;
+      },
+      despawn: (instance) => {
+        if (instance.object) this.destroyEntity(instance.object.userData.entityId);
+      }
+    });
+
+    NetworkManager.get().registerEntityType(NET_ENTITY_TYPE, {
+      create: (net) => this.createReplicated(net),
+      destroy: (net) => {
+        //Clients may have given it another id
+        let entity = this.query(REPLICATED).find((entity) => entity.getComponent<ReplicatedComponent>(REPLICATED).net === net);
+        if (entity) this.destroyEntity(entity);
+      }
+    });
+  }
+  registerComponentType(type: string, factory: ComponentFactory): EntityManager {
+    if (this.componentTypes.has(type)) throw `Component type ${type} is already registered`;
+    this.componentTypes.set(type, factory);
+    return this;
+  }
+  /**Unregisters a component type, removing its components from every entity*/
+  unregisterComponentType(type: string): EntityManager {
+    if (!this.componentTypes.delete(type)) return this;
+    for (let entity of this.query(type)) entity.removeComponent(type);
+    return this;
+  }
+  hasComponentType(type: string): boolean {
+    return this.componentTypes.has(type);
+  }
+  /**Makes a component of a registered type from its JSON*/
+  makeComponent(type: string, json: any = {}): EntityComponent {
+    let factory = this.componentTypes.get(type);
+    if (!factory) throw `Unknown component type ${type}`;
+    let component = factory(json);
+    if (component.type !== type) throw `Factory of component type ${type} made a ${component.type}`;
+    return component;
+  }
+  /**Registers a script by name, script components waiting for it start*/
+  registerScript(name: string, script: EntityScript): EntityManager {
+    if (this.scripts.has(name)) throw `Script ${name} is already registered`;
+    this.scripts.set(name, script);
+    for (let component of this.getScriptComponents(name)) {
+      if (component.handler) continue;
+      try {
+        component._start(script);
+      } catch (ex) {
+        console.warn(`Starting script ${name} of entity ${component.entity.id} threw`, ex);
+      }
+    }
+    return this;
+  }
+  /**Unregisters a script, stopping it on every entity, they start again if it is registered again*/
+  unregisterScript(name: string): EntityManager {
+    if (!this.scripts.delete(name)) return this;
+    for (let component of this.getScriptComponents(name)) {
+      try {
+        component._stop();
+      } catch (ex) {
+        console.warn(`Stopping script ${name} of entity ${component.entity.id} threw`, ex);
+      }
+    }
+    return this;
+  }
+  getScript(name: string): EntityScript {
+    return this.scripts.get(name);
+  }
+  private getScriptComponents(name: string): Array<ScriptComponent> {
+    return this.query(SCRIPT)
+      .map((entity) => entity.getComponent<ScriptComponent>(SCRIPT))
+      .filter((component) => component.script === name);
+  }
+  addSystem(system: EntitySystem): EntityManager {
+    if (this.systems.includes(system)) throw "System was already added";
+    this.systems.push(system);
+    //Stable, so systems of the same priority run in the order they were added
+    this.systems.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    return this;
+  }
+  removeSystem(system: EntitySystem): EntityManager {
+    let index = this.systems.indexOf(system);
+    if (index > -1) this.systems.splice(index, 1);
+    return this;
+  }
+  getSystems(): Array<EntitySystem> {
+    return this.systems.slice();
+  }
+  /**Runs every system, call every TimeManager tick*/
+  update(delta: number) {
+    for (let system of this.systems.slice()) {
+      try {
+        system.update(this.query(...system.components), delta);
+      } catch (ex) {
+        console.warn("Entity system threw", ex);
+      }
+    }
+  }
+  private makeId(): string {
+    while (this.entities.has(`e${this.nextId}`)) this.nextId++;
+    return `e${this.nextId++}`;
+  }
+  /**Creates and spawns an empty entity under parent*/
+  createEntity(name: string = "", parent: Object3D = api.getScene()): Entity {
+    return this.addEntity(new Entity(this.makeId(), name), parent);
+  }
+  /**Spawns an entity under parent, attaching its components*/
+  addEntity(entity: Entity, parent: Object3D = api.getScene()): Entity {
+    if (entity.isSpawned()) throw `Entity ${entity.id} is already spawned`;
+    if (this.entities.has(entity.id)) throw `An entity with id ${entity.id} already exists`;
+    //Ids loaded from saves shouldn't be made again
+    let numbered = /^e(\d+)$/.exec(entity.id);
+    if (numbered) this.nextId = Math.max(this.nextId, parseInt(numbered[1]) + 1);
+
+    this.entities.set(entity.id, entity);
+    entity.manager = this;
+    if (parent) parent.add(entity.object);
+    let attached = new Array<EntityComponent>();
+    try {
+      for (let component of entity.getComponents()) {
+        this._attach(component);
+        attached.push(component);
+      }
+    } catch (ex) {
+      //Don't leave half spawned entities around
+      for (let component of attached.reverse()) this.detachQuietly(component);
+      this.entities.delete(entity.id);
+      entity.manager = undefined;
+      if (entity.object.parent) entity.object.parent.remove(entity.object);
+      this.queries.clear();
+      throw ex;
+    }
+    api.getEvents().emit("entity:spawned", { entity });
+    return entity;
+  }
+  /**Detaches an entity's components and removes it from the scene*/
+  destroyEntity(entity: Entity | string): EntityManager {
+    if (typeof entity === "string") entity = this.entities.get(entity);
+    if (!entity || this.entities.get(entity.id) !== entity) return this;
+    this.entities.delete(entity.id);
+    for (let component of entity.getComponents().reverse()) this.detachQuietly(component);
+    entity.manager = undefined;
+    if (entity.object.parent) entity.object.parent.remove(entity.object);
+    this.queries.clear();
+    api.getEvents().emit("entity:destroyed", { entity });
+    return this;
+  }
+  /**Destroys every entity and numbers new ones from the start again, ex: restarting for a replay*/
+  destroyAll(): EntityManager {
+    for (let entity of this.getEntities()) this.destroyEntity(entity);
+    this.nextId = 1;
+    return this;
+  }
+  private detachQuietly(component: EntityComponent) {
+    try {
+      component.detach();
+    } catch (ex) {
+      console.warn(`Detaching ${component.type} of entity ${component.entity.id} threw`, ex);
+    }
+  }
+  /**Internal - see Entity.addComponent*/
+  _attach(component: EntityComponent) {
+    this.queries.clear();
+    component.attach();
+  }
+  /**Internal - see Entity.removeComponent*/
+  _detach(component: EntityComponent) {
+    this.queries.clear();
+    this.detachQuietly(component);
+  }
+  getEntity(id: string): Entity {
+    return this.entities.get(id);
+  }
+  hasEntity(id: string): boolean {
+    return this.entities.has(id);
+  }
+  getEntities(): Array<Entity> {
+    return Array.from(this.entities.values());
+  }
+  findByName(name: string): Array<Entity> {
+    return this.getEntities().filter((entity) => entity.name === name);
+  }
+  /**Spawned entities that have every one of types, in spawn order
+   * The result is shared until components change, don't modify it
+   */
+  query(...types: Array<string>): Array<Entity> {
+    let key = types.slice().sort().join(",");
+    let result = this.queries.get(key);
+    if (!result) {
+      result = this.getEntities().filter((entity) => entity.hasComponents(types));
+      this.queries.set(key, result);
+    }
+    return result;
+  }
+  /**Creates and spawns an entity from JSON, see Entity.toJson
+   * Components of unknown types are skipped with a warning
+   */
+  fromJson(json: EntityJson, parent: Object3D = api.getScene()): Entity {
+    let id = json.id;
+    if (id === undefined || this.entities.has(id)) {
+      if (id !== undefined) console.warn(`Entity id ${id} is taken, making a new one`);
+      id = this.makeId();
+    }
+    let entity = new Entity(id, json.name || "");
+    applyTransformDef(entity.object, json);
+    let components = json.components || {};
+    for (let type of Object.keys(components)) {
+      if (!this.hasComponentType(type)) {
+        console.warn(`Entity ${id} has unknown component type ${type}, skipping`);
+        continue;
+      }
+      entity.addComponent(this.makeComponent(type, components[type]));
+    }
+    return this.addEntity(entity, parent);
+  }
+  /**Saves entities (all by default) as JSON, see fromJson*/
+  toJson(entities: Array<Entity> = this.getEntities()): Array<EntityJson> {
+    return entities.map((entity) => entity.toJson());
+  }
+  /**Internal - spawns the net entity of a replicated component, on the server*/
+  _replicate(component: ReplicatedComponent) {
+    let network = api.getNetworkManager();
+    let props = { entity: component.entity.toJson() };
+    network.spawn(NET_ENTITY_TYPE, props, component.owner);
+  }
+  /**Links a net entity to its entity, creating the entity on clients*/
+  private createReplicated(net: NetEntity) {
+    let json: EntityJson = net.props.entity;
+    let entity = this.getEntity(json.id);
+    let component = entity && entity.getComponent<ReplicatedComponent>(REPLICATED);
+    //On the server the entity made the net entity
+    if (!component || component.net) {
+      entity = this.fromJson(json);
+      component = entity.getComponent<ReplicatedComponent>(REPLICATED);
+    }
+    component._link(net);
+  }
+}
@@ -0,0 +1,116 @@
+
+import { Group, Object3D } from "three";
+import { objectToTransformDef, TransformDef } from "../resources/world";
+import { EntityManager } from "./entities";
+
+/**Saved form of an entity, see EntityManager.fromJson
+ * The transform is the same as in world files, rotation in degrees
+ */
+export interface EntityJson extends TransformDef {
+  /**A new id is made if missing*/
+  id?: string;
+  name?: string;
+  /**component type -> that component's toJson()*/
+  components?: { [type: string]: any };
+}
+
+/**Data and behaviour of one kind on an entity, ex: a mesh or a rigid body
+ * Types are registered with EntityManager.registerComponentType so entities can be loaded from JSON
+ */
+export class EntityComponent {
+  /**The registered type, an entity has at most one component per type*/
+  type: string;
+  /**Set while the component is on an entity*/
+  entity: Entity;
+
+  constructor(type: string) {
+    this.type = type;
+  }
+  /**Called when the entity spawns, or when added to an entity that already has*/
+  attach() {
+  }
+  /**Called when removed or when the entity is destroyed, undoes attach*/
+  detach() {
+  }
+  /**Given to the type's factory when loading, has to survive JSON*/
+  toJson(): any {
+    return {};
+  }
+}
+
+/**Something in the game, a transform with components
+ * Create with EntityManager.createEntity or fromJson
+ */
+export class Entity {
+  /**Stable across saves and between server and clients*/
+  id: string;
+  name: string;
+  /**The entity's transform, components parent what they show to it*/
+  object: Object3D;
+  /**Set while spawned, see EntityManager.addEntity*/
+  manager: EntityManager;
+  private components: Map<string, EntityComponent>;
+
+  constructor(id: string, name: string = "") {
+    this.id = id;
+    this.name = name;
+    this.object = new Group();
+    this.object.name = name || id;
+    this.object.userData.entityId = id;
+    this.components = new Map();
+  }
+  isSpawned(): boolean {
+    return this.manager !== undefined;
+  }
+  /**Adds a component, attaching it right away if the entity is spawned*/
+  addComponent<T extends EntityComponent>(component: T): T {
+    if (this.components.has(component.type)) throw `Entity ${this.id} already has a ${component.type} component`;
+    if (component.entity) throw `Component ${component.type} is already on entity ${component.entity.id}`;
+    component.entity = this;
+    this.components.set(component.type, component);
+    if (this.manager) {
+      try {
+        this.manager._attach(component);
+      } catch (ex) {
+        this.components.delete(component.type);
+        component.entity = undefined;
+        throw ex;
+      }
+    }
+    return component;
+  }
+  removeComponent(type: string): Entity {
+    let component = this.components.get(type);
+    if (!component) return this;
+    if (this.manager) this.manager._detach(component);
+    this.components.delete(type);
+    component.entity = undefined;
+    return this;
+  }
+  hasComponent(type: string): boolean {
+    return this.components.has(type);
+  }
+  /**Whether the entity has every one of types*/
+  hasComponents(types: Array<string>): boolean {
+    return types.every((type) => this.components.has(type));
+  }
+  getComponent<T extends EntityComponent = EntityComponent>(type: string): T {
+    return this.components.get(type) as T;
+  }
+  getComponents(): Array<EntityComponent> {
+    return Array.from(this.components.values());
+  }
+  toJson(): EntityJson {
+    let components: { [type: string]: any } = {};
+    this.components.forEach((component, type) => {
+      components[type] = component.toJson();
+    });
+    let result: EntityJson = {
+      id: this.id,
+      ...objectToTransformDef(this.object),
+      components
+    };
+    if (this.name) result.name = this.name;
+    return result;
+  }
+}
@@ -0,0 +1,167 @@
+
+import API from "./api";
+
+import * as THREE from "three";
+import { Scene } from "three";
+import { TimeManager } from "./utils/time";
+import { ModuleManager, ResourceManager, ResourceReader } from "./resources/resources";
+import { PhysicsManager } from "./physics/physics";
+import { NetworkManager } from "./network/network";
+import { Random } from "./utils/random";
+import { EntityManager } from "./entities/entities";
+
+//Node's own require, webpack leaves these to be resolved at runtime
+declare const __non_webpack_require__: (id: string) => any;
+declare const process: any;
+
+const fs = __non_webpack_require__("fs");
+const path = __non_webpack_require__("path");
+const url = __non_webpack_require__("url");
+
+const MODULE_DEF_JSON_NAME = "module.json";
+const MODULES_REL_DIR = "resources/modules";
+
+const textEnc = new TextEncoder();
+
+interface HeadlessOptions {
+  /**Folder resources are read from, laid out like apphost/build*/
+  root: string;
+  /**Runs this many ticks right away and exits, ex: CI
+   * Runs in real time until stopped when undefined
+   */
+  ticks: number;
+  tickRate: number;
+  /**Hosts a server on this port when set*/
+  port: number;
+}
+
+function parseArgs(argv: Array<string>): HeadlessOptions {
+  let options: HeadlessOptions = {
+    root: path.join(process.cwd(), "build"),
+    ticks: undefined,
+    tickRate: 60,
+    port: undefined
+  };
+  for (let i = 0; i < argv.length; i++) {
+    let value = argv[i + 1];
+    switch (argv[i]) {
+      case "--root":
+        if (!value) throw "--root needs a folder";
+        options.root = path.resolve(value);
+        break;
+      case "--ticks":
+        options.ticks = parseInt(value);
+        if (isNaN(options.ticks)) throw "--ticks needs a number";
+        break;
+      case "--tick-rate":
+        options.tickRate = parseInt(value);
+        if (isNaN(options.tickRate) || options.tickRate < 1) throw "--tick-rate needs a number above 0";
+        break;
+      case "--serve":
+        options.port = parseInt(value);
+        if (isNaN(options.port)) throw "--serve needs a port";
+        break;
+      default:
+        throw `Unknown argument ${argv[i]}`;
+    }
+    i++;
+  }
+  return options;
+}
+
+/**The same answer apphost gives to ~query.modules, only module folders are supported*/
+function queryModules(root: string): any {
+  let data = {};
+  let dir = path.join(root, MODULES_REL_DIR);
+  if (!fs.existsSync(dir)) return { data };
+  for (let name of fs.readdirSync(dir)) {
+    if (fs.existsSync(path.join(dir, name, MODULE_DEF_JSON_NAME))) {
+      data[name] = `${MODULES_REL_DIR}/${name}`;
+    } else if (name.endsWith(".obfmod")) {
+      console.warn(`${name} is a packed module, headless only reads module folders`);
+    }
+  }
+  return { data };
+}
+
+/**Reads resource urls (file://) from the filesystem instead of apphost*/
+function makeFileReader(root: string): ResourceReader {
+  return async (resourceUrl: string) => {
+    let file = url.fileURLToPath(resourceUrl);
+    let relative = path.relative(root, file).split(path.sep).join("/");
+    if (relative === "~query.modules") {
+      return textEnc.encode(JSON.stringify(queryModules(root))).buffer;
+    } else if (relative.startsWith("~")) {
+      throw `${relative} is only answered by apphost`;
+    }
+    let data = await fs.promises.readFile(file);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  };
+}
+
+const api = API.get();
+globalThis["API"] = API;
+API.THREE = THREE;
+
+//No renderer, DOM or input, modules check api.getHeadless()
+api.setHeadless(true);
+api.setScene(new Scene());
+api.setRandom(new Random());
+
+async function main() {
+  let options = parseArgs(process.argv.slice(2));
+
+  let timeManager = new TimeManager(options.tickRate);
+  api.setTimeManager(timeManager);
+
+  //The browser loads ammo with a script tag, it has to be made global by hand here
+  let ammoDir = path.join(options.root, "libs", "ammo");
+  globalThis["Ammo"] = __non_webpack_require__(path.join(ammoDir, "ammo.wasm.js"));
+  let physics = new PhysicsManager();
+  api.setPhysicsManager(physics);
+  await physics.init({ wasmBinary: fs.readFileSync(path.join(ammoDir, "ammo.wasm.wasm")) });
+
+  let network = NetworkManager.get();
+  api.setNetworkManager(network);
+
+  let resourceManager = ResourceManager.get();
+  api.setResourceManager(resourceManager);
+  resourceManager.resourceTransport = "file";
+  //file:///some/folder -> /some/folder, resourceNameToURL puts back the slashes
+  resourceManager.resourceDomain = url.pathToFileURL(options.root).href.substring("file://".length);
+  resourceManager.setResourceReader(makeFileReader(options.root));
+
+  let entities = EntityManager.get();
+  api.setEntityManager(entities);
+
+  let moduleManager = ModuleManager.get();
+  api.setModuleManager(moduleManager);
+  await moduleManager.queryModules();
+  let loaded = await moduleManager.loadModules();
+  console.log(`Loaded modules: ${loaded.join(", ") || "none"}`);
+
+  timeManager.listen((delta) => {
+    entities.update(delta);
+    physics.step(delta);
+    network.update(delta);
+  });
+
+  if (options.port !== undefined) {
+    let WebSocket = __non_webpack_require__("ws");
+    network.host(new WebSocket.Server({ port: options.port }));
+    console.log(`Serving on ws://localhost:${options.port}`);
+  }
+
+  if (options.ticks !== undefined) {
+    timeManager.step(options.ticks);
+    //Mods under test can fail the run with process.exitCode
+    process.exit();
+  } else {
+    timeManager.start();
+  }
+}
+
+main().catch((reason) => {
+  console.error("Headless startup failed", reason);
+  process.exit(1);
+});
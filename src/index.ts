@@ -1,5 +1,5 @@
 
-import { Component, OverlayPanel, Grid, ImagePanel, runOnce, get, on, Panel, make } from "@repcomm/exponent-ts";
+import { Component, OverlayPanel, Panel, Grid, ImagePanel, runOnce, get, on } from "@repcomm/exponent-ts";
 
 import API from "./api";
 
@@ -8,6 +8,22 @@ import { TimeManager } from "./utils/time";
 import { ModuleManager, ResourceManager } from "./resources/resources";
 import { GameInput, AxisRule } from "@repcomm/gameinput-ts";
 import { PhysicsManager } from "./physics/physics";
+import { LiveReloadClient } from "./resources/livereload";
+import { LoadingOverlay } from "./ui/loadingoverlay";
+import { ResourceCache } from "./resources/cache";
+import { NetworkManager } from "./network/network";
+import { Random } from "./utils/random";
+import { ReplayManager } from "./replay/replay";
+import { Recording } from "./replay/recording";
+import { BindingRegistry, MENU_CATEGORY } from "./input/bindings";
+import { BindingsPanel } from "./ui/bindingspanel";
+import { ProfileManager } from "./profiles/profiles";
+import { ProfilesPanel } from "./ui/profilespanel";
+import { MenuScreen, ScreenManager } from "./ui/screens";
+import { ModulesPanel } from "./ui/modulespanel";
+import { GraphicsPanel, loadGraphicsQuality } from "./ui/graphicspanel";
+import { DebugOverlay } from "./ui/debugoverlay";
+import { EntityManager } from "./entities/entities";
 
 //Inject exponent css
 runOnce();
@@ -22,43 +38,35 @@ API.GameInput = GameInput;
 let input = GameInput.get();
 api.setInputManager(input);
 
-function setupDefaultInput() {
-  input.createBinding("escape")
-    .addKey("Escape")
-    .addPadButton(1);
-
-  input.createBinding("ok")
-    .addKey("e")
-    .addPadButton(0);
-
-  input.createBinding("forward")
-    .addKey("w")
-    .createPadAxisRule(1, AxisRule.LESS_THAN, -0.5);
-
-  input.createBinding("backward")
-    .addKey("s")
-    .createPadAxisRule(1, AxisRule.GREATER_THAN, 0.5);
-
-  input.createBinding("left")
-    .addKey("a")
-    .createPadAxisRule(0, AxisRule.LESS_THAN, -0.5);
-
-  input.createBinding("right")
-    .addKey("d")
-    .createPadAxisRule(0, AxisRule.GREATER_THAN, 0.5);
+const bindings = new BindingRegistry(input);
+api.setBindings(bindings);
 
-  input.createBinding("steer-left")
-    .createPadAxisRule(3, AxisRule.LESS_THAN, -0.5);
-
-  input.createBinding("steer-right")
-    .createPadAxisRule(3, AxisRule.GREATER_THAN, 0.5);
-
-  input.createBinding("steer-up")
-    .createPadAxisRule(4, AxisRule.LESS_THAN, -0.5);
-
-  input.createBinding("steer-down")
-    .createPadAxisRule(4, AxisRule.GREATER_THAN, 0.5);
+//Bindings follow the active profile
+const profiles = ProfileManager.get();
+api.setProfileManager(profiles);
+profiles.setBindingRegistry(bindings);
 
+function setupDefaultInput() {
+  const lessThan = (axisId: number) => ({ axisId, rule: AxisRule.LESS_THAN, compareValue: -0.5 });
+  const greaterThan = (axisId: number) => ({ axisId, rule: AxisRule.GREATER_THAN, compareValue: 0.5 });
+
+  bindings.declareAction("escape", { keys: ["Escape"], padButtons: [1] }, "Back", MENU_CATEGORY);
+  bindings.declareAction("ok", { keys: ["e"], padButtons: [0] }, "Use / OK", MENU_CATEGORY);
+
+  bindings.declareAction("forward", { keys: ["w"], padAxes: [lessThan(1)] }, "Forward", "Movement");
+  bindings.declareAction("backward", { keys: ["s"], padAxes: [greaterThan(1)] }, "Backward", "Movement");
+  bindings.declareAction("left", { keys: ["a"], padAxes: [lessThan(0)] }, "Left", "Movement");
+  bindings.declareAction("right", { keys: ["d"], padAxes: [greaterThan(0)] }, "Right", "Movement");
+  bindings.declareAction("jump", { keys: [" "], padButtons: [0] }, "Jump", "Movement");
+  bindings.declareAction("sprint", { keys: ["Shift"], padButtons: [10] }, "Sprint", "Movement");
+  bindings.declareAction("crouch", { keys: ["c", "Control"], padButtons: [11] }, "Crouch", "Movement");
+
+  bindings.declareAction("steer-left", { padAxes: [lessThan(3)] }, "Look left", "Look");
+  bindings.declareAction("steer-right", { padAxes: [greaterThan(3)] }, "Look right", "Look");
+  bindings.declareAction("steer-up", { padAxes: [lessThan(4)] }, "Look up", "Look");
+  bindings.declareAction("steer-down", { padAxes: [greaterThan(4)] }, "Look down", "Look");
+
+  bindings.declareAction("debug", { keys: ["`"] }, "Debug overlay", "Debug");
 }
 
 setupDefaultInput();
@@ -88,66 +96,70 @@ hud.setCell(
 
 root.setElements(hud, api.getRenderer());
 
-class ButtonList extends Panel {
-  header: ButtonListHeader;
-  mods: Array<ButtonListItem>;
-  constructor () {
-    super();
-    this.header = new ButtonListHeader().textContent("text").mount(this);
-  }
-  addItem (item: ButtonListItem): this {
-    this.mountChild(item);
-    return this;
-  }
-  createItem (name: string): ButtonListItem {
-    let item = new ButtonListItem().textContent(name);
-    this.addItem(item);
-    return item;
-  }
-  getHeader (): Component {
-    return this.header;
-  }
-}
+//Per viewport HUDs (ex: split screen players, a minimap) go over the canvas
+const viewportHuds = new Panel().addClasses("viewport-huds").mount(root);
+api.getRenderer().setHudContainer(viewportHuds);
 
-class ButtonListHeader extends Component {
-  text: Component;
-  constructor () {
-    super();
-    this.make("div");
-    this.text = new Component().make("span").textContent("text").mount(this);
-  }
-  textContent (text: string): this {
-    this.text.textContent(text);
-    return this;
-  }
-}
+//Shows progress of whatever ResourceManager loading session is active
+const loadingOverlay = new LoadingOverlay().mount(root);
 
-class ButtonListItem extends Component {
-  text: Component;
-  constructor () {
-    super();
-    this.make("div");
-    this.text = new Component().make("span").textContent("text").mount(this);
-  }
-  textContent (text: string): this {
-    this.text.textContent(text);
-    return this;
-  }
-}
+//Stats, physics wireframes and a scene inspector, toggled with the debug binding
+const debugOverlay = new DebugOverlay("debug").mount(root);
+
+//Menus and settings over the game, navigated with the ok, escape and directional bindings
+const screens = ScreenManager.get();
+api.setScreenManager(screens);
+screens.setContainer(root);
+
+const bindingsPanel = new BindingsPanel(bindings);
+bindingsPanel.setOnBack(() => screens.pop());
 
-let mainMenu = new ButtonList().addClasses("main-menu");
-mainMenu.getHeader()
-.addClasses("main-menu-header")
-.textContent("MAIN MENU");
+const profilesPanel = new ProfilesPanel(profiles);
+profilesPanel.setOnBack(() => screens.pop());
 
-mainMenu.createItem("SINGLEPLAYER").addClasses("main-menu-item");
-mainMenu.createItem("MULTIPLAYER").addClasses("main-menu-item");
-mainMenu.createItem("SETTINGS").addClasses("main-menu-item");
-mainMenu.createItem("PROFILES").addClasses("main-menu-item");
-mainMenu.createItem("MODULES").addClasses("main-menu-item");
+const modulesPanel = new ModulesPanel(ModuleManager.get());
+modulesPanel.setOnBack(() => screens.pop());
 
+const graphicsPanel = new GraphicsPanel(profiles);
+graphicsPanel.setOnBack(() => screens.pop());
 
-hud.setCell(mainMenu, 2, 2);
+const mainMenu = new MenuScreen("MAIN MENU");
+mainMenu.getComponent().addClasses("main-menu");
+
+mainMenu.addItem("SINGLEPLAYER", () => {
+  //Back to the game, escape brings the menu back
+  while (screens.isOpen()) screens.pop();
+});
+mainMenu.addItem("MULTIPLAYER", () => {
+  let network = api.getNetworkManager();
+  if (!network) return;
+  if (network.getRole() === "client") {
+    network.disconnect();
+    return;
+  }
+  let url = prompt("Server address", "ws://localhost:8081");
+  if (!url) return;
+  network.connect(url).catch((reason) => {
+    console.warn("Couldn't join server", reason);
+  });
+});
+mainMenu.addItem("SETTINGS", () => screens.push("settings"));
+mainMenu.addItem("GRAPHICS", () => screens.push("graphics"));
+mainMenu.addItem("PROFILES", () => screens.push("profiles"));
+mainMenu.addItem("MODULES", () => screens.push("modules"));
+
+screens.registerScreen("main", mainMenu);
+screens.registerScreen("settings", bindingsPanel);
+screens.registerScreen("graphics", graphicsPanel);
+screens.registerScreen("profiles", profilesPanel);
+screens.registerScreen("modules", modulesPanel);
+screens.setRootScreen("main");
+screens.push("main");
+
+api.getTimeManager().listenFrame((alpha, delta) => {
+  screens.update(delta);
+  debugOverlay.update(delta);
+});
 
 on(window, "resize", () => {
   api.getRenderer().resize(container.rect.width, container.rect.height);
@@ -155,35 +167,139 @@ on(window, "resize", () => {
 
 api.getRenderer().resize(container.rect.width, container.rect.height);
 api.getRenderer().useDefaultCamera();
+
+//Graphics settings follow the active profile, the pipeline is only rebuilt when they change
+let appliedGraphics: string;
+function applyGraphics() {
+  let quality = loadGraphicsQuality(profiles);
+  let json = JSON.stringify(quality);
+  if (json === appliedGraphics) return;
+  appliedGraphics = json;
+  api.getRenderer().setQuality(quality);
+}
+applyGraphics();
+profiles.listen(applyGraphics);
 api.getRenderer().start();
 
 const physics = new PhysicsManager();
 api.setPhysicsManager(physics);
 
-async function userLand() {
-  //Load up physics engine
-  await physics.init(); //Can throw if physics error, this is fine
+const network = NetworkManager.get();
+api.setNetworkManager(network);
+
+api.setRandom(new Random());
+const replays = ReplayManager.get();
+api.setReplayManager(replays);
+
+/**Plays a recording file the player picks*/
+function openRecording() {
+  let picker = document.createElement("input");
+  picker.type = "file";
+  picker.accept = ".obfreplay";
+  picker.addEventListener("change", async () => {
+    let file = picker.files[0];
+    if (!file) return;
+    try {
+      await replays.play(Recording.decode(await file.arrayBuffer()));
+    } catch (ex) {
+      console.warn("Couldn't play recording", ex);
+    }
+  });
+  picker.click();
+}
 
+//Replay controls, on keys bindings don't use since bindings are replayed
+on(window, "keydown", (evt: KeyboardEvent) => {
+  let seekSeconds = (seconds: number) => {
+    let tick = replays.getTick() + Math.round(seconds * replays.getRecording().tickRate);
+    replays.seek(tick).catch((reason) => console.warn("Couldn't seek", reason));
+  };
+  switch (evt.key) {
+    case "F6":
+      if (replays.isRecording()) {
+        replays.download(replays.stopRecording());
+      } else if (!replays.isPlaying()) {
+        replays.startRecording().catch((reason) => console.warn("Couldn't start recording", reason));
+      }
+      break;
+    case "F7":
+      if (replays.isPlaying()) {
+        replays.stopPlayback();
+      } else if (!replays.isRecording()) {
+        openRecording();
+      }
+      break;
+    default:
+      if (!replays.isPlaying()) return;
+      switch (evt.key) {
+        case "F8":
+          if (replays.isPaused()) replays.resume();
+          else replays.pause();
+          break;
+        case "F9":
+          replays.setFreeCamera(!replays.isFreeCamera());
+          break;
+        case ".":
+          if (replays.isPaused()) replays.step();
+          break;
+        case "ArrowLeft":
+          seekSeconds(-5);
+          break;
+        case "ArrowRight":
+          seekSeconds(5);
+          break;
+        default:
+          return;
+      }
+  }
+  evt.preventDefault();
+});
+
+async function userLand() {
   //Prepare resources to load
   let resourceManager = ResourceManager.get();
   api.setResourceManager(resourceManager);
+  //Unchanged files are served locally, and the game can start when the host is unreachable
+  resourceManager.setPersistentCache(new ResourceCache());
+
+  resourceManager.listenLoadingSessions((session) => loadingOverlay.setSession(session));
+  let session = resourceManager.beginLoadingSession("LOADING");
+
+  //Entities can be in world files and modules make them
+  let entities = EntityManager.get();
+  api.setEntityManager(entities);
+
+  //Load up physics engine
+  await session.track("physics", physics.init()); //Can throw if physics error, this is fine
 
   //Prepare modules to load
   let moduleManager = ModuleManager.get();
   api.setModuleManager(moduleManager);
 
   //Prepares user modules resources (lazy load)
-  let resources = await moduleManager.queryModules();
+  await moduleManager.queryModules();
 
-  //Actually loads the modules if they aren't loaded
-  for (let name of resources) {
-    //You can perform getModule(key) without fear of duplication
-    let mod = await moduleManager.getModule(name);
-    // console.log("Loaded module", mod);
-  }
+  //Actually loads the modules in dependency order
+  //Modules with missing deps, version mismatches or cycles are skipped, as are disabled ones
+  //A module that fails only takes its dependents down with it, see the MODULES screen
+  await moduleManager.loadModules();
+  resourceManager.endLoadingSession();
 
+  //Pick up edits to modules and models on the host without a page reload
+  let liveReload = LiveReloadClient.get();
+  liveReload.listen((changes) => resourceManager.onLiveChanges(changes));
+  liveReload.listen((changes) => moduleManager.onLiveChanges(changes));
+  liveReload.connect(resourceManager.getLiveReloadURL());
+
+  //Physics runs at the fixed tick rate, visuals are interpolated between ticks
   api.getTimeManager().listen((delta) => {
+    entities.update(delta);
     physics.step(delta);
+    network.update(delta);
+  });
+  api.getRenderer().listenPreRender(() => {
+    physics.interpolate(api.getTimeManager().getAlpha());
+    network.interpolate();
   });
 }
 
@@ -0,0 +1,382 @@
+
+import { AxisRule, AxisRuleJson, GameInput, InputBinding, InputBindingJson, InputBindingsJson } from "@repcomm/gameinput-ts";
+import { loadLocalJson, saveLocalJson } from "../utils/storage";
+
+/**How far a stick has to move from where it rested to be captured*/
+const CAPTURE_AXIS_THRESHOLD = 0.5;
+
+/**Actions of this category are read while a screen is open, the rest while playing*/
+export const MENU_CATEGORY = "Menu";
+
+export type InputDevice = "keyboard" | "gamepad";
+
+/**A single key, pad button or pad axis direction an action can be bound to*/
+export type BoundInput =
+  { type: "key", key: string } |
+  { type: "pad-button", button: number } |
+  { type: "pad-axis", axis: AxisRuleJson };
+
+/**What an action is bound to before the player changes it*/
+export interface ActionDefaults {
+  /**See KeyboardEvent.key, ex: "w", " ", "Shift"*/
+  keys?: Array<string>;
+  padButtons?: Array<number>;
+  padAxes?: Array<AxisRuleJson>;
+}
+
+export interface Action {
+  /**GameInput binding name, what getButton is called with*/
+  name: string;
+  /**Shown in the controls settings*/
+  label: string;
+  category: string;
+  defaults: InputBindingJson;
+}
+
+export interface BindingsChangeCallback {
+  /**@param action name of the action that changed, undefined if all of them may have*/
+  (action: string): void;
+}
+
+function makeBindingJson(defaults: ActionDefaults): InputBindingJson {
+  return {
+    keys: (defaults.keys || []).slice(),
+    rects: [],
+    gpBtns: (defaults.padButtons || []).slice(),
+    gpAxes: (defaults.padAxes || []).map((axis) => ({ ...axis }))
+  };
+}
+
+function copyBindingJson(json: InputBindingJson): InputBindingJson {
+  return {
+    keys: json.keys.slice(),
+    rects: json.rects.map((rect) => ({ ...rect })),
+    gpBtns: json.gpBtns.slice(),
+    gpAxes: json.gpAxes.map((axis) => ({ ...axis }))
+  };
+}
+
+export function getInputDevice(input: BoundInput): InputDevice {
+  return input.type === "key" ? "keyboard" : "gamepad";
+}
+
+function bindingHasInput(json: InputBindingJson, input: BoundInput): boolean {
+  switch (input.type) {
+    case "key":
+      return json.keys.includes(input.key);
+    case "pad-button":
+      return json.gpBtns.includes(input.button);
+    case "pad-axis":
+      let axis = input.axis;
+      return json.gpAxes.some((other) => other.axisId === axis.axisId && other.rule === axis.rule);
+  }
+}
+
+/**Readable name of an input, ex: "Space", "Pad 0", "Axis 1-"*/
+export function describeInput(input: BoundInput): string {
+  switch (input.type) {
+    case "key":
+      if (input.key === " ") return "Space";
+      return input.key.length === 1 ? input.key.toUpperCase() : input.key;
+    case "pad-button":
+      return `Pad ${input.button}`;
+    case "pad-axis":
+      return `Axis ${input.axis.axisId}${input.axis.rule === AxisRule.LESS_THAN ? "-" : "+"}`;
+  }
+}
+
+/**Where the bindings a player changed are kept, see BindingRegistry.setStore*/
+export interface BindingsStore {
+  load(): InputBindingsJson;
+  save(bindings: InputBindingsJson): void;
+}
+
+/**Keeps bindings in local storage under key*/
+export function makeLocalBindingsStore(key: string = "openbf-bindings:default"): BindingsStore {
+  return {
+    load: () => loadLocalJson(key),
+    save: (bindings) => {
+      saveLocalJson(key, bindings);
+    }
+  };
+}
+
+/**Named actions and what they're bound to
+ *
+ * The game and modules declare actions with defaults, players rebind them from the controls settings.
+ * Changes are applied to GameInput as bindings of the same name, so getButton(action) keeps working,
+ * and saved to the store, the active profile's (see ProfileManager) or local storage
+ */
+export class BindingRegistry {
+  static SINGLETON: BindingRegistry = undefined;
+  private input: GameInput;
+  private actions: Map<string, Action>;
+  /**Bindings the player changed from the defaults, by action name*/
+  private overrides: Map<string, InputBindingJson>;
+  private changeListeners: Set<BindingsChangeCallback>;
+  private store: BindingsStore;
+  private cancelCapture: () => void;
+
+  constructor(input: GameInput = GameInput.get()) {
+    if (BindingRegistry.SINGLETON) throw "Cannot instance BindingRegistry twice";
+    BindingRegistry.SINGLETON = this;
+    this.input = input;
+    this.actions = new Map();
+    this.overrides = new Map();
+    this.changeListeners = new Set();
+    this.store = makeLocalBindingsStore();
+    this.load();
+  }
+  static get(): BindingRegistry {
+    if (!BindingRegistry.SINGLETON) new BindingRegistry();
+    return BindingRegistry.SINGLETON;
+  }
+  /**Declares an action, bound to the player's saved binding or the defaults
+   * Modules should prefix names with the module name to avoid collisions
+   */
+  declareAction(name: string, defaults: ActionDefaults, label: string = name, category: string = "General"): BindingRegistry {
+    if (this.actions.has(name)) throw `Action ${name} is already declared`;
+    this.actions.set(name, { name, label, category, defaults: makeBindingJson(defaults) });
+    this.apply(name);
+    this.notify(name);
+    return this;
+  }
+  /**Undeclares an action, getButton is false for it afterwards
+   * Saved bindings are kept for when it is declared again
+   */
+  removeAction(name: string): BindingRegistry {
+    if (!this.actions.delete(name)) return this;
+    this.input.setBinding(name, new InputBinding());
+    this.notify(name);
+    return this;
+  }
+  hasAction(name: string): boolean {
+    return this.actions.has(name);
+  }
+  getAction(name: string): Action {
+    return this.actions.get(name);
+  }
+  /**Declared actions, in declaration order*/
+  getActions(): Array<Action> {
+    return Array.from(this.actions.values());
+  }
+  listen(cb: BindingsChangeCallback): BindingRegistry {
+    this.changeListeners.add(cb);
+    return this;
+  }
+  deafen(cb: BindingsChangeCallback): BindingRegistry {
+    this.changeListeners.delete(cb);
+    return this;
+  }
+  private notify(action: string) {
+    for (let cb of this.changeListeners) {
+      try {
+        cb(action);
+      } catch (ex) {
+        console.warn("Bindings listener threw", ex);
+      }
+    }
+  }
+  /**What an action is currently bound to, a copy*/
+  getBinding(name: string): InputBindingJson {
+    let action = this.actions.get(name);
+    if (!action) throw `No action ${name} is declared`;
+    return copyBindingJson(this.overrides.get(name) || action.defaults);
+  }
+  /**Inputs an action is bound to on one device*/
+  getInputs(name: string, device: InputDevice): Array<BoundInput> {
+    let json = this.getBinding(name);
+    let result = new Array<BoundInput>();
+    if (device === "keyboard") {
+      for (let key of json.keys) result.push({ type: "key", key });
+    } else {
+      for (let button of json.gpBtns) result.push({ type: "pad-button", button });
+      for (let axis of json.gpAxes) result.push({ type: "pad-axis", axis });
+    }
+    return result;
+  }
+  isDefault(name: string): boolean {
+    return !this.overrides.has(name);
+  }
+  /**Binds an action to input, replacing what it was bound to on the same device*/
+  bind(name: string, input: BoundInput): BindingRegistry {
+    let json = this.getBinding(name);
+    if (input.type === "key") {
+      json.keys = [input.key];
+    } else {
+      json.gpBtns = input.type === "pad-button" ? [input.button] : [];
+      json.gpAxes = input.type === "pad-axis" ? [{ ...input.axis }] : [];
+    }
+    return this.setBinding(name, json);
+  }
+  /**Unbinds an action from every input of a device*/
+  clear(name: string, device: InputDevice): BindingRegistry {
+    let json = this.getBinding(name);
+    if (device === "keyboard") {
+      json.keys = [];
+    } else {
+      json.gpBtns = [];
+      json.gpAxes = [];
+    }
+    return this.setBinding(name, json);
+  }
+  private setBinding(name: string, json: InputBindingJson): BindingRegistry {
+    this.overrides.set(name, json);
+    this.apply(name);
+    this.save();
+    this.notify(name);
+    return this;
+  }
+  resetAction(name: string): BindingRegistry {
+    if (!this.overrides.delete(name)) return this;
+    this.apply(name);
+    this.save();
+    this.notify(name);
+    return this;
+  }
+  resetAll(): BindingRegistry {
+    this.overrides.clear();
+    this.applyAll();
+    this.save();
+    this.notify(undefined);
+    return this;
+  }
+  /**Other actions already bound to input
+   * When except is a declared action, only actions read at the same time as it count,
+   * ex: a menu action and jump can share a button
+   */
+  getConflicts(input: BoundInput, except: string = undefined): Array<string> {
+    let result = new Array<string>();
+    let exceptAction = this.actions.get(except);
+    for (let [name, action] of this.actions) {
+      if (name === except) continue;
+      if (exceptAction && (action.category === MENU_CATEGORY) !== (exceptAction.category === MENU_CATEGORY)) continue;
+      if (bindingHasInput(this.getBinding(name), input)) result.push(name);
+    }
+    return result;
+  }
+  /**Whether any input of an action is shared with another action*/
+  hasConflicts(name: string): boolean {
+    let inputs = this.getInputs(name, "keyboard").concat(this.getInputs(name, "gamepad"));
+    return inputs.some((input) => this.getConflicts(input, name).length > 0);
+  }
+  private apply(name: string) {
+    if (!this.actions.has(name)) return;
+    this.input.setBinding(name, InputBinding.fromJson(this.getBinding(name)));
+  }
+  private applyAll() {
+    for (let name of this.actions.keys()) this.apply(name);
+  }
+  /**Switches where changed bindings are kept, ex: to another profile's*/
+  setStore(store: BindingsStore): BindingRegistry {
+    this.store = store;
+    this.load();
+    this.applyAll();
+    this.notify(undefined);
+    return this;
+  }
+  getStore(): BindingsStore {
+    return this.store;
+  }
+  private load() {
+    this.overrides.clear();
+    let saved: InputBindingsJson;
+    try {
+      saved = this.store.load();
+    } catch (ex) {
+      console.warn("Couldn't load saved bindings, using defaults", ex);
+    }
+    if (!saved) return;
+    for (let name of Object.keys(saved)) {
+      let json = saved[name];
+      if (!json) continue;
+      this.overrides.set(name, makeBindingJson({
+        keys: json.keys,
+        padButtons: json.gpBtns,
+        padAxes: json.gpAxes
+      }));
+    }
+  }
+  private save() {
+    let data: InputBindingsJson = {};
+    this.overrides.forEach((json, name) => {
+      data[name] = copyBindingJson(json);
+    });
+    try {
+      this.store.save(data);
+    } catch (ex) {
+      console.warn("Couldn't save bindings", ex);
+    }
+  }
+  /**Resolves the next key (or pad input, for the gamepad) pressed
+   * Escape cancels and resolves undefined, the game doesn't see captured keys
+   */
+  capture(device: InputDevice): Promise<BoundInput> {
+    this.stopCapture();
+    return new Promise((resolve) => {
+      let frame: number;
+      //Pads report held buttons and resting axes, only changes count
+      let baseline = this.readPad();
+
+      let finish = (result: BoundInput) => {
+        window.removeEventListener("keydown", onKeyDown, true);
+        cancelAnimationFrame(frame);
+        this.cancelCapture = undefined;
+        resolve(result);
+      };
+      let onKeyDown = (evt: KeyboardEvent) => {
+        evt.preventDefault();
+        evt.stopImmediatePropagation();
+        if (evt.repeat) return;
+        if (evt.key === "Escape") {
+          finish(undefined);
+        } else if (device === "keyboard") {
+          finish({ type: "key", key: evt.key });
+        }
+      };
+      let poll = () => {
+        let pad = this.readPad();
+        if (pad && baseline) {
+          let button = pad.buttons.findIndex((pressed, i) => pressed && !baseline.buttons[i]);
+          if (button > -1) return finish({ type: "pad-button", button });
+          for (let axisId = 0; axisId < pad.axes.length; axisId++) {
+            let value = pad.axes[axisId];
+            if (Math.abs(value - (baseline.axes[axisId] || 0)) < CAPTURE_AXIS_THRESHOLD) continue;
+            if (Math.abs(value) < CAPTURE_AXIS_THRESHOLD) continue;
+            return finish({
+              type: "pad-axis",
+              axis: value < 0 ?
+                { axisId, rule: AxisRule.LESS_THAN, compareValue: -CAPTURE_AXIS_THRESHOLD } :
+                { axisId, rule: AxisRule.GREATER_THAN, compareValue: CAPTURE_AXIS_THRESHOLD }
+            });
+          }
+        }
+        if (!baseline) baseline = pad;
+        frame = requestAnimationFrame(poll);
+      };
+
+      window.addEventListener("keydown", onKeyDown, true);
+      if (device === "gamepad") frame = requestAnimationFrame(poll);
+      this.cancelCapture = () => finish(undefined);
+    });
+  }
+  /**Cancels capture, which resolves undefined*/
+  stopCapture(): BindingRegistry {
+    if (this.cancelCapture) this.cancelCapture();
+    return this;
+  }
+  isCapturing(): boolean {
+    return this.cancelCapture !== undefined;
+  }
+  private readPad(): { buttons: Array<boolean>, axes: Array<number> } {
+    let manager = this.input.getGamePadManager();
+    if (!manager.ensure()) return undefined;
+    //Browsers hand out snapshots, the newest is from getGamepads
+    let pads = manager.nativeGetAllGamepads();
+    let pad = pads.find((p) => p && p.index === manager.getPrimary().index) || manager.getPrimary();
+    return {
+      buttons: pad.buttons.map((button) => button.pressed),
+      axes: Array.from(pad.axes)
+    };
+  }
+}
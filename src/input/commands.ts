@@ -0,0 +1,144 @@
+
+import { GameInput } from "@repcomm/gameinput-ts";
+import API from "../api";
+
+const api = API.get();
+
+/**What a player wants to do for one tick
+ * Plain data so it can be sent over the network or recorded
+ */
+export interface InputCommand {
+  /**-1 to 1, right is positive*/
+  moveX: number;
+  /**-1 to 1, forward is positive*/
+  moveY: number;
+  /**Radians around Y, 0 looks down -Z like a three.js camera*/
+  yaw: number;
+  /**Radians, positive looks up*/
+  pitch: number;
+  jump: boolean;
+  sprint: boolean;
+  crouch: boolean;
+}
+
+export function makeInputCommand(): InputCommand {
+  return {
+    moveX: 0,
+    moveY: 0,
+    yaw: 0,
+    pitch: 0,
+    jump: false,
+    sprint: false,
+    crouch: false
+  };
+}
+
+export function copyInputCommand(from: InputCommand, to: InputCommand = makeInputCommand()): InputCommand {
+  to.moveX = from.moveX;
+  to.moveY = from.moveY;
+  to.yaw = from.yaw;
+  to.pitch = from.pitch;
+  to.jump = from.jump;
+  to.sprint = from.sprint;
+  to.crouch = from.crouch;
+  return to;
+}
+
+/**Anything that produces commands: local input, the network, a replay*/
+export interface CommandSource {
+  /**Fill out with the command for the next tick of delta seconds*/
+  sample(out: InputCommand, delta: number): void;
+}
+
+/**GameInput binding names LocalInputSource reads*/
+export interface CommandBindings {
+  forward: string;
+  backward: string;
+  left: string;
+  right: string;
+  jump: string;
+  sprint: string;
+  crouch: string;
+  lookLeft: string;
+  lookRight: string;
+  lookUp: string;
+  lookDown: string;
+}
+
+export const DEFAULT_COMMAND_BINDINGS: CommandBindings = {
+  forward: "forward",
+  backward: "backward",
+  left: "left",
+  right: "right",
+  jump: "jump",
+  sprint: "sprint",
+  crouch: "crouch",
+  lookLeft: "steer-left",
+  lookRight: "steer-right",
+  lookUp: "steer-up",
+  lookDown: "steer-down"
+};
+
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+/**Samples commands from GameInput bindings
+ * Looks with the mouse while the pointer is locked, and with the steer bindings
+ * Nothing is pressed while a screen is open, menus have the input then
+ */
+export class LocalInputSource implements CommandSource {
+  input: GameInput;
+  bindings: CommandBindings;
+  yaw: number = 0;
+  pitch: number = 0;
+  /**Radians per pixel of mouse movement*/
+  mouseSensitivity: number = 0.0025;
+  /**Radians per second while a look binding is held*/
+  lookSpeed: number = 2.5;
+  constructor(input: GameInput = GameInput.get(), bindings: CommandBindings = DEFAULT_COMMAND_BINDINGS) {
+    this.input = input;
+    this.bindings = bindings;
+  }
+  setBindings(bindings: CommandBindings): LocalInputSource {
+    this.bindings = bindings;
+    return this;
+  }
+  /**Faces a direction, ex: after spawning*/
+  setLook(yaw: number, pitch: number = 0): LocalInputSource {
+    this.yaw = yaw;
+    this.pitch = pitch;
+    return this;
+  }
+  private button(name: string): boolean {
+    return this.input.hasBinding(name) && this.input.getButton(name);
+  }
+  private axis(negative: string, positive: string): number {
+    return (this.button(positive) ? 1 : 0) - (this.button(negative) ? 1 : 0);
+  }
+  sample(out: InputCommand, delta: number) {
+    let b = this.bindings;
+
+    let screens = api.getScreenManager();
+    if (screens && screens.isOpen()) {
+      copyInputCommand(makeInputCommand(), out);
+      out.yaw = this.yaw;
+      out.pitch = this.pitch;
+      return;
+    }
+
+    if (this.input.raw.pointer.locked) {
+      this.yaw -= this.input.raw.consumeMovementX() * this.mouseSensitivity;
+      this.pitch -= this.input.raw.consumeMovementY() * this.mouseSensitivity;
+    }
+    this.yaw -= this.axis(b.lookLeft, b.lookRight) * this.lookSpeed * delta;
+    this.pitch += this.axis(b.lookDown, b.lookUp) * this.lookSpeed * delta;
+    this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch));
+
+    out.moveX = this.axis(b.left, b.right);
+    out.moveY = this.axis(b.backward, b.forward);
+    out.yaw = this.yaw;
+    out.pitch = this.pitch;
+    out.jump = this.button(b.jump);
+    out.sprint = this.button(b.sprint);
+    out.crouch = this.button(b.crouch);
+  }
+}
@@ -0,0 +1,190 @@
+
+import { Object3D, Quaternion, Vector3 } from "three";
+import { CharacterController } from "../physics/character";
+import { EntityState, NetValue } from "./protocol";
+
+/**How a field is blended between snapshots on clients
+ * discrete: jumps to the newer value
+ * number, vector: linear
+ * quaternion: slerp, [x, y, z, w]
+ */
+export type NetFieldKind = "discrete" | "number" | "vector" | "quaternion";
+
+export interface NetField {
+  kind: NetFieldKind;
+  /**Owned by the local client's prediction, snapshots don't overwrite it there*/
+  predicted: boolean;
+  get(): NetValue;
+  set(value: NetValue): void;
+}
+
+/**Decimal places numbers are sent with, small changes don't count as changes*/
+const PRECISION = 10000;
+
+function roundValue(value: NetValue): NetValue {
+  if (typeof value === "number") return Math.round(value * PRECISION) / PRECISION;
+  if (Array.isArray(value)) return value.map((v) => Math.round(v * PRECISION) / PRECISION);
+  return value;
+}
+
+interface BufferedState {
+  tick: number;
+  state: EntityState;
+}
+
+/**Received states kept for interpolation, a bit over a second at default rates*/
+const MAX_BUFFERED_STATES = 40;
+
+const tempA = new Quaternion();
+const tempB = new Quaternion();
+
+function blendValue(kind: NetFieldKind, a: NetValue, b: NetValue, t: number): NetValue {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  switch (kind) {
+    case "number":
+      return (a as number) + ((b as number) - (a as number)) * t;
+    case "vector":
+      let va = a as Array<number>;
+      let vb = b as Array<number>;
+      return va.map((v, i) => v + (vb[i] - v) * t);
+    case "quaternion":
+      let qa = a as Array<number>;
+      let qb = b as Array<number>;
+      tempA.set(qa[0], qa[1], qa[2], qa[3]).slerp(tempB.set(qb[0], qb[1], qb[2], qb[3]), t);
+      return [tempA.x, tempA.y, tempA.z, tempA.w];
+    default:
+      return t < 1 ? a : b;
+  }
+}
+
+/**Something the server replicates to clients, see NetworkManager.spawn
+ * The entity type's create sets up the object and fields the same way on every side
+ */
+export class NetEntity {
+  id: number;
+  type: string;
+  /**Client id controlling this entity, SERVER_ID if none*/
+  owner: number;
+  /**Given to spawn, sent to clients once*/
+  props: any;
+  /**Set by NetworkManager, whether the local client owns this entity*/
+  local: boolean = false;
+  object: Object3D;
+  character: CharacterController;
+  private fields: Map<string, NetField>;
+  private buffer: Array<BufferedState>;
+
+  constructor(id: number, type: string, owner: number, props: any) {
+    this.id = id;
+    this.type = type;
+    this.owner = owner;
+    this.props = props || {};
+    this.fields = new Map();
+    this.buffer = new Array();
+  }
+  isLocal(): boolean {
+    return this.local;
+  }
+  /**Replicates a value, get is called on the server and set on clients
+   * @param predicted set if the owning client's prediction decides the value, see setCharacter
+   */
+  addField(name: string, get: () => NetValue, set: (value: NetValue) => void, kind: NetFieldKind = "discrete", predicted: boolean = false): NetEntity {
+    if (this.fields.has(name)) throw `Entity ${this.type} already has field ${name}`;
+    this.fields.set(name, { kind, predicted, get, set });
+    return this;
+  }
+  removeField(name: string): NetEntity {
+    this.fields.delete(name);
+    return this;
+  }
+  hasField(name: string): boolean {
+    return this.fields.has(name);
+  }
+  setObject3D(obj: Object3D): NetEntity {
+    this.object = obj;
+    return this;
+  }
+  getObject3D(): Object3D {
+    return this.object;
+  }
+  /**Replicates position and rotation of obj (defaults to the entity's object), interpolated on clients*/
+  replicateTransform(obj: Object3D = this.object): NetEntity {
+    if (!obj) throw `Entity ${this.type} has no object to replicate the transform of`;
+    let predicted = this.character !== undefined;
+    this.addField("position", () => obj.position.toArray(), (v: Array<number>) => {
+      obj.position.fromArray(v);
+    }, "vector", predicted);
+    this.addField("quaternion", () => obj.quaternion.toArray(), (v: Array<number>) => {
+      obj.quaternion.fromArray(v);
+    }, "quaternion", predicted);
+    return this;
+  }
+  /**Replicates a character's state, the owning client predicts it with its own commands
+   * Other clients only need the transform, so create the character where isLocal() or on the server
+   * Call before replicateTransform so the transform counts as predicted as well
+   */
+  setCharacter(character: CharacterController): NetEntity {
+    this.character = character;
+    let state = character.getState();
+    this.addField("feet", () => state.position.toArray(), (v: Array<number>) => {
+      character.teleport(new Vector3().fromArray(v));
+    }, "vector", true);
+    this.addField("velocity", () => state.velocity.toArray(), (v: Array<number>) => {
+      character.body.setLinearVelocity(v[0], v[1], v[2]);
+    }, "vector", true);
+    this.addField("yaw", () => state.yaw, () => {}, "number", true);
+    this.addField("crouching", () => state.crouching, () => {}, "discrete", true);
+    return this;
+  }
+  getCharacter(): CharacterController {
+    return this.character;
+  }
+  /**Current values of every field*/
+  read(): EntityState {
+    let result: EntityState = {};
+    this.fields.forEach((field, name) => {
+      result[name] = roundValue(field.get());
+    });
+    return result;
+  }
+  /**Sets fields from a state, skipping predicted fields if this entity is local*/
+  write(state: EntityState): NetEntity {
+    this.fields.forEach((field, name) => {
+      if (!(name in state)) return;
+      if (field.predicted && this.local) return;
+      field.set(state[name]);
+    });
+    return this;
+  }
+  /**Internal - keeps a received state for interpolate*/
+  _pushState(tick: number, state: EntityState) {
+    let last = this.buffer[this.buffer.length - 1];
+    if (last && last.tick >= tick) return;
+    this.buffer.push({ tick, state });
+    if (this.buffer.length > MAX_BUFFERED_STATES) this.buffer.shift();
+  }
+  /**Writes fields blended between the received states around tick
+   * Holds the newest state rather than extrapolating past it
+   */
+  interpolate(tick: number): NetEntity {
+    let buffer = this.buffer;
+    if (buffer.length < 1) return this;
+    let from = buffer[0];
+    let to = buffer[0];
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i].tick <= tick) from = buffer[i];
+      to = buffer[i];
+      if (buffer[i].tick >= tick) break;
+    }
+    let span = to.tick - from.tick;
+    let t = span > 0 ? Math.max(0, Math.min((tick - from.tick) / span, 1)) : 1;
+
+    let blended: EntityState = {};
+    this.fields.forEach((field, name) => {
+      let value = blendValue(field.kind, from.state[name], to.state[name], t);
+      if (value !== undefined) blended[name] = value;
+    });
+    return this.write(blended);
+  }
+}
@@ -0,0 +1,681 @@
+
+import { Vector3 } from "three";
+import API from "../api";
+import {
+  CommandSource,
+  InputCommand,
+  LocalInputSource,
+  copyInputCommand,
+  makeInputCommand
+} from "../input/commands";
+import { timestamp } from "../utils/time";
+import { NetEntity } from "./entity";
+import {
+  EntitySpawn,
+  EntityState,
+  NetMessage,
+  PROTOCOL_VERSION,
+  SERVER_ID,
+  SequencedCommand,
+  SnapshotMessage,
+  WorldState,
+  applySnapshot,
+  decodeMessage,
+  encodeMessage,
+  makeSnapshot,
+  readClientMessage
+} from "./protocol";
+
+const api = API.get();
+
+/**offline: singleplayer, entities are simulated here and not sent anywhere
+ * server: authoritative simulation, sends snapshots to clients
+ * client: sends commands, predicts its own character and interpolates everything else
+ */
+export type NetworkRole = "offline" | "server" | "client";
+
+/**Client id of the local player when offline (singleplayer)*/
+export const OFFLINE_CLIENT_ID = 1;
+
+/**Implemented by modules for each kind of replicated entity, see NetworkManager.registerEntityType*/
+export interface NetEntityType {
+  /**Sets up the entity's object and fields, called on the server and on every client
+   * Check entity.isLocal() and api.getHeadless() to decide what to make
+   */
+  create(entity: NetEntity): void;
+  /**Called before the entity's object is removed from its parent and its character destroyed*/
+  destroy?(entity: NetEntity): void;
+}
+
+export interface RPCCallback {
+  /**@param from client id that sent it, SERVER_ID from the server*/
+  (data: any, from: number): void;
+}
+
+export type PeerEvent = "join" | "leave";
+
+export interface PeerCallback {
+  (event: PeerEvent, clientId: number): void;
+}
+
+/**The parts of the browser WebSocket api used here, ws (node) sockets have them too*/
+export interface SocketLike {
+  readyState: number;
+  send(data: string): void;
+  close(): void;
+  onopen: (event: any) => void;
+  onmessage: (event: { data: any }) => void;
+  onclose: (event: any) => void;
+}
+
+/**Accepts sockets, ex: new (require("ws").Server)({ port })*/
+export interface SocketServerLike {
+  on(event: "connection", cb: (socket: SocketLike) => void): void;
+  close(): void;
+}
+
+const SOCKET_OPEN = 1;
+
+/**Predicted states kept until the server acknowledges their command*/
+const MAX_PREDICTIONS = 256;
+
+/**Commands a client sent, consumed one per tick by the character it owns*/
+class RemoteCommandSource implements CommandSource {
+  private queue: Array<SequencedCommand> = new Array();
+  private last: InputCommand = makeInputCommand();
+  /**seq of the newest command received*/
+  receivedSeq: number = 0;
+  /**seq of the newest command simulated*/
+  processedSeq: number = 0;
+  /**Commands past this are dropped oldest first, so a client can't build up delay*/
+  maxQueue: number = 10;
+  /**Repeats in a row that stand in for late commands, past this the client is stalled
+   * and repeats aren't acknowledged (it gets corrected once it sends again)
+   */
+  maxRepeats: number = 10;
+  private repeats: number = 0;
+
+  push(commands: Array<SequencedCommand>) {
+    for (let command of commands) {
+      //Already received, or a repeat stood in for it
+      if (command.seq <= this.receivedSeq || command.seq <= this.processedSeq) continue;
+      this.queue.push(command);
+      this.receivedSeq = command.seq;
+    }
+    while (this.queue.length > this.maxQueue) this.queue.shift();
+  }
+  /**Repeats the last command when none arrived in time
+   * The repeat is simulated as the next command, which is dropped when it arrives late,
+   * so the ack counts every tick simulated and the client replays the right commands on top
+   */
+  sample(out: InputCommand, delta: number) {
+    let next = this.queue.shift();
+    if (next) {
+      copyInputCommand(next.command, this.last);
+      this.processedSeq = next.seq;
+      this.repeats = 0;
+    } else if (this.processedSeq > 0 && this.repeats < this.maxRepeats) {
+      this.processedSeq++;
+      this.repeats++;
+    }
+    copyInputCommand(this.last, out);
+  }
+}
+
+/**Numbers the local player's commands and keeps them until they're sent*/
+class PredictedCommandSource implements CommandSource {
+  source: CommandSource;
+  seq: number = 0;
+  pending: Array<SequencedCommand> = new Array();
+
+  constructor(source: CommandSource) {
+    this.source = source;
+  }
+  sample(out: InputCommand, delta: number) {
+    this.source.sample(out, delta);
+    this.seq++;
+    this.pending.push({ seq: this.seq, command: copyInputCommand(out) });
+  }
+}
+
+interface Prediction {
+  seq: number;
+  position: Vector3;
+  velocity: Vector3;
+}
+
+class ServerClient {
+  id: number;
+  name: string;
+  socket: SocketLike;
+  commands: RemoteCommandSource;
+  /**Newest snapshot tick the client received, -1 before the first*/
+  ackTick: number = -1;
+  /**World states sent by tick, kept as baselines until acknowledged*/
+  sent: Map<number, WorldState>;
+
+  constructor(id: number, name: string, socket: SocketLike) {
+    this.id = id;
+    this.name = name;
+    this.socket = socket;
+    this.commands = new RemoteCommandSource();
+    this.sent = new Map();
+  }
+}
+
+/**Replicates entities from an authoritative server to clients over WebSockets
+ *
+ * Modules register entity types, and spawn entities where hasAuthority() is true
+ * (the server, or offline in singleplayer). Players are spawned for getClientIds()
+ * and on listenPeers join, with the player's client id as owner
+ *
+ * update must be called every tick after the PhysicsManager steps,
+ * and interpolate every frame before rendering
+ */
+export class NetworkManager {
+  static SINGLETON: NetworkManager = undefined;
+  static get(): NetworkManager {
+    if (!NetworkManager.SINGLETON) NetworkManager.SINGLETON = new NetworkManager();
+    return NetworkManager.SINGLETON;
+  }
+  private role: NetworkRole = "offline";
+  private entities: Map<number, NetEntity>;
+  private types: Map<string, NetEntityType>;
+  private rpcListeners: Map<string, Set<RPCCallback>>;
+  private peerListeners: Set<PeerCallback>;
+  private nextEntityId: number = 1;
+  /**Server ticks, clients follow them from snapshots*/
+  tick: number = 0;
+  /**Server ticks between snapshots*/
+  snapshotInterval: number = 2;
+  /**Seconds clients show other entities in the past, so there are snapshots to blend between*/
+  interpolationDelay: number = 0.1;
+  /**Prediction errors smaller than this (metres) aren't corrected*/
+  reconcileThreshold: number = 0.01;
+  /**Snapshots kept as delta baselines*/
+  maxSnapshotHistory: number = 64;
+
+  //Server
+  private server: SocketServerLike;
+  private clients: Map<number, ServerClient>;
+  private nextClientId: number = 1;
+
+  //Client
+  private socket: SocketLike;
+  private clientId: number = SERVER_ID;
+  private states: Map<number, WorldState>;
+  private latestTick: number = -1;
+  private latestTime: number = 0;
+  private sentAck: number = -1;
+  private localSource: CommandSource;
+  private predictedSource: PredictedCommandSource;
+  private predictedEntity: NetEntity;
+  private predictions: Array<Prediction>;
+
+  constructor() {
+    if (NetworkManager.SINGLETON) throw "Cannot instance NetworkManager twice";
+    NetworkManager.SINGLETON = this;
+    this.entities = new Map();
+    this.types = new Map();
+    this.rpcListeners = new Map();
+    this.peerListeners = new Set();
+    this.clients = new Map();
+    this.states = new Map();
+    this.predictions = new Array();
+  }
+  getRole(): NetworkRole {
+    return this.role;
+  }
+  /**Whether the simulation here is the real one (server or offline), only it spawns entities*/
+  hasAuthority(): boolean {
+    return this.role !== "client";
+  }
+  /**The local player's client id, SERVER_ID on a server or headless*/
+  getClientId(): number {
+    if (this.role === "client") return this.clientId;
+    if (this.role === "offline" && !api.getHeadless()) return OFFLINE_CLIENT_ID;
+    return SERVER_ID;
+  }
+  /**Players that need spawning, connected clients on a server or the local player offline*/
+  getClientIds(): Array<number> {
+    if (this.role === "server") return Array.from(this.clients.keys());
+    if (this.role === "offline" && !api.getHeadless()) return [OFFLINE_CLIENT_ID];
+    return [];
+  }
+  getClientName(clientId: number): string {
+    let client = this.clients.get(clientId);
+    return client ? client.name : undefined;
+  }
+  /**Where the local player's commands come from, defaults to a LocalInputSource*/
+  setLocalCommandSource(source: CommandSource): NetworkManager {
+    this.localSource = source;
+    if (this.predictedSource) this.predictedSource.source = source;
+    return this;
+  }
+  getLocalCommandSource(): CommandSource {
+    if (!this.localSource) this.localSource = new LocalInputSource(api.getInputManager());
+    return this.localSource;
+  }
+  registerEntityType(type: string, handler: NetEntityType): NetworkManager {
+    if (this.types.has(type)) throw `Net entity type ${type} already registered`;
+    this.types.set(type, handler);
+    return this;
+  }
+  unregisterEntityType(type: string): NetworkManager {
+    this.types.delete(type);
+    return this;
+  }
+  getEntityType(type: string): NetEntityType {
+    return this.types.get(type);
+  }
+  getEntity(id: number): NetEntity {
+    return this.entities.get(id);
+  }
+  getEntities(): Array<NetEntity> {
+    return Array.from(this.entities.values());
+  }
+  /**Creates a replicated entity, clients create their copy when it arrives in a snapshot
+   * @param props anything the type's create needs, sent to clients once
+   * @param owner client id that controls it, their commands drive its character
+   */
+  spawn(type: string, props: any = {}, owner: number = SERVER_ID): NetEntity {
+    if (!this.hasAuthority()) throw "Only the server spawns replicated entities";
+    let entity = new NetEntity(this.nextEntityId++, type, owner, props);
+    this.setupEntity(entity);
+    return entity;
+  }
+  /**Removes an entity, clients remove theirs with the next snapshot*/
+  despawn(entity: NetEntity | number): NetworkManager {
+    if (typeof entity === "number") entity = this.entities.get(entity);
+    if (!entity || !this.entities.has(entity.id)) return this;
+    this.entities.delete(entity.id);
+    if (this.predictedEntity === entity) this.predictedEntity = undefined;
+
+    let handler = this.types.get(entity.type);
+    if (handler && handler.destroy) {
+      try {
+        handler.destroy(entity);
+      } catch (ex) {
+        console.warn(`Destroying net entity ${entity.type} threw`, ex);
+      }
+    }
+    if (entity.object && entity.object.parent) entity.object.parent.remove(entity.object);
+    if (entity.character) {
+      let physics = api.getPhysicsManager();
+      if (physics.hasCharacter(entity.character)) physics.removeCharacter(entity.character);
+      entity.character.destroy();
+    }
+    return this;
+  }
+  private setupEntity(entity: NetEntity) {
+    let handler = this.types.get(entity.type);
+    if (!handler) throw `Unknown net entity type ${entity.type}`;
+    entity.local = entity.owner === this.getClientId();
+    handler.create(entity);
+    this.entities.set(entity.id, entity);
+    this.attachCommands(entity);
+  }
+  /**Drives an entity's character with its owner's commands*/
+  private attachCommands(entity: NetEntity) {
+    let character = entity.character;
+    if (!character) return;
+    if (this.role === "server") {
+      let client = this.clients.get(entity.owner);
+      if (client) character.setCommandSource(client.commands);
+    } else if (entity.local && this.role === "client") {
+      if (this.predictedEntity) {
+        console.warn(`Only one character is predicted, ${entity.type} ${entity.id} won't be`);
+        return;
+      }
+      this.predictedEntity = entity;
+      this.predictions.length = 0;
+      this.predictedSource = new PredictedCommandSource(this.getLocalCommandSource());
+      character.setCommandSource(this.predictedSource);
+    } else if (entity.local) {
+      character.setCommandSource(this.getLocalCommandSource());
+    }
+  }
+  /**Despawns every entity and numbers new ones from the start again, ex: restarting for a replay*/
+  despawnAll(): NetworkManager {
+    for (let entity of this.getEntities()) this.despawn(entity);
+    this.nextEntityId = 1;
+    return this;
+  }
+  /**Called when a reliable message arrives on channel
+   * Channels should be namespaced by module name to avoid collisions
+   */
+  listenRPC(channel: string, cb: RPCCallback): NetworkManager {
+    if (!this.rpcListeners.has(channel)) this.rpcListeners.set(channel, new Set());
+    this.rpcListeners.get(channel).add(cb);
+    return this;
+  }
+  deafenRPC(channel: string, cb: RPCCallback): NetworkManager {
+    let listeners = this.rpcListeners.get(channel);
+    if (listeners) listeners.delete(cb);
+    return this;
+  }
+  /**Sends a reliable message, in order with snapshots
+   * Clients send to the server, the server sends to one client or every client if to is undefined
+   * Offline the message is delivered to this side's own listeners
+   */
+  sendRPC(channel: string, data: any, to: number = undefined): NetworkManager {
+    switch (this.role) {
+      case "client":
+        this.send(this.socket, { type: "rpc", channel, data });
+        break;
+      case "server":
+        this.clients.forEach((client) => {
+          if (to === undefined || to === client.id) this.send(client.socket, { type: "rpc", channel, data });
+        });
+        break;
+      default:
+        this.notifyRPC(channel, data, this.getClientId());
+        break;
+    }
+    return this;
+  }
+  private notifyRPC(channel: string, data: any, from: number) {
+    let listeners = this.rpcListeners.get(channel);
+    if (!listeners) return;
+    for (let cb of listeners) {
+      try {
+        cb(data, from);
+      } catch (ex) {
+        console.warn(`RPC listener of ${channel} threw`, ex);
+      }
+    }
+  }
+  /**Server only - called when clients join and leave
+   * Entities a client owns are despawned after leave listeners run
+   */
+  listenPeers(cb: PeerCallback): NetworkManager {
+    this.peerListeners.add(cb);
+    return this;
+  }
+  deafenPeers(cb: PeerCallback): NetworkManager {
+    this.peerListeners.delete(cb);
+    return this;
+  }
+  private notifyPeers(event: PeerEvent, clientId: number) {
+    for (let cb of this.peerListeners) {
+      try {
+        cb(event, clientId);
+      } catch (ex) {
+        console.warn("Peer listener threw", ex);
+      }
+    }
+  }
+  private send(socket: SocketLike, msg: NetMessage) {
+    if (socket && socket.readyState === SOCKET_OPEN) socket.send(encodeMessage(msg));
+  }
+  /**Becomes the server, accepting clients from server
+   * Entities spawned so far stay and are sent to clients
+   */
+  host(server: SocketServerLike): NetworkManager {
+    if (this.role !== "offline") throw `Cannot host while ${this.role}`;
+    this.role = "server";
+    this.server = server;
+    server.on("connection", (socket) => this.accept(socket));
+    return this;
+  }
+  private accept(socket: SocketLike) {
+    let client: ServerClient = undefined;
+    socket.onmessage = (event) => {
+      let msg: NetMessage;
+      try {
+        msg = readClientMessage(decodeMessage(event.data.toString()));
+      } catch (ex) {
+        console.warn("Bad message from client, disconnecting", ex);
+        socket.close();
+        return;
+      }
+      if (client) {
+        try {
+          this.onServerMessage(client, msg);
+        } catch (ex) {
+          console.warn(`Handling a message from client ${client.id} threw, disconnecting`, ex);
+          socket.close();
+        }
+        return;
+      }
+      if (msg.type !== "hello" || msg.protocol !== PROTOCOL_VERSION) {
+        console.warn("Client didn't say hello with our protocol version, disconnecting");
+        socket.close();
+        return;
+      }
+      client = new ServerClient(this.nextClientId++, msg.name, socket);
+      this.clients.set(client.id, client);
+      this.send(socket, {
+        type: "welcome",
+        clientId: client.id,
+        tickRate: api.getTimeManager().tickRate,
+        tick: this.tick
+      });
+      this.notifyPeers("join", client.id);
+    };
+    socket.onclose = () => {
+      if (!client || !this.clients.has(client.id)) return;
+      this.notifyPeers("leave", client.id);
+      this.clients.delete(client.id);
+      for (let entity of this.getEntities()) {
+        if (entity.owner === client.id) this.despawn(entity);
+      }
+    };
+  }
+  private onServerMessage(client: ServerClient, msg: NetMessage) {
+    switch (msg.type) {
+      case "input":
+        client.commands.push(msg.commands);
+        if (msg.ack > client.ackTick && client.sent.has(msg.ack)) client.ackTick = msg.ack;
+        break;
+      case "rpc":
+        this.notifyRPC(msg.channel, msg.data, client.id);
+        break;
+    }
+  }
+  private spawnInfo(id: number): EntitySpawn {
+    let entity = this.entities.get(id);
+    return { id, type: entity.type, owner: entity.owner, props: entity.props };
+  }
+  private sendSnapshots() {
+    let current: WorldState = new Map();
+    this.entities.forEach((entity, id) => current.set(id, entity.read()));
+
+    let oldest = this.tick - this.maxSnapshotHistory * this.snapshotInterval;
+    this.clients.forEach((client) => {
+      let baseline = client.sent.get(client.ackTick);
+      let msg = makeSnapshot(this.tick, client.ackTick, baseline, current, (id) => this.spawnInfo(id));
+      msg.ack = client.commands.processedSeq;
+      this.send(client.socket, msg);
+
+      client.sent.set(this.tick, current);
+      //Older than the acknowledged one won't be a baseline again
+      client.sent.forEach((state, tick) => {
+        if (tick < client.ackTick || tick < oldest) client.sent.delete(tick);
+      });
+    });
+  }
+  /**Joins a server, resolves once it accepts
+   * Entities spawned while offline are despawned, the server's arrive with snapshots
+   * @param url ex: ws://localhost:8081
+   */
+  connect(url: string, name: string = "player"): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (this.role !== "offline") {
+        reject(`Cannot connect while ${this.role}`);
+        return;
+      }
+      let socket: SocketLike;
+      try {
+        socket = new WebSocket(url) as any;
+      } catch (ex) {
+        reject(ex);
+        return;
+      }
+      let welcomed = false;
+      socket.onopen = () => {
+        this.send(socket, { type: "hello", protocol: PROTOCOL_VERSION, name });
+      };
+      socket.onmessage = (event) => {
+        let msg: NetMessage;
+        try {
+          msg = decodeMessage(event.data.toString());
+        } catch (ex) {
+          console.warn("Bad message from server", ex);
+          return;
+        }
+        if (welcomed) {
+          this.onClientMessage(msg);
+        } else if (msg.type === "welcome") {
+          welcomed = true;
+          this.despawnAll();
+          this.role = "client";
+          this.socket = socket;
+          this.clientId = msg.clientId;
+          this.tick = msg.tick;
+          //Prediction only matches the server at the same tick rate
+          api.getTimeManager().setTickRate(msg.tickRate);
+          resolve();
+        }
+      };
+      socket.onclose = () => {
+        if (!welcomed) {
+          reject(`Couldn't join ${url}`);
+          return;
+        }
+        if (this.socket === socket) this.onDisconnected();
+      };
+    });
+  }
+  /**Leaves the server, or stops hosting, and goes back to offline*/
+  disconnect(): NetworkManager {
+    if (this.role === "client") {
+      let socket = this.socket;
+      this.onDisconnected();
+      socket.close();
+    } else if (this.role === "server") {
+      this.clients.forEach((client) => client.socket.close());
+      this.clients.clear();
+      this.server.close();
+      this.server = undefined;
+      this.role = "offline";
+    }
+    return this;
+  }
+  private onDisconnected() {
+    this.despawnAll();
+    this.role = "offline";
+    this.socket = undefined;
+    this.clientId = SERVER_ID;
+    this.states.clear();
+    this.latestTick = -1;
+    this.sentAck = -1;
+    this.predictedSource = undefined;
+    this.predictions.length = 0;
+  }
+  private onClientMessage(msg: NetMessage) {
+    switch (msg.type) {
+      case "snapshot":
+        this.onSnapshot(msg);
+        break;
+      case "rpc":
+        this.notifyRPC(msg.channel, msg.data, SERVER_ID);
+        break;
+    }
+  }
+  private onSnapshot(msg: SnapshotMessage) {
+    let baseline: WorldState = undefined;
+    if (msg.baseline > -1) {
+      baseline = this.states.get(msg.baseline);
+      if (!baseline) {
+        console.warn(`Snapshot ${msg.tick} is a delta against unknown snapshot ${msg.baseline}`);
+        return;
+      }
+    }
+    for (let id of msg.removed) this.despawn(id);
+    for (let spawn of msg.spawns) {
+      if (this.entities.has(spawn.id)) continue;
+      try {
+        this.setupEntity(new NetEntity(spawn.id, spawn.type, spawn.owner, spawn.props));
+      } catch (ex) {
+        console.warn(`Couldn't create net entity ${spawn.type} ${spawn.id}`, ex);
+      }
+    }
+
+    let state = applySnapshot(baseline, msg);
+    this.states.set(msg.tick, state);
+    //Maps keep insertion order, oldest first
+    for (let tick of Array.from(this.states.keys())) {
+      if (this.states.size <= this.maxSnapshotHistory) break;
+      this.states.delete(tick);
+    }
+    if (msg.tick > this.latestTick) {
+      this.latestTick = msg.tick;
+      this.latestTime = timestamp();
+    }
+
+    state.forEach((entityState, id) => {
+      let entity = this.entities.get(id);
+      if (!entity) return;
+      if (entity === this.predictedEntity) this.reconcile(entity, msg.ack, entityState);
+      entity._pushState(msg.tick, entityState);
+    });
+  }
+  /**Compares the server's state after command ack with what was predicted for it,
+   * and shifts the character (and later predictions) by the difference
+   */
+  private reconcile(entity: NetEntity, ack: number, state: EntityState) {
+    let predictions = this.predictions;
+    while (predictions.length > 0 && predictions[0].seq < ack) predictions.shift();
+    let predicted = predictions[0];
+    if (!predicted || predicted.seq !== ack || !state.feet) return;
+    predictions.shift();
+
+    let error = new Vector3().fromArray(state.feet as Array<number>).sub(predicted.position);
+    if (error.length() < this.reconcileThreshold) return;
+    let velocityError = new Vector3();
+    if (state.velocity) velocityError.fromArray(state.velocity as Array<number>).sub(predicted.velocity);
+    for (let later of predictions) {
+      later.position.add(error);
+      later.velocity.add(velocityError);
+    }
+    let character = entity.character;
+    character.correct(error, character.getState().velocity.clone().add(velocityError));
+  }
+  /**Call every tick after the PhysicsManager steps*/
+  update(delta: number) {
+    if (this.role === "server") {
+      this.tick++;
+      if (this.tick % this.snapshotInterval === 0) this.sendSnapshots();
+    } else if (this.role === "client") {
+      this.tick++;
+      let entity = this.predictedEntity;
+      let source = this.predictedSource;
+      if (entity && source) {
+        let last = this.predictions[this.predictions.length - 1];
+        if (!last || last.seq < source.seq) {
+          let state = entity.character.getState();
+          this.predictions.push({
+            seq: source.seq,
+            position: state.position.clone(),
+            velocity: state.velocity.clone()
+          });
+          if (this.predictions.length > MAX_PREDICTIONS) this.predictions.shift();
+        }
+      }
+      let pending = source ? source.pending : [];
+      if (pending.length > 0 || this.sentAck !== this.latestTick) {
+        this.send(this.socket, { type: "input", commands: pending.splice(0), ack: this.latestTick });
+        this.sentAck = this.latestTick;
+      }
+    }
+  }
+  /**Call every frame before rendering, blends entities the client doesn't predict*/
+  interpolate() {
+    if (this.role !== "client" || this.latestTick < 0) return;
+    let tickRate = api.getTimeManager().tickRate;
+    let elapsed = (timestamp() - this.latestTime) / 1000;
+    let tick = this.latestTick + (elapsed - this.interpolationDelay) * tickRate;
+    this.entities.forEach((entity) => entity.interpolate(tick));
+  }
+}
@@ -0,0 +1,220 @@
+
+import { InputCommand } from "../input/commands";
+
+/**Bumped whenever messages change, clients of another version are turned away*/
+export const PROTOCOL_VERSION = 1;
+
+/**Client id of the server, ex: the owner of entities no client controls*/
+export const SERVER_ID = 0;
+
+/**What a replicated field can hold, has to survive JSON*/
+export type NetValue = number | string | boolean | Array<number> | null;
+
+/**Replicated field values of one entity, by field name*/
+export interface EntityState {
+  [field: string]: NetValue;
+}
+
+/**Entity states by entity id, what a snapshot describes*/
+export type WorldState = Map<number, EntityState>;
+
+export interface SequencedCommand {
+  /**Increases by one every tick the client sampled a command*/
+  seq: number;
+  command: InputCommand;
+}
+
+export interface EntitySpawn {
+  id: number;
+  type: string;
+  owner: number;
+  props: any;
+}
+
+export interface HelloMessage {
+  type: "hello";
+  protocol: number;
+  name: string;
+}
+
+export interface WelcomeMessage {
+  type: "welcome";
+  clientId: number;
+  tickRate: number;
+  tick: number;
+}
+
+export interface InputMessage {
+  type: "input";
+  commands: Array<SequencedCommand>;
+  /**Newest snapshot tick received, the server sends deltas against it*/
+  ack: number;
+}
+
+/**Sent every few server ticks, see NetworkManager.snapshotInterval*/
+export interface SnapshotMessage {
+  type: "snapshot";
+  tick: number;
+  /**Tick of the snapshot this is a delta against, -1 for a full snapshot*/
+  baseline: number;
+  /**seq of the last command of this client the server simulated*/
+  ack: number;
+  /**Entities the baseline doesn't have*/
+  spawns: Array<EntitySpawn>;
+  /**Fields that changed since the baseline, by entity id*/
+  entities: { [id: number]: EntityState };
+  /**Entities in the baseline that are gone*/
+  removed: Array<number>;
+}
+
+export interface RPCMessage {
+  type: "rpc";
+  channel: string;
+  data: any;
+}
+
+export type NetMessage = HelloMessage | WelcomeMessage | InputMessage | SnapshotMessage | RPCMessage;
+
+export function encodeMessage(msg: NetMessage): string {
+  return JSON.stringify(msg);
+}
+
+export function decodeMessage(data: string): NetMessage {
+  let msg = JSON.parse(data);
+  if (!msg || typeof msg.type !== "string") throw "Message has no type";
+  return msg;
+}
+
+/**Commands one input message may carry, clients send one per tick*/
+const MAX_INPUT_COMMANDS = 64;
+
+function isNumber(value: any): boolean {
+  return typeof value === "number" && isFinite(value);
+}
+
+function isSeq(value: any): boolean {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**An InputCommand from what a client sent, throws if a field is missing or of the wrong type
+ * Move axes are clamped to -1..1 and pitch to straight up or down
+ */
+export function readInputCommand(json: any): InputCommand {
+  if (typeof json !== "object" || json === null) throw "command isn't an object";
+  for (let field of ["moveX", "moveY", "yaw", "pitch"]) {
+    if (!isNumber(json[field])) throw `command ${field} isn't a number`;
+  }
+  for (let field of ["jump", "sprint", "crouch"]) {
+    if (typeof json[field] !== "boolean") throw `command ${field} isn't a boolean`;
+  }
+  return {
+    moveX: clamp(json.moveX, -1, 1),
+    moveY: clamp(json.moveY, -1, 1),
+    yaw: json.yaw,
+    pitch: clamp(json.pitch, -Math.PI / 2, Math.PI / 2),
+    jump: json.jump,
+    sprint: json.sprint,
+    crouch: json.crouch
+  };
+}
+
+/**Checks a decoded message from a client, throws what is wrong with it
+ * Clients can send anything, so the server only reads what this returns
+ */
+export function readClientMessage(msg: NetMessage): NetMessage {
+  let json = msg as any;
+  switch (msg.type) {
+    case "hello":
+      if (!isNumber(json.protocol)) throw "hello protocol isn't a number";
+      if (typeof json.name !== "string") throw "hello name isn't a string";
+      return { type: "hello", protocol: json.protocol, name: json.name };
+    case "input":
+      if (!Array.isArray(json.commands)) throw "input commands isn't an array";
+      if (json.commands.length > MAX_INPUT_COMMANDS) throw `input has more than ${MAX_INPUT_COMMANDS} commands`;
+      if (!Number.isSafeInteger(json.ack)) throw "input ack isn't a whole number";
+      let commands = json.commands.map((command: any): SequencedCommand => {
+        if (typeof command !== "object" || command === null) throw "input command isn't an object";
+        if (!isSeq(command.seq)) throw "input command seq isn't a whole number";
+        return { seq: command.seq, command: readInputCommand(command.command) };
+      });
+      return { type: "input", commands, ack: json.ack };
+    case "rpc":
+      if (typeof json.channel !== "string") throw "rpc channel isn't a string";
+      return { type: "rpc", channel: json.channel, data: json.data };
+    default:
+      throw `Clients don't send ${msg.type} messages`;
+  }
+}
+
+export function valuesEqual(a: NetValue, b: NetValue): boolean {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+  return a === b;
+}
+
+/**Fields of current that differ from baseline, undefined if none do*/
+export function diffEntityState(baseline: EntityState, current: EntityState): EntityState {
+  let result: EntityState = undefined;
+  for (let field of Object.keys(current)) {
+    if (baseline && field in baseline && valuesEqual(baseline[field], current[field])) continue;
+    if (!result) result = {};
+    result[field] = current[field];
+  }
+  return result;
+}
+
+/**Builds the snapshot that takes a client from baseline to current
+ * @param baseline what the client acknowledged, undefined to send everything
+ */
+export function makeSnapshot(
+  tick: number,
+  baselineTick: number,
+  baseline: WorldState,
+  current: WorldState,
+  spawnInfo: (id: number) => EntitySpawn
+): SnapshotMessage {
+  let msg: SnapshotMessage = {
+    type: "snapshot",
+    tick,
+    baseline: baseline ? baselineTick : -1,
+    ack: 0,
+    spawns: [],
+    entities: {},
+    removed: []
+  };
+  current.forEach((state, id) => {
+    let old = baseline ? baseline.get(id) : undefined;
+    if (!old) msg.spawns.push(spawnInfo(id));
+    let changed = diffEntityState(old, state);
+    if (changed) msg.entities[id] = changed;
+  });
+  if (baseline) {
+    baseline.forEach((state, id) => {
+      if (!current.has(id)) msg.removed.push(id);
+    });
+  }
+  return msg;
+}
+
+/**Rebuilds the full world state a snapshot describes from its baseline*/
+export function applySnapshot(baseline: WorldState, msg: SnapshotMessage): WorldState {
+  let result: WorldState = new Map(baseline || []);
+  for (let id of msg.removed) result.delete(id);
+  for (let spawn of msg.spawns) {
+    if (!result.has(spawn.id)) result.set(spawn.id, {});
+  }
+  for (let key of Object.keys(msg.entities)) {
+    let id = parseInt(key);
+    result.set(id, { ...(result.get(id) || {}), ...msg.entities[key] });
+  }
+  return result;
+}
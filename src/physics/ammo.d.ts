@@ -4,8 +4,18 @@
  * as reference
  */
 declare namespace Ammo {
+  /**Frees an object allocated on the emscripten heap*/
+  function destroy(obj: any): void;
+  /**Wraps a raw heap pointer (ex: callback arguments) as a class*/
+  function wrapPointer<T>(ptr: number, type: new (...args: any[]) => T): T;
+  function getPointer(obj: any): number;
+  function castObject<T>(obj: any, type: new (...args: any[]) => T): T;
   class btCollisionShape {
     calculateLocalInertia(mass: number, inertia: btVector3);
+    setLocalScaling(scaling: btVector3);
+    getLocalScaling(): btVector3;
+    setMargin(margin: number);
+    getMargin(): number;
   }
   class btConvexShape extends btCollisionShape {
   }
@@ -16,19 +26,210 @@ declare namespace Ammo {
   class btBoxShape extends btPolyhedralConvexShape {
     constructor(halfExtents: btVector3);
   }
+  class btSphereShape extends btConvexInternalShape {
+    constructor(radius: number);
+  }
+  /**height is the distance between the hemisphere centers, total height is height + 2 * radius*/
+  class btCapsuleShape extends btConvexInternalShape {
+    constructor(radius: number, height: number);
+  }
+  class btCylinderShape extends btConvexInternalShape {
+    constructor(halfExtents: btVector3);
+  }
+  class btConeShape extends btConvexInternalShape {
+    constructor(radius: number, height: number);
+  }
+  class btConvexHullShape extends btPolyhedralConvexShape {
+    constructor();
+    addPoint(point: btVector3, recalculateLocalAABB?: boolean);
+    getNumVertices(): number;
+    recalcLocalAabb();
+  }
+  class btCompoundShape extends btCollisionShape {
+    constructor(enableDynamicAabbTree?: boolean);
+    addChildShape(localTransform: btTransform, shape: btCollisionShape);
+    removeChildShapeByIndex(childShapeIndex: number);
+    getNumChildShapes(): number;
+    getChildShape(index: number): btCollisionShape;
+  }
+  class btStridingMeshInterface {
+  }
+  class btTriangleMesh extends btStridingMeshInterface {
+    constructor(use32bitIndices?: boolean, use4componentVertices?: boolean);
+    addTriangle(vertex0: btVector3, vertex1: btVector3, vertex2: btVector3, removeDuplicateVertices?: boolean);
+  }
+  class btConcaveShape extends btCollisionShape {
+  }
+  /**Static (mass 0) bodies only*/
+  class btBvhTriangleMeshShape extends btConcaveShape {
+    constructor(meshInterface: btStridingMeshInterface, useQuantizedAabbCompression: boolean, buildBvh?: boolean);
+  }
+  class btStaticPlaneShape extends btConcaveShape {
+    constructor(planeNormal: btVector3, planeConstant: number);
+  }
   class btDefaultMotionState extends btMotionState {
     constructor(startTrans?: btTransform, centerOfMassOffset?: btTransform);
   }
   class btMotionState {
     getWorldTransform (out: btTransform);
+    setWorldTransform (transform: btTransform);
   }
   class btRigidBodyConstructionInfo {
     constructor(mass: number, motionState: btMotionState, collisionShape: btCollisionShape, localInertia?: btVector3);
   }
-  class btRigidBody {
+  class btCollisionObject {
+    getCollisionShape(): btCollisionShape;
+    setCollisionShape(shape: btCollisionShape);
+    getCollisionFlags(): number;
+    setCollisionFlags(flags: number);
+    setActivationState(state: number);
+    forceActivationState(state: number);
+    activate(forceActivation?: boolean);
+    isActive(): boolean;
+    isKinematicObject(): boolean;
+    isStaticObject(): boolean;
+    isStaticOrKinematicObject(): boolean;
+    getFriction(): number;
+    setFriction(friction: number);
+    getRestitution(): number;
+    setRestitution(restitution: number);
+    getRollingFriction(): number;
+    setRollingFriction(friction: number);
+    getWorldTransform(): btTransform;
+    setWorldTransform(transform: btTransform);
+    setCcdMotionThreshold(threshold: number);
+    setCcdSweptSphereRadius(radius: number);
+    getUserIndex(): number;
+    setUserIndex(index: number);
+    getBroadphaseHandle(): btBroadphaseProxy;
+  }
+  class btCollisionObjectWrapper {
+    getCollisionObject(): btCollisionObject;
+    getWorldTransform(): btTransform;
+  }
+  class btGhostObject extends btCollisionObject {
+    constructor();
+    getNumOverlappingObjects(): number;
+    getOverlappingObject(index: number): btCollisionObject;
+  }
+  class btPairCachingGhostObject extends btGhostObject {
+    constructor();
+  }
+  class btGhostPairCallback {
+    constructor();
+  }
+  class btBroadphaseProxy {
+    get_m_collisionFilterGroup(): number;
+    set_m_collisionFilterGroup(group: number);
+    get_m_collisionFilterMask(): number;
+    set_m_collisionFilterMask(mask: number);
+  }
+  class btConstCollisionObjectArray {
+    size(): number;
+    at(index: number): btCollisionObject;
+  }
+  class btVector3Array {
+    size(): number;
+    at(index: number): btVector3;
+  }
+  class btScalarArray {
+    size(): number;
+    at(index: number): number;
+  }
+  class RayResultCallback {
+    hasHit(): boolean;
+    get_m_collisionFilterGroup(): number;
+    set_m_collisionFilterGroup(group: number);
+    get_m_collisionFilterMask(): number;
+    set_m_collisionFilterMask(mask: number);
+    get_m_closestHitFraction(): number;
+    get_m_collisionObject(): btCollisionObject;
+  }
+  class ClosestRayResultCallback extends RayResultCallback {
+    constructor(from: btVector3, to: btVector3);
+    get_m_hitPointWorld(): btVector3;
+    get_m_hitNormalWorld(): btVector3;
+  }
+  class AllHitsRayResultCallback extends RayResultCallback {
+    constructor(from: btVector3, to: btVector3);
+    get_m_collisionObjects(): btConstCollisionObjectArray;
+    get_m_hitPointWorld(): btVector3Array;
+    get_m_hitNormalWorld(): btVector3Array;
+    get_m_hitFractions(): btScalarArray;
+  }
+  class ConvexResultCallback {
+    hasHit(): boolean;
+    get_m_collisionFilterGroup(): number;
+    set_m_collisionFilterGroup(group: number);
+    get_m_collisionFilterMask(): number;
+    set_m_collisionFilterMask(mask: number);
+    get_m_closestHitFraction(): number;
+  }
+  /**Doesn't expose the hit object in this build*/
+  class ClosestConvexResultCallback extends ConvexResultCallback {
+    constructor(from: btVector3, to: btVector3);
+    get_m_hitPointWorld(): btVector3;
+    get_m_hitNormalWorld(): btVector3;
+  }
+  class ContactResultCallback {
+  }
+  /**Implement addSingleResult, arguments are raw pointers, see wrapPointer*/
+  class ConcreteContactResultCallback extends ContactResultCallback {
+    constructor();
+    addSingleResult: (
+      manifoldPoint: number,
+      colObj0Wrap: number,
+      partId0: number,
+      index0: number,
+      colObj1Wrap: number,
+      partId1: number,
+      index1: number
+    ) => number;
+  }
+  class btManifoldPoint {
+    getDistance(): number;
+    getAppliedImpulse(): number;
+    getPositionWorldOnA(): btVector3;
+    getPositionWorldOnB(): btVector3;
+    /**Points from B to A*/
+    get_m_normalWorldOnB(): btVector3;
+  }
+  class btPersistentManifold {
+    getBody0(): btCollisionObject;
+    getBody1(): btCollisionObject;
+    getNumContacts(): number;
+    getContactPoint(index: number): btManifoldPoint;
+  }
+  class btRigidBody extends btCollisionObject {
     constructor(constructionInfo: btRigidBodyConstructionInfo);
     constructor(mass: number, motionState: btMotionState, collisionShape: btCollisionShape, localInertia?: btVector3);
     getMotionState (): btMotionState;
+    setMotionState (motionState: btMotionState);
+    getCenterOfMassTransform(): btTransform;
+    setCenterOfMassTransform(transform: btTransform);
+    getLinearVelocity(): btVector3;
+    setLinearVelocity(velocity: btVector3);
+    getAngularVelocity(): btVector3;
+    setAngularVelocity(velocity: btVector3);
+    applyForce(force: btVector3, relativePosition: btVector3);
+    applyCentralForce(force: btVector3);
+    applyImpulse(impulse: btVector3, relativePosition: btVector3);
+    applyCentralImpulse(impulse: btVector3);
+    applyTorque(torque: btVector3);
+    applyTorqueImpulse(torque: btVector3);
+    clearForces();
+    setDamping(linear: number, angular: number);
+    getLinearDamping(): number;
+    getAngularDamping(): number;
+    getLinearFactor(): btVector3;
+    setLinearFactor(factor: btVector3);
+    getAngularFactor(): btVector3;
+    setAngularFactor(factor: btVector3);
+    setMassProps(mass: number, inertia: btVector3);
+    updateInertiaTensor();
+    setSleepingThresholds(linear: number, angular: number);
+    getGravity(): btVector3;
+    setGravity(gravity: btVector3);
   }
   class btVector3 {
     constructor();
@@ -54,6 +255,11 @@ declare namespace Ammo {
     setRotation(axis: btVector3, angle: number);
     setEuler(yaw: number, pitch: number, roll: number);
     setEulerZYX(yawZ: number, pitchY: number, rollX: number);
+    setValue(x: number, y: number, z: number, w: number);
+    x(): number;
+    y(): number;
+    z(): number;
+    w(): number;
     //getEulerZYX (btScalar &yawZ, btScalar &pitchY, btScalar &rollX)
   }
   class btTransform {
@@ -75,6 +281,8 @@ declare namespace Ammo {
     constructor();
   }
   class btDispatcher {
+    getNumManifolds(): number;
+    getManifoldByIndexInternal(index: number): btPersistentManifold;
   }
   class btCollisionDispatcher extends btDispatcher {
     constructor(collisionConfiguration: btCollisionConfiguration);
@@ -82,6 +290,7 @@ declare namespace Ammo {
   interface btBroadphaseInterface {
   }
   class btOverlappingPairCache {
+    setInternalGhostPairCallback(callback: btGhostPairCallback);
   }
   class btDbvtBroadphase implements btBroadphaseInterface {
     constructor();
@@ -92,7 +301,28 @@ declare namespace Ammo {
   class btSequentialImpulseConstraintSolver extends btConstraintSolver {
     constructor();
   }
+  /**Implement the draw functions, arguments are raw pointers, see wrapPointer*/
+  class DebugDrawer {
+    constructor();
+    drawLine: (from: number, to: number, color: number) => void;
+    drawContactPoint: (pointOnB: number, normalOnB: number, distance: number, lifeTime: number, color: number) => void;
+    reportErrorWarning: (warningString: number) => void;
+    draw3dText: (location: number, textString: number) => void;
+    setDebugMode: (debugMode: number) => void;
+    getDebugMode: () => number;
+  }
   class btCollisionWorld {
+    getDispatcher(): btDispatcher;
+    getPairCache(): btOverlappingPairCache;
+    addCollisionObject(obj: btCollisionObject, group?: number, mask?: number);
+    removeCollisionObject(obj: btCollisionObject);
+    rayTest(from: btVector3, to: btVector3, callback: RayResultCallback);
+    convexSweepTest(shape: btConvexShape, from: btTransform, to: btTransform, callback: ConvexResultCallback, allowedCcdPenetration: number);
+    contactTest(obj: btCollisionObject, callback: ContactResultCallback);
+    contactPairTest(objA: btCollisionObject, objB: btCollisionObject, callback: ContactResultCallback);
+    setDebugDrawer(drawer: DebugDrawer);
+    getDebugDrawer(): DebugDrawer;
+    debugDrawWorld();
   }
   class btDynamicsWorld extends btCollisionWorld {
   }
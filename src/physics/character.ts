@@ -0,0 +1,356 @@
+
+import { Object3D, Vector3 } from "three";
+import { CommandSource, InputCommand, makeInputCommand, copyInputCommand } from "../input/commands";
+import { Body, CollisionGroup, PhysicsManager, QueryFilter, destroyShape } from "./physics";
+
+export interface CharacterOptions {
+  /**Feet position*/
+  x?: number;
+  y?: number;
+  z?: number;
+  mass?: number;
+  radius?: number;
+  /**Total standing height, feet to head*/
+  height?: number;
+  crouchHeight?: number;
+  /**Tallest ledge walked up without jumping*/
+  stepHeight?: number;
+  /**Steepest walkable ground, radians from flat*/
+  maxSlope?: number;
+  /**Meters per second*/
+  walkSpeed?: number;
+  sprintSpeed?: number;
+  crouchSpeed?: number;
+  /**Upward velocity of a jump*/
+  jumpSpeed?: number;
+  /**Applied by the controller, not the physics world*/
+  gravity?: number;
+  /**0 to 1, how much the player can steer in the air*/
+  airControl?: number;
+}
+
+const DEFAULT_OPTIONS: CharacterOptions = {
+  x: 0,
+  y: 0,
+  z: 0,
+  mass: 80,
+  radius: 0.35,
+  height: 1.8,
+  crouchHeight: 1.1,
+  stepHeight: 0.35,
+  maxSlope: Math.PI / 4,
+  walkSpeed: 4,
+  sprintSpeed: 7,
+  crouchSpeed: 2,
+  jumpSpeed: 6,
+  gravity: 20,
+  airControl: 0.3
+};
+
+//How close the feet need to be to count as standing
+const GROUND_TOLERANCE = 0.05;
+//Horizontal sweeps start this far up so touching the floor doesn't count as a wall
+const SWEEP_LIFT = 0.05;
+
+/**Everything about a character other systems read, ex: animation and networking
+ * Updated after each physics step
+ */
+export interface CharacterState {
+  /**Feet, world space*/
+  position: Vector3;
+  velocity: Vector3;
+  yaw: number;
+  pitch: number;
+  onGround: boolean;
+  /**Body stood on, undefined in the air*/
+  ground: Body;
+  /**Up when in the air*/
+  groundNormal: Vector3;
+  /**Moving up from a jump*/
+  jumping: boolean;
+  crouching: boolean;
+  sprinting: boolean;
+  /**Trying to move, even if blocked*/
+  moving: boolean;
+}
+
+/**A capsule Body that walks, sprints, jumps and crouches from InputCommands
+ * Driven by a CommandSource, ex: LocalInputSource for the local player
+ *
+ * Add it with PhysicsManager.addCharacter, which steps it
+ */
+export class CharacterController {
+  options: CharacterOptions;
+  body: Body;
+  state: CharacterState;
+  /**Command being applied, from the source or setCommand*/
+  command: InputCommand;
+  private source: CommandSource;
+  private nativeObject3D: Object3D;
+  private standShape: Ammo.btCapsuleShape;
+  private crouchShape: Ammo.btCapsuleShape;
+  /**Jump has to be released before jumping again*/
+  private jumpReleased: boolean = true;
+  private groundGap: number = 0;
+  private previousPosition: Vector3;
+
+  constructor(options: CharacterOptions = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    let o = this.options;
+    this.standShape = makeCapsule(o.radius, o.height);
+    this.crouchShape = makeCapsule(o.radius, o.crouchHeight);
+    this.command = makeInputCommand();
+    this.previousPosition = new Vector3(o.x, o.y, o.z);
+    this.state = {
+      position: new Vector3(o.x, o.y, o.z),
+      velocity: new Vector3(),
+      yaw: 0,
+      pitch: 0,
+      onGround: false,
+      ground: undefined,
+      groundNormal: new Vector3(0, 1, 0),
+      jumping: false,
+      crouching: false,
+      sprinting: false,
+      moving: false
+    };
+
+    this.body = PhysicsManager.get().makeBody({
+      shape: this.standShape,
+      mass: o.mass,
+      x: o.x,
+      y: o.y + o.height / 2,
+      z: o.z,
+      friction: 0,
+      rollingFriction: 0
+    });
+    this.body.lockRotation();
+    this.body.setCollisionFilter(CollisionGroup.CHARACTER, CollisionGroup.ALL);
+  }
+  setCommandSource(source: CommandSource): CharacterController {
+    this.source = source;
+    return this;
+  }
+  getCommandSource(): CommandSource {
+    return this.source;
+  }
+  /**Used when there is no command source, ex: AI*/
+  setCommand(command: InputCommand): CharacterController {
+    copyInputCommand(command, this.command);
+    return this;
+  }
+  /**Placed at the feet and turned to face yaw after each step*/
+  setNativeObject3D(obj: Object3D): CharacterController {
+    this.nativeObject3D = obj;
+    return this;
+  }
+  getNativeObject3D(): Object3D {
+    return this.nativeObject3D;
+  }
+  getState(): CharacterState {
+    return this.state;
+  }
+  /**Current total height*/
+  getHeight(): number {
+    return this.state.crouching ? this.options.crouchHeight : this.options.height;
+  }
+  /**Moves the feet to position and stops*/
+  teleport(position: Vector3): CharacterController {
+    this.body.teleport(new Vector3(position.x, position.y + this.getHeight() / 2, position.z));
+    this.state.position.copy(position);
+    this.previousPosition.copy(position);
+    this.state.velocity.set(0, 0, 0);
+    this.state.onGround = false;
+    return this;
+  }
+  /**Shifts the character by offset without stopping it, ex: network reconciliation
+   * The native Object3D catches up over the next step instead of snapping
+   */
+  correct(offset: Vector3, velocity: Vector3 = undefined): CharacterController {
+    let center = this.body.getPosition().add(offset);
+    this.body.setPosition(center.x, center.y, center.z);
+    this.state.position.add(offset);
+    if (velocity) {
+      this.body.setLinearVelocity(velocity.x, velocity.y, velocity.z);
+      this.state.velocity.copy(velocity);
+    }
+    return this;
+  }
+  private filter(): QueryFilter {
+    return { exclude: [this.body], mask: CollisionGroup.ALL ^ CollisionGroup.SENSOR };
+  }
+  /**Internal - called by PhysicsManager before the world steps*/
+  _preStep(delta: number) {
+    if (this.source) this.source.sample(this.command, delta);
+    let o = this.options;
+    let command = this.command;
+    let state = this.state;
+
+    this.updateCrouch(command.crouch);
+
+    let forward = new Vector3(-Math.sin(command.yaw), 0, -Math.cos(command.yaw));
+    let right = new Vector3(Math.cos(command.yaw), 0, -Math.sin(command.yaw));
+    let wish = forward.multiplyScalar(command.moveY).add(right.multiplyScalar(command.moveX));
+    if (wish.lengthSq() > 1) wish.normalize();
+
+    state.moving = wish.lengthSq() > 0;
+    state.sprinting = command.sprint && command.moveY > 0 && !state.crouching;
+    let speed = state.crouching ? o.crouchSpeed : (state.sprinting ? o.sprintSpeed : o.walkSpeed);
+    let target = wish.multiplyScalar(speed);
+
+    let velocity = this.body.getLinearVelocity();
+    if (!command.jump) this.jumpReleased = true;
+
+    if (state.onGround) {
+      if (command.jump && this.jumpReleased && !state.crouching) {
+        this.jumpReleased = false;
+        state.onGround = false;
+        state.jumping = true;
+        velocity.set(target.x, o.jumpSpeed, target.z);
+      } else {
+        if (state.moving) this.tryStepUp(target, delta);
+        //Follow the ground's slope instead of walking into or off of it
+        let n = state.groundNormal;
+        velocity.copy(target).addScaledVector(n, -target.dot(n));
+        //Stay stuck to the ground going down slopes and steps
+        velocity.y -= this.groundGap / delta;
+      }
+    } else {
+      let control = Math.min(1, o.airControl * 10 * delta);
+      velocity.x += (target.x - velocity.x) * control;
+      velocity.z += (target.z - velocity.z) * control;
+      velocity.y -= o.gravity * delta;
+    }
+    this.body.setLinearVelocity(velocity.x, velocity.y, velocity.z);
+    state.yaw = command.yaw;
+    state.pitch = command.pitch;
+  }
+  /**Internal - called by PhysicsManager after the world steps*/
+  _postStep(delta: number) {
+    let state = this.state;
+    let center = this.body.getPosition();
+    this.previousPosition.copy(state.position);
+    state.position.set(center.x, center.y - this.getHeight() / 2, center.z);
+    this.body.getLinearVelocity(state.velocity);
+    if (state.jumping && state.velocity.y <= 0) state.jumping = false;
+    this.updateGround();
+
+    if (this.nativeObject3D) {
+      this.nativeObject3D.position.copy(state.position);
+      this.nativeObject3D.rotation.set(0, state.yaw, 0);
+    }
+  }
+  /**Places the native Object3D between the last two steps, see PhysicsManager.interpolate*/
+  interpolate(alpha: number) {
+    if (!this.nativeObject3D) return;
+    this.nativeObject3D.position.lerpVectors(this.previousPosition, this.state.position, alpha);
+  }
+  /**Sweeps the bottom of the capsule down to find what it stands on*/
+  private updateGround() {
+    let o = this.options;
+    let state = this.state;
+    let center = this.body.getPosition();
+    let bottom = center.clone();
+    bottom.y -= this.getHeight() / 2 - o.radius;
+
+    //Reach further while grounded so walking down steps keeps us there
+    let reach = state.onGround ? o.stepHeight : GROUND_TOLERANCE;
+    let probe = new Ammo.btSphereShape(o.radius * 0.9);
+    let inset = o.radius * 0.1;
+    let from = bottom.clone();
+    from.y += inset;
+    let to = bottom.clone();
+    to.y -= reach;
+    let hit = PhysicsManager.get().sweep(probe, from, to, this.filter());
+    Ammo.destroy(probe);
+
+    //Pushing into a steep slope, the sweep can touch it before the floor under us
+    if (hit && hit.normal.y < Math.cos(o.maxSlope)) {
+      let ray = PhysicsManager.get().raycast(bottom, to.clone().setY(to.y - o.radius), this.filter());
+      if (ray && ray.normal.y >= Math.cos(o.maxSlope)) {
+        hit = ray;
+        hit.distance -= o.radius - inset;
+      }
+    }
+
+    let walkable = hit && hit.normal.y >= Math.cos(o.maxSlope);
+    let gap = hit ? Math.max(hit.distance - inset * 2, 0) : 0;
+    if (walkable && !state.jumping && gap <= reach) {
+      state.onGround = true;
+      state.ground = hit.body;
+      state.groundNormal.copy(hit.normal);
+      this.groundGap = gap > GROUND_TOLERANCE ? gap : 0;
+    } else {
+      state.onGround = false;
+      state.ground = undefined;
+      state.groundNormal.set(0, 1, 0);
+      this.groundGap = 0;
+    }
+  }
+  /**Lifts the character onto a ledge up to stepHeight tall that blocks target*/
+  private tryStepUp(target: Vector3, delta: number) {
+    let o = this.options;
+    let physics = PhysicsManager.get();
+    let shape = this.state.crouching ? this.crouchShape : this.standShape;
+    let filter = this.filter();
+    let move = target.clone().multiplyScalar(delta);
+    //Look a little further than this step so we start climbing before stopping
+    move.addScaledVector(target.clone().normalize(), o.radius * 0.5);
+
+    let start = this.body.getPosition();
+    start.y += SWEEP_LIFT;
+    let blocked = physics.sweep(shape, start, start.clone().add(move), filter);
+    if (!blocked || blocked.normal.y >= Math.cos(o.maxSlope)) return;
+
+    let raised = start.clone();
+    raised.y += o.stepHeight;
+    if (physics.sweep(shape, start, raised, filter)) return;
+    let ahead = raised.clone().add(move);
+    if (physics.sweep(shape, raised, ahead, filter)) return;
+
+    let landing = physics.sweep(shape, ahead, ahead.clone().setY(ahead.y - o.stepHeight), filter);
+    if (!landing || landing.normal.y < Math.cos(o.maxSlope)) return;
+    let rise = o.stepHeight - landing.distance + SWEEP_LIFT;
+    if (rise <= 0) return;
+    let position = this.body.getPosition();
+    this.body.setPosition(position.x, position.y + rise, position.z);
+  }
+  private updateCrouch(wantCrouch: boolean) {
+    let o = this.options;
+    let state = this.state;
+    if (wantCrouch === state.crouching) return;
+    let difference = (o.height - o.crouchHeight) / 2;
+    let center = this.body.getPosition();
+
+    if (wantCrouch) {
+      state.crouching = true;
+      this.body.setShape(this.crouchShape);
+      //Keep feet where they are on the ground, pull them up in the air
+      let shift = state.onGround ? -difference : difference;
+      this.body.setPosition(center.x, center.y + shift, center.z);
+      return;
+    }
+
+    //Only stand up when there is room
+    let standCenter = center.clone();
+    if (state.onGround) standCenter.y += difference;
+    //Tested slightly raised so the floor doesn't count
+    let test = standCenter.clone();
+    test.y += GROUND_TOLERANCE;
+    let blocking = PhysicsManager.get().overlap(this.standShape, test, undefined, this.filter());
+    if (blocking.length > 0) return;
+    state.crouching = false;
+    this.body.setShape(this.standShape);
+    this.body.setPosition(standCenter.x, standCenter.y, standCenter.z);
+  }
+  /**Frees the body and shapes, it must have been removed from the PhysicsManager first*/
+  destroy() {
+    this.body.destroy();
+    destroyShape(this.standShape);
+    destroyShape(this.crouchShape);
+  }
+}
+
+function makeCapsule(radius: number, height: number): Ammo.btCapsuleShape {
+  return new Ammo.btCapsuleShape(radius, Math.max(height - radius * 2, 0));
+}
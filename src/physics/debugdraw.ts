@@ -0,0 +1,141 @@
+import { BufferAttribute, BufferGeometry, LineBasicMaterial, LineSegments } from "three";
+import API from "../api";
+import { PhysicsManager } from "./physics";
+
+const api = API.get();
+
+/**Bullet's btIDebugDraw::DebugDrawModes, combine with |*/
+export enum DebugDrawMode {
+  NONE = 0,
+  WIREFRAME = 1,
+  AABB = 2,
+  CONTACT_POINTS = 8
+}
+
+/**Vertices the buffers start with, they double when bullet draws more*/
+const START_VERTICES = 4096;
+
+/**Draws what bullet sees (collision shapes, bounds, contacts) as lines
+ * Mount lines in the scene, it is redrawn after every physics step while enabled
+ */
+export class PhysicsDebugDraw {
+  physics: PhysicsManager;
+  lines: LineSegments;
+  private geometry: BufferGeometry;
+  private positions: Float32Array;
+  private colors: Float32Array;
+  private count: number = 0;
+  private mode: number;
+  private drawer: Ammo.DebugDrawer;
+  private enabled: boolean = false;
+  private onStep: () => void;
+
+  constructor(physics: PhysicsManager = api.getPhysicsManager(), mode: number = DebugDrawMode.WIREFRAME) {
+    this.physics = physics;
+    this.mode = mode;
+    this.geometry = new BufferGeometry();
+    this.allocate(START_VERTICES);
+    this.lines = new LineSegments(this.geometry, new LineBasicMaterial({ vertexColors: true, depthTest: false }));
+    this.lines.name = "physics-debug";
+    //Lines are anywhere in the world, and redrawn before bounds would be right
+    this.lines.frustumCulled = false;
+    this.lines.renderOrder = 999;
+    this.lines.visible = false;
+    this.onStep = () => this.draw();
+  }
+  private allocate(vertices: number) {
+    let positions = new Float32Array(vertices * 3);
+    let colors = new Float32Array(vertices * 3);
+    if (this.positions) {
+      positions.set(this.positions);
+      colors.set(this.colors);
+    }
+    this.positions = positions;
+    this.colors = colors;
+    //Attributes can't grow, the old buffers are freed and the new ones uploaded
+    this.geometry.dispose();
+    this.geometry.setAttribute("position", new BufferAttribute(positions, 3));
+    this.geometry.setAttribute("color", new BufferAttribute(colors, 3));
+  }
+  private pushVertex(vector: Ammo.btVector3, color: Ammo.btVector3) {
+    if (this.count * 3 >= this.positions.length) this.allocate(this.count * 2);
+    let i = this.count * 3;
+    this.positions[i] = vector.x();
+    this.positions[i + 1] = vector.y();
+    this.positions[i + 2] = vector.z();
+    this.colors[i] = color.x();
+    this.colors[i + 1] = color.y();
+    this.colors[i + 2] = color.z();
+    this.count++;
+  }
+  /**Made once ammo is ready, the first time it is enabled*/
+  private makeDrawer(): Ammo.DebugDrawer {
+    let drawer = new Ammo.DebugDrawer();
+    drawer.drawLine = (from, to, color) => {
+      let c = Ammo.wrapPointer(color, Ammo.btVector3);
+      this.pushVertex(Ammo.wrapPointer(from, Ammo.btVector3), c);
+      this.pushVertex(Ammo.wrapPointer(to, Ammo.btVector3), c);
+    };
+    drawer.drawContactPoint = (pointOnB, normalOnB, distance, lifeTime, color) => {
+      let point = Ammo.wrapPointer(pointOnB, Ammo.btVector3);
+      let normal = Ammo.wrapPointer(normalOnB, Ammo.btVector3);
+      let c = Ammo.wrapPointer(color, Ammo.btVector3);
+      this.pushVertex(point, c);
+      //To a bit along the normal
+      let i = this.count * 3;
+      this.pushVertex(point, c);
+      this.positions[i] += normal.x() * 0.2;
+      this.positions[i + 1] += normal.y() * 0.2;
+      this.positions[i + 2] += normal.z() * 0.2;
+    };
+    drawer.reportErrorWarning = () => {};
+    drawer.draw3dText = () => {};
+    drawer.setDebugMode = (mode) => {
+      this.mode = mode;
+    };
+    drawer.getDebugMode = () => this.mode;
+    this.physics.ammoWorld.setDebugDrawer(drawer);
+    return drawer;
+  }
+  setEnabled(enabled: boolean): PhysicsDebugDraw {
+    if (enabled === this.enabled) return this;
+    this.enabled = enabled;
+    this.lines.visible = enabled;
+    let events = api.getEvents();
+    if (enabled) {
+      if (!this.drawer) this.drawer = this.makeDrawer();
+      events.listen("physics:step", this.onStep);
+      this.draw();
+    } else {
+      events.deafen("physics:step", this.onStep);
+    }
+    return this;
+  }
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+  /**See DebugDrawMode*/
+  setMode(mode: number): PhysicsDebugDraw {
+    this.mode = mode;
+    if (this.enabled) this.draw();
+    return this;
+  }
+  getMode(): number {
+    return this.mode;
+  }
+  /**Redraws the lines from the physics world*/
+  draw() {
+    if (!this.drawer) return;
+    this.count = 0;
+    this.physics.ammoWorld.debugDrawWorld();
+    this.geometry.setDrawRange(0, this.count);
+    (this.geometry.getAttribute("position") as BufferAttribute).needsUpdate = true;
+    (this.geometry.getAttribute("color") as BufferAttribute).needsUpdate = true;
+  }
+  dispose() {
+    this.setEnabled(false);
+    if (this.lines.parent) this.lines.parent.remove(this.lines);
+    this.geometry.dispose();
+    (this.lines.material as LineBasicMaterial).dispose();
+  }
+}
@@ -1,14 +1,125 @@
 
-import { Object3D } from "three";
+import { Euler, Object3D, Quaternion, Vector3 } from "three";
+import { CharacterController } from "./character";
+import API from "../api";
 
-/**A helper class because working with Ammo is UGH*/
+//btCollisionObject::CollisionFlags
+const CF_KINEMATIC_OBJECT = 2;
+const CF_NO_CONTACT_RESPONSE = 4;
+//btCollisionObject activation states
+const ACTIVE_TAG = 1;
+const DISABLE_DEACTIVATION = 4;
+//Contact points further apart than this don't count as touching
+const CONTACT_DISTANCE = 0.01;
+
+/**Same as bullet's btBroadphaseProxy::CollisionFilterGroups, mods can use the higher bits
+ * Two objects collide when (a.group & b.mask) && (b.group & a.mask)
+ */
+export const CollisionGroup = {
+  DEFAULT: 1,
+  STATIC: 2,
+  KINEMATIC: 4,
+  DEBRIS: 8,
+  SENSOR: 16,
+  CHARACTER: 32,
+  ALL: -1
+};
+
+export interface ContactEvent {
+  type: "begin" | "end";
+  /**The body the listener is on*/
+  body: Body;
+  other: Body;
+  /**begin only, where the two touch in world space*/
+  point?: Vector3;
+  /**begin only, world space, points from other toward body*/
+  normal?: Vector3;
+  /**begin only, impulse the solver applied at point*/
+  impulse?: number;
+}
+
+export interface ContactCallback {
+  (event: ContactEvent): void;
+}
+
+export interface TriggerEvent {
+  type: "enter" | "exit";
+  trigger: Trigger;
+  body: Body;
+}
+
+export interface TriggerCallback {
+  (event: TriggerEvent): void;
+}
+
+/**Triangle data of mesh shapes by shape pointer, see setShapeTriangleMesh
+ * Keyed by pointer as ammo gives shapes back as new btCollisionShape wrappers, ex: getChildShape
+ */
+const shapeTriangleMeshes: Map<number, Ammo.btTriangleMesh> = new Map();
+
+/**Has destroyShape free the btTriangleMesh a btBvhTriangleMeshShape was made from*/
+export function setShapeTriangleMesh(shape: Ammo.btCollisionShape, mesh: Ammo.btTriangleMesh) {
+  shapeTriangleMeshes.set(Ammo.getPointer(shape), mesh);
+}
+
+/**Frees a shape, and the children of a compound shape*/
+export function destroyShape(shape: Ammo.btCollisionShape) {
+  if (shape instanceof Ammo.btCompoundShape) {
+    for (let i = shape.getNumChildShapes() - 1; i > -1; i--) {
+      let child = shape.getChildShape(i);
+      shape.removeChildShapeByIndex(i);
+      destroyShape(child);
+    }
+  }
+  let pointer = Ammo.getPointer(shape);
+  Ammo.destroy(shape);
+  //The shape only points to its triangles, so they go after it
+  let mesh = shapeTriangleMeshes.get(pointer);
+  if (mesh) {
+    shapeTriangleMeshes.delete(pointer);
+    Ammo.destroy(mesh);
+  }
+}
+
+/**A helper class because working with Ammo is UGH
+ * 
+ * Positions and rotations are in world space,
+ * the native Object3D is expected to be a direct child of the scene
+ */
 export class Body {
   nativeTransform: Ammo.btTransform;
   nativeBody: Ammo.btRigidBody;
   nativeObject3D: Object3D;
+  private mass: number = 0;
+  private kinematic: boolean = false;
+  /**What the body was made with, ammo only gives back btCollisionShape wrappers (no instanceof)*/
+  private shape: Ammo.btCollisionShape;
+  private collisionGroup: number;
+  private collisionMask: number;
+  /**Set by setGravity, put back when the body is added to the world again*/
+  private gravity: Vector3;
+  private contactListeners: Set<ContactCallback>;
+  //Transforms of the last two steps, for interpolating the native Object3D
+  private previousPosition: Vector3;
+  private previousQuaternion: Quaternion;
+  private currentPosition: Vector3;
+  private currentQuaternion: Quaternion;
+  private hasStepState: boolean = false;
+  //Recycled so setters don't allocate on the emscripten heap
+  private tempVector: Ammo.btVector3;
+  private tempRelative: Ammo.btVector3;
+  private tempQuaternion: Ammo.btQuaternion;
 
   constructor() {
     this.nativeTransform = new Ammo.btTransform();
+    this.tempVector = new Ammo.btVector3(0, 0, 0);
+    this.tempRelative = new Ammo.btVector3(0, 0, 0);
+    this.tempQuaternion = new Ammo.btQuaternion(0, 0, 0, 1);
+    this.contactListeners = new Set();
+    this.previousPosition = new Vector3();
+    this.previousQuaternion = new Quaternion();
+    this.currentPosition = new Vector3();
+    this.currentQuaternion = new Quaternion();
   }
   canUpdateFromNative(): boolean {
     return (
@@ -23,6 +134,7 @@ export class Body {
   }
   setNativeObject3D(obj: Object3D): Body {
     this.nativeObject3D = obj;
+    this.hasStepState = false;
     return this;
   }
   hasNativeObject3D (): boolean {
@@ -31,8 +143,10 @@ export class Body {
   getNativeBody(): Ammo.btRigidBody {
     return this.nativeBody;
   }
-  setNativeBody(body: any): Body {
+  /**@param shape the shape body was made with, needed to free compound shapes, see destroy*/
+  setNativeBody(body: any, shape: Ammo.btCollisionShape = undefined): Body {
     this.nativeBody = body;
+    this.shape = shape;
     return this;
   }
   hasNativeBody (): boolean {
@@ -44,6 +158,15 @@ export class Body {
   _getWorldTransform(out: Ammo.btTransform) {
     return this._getMotionState().getWorldTransform(out);
   }
+  /**Internal - writes a transform to the body and its motion state*/
+  _setWorldTransform(transform: Ammo.btTransform) {
+    this.nativeBody.setWorldTransform(transform);
+    this._getMotionState().setWorldTransform(transform);
+  }
+  private vec(x: number, y: number, z: number): Ammo.btVector3 {
+    this.tempVector.setValue(x, y, z);
+    return this.tempVector;
+  }
   get x(): number {
     return this.nativeObject3D.position.x;
   }
@@ -53,35 +176,499 @@ export class Body {
   get z(): number {
     return this.nativeObject3D.position.z;
   }
+  getMass(): number {
+    return this.mass;
+  }
+  /**0 makes the body static, inertia is recalculated from the shape*/
+  setMass(mass: number): Body {
+    let wasStatic = this.isStatic();
+    this.mass = mass;
+    //Kinematic bodies keep 0 until they are made dynamic again
+    if (this.kinematic) return this;
+    let inertia = this.vec(0, 0, 0);
+    if (mass > 0) this.nativeBody.getCollisionShape().calculateLocalInertia(mass, inertia);
+    this.nativeBody.setMassProps(mass, inertia);
+    this.nativeBody.updateInertiaTensor();
+    if (wasStatic !== this.isStatic()) this.readd();
+    this.activate();
+    return this;
+  }
+  isStatic(): boolean {
+    return this.mass <= 0 && !this.kinematic;
+  }
+  isKinematic(): boolean {
+    return this.kinematic;
+  }
+  /**Kinematic bodies are moved by their native Object3D (or setPosition/setQuaternion)
+   * and push dynamic bodies out of the way, but aren't affected by anything
+   */
+  setKinematic(kinematic: boolean): Body {
+    if (this.kinematic === kinematic) return this;
+    let flags = this.nativeBody.getCollisionFlags();
+    if (kinematic) {
+      this.nativeBody.setMassProps(0, this.vec(0, 0, 0));
+      this.nativeBody.updateInertiaTensor();
+      this.nativeBody.setCollisionFlags(flags | CF_KINEMATIC_OBJECT);
+      this.nativeBody.setActivationState(DISABLE_DEACTIVATION);
+      this.kinematic = true;
+    } else {
+      this.nativeBody.setCollisionFlags(flags & ~CF_KINEMATIC_OBJECT);
+      this.nativeBody.forceActivationState(ACTIVE_TAG);
+      this.kinematic = false;
+      this.setMass(this.mass);
+    }
+    this.readd();
+    return this;
+  }
+  /**Bullet only reads the collision filter, and whether a body is static, when it is added
+   * so a body in the world is added again after those change
+   */
+  private readd() {
+    let physics = API.get().getPhysicsManager();
+    if (!physics || !physics.hasBody(this)) return;
+    physics._readdBody(this);
+    //Adding sets the world's gravity
+    if (this.gravity) this.nativeBody.setGravity(this.vec(this.gravity.x, this.gravity.y, this.gravity.z));
+  }
+  /**Wakes the body up, bodies at rest are put to sleep by bullet*/
+  activate(): Body {
+    this.nativeBody.activate(true);
+    return this;
+  }
+  getPosition(out: Vector3 = new Vector3()): Vector3 {
+    let origin = this.nativeBody.getWorldTransform().getOrigin();
+    return out.set(origin.x(), origin.y(), origin.z());
+  }
+  /**Moves the body, keeping its velocity, see teleport*/
   setPosition (x: number, y: number, z: number): Body {
-    //TODO - implement
+    let transform = this.nativeBody.getWorldTransform();
+    transform.setOrigin(this.vec(x, y, z));
+    this._setWorldTransform(transform);
+    if (this.hasNativeObject3D()) this.nativeObject3D.position.set(x, y, z);
+    //Snap instead of interpolating from the old spot
+    this.previousPosition.set(x, y, z);
+    this.currentPosition.set(x, y, z);
+    return this.activate();
+  }
+  getQuaternion(out: Quaternion = new Quaternion()): Quaternion {
+    let rotation = this.nativeBody.getWorldTransform().getRotation();
+    return out.set(rotation.x(), rotation.y(), rotation.z(), rotation.w());
+  }
+  setQuaternion(x: number, y: number, z: number, w: number): Body {
+    let transform = this.nativeBody.getWorldTransform();
+    this.tempQuaternion.setValue(x, y, z, w);
+    transform.setRotation(this.tempQuaternion);
+    this._setWorldTransform(transform);
+    if (this.hasNativeObject3D()) this.nativeObject3D.quaternion.set(x, y, z, w);
+    this.previousQuaternion.set(x, y, z, w);
+    this.currentQuaternion.set(x, y, z, w);
+    return this.activate();
+  }
+  /**Radians, same order as three.js Euler (XYZ by default)*/
+  setRotation(x: number, y: number, z: number, order: string = "XYZ"): Body {
+    let q = new Quaternion().setFromEuler(new Euler(x, y, z, order));
+    return this.setQuaternion(q.x, q.y, q.z, q.w);
+  }
+  /**Moves the body and stops it, for respawns and the like
+   * @param quaternion optional, rotation is kept if not supplied
+   */
+  teleport(position: Vector3, quaternion?: Quaternion): Body {
+    this.setPosition(position.x, position.y, position.z);
+    if (quaternion) this.setQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.setLinearVelocity(0, 0, 0);
+    this.setAngularVelocity(0, 0, 0);
+    this.nativeBody.clearForces();
     return this;
   }
   stringifyPosition(): string {
     return `${this.x.toFixed(2)}, ${this.y.toFixed(2)}, ${this.z.toFixed(2)}`;
   }
+  getLinearVelocity(out: Vector3 = new Vector3()): Vector3 {
+    let v = this.nativeBody.getLinearVelocity();
+    return out.set(v.x(), v.y(), v.z());
+  }
+  setLinearVelocity(x: number, y: number, z: number): Body {
+    this.nativeBody.setLinearVelocity(this.vec(x, y, z));
+    return this.activate();
+  }
+  /**Radians per second around each axis*/
+  getAngularVelocity(out: Vector3 = new Vector3()): Vector3 {
+    let v = this.nativeBody.getAngularVelocity();
+    return out.set(v.x(), v.y(), v.z());
+  }
+  setAngularVelocity(x: number, y: number, z: number): Body {
+    this.nativeBody.setAngularVelocity(this.vec(x, y, z));
+    return this.activate();
+  }
+  /**Instant change in momentum, ex: a jump or an explosion
+   * @param relative optional, where to apply it relative to the center of mass (world rotation)
+   */
+  applyImpulse(x: number, y: number, z: number, relative?: Vector3): Body {
+    if (relative) {
+      this.tempRelative.setValue(relative.x, relative.y, relative.z);
+      this.nativeBody.applyImpulse(this.vec(x, y, z), this.tempRelative);
+    } else {
+      this.nativeBody.applyCentralImpulse(this.vec(x, y, z));
+    }
+    return this.activate();
+  }
+  /**Force over the next step, call every step for a constant force
+   * @param relative optional, where to apply it relative to the center of mass (world rotation)
+   */
+  applyForce(x: number, y: number, z: number, relative?: Vector3): Body {
+    if (relative) {
+      this.tempRelative.setValue(relative.x, relative.y, relative.z);
+      this.nativeBody.applyForce(this.vec(x, y, z), this.tempRelative);
+    } else {
+      this.nativeBody.applyCentralForce(this.vec(x, y, z));
+    }
+    return this.activate();
+  }
+  applyTorque(x: number, y: number, z: number): Body {
+    this.nativeBody.applyTorque(this.vec(x, y, z));
+    return this.activate();
+  }
+  applyTorqueImpulse(x: number, y: number, z: number): Body {
+    this.nativeBody.applyTorqueImpulse(this.vec(x, y, z));
+    return this.activate();
+  }
+  clearForces(): Body {
+    this.nativeBody.clearForces();
+    return this;
+  }
+  getFriction(): number {
+    return this.nativeBody.getFriction();
+  }
+  setFriction(friction: number): Body {
+    this.nativeBody.setFriction(friction);
+    return this;
+  }
+  getRollingFriction(): number {
+    return this.nativeBody.getRollingFriction();
+  }
+  setRollingFriction(friction: number): Body {
+    this.nativeBody.setRollingFriction(friction);
+    return this;
+  }
+  /**Bounciness, 0 to 1*/
+  getRestitution(): number {
+    return this.nativeBody.getRestitution();
+  }
+  setRestitution(restitution: number): Body {
+    this.nativeBody.setRestitution(restitution);
+    return this;
+  }
+  /**0 to 1, fraction of velocity lost per second*/
+  setDamping(linear: number, angular: number): Body {
+    this.nativeBody.setDamping(linear, angular);
+    return this;
+  }
+  /**Scales movement along each world axis, 0 locks it*/
+  setLinearFactor(x: number, y: number, z: number): Body {
+    this.nativeBody.setLinearFactor(this.vec(x, y, z));
+    return this;
+  }
+  /**Scales rotation around each world axis, 0 locks it*/
+  setAngularFactor(x: number, y: number, z: number): Body {
+    this.nativeBody.setAngularFactor(this.vec(x, y, z));
+    return this;
+  }
+  /**Stops the body from rotating (or lets it again), ex: for characters*/
+  lockRotation(locked: boolean = true): Body {
+    let f = locked ? 0 : 1;
+    return this.setAngularFactor(f, f, f);
+  }
+  getShape(): Ammo.btCollisionShape {
+    return this.shape || this.nativeBody.getCollisionShape();
+  }
+  /**Swaps the collision shape, the old shape is not freed*/
+  setShape(shape: Ammo.btCollisionShape): Body {
+    this.shape = shape;
+    this.nativeBody.setCollisionShape(shape);
+    return this.setMass(this.mass);
+  }
+  getGravity(out: Vector3 = new Vector3()): Vector3 {
+    let g = this.nativeBody.getGravity();
+    return out.set(g.x(), g.y(), g.z());
+  }
+  /**Per body gravity, the world sets this when the body is added, so call it after*/
+  setGravity(x: number, y: number, z: number): Body {
+    this.gravity = new Vector3(x, y, z);
+    this.nativeBody.setGravity(this.vec(x, y, z));
+    return this;
+  }
+  /**Defaults to CollisionGroup.DEFAULT, or STATIC for static and kinematic bodies*/
+  getCollisionGroup(): number {
+    if (this.collisionGroup !== undefined) return this.collisionGroup;
+    return this.isStatic() || this.kinematic ? CollisionGroup.STATIC : CollisionGroup.DEFAULT;
+  }
+  /**Defaults to CollisionGroup.ALL, minus STATIC for static and kinematic bodies*/
+  getCollisionMask(): number {
+    if (this.collisionMask !== undefined) return this.collisionMask;
+    return this.isStatic() || this.kinematic ? CollisionGroup.ALL ^ CollisionGroup.STATIC : CollisionGroup.ALL;
+  }
+  /**Which groups this body is in and which groups it collides with, see CollisionGroup*/
+  setCollisionFilter(group: number, mask: number): Body {
+    this.collisionGroup = group;
+    this.collisionMask = mask;
+    //Pairs the old filter made (or left out) stay until added again
+    this.readd();
+    return this;
+  }
+  /**Called when this body starts and stops touching another body*/
+  listenContacts(cb: ContactCallback): Body {
+    this.contactListeners.add(cb);
+    return this;
+  }
+  deafenContacts(cb: ContactCallback): Body {
+    this.contactListeners.delete(cb);
+    return this;
+  }
+  hasContactListeners(): boolean {
+    return this.contactListeners.size > 0;
+  }
+  /**Internal - called by PhysicsManager after a step*/
+  _notifyContact(event: ContactEvent) {
+    for (let cb of this.contactListeners) {
+      try {
+        cb(event);
+      } catch (ex) {
+        console.warn("Contact listener threw", ex);
+      }
+    }
+  }
+  /**Copies the simulated position and rotation to the native Object3D*/
   updateFromNative(outTransform: Ammo.btTransform): Body {
     this._getWorldTransform(outTransform);
-    this.nativeObject3D.position.set(
-      outTransform.getOrigin().x(),
-      outTransform.getOrigin().y(),
-      outTransform.getOrigin().z()
-    );
+    let origin = outTransform.getOrigin();
+    let rotation = outTransform.getRotation();
+    this.previousPosition.copy(this.currentPosition);
+    this.previousQuaternion.copy(this.currentQuaternion);
+    this.currentPosition.set(origin.x(), origin.y(), origin.z());
+    this.currentQuaternion.set(rotation.x(), rotation.y(), rotation.z(), rotation.w());
+    if (!this.hasStepState) {
+      this.previousPosition.copy(this.currentPosition);
+      this.previousQuaternion.copy(this.currentQuaternion);
+      this.hasStepState = true;
+    }
+    this.nativeObject3D.position.copy(this.currentPosition);
+    this.nativeObject3D.quaternion.copy(this.currentQuaternion);
+    return this;
+  }
+  /**Places the native Object3D between the last two steps
+   * @param alpha 0 is the previous step, 1 the latest, see TimeManager.getAlpha
+   */
+  interpolate(alpha: number): Body {
+    if (!this.hasStepState) return this;
+    this.nativeObject3D.position.lerpVectors(this.previousPosition, this.currentPosition, alpha);
+    this.nativeObject3D.quaternion.copy(this.previousQuaternion).slerp(this.currentQuaternion, alpha);
+    return this;
+  }
+  /**Copies the native Object3D's position and rotation to the body, used for kinematic bodies*/
+  updateToNative(): Body {
+    let position = this.nativeObject3D.position;
+    let quaternion = this.nativeObject3D.quaternion;
+    this.nativeTransform.setIdentity();
+    this.nativeTransform.setOrigin(this.vec(position.x, position.y, position.z));
+    this.tempQuaternion.setValue(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.nativeTransform.setRotation(this.tempQuaternion);
+    //Kinematic bodies are read from their motion state each step
+    this._getMotionState().setWorldTransform(this.nativeTransform);
+    if (!this.kinematic) this.nativeBody.setWorldTransform(this.nativeTransform);
     return this;
   }
+  /**Frees the native body, it must have been removed from the PhysicsManager first
+   * @param includeShape also free the collision shape, only if nothing else uses it
+   */
+  destroy(includeShape: boolean = false) {
+    if (this.hasNativeBody()) {
+      let shape = this.getShape();
+      Ammo.destroy(this._getMotionState());
+      Ammo.destroy(this.nativeBody);
+      if (includeShape) destroyShape(shape);
+      this.nativeBody = undefined;
+      this.shape = undefined;
+    }
+    Ammo.destroy(this.tempVector);
+    Ammo.destroy(this.tempRelative);
+    Ammo.destroy(this.tempQuaternion);
+    Ammo.destroy(this.nativeTransform);
+    this.tempVector = undefined;
+    this.tempRelative = undefined;
+    this.tempQuaternion = undefined;
+    this.nativeTransform = undefined;
+  }
+}
+
+/**Updates the filter of an object already in the world, no-op otherwise*/
+function setProxyFilter(obj: Ammo.btCollisionObject, group: number, mask: number) {
+  let proxy = obj.getBroadphaseHandle();
+  if (Ammo.getPointer(proxy) === 0) return;
+  proxy.set_m_collisionFilterGroup(group);
+  proxy.set_m_collisionFilterMask(mask);
+}
+
+/**A volume that reports bodies entering and leaving it, ex: a capture zone
+ * Backed by a btPairCachingGhostObject, which other bodies pass through
+ */
+export class Trigger {
+  nativeGhost: Ammo.btPairCachingGhostObject;
+  /**Kept for destroy, see Body.shape*/
+  private shape: Ammo.btCollisionShape;
+  private collisionGroup: number = CollisionGroup.SENSOR;
+  private collisionMask: number = CollisionGroup.ALL ^ (CollisionGroup.STATIC | CollisionGroup.SENSOR);
+  private bodies: Set<Body>;
+  private listeners: Set<TriggerCallback>;
+  private tempTransform: Ammo.btTransform;
+  private tempVector: Ammo.btVector3;
+  private tempQuaternion: Ammo.btQuaternion;
+
+  constructor(shape: Ammo.btCollisionShape) {
+    this.shape = shape;
+    this.bodies = new Set();
+    this.listeners = new Set();
+    this.tempTransform = new Ammo.btTransform();
+    this.tempVector = new Ammo.btVector3(0, 0, 0);
+    this.tempQuaternion = new Ammo.btQuaternion(0, 0, 0, 1);
+    this.nativeGhost = new Ammo.btPairCachingGhostObject();
+    this.nativeGhost.setCollisionShape(shape);
+    this.nativeGhost.setCollisionFlags(this.nativeGhost.getCollisionFlags() | CF_NO_CONTACT_RESPONSE);
+    this.tempTransform.setIdentity();
+    this.nativeGhost.setWorldTransform(this.tempTransform);
+  }
+  getNativeGhost(): Ammo.btPairCachingGhostObject {
+    return this.nativeGhost;
+  }
+  listen(cb: TriggerCallback): Trigger {
+    this.listeners.add(cb);
+    return this;
+  }
+  deafen(cb: TriggerCallback): Trigger {
+    this.listeners.delete(cb);
+    return this;
+  }
+  /**Bodies currently inside*/
+  getBodies(): Array<Body> {
+    return Array.from(this.bodies);
+  }
+  contains(body: Body): boolean {
+    return this.bodies.has(body);
+  }
+  getPosition(out: Vector3 = new Vector3()): Vector3 {
+    let origin = this.nativeGhost.getWorldTransform().getOrigin();
+    return out.set(origin.x(), origin.y(), origin.z());
+  }
+  setPosition(x: number, y: number, z: number): Trigger {
+    let transform = this.nativeGhost.getWorldTransform();
+    this.tempVector.setValue(x, y, z);
+    transform.setOrigin(this.tempVector);
+    this.nativeGhost.setWorldTransform(transform);
+    return this;
+  }
+  setQuaternion(x: number, y: number, z: number, w: number): Trigger {
+    let transform = this.nativeGhost.getWorldTransform();
+    this.tempQuaternion.setValue(x, y, z, w);
+    transform.setRotation(this.tempQuaternion);
+    this.nativeGhost.setWorldTransform(transform);
+    return this;
+  }
+  getCollisionGroup(): number {
+    return this.collisionGroup;
+  }
+  /**Defaults to everything but static bodies and other triggers*/
+  getCollisionMask(): number {
+    return this.collisionMask;
+  }
+  setCollisionFilter(group: number, mask: number): Trigger {
+    this.collisionGroup = group;
+    this.collisionMask = mask;
+    setProxyFilter(this.nativeGhost, group, mask);
+    return this;
+  }
+  /**Internal - called by PhysicsManager after a step*/
+  _setInside(body: Body, inside: boolean) {
+    if (inside === this.bodies.has(body)) return;
+    if (inside) {
+      this.bodies.add(body);
+    } else {
+      this.bodies.delete(body);
+    }
+    let event: TriggerEvent = { type: inside ? "enter" : "exit", trigger: this, body };
+    for (let cb of this.listeners) {
+      try {
+        cb(event);
+      } catch (ex) {
+        console.warn("Trigger listener threw", ex);
+      }
+    }
+  }
+  /**Frees the ghost object, it must have been removed from the PhysicsManager first
+   * @param includeShape also free the collision shape, only if nothing else uses it
+   */
+  destroy(includeShape: boolean = false) {
+    Ammo.destroy(this.nativeGhost);
+    if (includeShape) destroyShape(this.shape);
+    this.shape = undefined;
+    Ammo.destroy(this.tempTransform);
+    Ammo.destroy(this.tempVector);
+    Ammo.destroy(this.tempQuaternion);
+    this.nativeGhost = undefined;
+  }
+}
+
+export interface CreateTriggerOptions {
+  shape: Ammo.btCollisionShape;
+  x?: number;
+  y?: number;
+  z?: number;
+  quaternion?: Quaternion;
+}
+
+/**Limits what a query can hit, see CollisionGroup*/
+export interface QueryFilter {
+  /**Groups the query counts as, defaults to CollisionGroup.DEFAULT*/
+  group?: number;
+  /**Groups the query hits, defaults to everything but triggers*/
+  mask?: number;
+  /**Bodies to ignore, ex: whoever fired the ray*/
+  exclude?: Array<Body>;
+}
+
+export interface RaycastHit {
+  body: Body;
+  /**World space*/
+  point: Vector3;
+  /**World space surface normal at point*/
+  normal: Vector3;
+  /**0 to 1, how far along from -> to the hit was*/
+  fraction: number;
+  distance: number;
 }
 
 export interface CreateBodyOptions {
   shape: Ammo.btCollisionShape;
+  /**0 for static bodies*/
   mass: number;
   x?: number;
   y?: number;
   z?: number;
+  /**Initial rotation, takes priority over rotation*/
+  quaternion?: Quaternion;
+  /**Initial rotation as euler angles (radians)*/
+  rotation?: Euler;
+  /**Synced with the body, when x, y, z and rotation are not given the body starts where it is*/
+  object3D?: Object3D;
+  kinematic?: boolean;
+  friction?: number;
+  restitution?: number;
+  rollingFriction?: number;
+  linearDamping?: number;
+  angularDamping?: number;
 }
 
 //Just a hack to get ts to ignore ammo's weird loading behaviour.
 interface AmmoPromise {
-  (): Promise<any>;
+  (options?: any): Promise<any>;
 }
 
 export class PhysicsManager {
@@ -97,47 +684,112 @@ export class PhysicsManager {
     return PhysicsManager.SINGLETON;
   }
   private bodies: Set<Body>;
+  private triggers: Set<Trigger>;
+  private characters: Set<CharacterController>;
+  /**Bodies and triggers by the user index of their native object*/
+  private objects: Map<number, Body | Trigger>;
+  private nextObjectIndex: number = 1;
+  /**Touching pairs from the last step, by "indexA:indexB"*/
+  private contacts: Map<string, ContactPair>;
   ammoIsReady: boolean = false;
   ammoColConfig: Ammo.btDefaultCollisionConfiguration;
   ammoDispatcher: Ammo.btCollisionDispatcher;
   ammoPairCache: Ammo.btDbvtBroadphase;
   ammoSolver: Ammo.btSequentialImpulseConstraintSolver;
   ammoWorld: Ammo.btDiscreteDynamicsWorld;
+  private ammoGhostPairCallback: Ammo.btGhostPairCallback;
   ammoTempBodyTransform: Ammo.btTransform;
+  ammoTempFrom: Ammo.btVector3;
+  ammoTempTo: Ammo.btVector3;
+  /**Reused to test shapes against the world, see overlap*/
+  ammoQueryObject: Ammo.btPairCachingGhostObject;
   constructor() {
     if (PhysicsManager.SINGLETON) throw "Cannot instance physics manager twice!";
+    PhysicsManager.SINGLETON = this;
     this.bodies = new Set();
+    this.characters = new Set();
+    this.triggers = new Set();
+    this.objects = new Map();
+    this.contacts = new Map();
   }
-  init(): Promise<boolean> {
+  /**@param ammoOptions passed to Ammo's emscripten module, ex: { wasmBinary } when there is no fetch*/
+  init(ammoOptions: any = undefined): Promise<boolean> {
     return new Promise(async (resolve, reject) => {
       //Hack to get ts to ignore that Ammo is a namespace in ammo.d.ts, but returns a promise in reality
       let tAmmo: AmmoPromise = Ammo as any;
-      await tAmmo();
+      await tAmmo(ammoOptions);
 
       this.ammoColConfig = new Ammo.btDefaultCollisionConfiguration();
-      this.ammoDispatcher = new Ammo.btCollisionDispatcher(this.ammoColConfig);
-      this.ammoPairCache = new Ammo.btDbvtBroadphase();
-      this.ammoSolver = new Ammo.btSequentialImpulseConstraintSolver();
-      this.ammoWorld = new Ammo.btDiscreteDynamicsWorld(
-        this.ammoDispatcher,
-        this.ammoPairCache,
-        this.ammoSolver,
-        this.ammoColConfig
-      );
+      this.ammoGhostPairCallback = new Ammo.btGhostPairCallback();
+      this.makeWorld();
 
       //Container for grabbing data from ammo and rendering it, recycling
       this.ammoTempBodyTransform = new Ammo.btTransform();
+      this.ammoTempFrom = new Ammo.btVector3(0, 0, 0);
+      this.ammoTempTo = new Ammo.btVector3(0, 0, 0);
+      this.ammoQueryObject = new Ammo.btPairCachingGhostObject();
 
       this.ammoIsReady = true;
       resolve(this.ammoIsReady);
     });
   }
+  private makeWorld() {
+    this.ammoDispatcher = new Ammo.btCollisionDispatcher(this.ammoColConfig);
+    this.ammoPairCache = new Ammo.btDbvtBroadphase();
+    this.ammoSolver = new Ammo.btSequentialImpulseConstraintSolver();
+    this.ammoWorld = new Ammo.btDiscreteDynamicsWorld(
+      this.ammoDispatcher,
+      this.ammoPairCache,
+      this.ammoSolver,
+      this.ammoColConfig
+    );
+
+    //Lets ghost objects (triggers, characters) track what overlaps them
+    this.ammoWorld.getPairCache().setInternalGhostPairCallback(this.ammoGhostPairCallback);
+  }
+  /**Replaces the native world with a fresh one, keeping gravity and the debug drawer
+   * Bullet keeps caches in the broadphase and solver that change how the same bodies simulate,
+   * so a simulation started again (ex: replays) only runs the same way in a fresh world
+   * Throws if bodies, triggers or characters are still in the world
+   */
+  resetWorld(): PhysicsManager {
+    if (this.bodies.size > 0 || this.triggers.size > 0 || this.characters.size > 0) {
+      throw `Cannot reset the physics world, it still has ${this.bodies.size} bodies, ${this.triggers.size} triggers and ${this.characters.size} characters`;
+    }
+    let g = this.ammoWorld.getGravity();
+    let gravity = new Vector3(g.x(), g.y(), g.z());
+    let drawer = this.ammoWorld.getDebugDrawer();
+
+    Ammo.destroy(this.ammoWorld);
+    Ammo.destroy(this.ammoSolver);
+    Ammo.destroy(this.ammoPairCache);
+    Ammo.destroy(this.ammoDispatcher);
+    this.makeWorld();
+
+    this.setGravity(gravity.x, gravity.y, gravity.z);
+    if (Ammo.getPointer(drawer) !== 0) this.ammoWorld.setDebugDrawer(drawer);
+    this.objects.clear();
+    this.nextObjectIndex = 1;
+    this.contacts.clear();
+    return this;
+  }
   makeBody(options: CreateBodyOptions): Body {
-    let transform = new Ammo.btTransform();
-    transform.setIdentity();
-    transform.setOrigin(new Ammo.btVector3(
-      options.x||0, options.y||0, options.z||0
-    ));
+    let position = new Vector3(options.x||0, options.y||0, options.z||0);
+    let quaternion = new Quaternion();
+    let hasPosition = options.x !== undefined || options.y !== undefined || options.z !== undefined;
+    if (options.object3D && !hasPosition) position.copy(options.object3D.position);
+
+    if (options.quaternion) {
+      quaternion.copy(options.quaternion);
+    } else if (options.rotation) {
+      quaternion.setFromEuler(options.rotation);
+    } else if (options.object3D) {
+      quaternion.copy(options.object3D.quaternion);
+    }
+
+    let origin = new Ammo.btVector3(position.x, position.y, position.z);
+    let rotation = new Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    let transform = new Ammo.btTransform(rotation, origin);
     let inertia = new Ammo.btVector3(0, 0, 0);
 
     //If dynamic
@@ -152,34 +804,418 @@ export class PhysicsManager {
     );
     let nativeBody = new Ammo.btRigidBody(rbInfo);
 
-    let result = new Body().setNativeBody(nativeBody);
+    //Motion state and body keep copies of these
+    Ammo.destroy(rbInfo);
+    Ammo.destroy(inertia);
+    Ammo.destroy(transform);
+    Ammo.destroy(rotation);
+    Ammo.destroy(origin);
+
+    let result = new Body().setNativeBody(nativeBody, options.shape);
+    result.setMass(options.mass);
+    if (options.object3D) {
+      result.setNativeObject3D(options.object3D);
+      options.object3D.position.copy(position);
+      options.object3D.quaternion.copy(quaternion);
+    }
+    if (options.kinematic) result.setKinematic(true);
+    if (options.friction !== undefined) result.setFriction(options.friction);
+    if (options.restitution !== undefined) result.setRestitution(options.restitution);
+    if (options.rollingFriction !== undefined) result.setRollingFriction(options.rollingFriction);
+    if (options.linearDamping !== undefined || options.angularDamping !== undefined) {
+      result.setDamping(options.linearDamping || 0, options.angularDamping || 0);
+    }
     return result;
   }
   setGravity(x: number, y: number, z: number) {
-    this.ammoWorld.setGravity(new Ammo.btVector3(0, -10, 0));
+    let gravity = new Ammo.btVector3(x, y, z);
+    this.ammoWorld.setGravity(gravity);
+    Ammo.destroy(gravity);
   }
   step(delta: number) {
-    this.ammoWorld.stepSimulation(delta, 10);
+    //Kinematic bodies follow their Object3D
+    for (let body of this.bodies) {
+      if (body.isKinematic() && body.canUpdateFromNative()) body.updateToNative();
+    }
+    for (let character of this.characters) character._preStep(delta);
+
+    //One bullet step per call, TimeManager keeps delta fixed
+    this.ammoWorld.stepSimulation(delta, 1, delta);
 
     for (let body of this.bodies) {
-      if (body.canUpdateFromNative()) body.updateFromNative(this.ammoTempBodyTransform);
+      if (body.canUpdateFromNative() && !body.isKinematic() && !body.isStatic()) {
+        body.updateFromNative(this.ammoTempBodyTransform);
+      }
+    }
+    for (let character of this.characters) character._postStep(delta);
+    this.updateContacts();
+    API.get().getEvents().emit("physics:step", { delta });
+  }
+  /**Smooths bodies and characters between steps, call before rendering
+   * @param alpha see TimeManager.getAlpha
+   */
+  interpolate(alpha: number) {
+    for (let body of this.bodies) {
+      if (body.canUpdateFromNative() && !body.isKinematic() && !body.isStatic()) body.interpolate(alpha);
+    }
+    for (let character of this.characters) character.interpolate(alpha);
+  }
+  hasCharacter(character: CharacterController): boolean {
+    return this.characters.has(character);
+  }
+  /**Adds the character's body and steps the character with the world*/
+  addCharacter(character: CharacterController): PhysicsManager {
+    if (this.hasCharacter(character)) throw "Cannot add character twice!";
+    this.addBody(character.body);
+    //Characters apply their own gravity
+    character.body.setGravity(0, 0, 0);
+    this.characters.add(character);
+    return this;
+  }
+  removeCharacter(character: CharacterController): PhysicsManager {
+    if (!this.hasCharacter(character)) throw "Cannot remove character if it was not added / already removed";
+    this.characters.delete(character);
+    this.removeBody(character.body);
+    return this;
+  }
+  /**Finds touching pairs from the dispatcher's manifolds and fires
+   * contact begin/end and trigger enter/exit for pairs that changed
+   */
+  private updateContacts() {
+    let touching = new Map<string, ContactPair>();
+    let dispatcher = this.ammoWorld.getDispatcher();
+    let manifoldCount = dispatcher.getNumManifolds();
+
+    for (let i = 0; i < manifoldCount; i++) {
+      let manifold = dispatcher.getManifoldByIndexInternal(i);
+      let a = this.getObject(manifold.getBody0());
+      let b = this.getObject(manifold.getBody1());
+      if (!a || !b) continue;
+      if (a instanceof Trigger && b instanceof Trigger) continue;
+      //Only track what somebody is listening to
+      if (a instanceof Body && b instanceof Body && !a.hasContactListeners() && !b.hasContactListeners()) continue;
+
+      let point: Ammo.btManifoldPoint;
+      let contactCount = manifold.getNumContacts();
+      for (let j = 0; j < contactCount; j++) {
+        let candidate = manifold.getContactPoint(j);
+        if (candidate.getDistance() > CONTACT_DISTANCE) continue;
+        if (!point || candidate.getDistance() < point.getDistance()) point = candidate;
+      }
+      if (!point) continue;
+
+      let key = pairKey(a, b);
+      if (touching.has(key)) continue;
+      let pair: ContactPair = { a, b };
+      touching.set(key, pair);
+
+      if (!this.contacts.has(key) && a instanceof Body && b instanceof Body) {
+        let p = point.getPositionWorldOnB();
+        let n = point.get_m_normalWorldOnB();
+        //Copied out now, the manifold point is only valid until the next step
+        pair.point = new Vector3(p.x(), p.y(), p.z());
+        pair.normal = new Vector3(n.x(), n.y(), n.z());
+        pair.impulse = point.getAppliedImpulse();
+      }
+    }
+
+    let previous = this.contacts;
+    this.contacts = touching;
+    for (let [key, pair] of touching) {
+      if (!previous.has(key)) this.notifyPair(pair, true);
+    }
+    for (let [key, pair] of previous) {
+      if (!touching.has(key)) this.notifyPair(pair, false);
+    }
+  }
+  private notifyPair(pair: ContactPair, begin: boolean) {
+    let { a, b } = pair;
+    if (a instanceof Trigger) {
+      if (b instanceof Body) a._setInside(b, begin);
+      return;
+    }
+    if (b instanceof Trigger) {
+      b._setInside(a, begin);
+      return;
     }
+    let type: "begin" | "end" = begin ? "begin" : "end";
+    if (a.hasContactListeners()) a._notifyContact({
+      type, body: a, other: b,
+      point: pair.point, normal: pair.normal, impulse: pair.impulse
+    });
+    if (b.hasContactListeners()) b._notifyContact({
+      type, body: b, other: a,
+      point: pair.point, normal: pair.normal && pair.normal.clone().negate(), impulse: pair.impulse
+    });
+  }
+  /**Ends contacts of a body or trigger that is leaving the world*/
+  private dropContacts(obj: Body | Trigger) {
+    for (let [key, pair] of this.contacts) {
+      if (pair.a !== obj && pair.b !== obj) continue;
+      this.contacts.delete(key);
+      this.notifyPair(pair, false);
+    }
+  }
+  /**The Body or Trigger a native collision object belongs to, if it was added through PhysicsManager*/
+  getObject(native: Ammo.btCollisionObject): Body | Trigger {
+    return this.objects.get(native.getUserIndex());
+  }
+  private register(obj: Body | Trigger, native: Ammo.btCollisionObject) {
+    let index = this.nextObjectIndex++;
+    native.setUserIndex(index);
+    this.objects.set(index, obj);
+  }
+  private unregister(native: Ammo.btCollisionObject) {
+    this.objects.delete(native.getUserIndex());
+    native.setUserIndex(-1);
   }
   hasBody(body: Body): boolean {
     return this.bodies.has(body);
   }
+  getBodies(): Array<Body> {
+    return Array.from(this.bodies);
+  }
+  getBodyCount(): number {
+    return this.bodies.size;
+  }
   addBody(body: Body): PhysicsManager {
     if (this.hasBody(body)) throw "Cannot add body twice!";
     this.bodies.add(body);
-    this.ammoWorld.addRigidBody(body.getNativeBody());
+    this.register(body, body.getNativeBody());
+    this.ammoWorld.addRigidBody(body.getNativeBody(), body.getCollisionGroup(), body.getCollisionMask());
     return this;
   }
+  /**Internal - see Body.readd, keeps the body's contacts and registration*/
+  _readdBody(body: Body) {
+    let native = body.getNativeBody();
+    this.ammoWorld.removeRigidBody(native);
+    this.ammoWorld.addRigidBody(native, body.getCollisionGroup(), body.getCollisionMask());
+  }
   removeBody (body: Body): PhysicsManager {
     if (!this.hasBody(body)) throw "Cannot remove body if it was not added / already removed";
+    this.bodies.delete(body);
+    this.dropContacts(body);
     if (body.hasNativeBody()) {
-      console.warn("No native rigidbody for Body");
+      this.unregister(body.getNativeBody());
       this.ammoWorld.removeRigidBody(body.getNativeBody());
+    } else {
+      console.warn("No native rigidbody for Body");
     }
     return this;
   }
+  makeTrigger(options: CreateTriggerOptions): Trigger {
+    let result = new Trigger(options.shape);
+    result.setPosition(options.x||0, options.y||0, options.z||0);
+    let q = options.quaternion;
+    if (q) result.setQuaternion(q.x, q.y, q.z, q.w);
+    return result;
+  }
+  hasTrigger(trigger: Trigger): boolean {
+    return this.triggers.has(trigger);
+  }
+  addTrigger(trigger: Trigger): PhysicsManager {
+    if (this.hasTrigger(trigger)) throw "Cannot add trigger twice!";
+    this.triggers.add(trigger);
+    this.register(trigger, trigger.getNativeGhost());
+    this.ammoWorld.addCollisionObject(
+      trigger.getNativeGhost(),
+      trigger.getCollisionGroup(),
+      trigger.getCollisionMask()
+    );
+    return this;
+  }
+  /**Bodies still inside get an exit event*/
+  removeTrigger(trigger: Trigger): PhysicsManager {
+    if (!this.hasTrigger(trigger)) throw "Cannot remove trigger if it was not added / already removed";
+    this.triggers.delete(trigger);
+    this.dropContacts(trigger);
+    this.unregister(trigger.getNativeGhost());
+    this.ammoWorld.removeCollisionObject(trigger.getNativeGhost());
+    return this;
+  }
+  /**Stops excluded bodies from being hit by setting their broadphase group to 0,
+   * callback filtering isn't exposed by Ammo
+   */
+  private withExcluded<T>(filter: QueryFilter, query: () => T): T {
+    if (!filter || !filter.exclude || filter.exclude.length < 1) return query();
+    let excluded = filter.exclude.filter((body) => this.hasBody(body));
+    for (let body of excluded) {
+      body.getNativeBody().getBroadphaseHandle().set_m_collisionFilterGroup(0);
+    }
+    try {
+      return query();
+    } finally {
+      for (let body of excluded) {
+        body.getNativeBody().getBroadphaseHandle().set_m_collisionFilterGroup(body.getCollisionGroup());
+      }
+    }
+  }
+  private applyFilter(callback: Ammo.RayResultCallback | Ammo.ConvexResultCallback, filter: QueryFilter) {
+    callback.set_m_collisionFilterGroup(queryGroup(filter));
+    callback.set_m_collisionFilterMask(queryMask(filter));
+  }
+  /**Closest body hit by a ray, or undefined*/
+  raycast(from: Vector3, to: Vector3, filter: QueryFilter = {}): RaycastHit {
+    this.ammoTempFrom.setValue(from.x, from.y, from.z);
+    this.ammoTempTo.setValue(to.x, to.y, to.z);
+    let callback = new Ammo.ClosestRayResultCallback(this.ammoTempFrom, this.ammoTempTo);
+    this.applyFilter(callback, filter);
+    try {
+      this.withExcluded(filter, () => this.ammoWorld.rayTest(this.ammoTempFrom, this.ammoTempTo, callback));
+      if (!callback.hasHit()) return undefined;
+      let body = this.getObject(callback.get_m_collisionObject());
+      if (!(body instanceof Body)) return undefined;
+      let fraction = callback.get_m_closestHitFraction();
+      return {
+        body,
+        point: toVector3(callback.get_m_hitPointWorld()),
+        normal: toVector3(callback.get_m_hitNormalWorld()),
+        fraction,
+        distance: from.distanceTo(to) * fraction
+      };
+    } finally {
+      Ammo.destroy(callback);
+    }
+  }
+  /**Every body hit by a ray, nearest first*/
+  rayTestAll(from: Vector3, to: Vector3, filter: QueryFilter = {}): Array<RaycastHit> {
+    this.ammoTempFrom.setValue(from.x, from.y, from.z);
+    this.ammoTempTo.setValue(to.x, to.y, to.z);
+    let callback = new Ammo.AllHitsRayResultCallback(this.ammoTempFrom, this.ammoTempTo);
+    this.applyFilter(callback, filter);
+    let result = new Array<RaycastHit>();
+    try {
+      this.withExcluded(filter, () => this.ammoWorld.rayTest(this.ammoTempFrom, this.ammoTempTo, callback));
+      if (!callback.hasHit()) return result;
+      let objects = callback.get_m_collisionObjects();
+      let points = callback.get_m_hitPointWorld();
+      let normals = callback.get_m_hitNormalWorld();
+      let fractions = callback.get_m_hitFractions();
+      let length = from.distanceTo(to);
+      for (let i = 0; i < objects.size(); i++) {
+        let body = this.getObject(objects.at(i));
+        if (!(body instanceof Body)) continue;
+        result.push({
+          body,
+          point: toVector3(points.at(i)),
+          normal: toVector3(normals.at(i)),
+          fraction: fractions.at(i),
+          distance: length * fractions.at(i)
+        });
+      }
+    } finally {
+      Ammo.destroy(callback);
+    }
+    return result.sort((a, b) => a.fraction - b.fraction);
+  }
+  /**Moves a convex shape from -> to and returns the first body it hits, or undefined
+   * ex: a sphere sweep for thick bullets, or a capsule for "can I stand here"
+   * @param quaternion rotation of the shape during the sweep
+   */
+  sweep(shape: Ammo.btConvexShape, from: Vector3, to: Vector3, filter: QueryFilter = {}, quaternion?: Quaternion): RaycastHit {
+    let rotation = quaternion ?
+      new Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w) :
+      new Ammo.btQuaternion(0, 0, 0, 1);
+    this.ammoTempFrom.setValue(from.x, from.y, from.z);
+    this.ammoTempTo.setValue(to.x, to.y, to.z);
+    let fromTransform = new Ammo.btTransform(rotation, this.ammoTempFrom);
+    let toTransform = new Ammo.btTransform(rotation, this.ammoTempTo);
+    let callback = new Ammo.ClosestConvexResultCallback(this.ammoTempFrom, this.ammoTempTo);
+    this.applyFilter(callback, filter);
+    try {
+      this.withExcluded(filter, () => this.ammoWorld.convexSweepTest(shape, fromTransform, toTransform, callback, 0));
+      if (!callback.hasHit()) return undefined;
+      let point = toVector3(callback.get_m_hitPointWorld());
+      let normal = toVector3(callback.get_m_hitNormalWorld());
+      let fraction = callback.get_m_closestHitFraction();
+
+      //The hit object isn't exposed, find it with a short ray into the surface
+      let probe = normal.clone().multiplyScalar(0.05);
+      let hit = this.raycast(point.clone().add(probe), point.clone().sub(probe), filter);
+      if (!hit) return undefined;
+      return {
+        body: hit.body,
+        point,
+        normal,
+        fraction,
+        distance: from.distanceTo(to) * fraction
+      };
+    } finally {
+      Ammo.destroy(callback);
+      Ammo.destroy(fromTransform);
+      Ammo.destroy(toTransform);
+      Ammo.destroy(rotation);
+    }
+  }
+  /**Bodies touching a shape placed at position, ex: explosion radius*/
+  overlap(shape: Ammo.btCollisionShape, position: Vector3, quaternion?: Quaternion, filter: QueryFilter = {}): Array<Body> {
+    let q = quaternion || new Quaternion();
+    let transform = this.ammoTempBodyTransform;
+    this.ammoTempFrom.setValue(position.x, position.y, position.z);
+    let rotation = new Ammo.btQuaternion(q.x, q.y, q.z, q.w);
+    transform.setIdentity();
+    transform.setOrigin(this.ammoTempFrom);
+    transform.setRotation(rotation);
+    Ammo.destroy(rotation);
+
+    this.ammoQueryObject.setCollisionShape(shape);
+    this.ammoQueryObject.setWorldTransform(transform);
+    return this.contactTest(this.ammoQueryObject, filter);
+  }
+  /**Bodies touching a body, it doesn't need to be in the world*/
+  overlapBody(body: Body, filter: QueryFilter = {}): Array<Body> {
+    let exclude = (filter.exclude || []).concat(body);
+    return this.contactTest(body.getNativeBody(), { ...filter, exclude });
+  }
+  private contactTest(native: Ammo.btCollisionObject, filter: QueryFilter): Array<Body> {
+    let group = queryGroup(filter);
+    let mask = queryMask(filter);
+    let found = new Set<Body>();
+    let callback = new Ammo.ConcreteContactResultCallback();
+    callback.addSingleResult = (pointPtr, wrap0Ptr, part0, index0, wrap1Ptr, part1, index1) => {
+      let point = Ammo.wrapPointer(pointPtr, Ammo.btManifoldPoint);
+      if (point.getDistance() > CONTACT_DISTANCE) return 0;
+      for (let wrapPtr of [wrap0Ptr, wrap1Ptr]) {
+        let obj = Ammo.wrapPointer(wrapPtr, Ammo.btCollisionObjectWrapper).getCollisionObject();
+        let body = this.getObject(obj);
+        if (!(body instanceof Body) || body.getNativeBody() === native) continue;
+        if (filter.exclude && filter.exclude.includes(body)) continue;
+        if ((body.getCollisionGroup() & mask) === 0 || (group & body.getCollisionMask()) === 0) continue;
+        found.add(body);
+      }
+      return 0;
+    };
+    try {
+      this.ammoWorld.contactTest(native, callback);
+    } finally {
+      Ammo.destroy(callback);
+    }
+    return Array.from(found);
+  }
+}
+
+interface ContactPair {
+  a: Body | Trigger;
+  b: Body | Trigger;
+  point?: Vector3;
+  normal?: Vector3;
+  impulse?: number;
+}
+
+function pairKey(a: Body | Trigger, b: Body | Trigger): string {
+  let indexA = (a instanceof Body ? a.getNativeBody() : a.getNativeGhost()).getUserIndex();
+  let indexB = (b instanceof Body ? b.getNativeBody() : b.getNativeGhost()).getUserIndex();
+  return indexA < indexB ? `${indexA}:${indexB}` : `${indexB}:${indexA}`;
+}
+
+function queryGroup(filter: QueryFilter): number {
+  return filter.group !== undefined ? filter.group : CollisionGroup.DEFAULT;
+}
+
+function queryMask(filter: QueryFilter): number {
+  return filter.mask !== undefined ? filter.mask : CollisionGroup.ALL ^ CollisionGroup.SENSOR;
+}
+
+function toVector3(v: Ammo.btVector3): Vector3 {
+  return new Vector3(v.x(), v.y(), v.z());
 }
@@ -0,0 +1,278 @@
+
+import { Matrix4, Mesh, Object3D, Quaternion, Vector3 } from "three";
+import { convexHullPoints, getMeshPoints, getMeshTriangles, pointsBounds } from "../utils/math";
+import { setShapeTriangleMesh } from "./physics";
+
+/**How a mesh becomes collision
+ * hull: convex hull of its vertices (dynamic friendly)
+ * mesh: exact triangles, btBvhTriangleMeshShape (static bodies only)
+ * box, sphere, capsule: fitted to the vertex bounds
+ * none: no collision
+ */
+export type ColliderType = "hull" | "mesh" | "box" | "sphere" | "capsule" | "none";
+
+const COLLIDER_TYPES: Array<ColliderType> = ["hull", "mesh", "box", "sphere", "capsule", "none"];
+
+/**Unreal style prefixes, meshes named like this are collision only (hidden)*/
+const COLLIDER_PREFIXES: { [prefix: string]: ColliderType } = {
+  "UCX_": "hull",
+  "UBX_": "box",
+  "USP_": "sphere",
+  "UCP_": "capsule"
+};
+
+/**Name suffixes, ex: "rock-hull", "terrain_mesh", "crate-box", "grass-nocol"*/
+const COLLIDER_SUFFIX_REGEX = /[-_.](hull|mesh|box|sphere|capsule|nocol)$/i;
+
+export interface ShapeOptions {
+  /**Used for meshes that don't select their own type, defaults to mesh if isStatic, hull otherwise*/
+  type?: ColliderType;
+  /**Allows mesh (triangle) shapes, which bullet only supports on static bodies*/
+  isStatic?: boolean;
+}
+
+/**Whether an object is only there to describe collision
+ * From glTF extras (colliderOnly: true) or an Unreal style name prefix
+ */
+export function isColliderOnly(obj: Object3D): boolean {
+  if (obj.userData && obj.userData.colliderOnly === true) return true;
+  for (let prefix of Object.keys(COLLIDER_PREFIXES)) {
+    if (obj.name.startsWith(prefix)) return true;
+  }
+  return false;
+}
+
+/**Hides collider only meshes (see isColliderOnly) under root*/
+export function hideColliderMeshes(root: Object3D) {
+  root.traverse((child) => {
+    if ((child as Mesh).isMesh && isColliderOnly(child)) child.visible = false;
+  });
+}
+
+/**The collider type an object asks for, or undefined if it doesn't
+ * glTF extras ({ "collider": "hull" }, three puts them in userData) win over naming
+ */
+export function getColliderType(obj: Object3D): ColliderType | undefined {
+  if (obj.userData && typeof obj.userData.collider === "string") {
+    let type = obj.userData.collider.toLowerCase() as ColliderType;
+    if (COLLIDER_TYPES.includes(type)) return type;
+    console.warn(`${obj.name} has unknown collider type ${obj.userData.collider}`);
+  }
+  for (let prefix of Object.keys(COLLIDER_PREFIXES)) {
+    if (obj.name.startsWith(prefix)) return COLLIDER_PREFIXES[prefix];
+  }
+  let match = COLLIDER_SUFFIX_REGEX.exec(obj.name);
+  if (match) {
+    let suffix = match[1].toLowerCase();
+    return suffix === "nocol" ? "none" : suffix as ColliderType;
+  }
+  return undefined;
+}
+
+/**Type for an object, inheriting from parents up to root*/
+function resolveColliderType(obj: Object3D, root: Object3D, fallback: ColliderType): ColliderType {
+  let current = obj;
+  while (current) {
+    let type = getColliderType(current);
+    if (type) return type;
+    if (current === root) break;
+    current = current.parent;
+  }
+  return fallback;
+}
+
+function toAmmoVector(v: Vector3): Ammo.btVector3 {
+  return new Ammo.btVector3(v.x, v.y, v.z);
+}
+
+export function makeHullShape(points: Array<Vector3>): Ammo.btConvexHullShape {
+  let shape = new Ammo.btConvexHullShape();
+  let hull = convexHullPoints(points);
+  let temp = new Ammo.btVector3(0, 0, 0);
+  for (let i = 0; i < hull.length; i++) {
+    temp.setValue(hull[i].x, hull[i].y, hull[i].z);
+    //Only recalculate the aabb on the last point
+    shape.addPoint(temp, i === hull.length - 1);
+  }
+  Ammo.destroy(temp);
+  return shape;
+}
+
+/**Static bodies only, see btBvhTriangleMeshShape
+ * The triangles are freed along with the shape by destroyShape
+ * @param triangles flat array, 3 points per triangle
+ */
+export function makeTriangleMeshShape(triangles: Array<Vector3>): Ammo.btBvhTriangleMeshShape {
+  let mesh = new Ammo.btTriangleMesh(true, true);
+  let a = new Ammo.btVector3(0, 0, 0);
+  let b = new Ammo.btVector3(0, 0, 0);
+  let c = new Ammo.btVector3(0, 0, 0);
+  for (let i = 0; i < triangles.length; i += 3) {
+    a.setValue(triangles[i].x, triangles[i].y, triangles[i].z);
+    b.setValue(triangles[i + 1].x, triangles[i + 1].y, triangles[i + 1].z);
+    c.setValue(triangles[i + 2].x, triangles[i + 2].y, triangles[i + 2].z);
+    mesh.addTriangle(a, b, c, false);
+  }
+  Ammo.destroy(a);
+  Ammo.destroy(b);
+  Ammo.destroy(c);
+  let shape = new Ammo.btBvhTriangleMeshShape(mesh, true, true);
+  setShapeTriangleMesh(shape, mesh);
+  return shape;
+}
+
+/**A primitive shape centered on the bounds of points
+ * Returns the shape and where its center is relative to the points' space
+ */
+export function fitPrimitiveShape(type: "box" | "sphere" | "capsule", points: Array<Vector3>): { shape: Ammo.btCollisionShape, center: Vector3 } {
+  let bounds = pointsBounds(points);
+  let center = bounds.getCenter(new Vector3());
+  let size = bounds.getSize(new Vector3());
+  let shape: Ammo.btCollisionShape;
+  switch (type) {
+    case "box":
+      let halfExtents = toAmmoVector(size.clone().multiplyScalar(0.5));
+      shape = new Ammo.btBoxShape(halfExtents);
+      Ammo.destroy(halfExtents);
+      break;
+    case "sphere":
+      shape = new Ammo.btSphereShape(Math.max(size.x, size.y, size.z) / 2);
+      break;
+    case "capsule":
+      //Capsules stand along Y, radius from the wider horizontal axis
+      let radius = Math.max(size.x, size.z) / 2;
+      shape = new Ammo.btCapsuleShape(radius, Math.max(size.y - radius * 2, 0));
+      break;
+  }
+  return { shape, center };
+}
+
+interface ChildShape {
+  shape: Ammo.btCollisionShape;
+  position: Vector3;
+  quaternion: Quaternion;
+}
+
+/**Position and rotation of root in world space, without scale*/
+function rigidMatrix(obj: Object3D): Matrix4 {
+  let position = new Vector3();
+  let quaternion = new Quaternion();
+  let scale = new Vector3();
+  obj.matrixWorld.decompose(position, quaternion, scale);
+  return new Matrix4().compose(position, quaternion, new Vector3(1, 1, 1));
+}
+
+/**Makes the shape of one mesh
+ * Shapes are built in the mesh's own (rotated) frame with scale baked into vertices,
+ * then placed relative to root with a child transform
+ */
+function makeChildShape(mesh: Mesh, type: ColliderType, rootInverse: Matrix4): ChildShape {
+  let relative = new Matrix4().multiplyMatrices(rootInverse, mesh.matrixWorld);
+  let position = new Vector3();
+  let quaternion = new Quaternion();
+  let scale = new Vector3();
+  relative.decompose(position, quaternion, scale);
+  let scaleOnly = new Matrix4().makeScale(scale.x, scale.y, scale.z);
+
+  switch (type) {
+    case "hull":
+      return { shape: makeHullShape(getMeshPoints(mesh, scaleOnly)), position, quaternion };
+    case "mesh":
+      return { shape: makeTriangleMeshShape(getMeshTriangles(mesh, scaleOnly)), position, quaternion };
+    case "box":
+    case "sphere":
+    case "capsule":
+      let fitted = fitPrimitiveShape(type, getMeshPoints(mesh, scaleOnly));
+      //Bounds center is in the mesh's rotated frame
+      position.add(fitted.center.applyQuaternion(quaternion));
+      return { shape: fitted.shape, position, quaternion };
+    default:
+      return undefined;
+  }
+}
+
+/**Makes a btCompoundShape with a child shape per mesh under root
+ * Each mesh picks its type through getColliderType (inherited from parents), else options.type
+ * If any mesh is collider only (see isColliderOnly), only those meshes are used
+ *
+ * Shapes are relative to root's world position and rotation, root's scale is baked in
+ * Returns undefined if there are no meshes that collide
+ */
+export function makeCompoundShape(root: Object3D, options: ShapeOptions = {}): Ammo.btCompoundShape {
+  let fallback: ColliderType = options.type || (options.isStatic ? "mesh" : "hull");
+  root.updateMatrixWorld(true);
+  let rootInverse = new Matrix4().getInverse(rigidMatrix(root));
+
+  let meshes = new Array<Mesh>();
+  root.traverse((child) => {
+    if ((child as Mesh).isMesh) meshes.push(child as Mesh);
+  });
+  let colliderOnly = meshes.filter((mesh) => isColliderOnly(mesh));
+  if (colliderOnly.length > 0) meshes = colliderOnly;
+
+  let compound = new Ammo.btCompoundShape(true);
+  let count = 0;
+  for (let mesh of meshes) {
+    let type = resolveColliderType(mesh, root, fallback);
+    if (type === "mesh" && !options.isStatic) {
+      console.warn(`${mesh.name} asks for a mesh collider on a dynamic body, using hull`);
+      type = "hull";
+    }
+    let child = makeChildShape(mesh, type, rootInverse);
+    if (!child) continue;
+    addChildShape(compound, child);
+    count++;
+  }
+
+  if (count < 1) {
+    Ammo.destroy(compound);
+    return undefined;
+  }
+  return compound;
+}
+
+function addChildShape(compound: Ammo.btCompoundShape, child: ChildShape) {
+  let transform = new Ammo.btTransform();
+  let origin = toAmmoVector(child.position);
+  let rotation = new Ammo.btQuaternion(child.quaternion.x, child.quaternion.y, child.quaternion.z, child.quaternion.w);
+  transform.setIdentity();
+  transform.setOrigin(origin);
+  transform.setRotation(rotation);
+  compound.addChildShape(transform, child.shape);
+  Ammo.destroy(origin);
+  Ammo.destroy(rotation);
+  Ammo.destroy(transform);
+}
+
+/**Makes a collision shape for an object, ex: a ModelResource scene
+ * A single mesh sitting at the root's origin gets its shape directly,
+ * anything else becomes a compound shape, see makeCompoundShape
+ *
+ * Shapes are relative to root's world position and rotation, root's scale is baked in
+ * Returns undefined if nothing collides
+ */
+export function makeShapeFromObject(root: Object3D, options: ShapeOptions = {}): Ammo.btCollisionShape {
+  let fallback: ColliderType = options.type || (options.isStatic ? "mesh" : "hull");
+  root.updateMatrixWorld(true);
+
+  let meshes = new Array<Mesh>();
+  root.traverse((child) => {
+    if ((child as Mesh).isMesh) meshes.push(child as Mesh);
+  });
+
+  if (meshes.length === 1 && !isColliderOnly(meshes[0])) {
+    let mesh = meshes[0];
+    let rootInverse = new Matrix4().getInverse(rigidMatrix(root));
+    let type = resolveColliderType(mesh, root, fallback);
+    if (type === "mesh" && !options.isStatic) type = "hull";
+    let child = makeChildShape(mesh, type, rootInverse);
+    if (!child) return undefined;
+    let atOrigin = child.position.lengthSq() < 1e-10 &&
+      Math.abs(child.quaternion.w) > 1 - 1e-10;
+    if (atOrigin) return child.shape;
+    let compound = new Ammo.btCompoundShape(true);
+    addChildShape(compound, child);
+    return compound;
+  }
+  return makeCompoundShape(root, options);
+}
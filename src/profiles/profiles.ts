@@ -0,0 +1,324 @@
+
+import { InputBindingsJson } from "@repcomm/gameinput-ts";
+import { BindingRegistry, BindingsStore, makeLocalBindingsStore } from "../input/bindings";
+import { loadLocalJson, saveLocalJson } from "../utils/storage";
+
+const STORAGE_KEY = "openbf-profiles";
+
+/**Bumped whenever saved and exported profiles change shape*/
+export const PROFILE_FORMAT = 1;
+
+const MAX_NAME_LENGTH = 32;
+
+/**A player on this machine, saved locally*/
+export interface Profile {
+  id: string;
+  name: string;
+  /**Image url, usually a data url, empty for the default avatar*/
+  avatar: string;
+  /**Date.now() when created*/
+  created: number;
+  settings: { [key: string]: any };
+  /**Bindings changed from the defaults, see BindingRegistry*/
+  bindings: InputBindingsJson;
+  /**Key-value data by namespace, see ProfileStore*/
+  data: { [namespace: string]: { [key: string]: any } };
+}
+
+interface SavedProfiles {
+  format: number;
+  active: string;
+  profiles: Array<Profile>;
+}
+
+/**An exported profile file*/
+interface ExportedProfile {
+  format: number;
+  profile: Profile;
+}
+
+export interface ProfileCallback {
+  /**@param profile the active profile, after a switch or a change to it*/
+  (profile: Profile): void;
+}
+
+function makeId(): string {
+  return `${Date.now().toString(36)}${Math.floor(Math.random() * 0xffffff).toString(36)}`;
+}
+
+function checkName(name: string): string {
+  if (typeof name !== "string") throw "Profile name must be a string";
+  name = name.trim();
+  if (name.length < 1) throw "Profile name cannot be empty";
+  if (name.length > MAX_NAME_LENGTH) throw `Profile name cannot be longer than ${MAX_NAME_LENGTH} characters`;
+  return name;
+}
+
+function isObject(v: any): boolean {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+/**Fills in anything missing from a saved or imported profile*/
+function sanitizeProfile(p: any): Profile {
+  if (!isObject(p)) throw "Profile is not an object";
+  return {
+    id: typeof p.id === "string" && p.id ? p.id : makeId(),
+    name: checkName(p.name),
+    avatar: typeof p.avatar === "string" ? p.avatar : "",
+    created: typeof p.created === "number" ? p.created : Date.now(),
+    settings: isObject(p.settings) ? p.settings : {},
+    bindings: isObject(p.bindings) ? p.bindings : {},
+    data: isObject(p.data) ? p.data : {}
+  };
+}
+
+/**Key-value data of one namespace in the active profile, ex: a module's unlocks and statistics
+ * Always reads the active profile, so it follows profile switches
+ * Values have to survive JSON
+ */
+export class ProfileStore {
+  namespace: string;
+  private manager: ProfileManager;
+
+  constructor(manager: ProfileManager, namespace: string) {
+    this.manager = manager;
+    this.namespace = namespace;
+  }
+  private getData(create: boolean): { [key: string]: any } {
+    let data = this.manager.getActive().data;
+    if (!data[this.namespace] && create) data[this.namespace] = {};
+    return data[this.namespace];
+  }
+  get<T = any>(key: string, fallback: T = undefined): T {
+    let data = this.getData(false);
+    if (!data || !(key in data)) return fallback;
+    return data[key];
+  }
+  set(key: string, value: any): ProfileStore {
+    this.getData(true)[key] = value;
+    this.manager._changed();
+    return this;
+  }
+  has(key: string): boolean {
+    let data = this.getData(false);
+    return data !== undefined && key in data;
+  }
+  delete(key: string): ProfileStore {
+    let data = this.getData(false);
+    if (!data || !(key in data)) return this;
+    delete data[key];
+    this.manager._changed();
+    return this;
+  }
+  keys(): Array<string> {
+    return Object.keys(this.getData(false) || {});
+  }
+  /**Adds to a number and returns the total, ex: statistics*/
+  increment(key: string, amount: number = 1): number {
+    let total = this.get<number>(key, 0) + amount;
+    this.set(key, total);
+    return total;
+  }
+  /**Removes everything in this namespace from the active profile*/
+  clear(): ProfileStore {
+    delete this.manager.getActive().data[this.namespace];
+    this.manager._changed();
+    return this;
+  }
+}
+
+/**Local player profiles, each with its own name, avatar, settings, bindings and module data
+ *
+ * There is always an active profile, one named Player is made on first run
+ */
+export class ProfileManager {
+  static SINGLETON: ProfileManager = undefined;
+  static get(): ProfileManager {
+    if (!ProfileManager.SINGLETON) new ProfileManager();
+    return ProfileManager.SINGLETON;
+  }
+  private profiles: Map<string, Profile>;
+  private activeId: string;
+  private listeners: Set<ProfileCallback>;
+  private bindings: BindingRegistry;
+  private bindingsStore: BindingsStore;
+
+  constructor() {
+    if (ProfileManager.SINGLETON) throw "Cannot instance ProfileManager twice";
+    ProfileManager.SINGLETON = this;
+    this.profiles = new Map();
+    this.listeners = new Set();
+    this.bindingsStore = {
+      load: () => this.getActive().bindings,
+      save: (bindings) => {
+        this.getActive().bindings = bindings;
+        this._changed();
+      }
+    };
+    this.load();
+  }
+  private load() {
+    let saved: SavedProfiles = loadLocalJson(STORAGE_KEY);
+    if (saved && Array.isArray(saved.profiles)) {
+      for (let p of saved.profiles) {
+        try {
+          let profile = sanitizeProfile(p);
+          this.profiles.set(profile.id, profile);
+        } catch (ex) {
+          console.warn("Skipping a saved profile", ex);
+        }
+      }
+    }
+    if (this.profiles.size < 1) {
+      //First run, keep bindings saved before there were profiles
+      let profile = sanitizeProfile({ name: "Player" });
+      profile.bindings = makeLocalBindingsStore().load() || {};
+      this.profiles.set(profile.id, profile);
+    }
+    this.activeId = saved && this.profiles.has(saved.active) ? saved.active : this.profiles.keys().next().value;
+    this.save();
+  }
+  /**Writes every profile to local storage, done after every change*/
+  save(): ProfileManager {
+    let data: SavedProfiles = {
+      format: PROFILE_FORMAT,
+      active: this.activeId,
+      profiles: this.getProfiles()
+    };
+    saveLocalJson(STORAGE_KEY, data);
+    return this;
+  }
+  /**Internal - saves and notifies listeners after the active profile changed*/
+  _changed() {
+    this.save();
+    this.notify();
+  }
+  private notify() {
+    let active = this.getActive();
+    for (let cb of this.listeners) {
+      try {
+        cb(active);
+      } catch (ex) {
+        console.warn("Profile listener threw", ex);
+      }
+    }
+  }
+  listen(cb: ProfileCallback): ProfileManager {
+    this.listeners.add(cb);
+    return this;
+  }
+  deafen(cb: ProfileCallback): ProfileManager {
+    this.listeners.delete(cb);
+    return this;
+  }
+  /**Keeps the registry's changed bindings in the active profile, and swaps them on switch*/
+  setBindingRegistry(bindings: BindingRegistry): ProfileManager {
+    this.bindings = bindings;
+    if (bindings) bindings.setStore(this.bindingsStore);
+    return this;
+  }
+  getProfiles(): Array<Profile> {
+    return Array.from(this.profiles.values());
+  }
+  hasProfile(id: string): boolean {
+    return this.profiles.has(id);
+  }
+  getProfile(id: string): Profile {
+    let profile = this.profiles.get(id);
+    if (!profile) throw `No profile ${id}`;
+    return profile;
+  }
+  getActive(): Profile {
+    return this.profiles.get(this.activeId);
+  }
+  create(name: string): Profile {
+    let profile = sanitizeProfile({ name });
+    while (this.profiles.has(profile.id)) profile.id = makeId();
+    this.profiles.set(profile.id, profile);
+    this.save();
+    return profile;
+  }
+  rename(id: string, name: string): ProfileManager {
+    this.getProfile(id).name = checkName(name);
+    this.afterEdit(id);
+    return this;
+  }
+  /**@param avatar image url, usually a data url, empty for the default*/
+  setAvatar(id: string, avatar: string): ProfileManager {
+    this.getProfile(id).avatar = avatar || "";
+    this.afterEdit(id);
+    return this;
+  }
+  private afterEdit(id: string) {
+    if (id === this.activeId) {
+      this._changed();
+    } else {
+      this.save();
+    }
+  }
+  /**Deletes a profile, switching to another if it was active
+   * The last profile cannot be deleted
+   */
+  delete(id: string): ProfileManager {
+    this.getProfile(id);
+    if (this.profiles.size < 2) throw "Cannot delete the only profile";
+    this.profiles.delete(id);
+    if (id === this.activeId) {
+      this.switchTo(this.profiles.keys().next().value);
+    } else {
+      this.save();
+    }
+    return this;
+  }
+  switchTo(id: string): ProfileManager {
+    this.getProfile(id);
+    this.activeId = id;
+    this.save();
+    if (this.bindings) this.bindings.setStore(this.bindingsStore);
+    this.notify();
+    return this;
+  }
+  getSetting<T = any>(key: string, fallback: T = undefined): T {
+    let settings = this.getActive().settings;
+    return key in settings ? settings[key] : fallback;
+  }
+  setSetting(key: string, value: any): ProfileManager {
+    this.getActive().settings[key] = value;
+    this._changed();
+    return this;
+  }
+  /**Key-value data of the active profile under namespace, ex: a module name*/
+  getStore(namespace: string): ProfileStore {
+    return new ProfileStore(this, namespace);
+  }
+  /**A profile as JSON, see importProfile*/
+  exportProfile(id: string): string {
+    let data: ExportedProfile = {
+      format: PROFILE_FORMAT,
+      profile: this.getProfile(id)
+    };
+    return JSON.stringify(data, undefined, 2);
+  }
+  /**Adds a profile from exportProfile's JSON, as a new profile even if it came from this machine*/
+  importProfile(json: string): Profile {
+    let data: ExportedProfile = JSON.parse(json);
+    if (!isObject(data) || typeof data.format !== "number") throw "Not an exported profile";
+    if (data.format > PROFILE_FORMAT) throw `Profile format ${data.format} is newer than supported (${PROFILE_FORMAT})`;
+    let profile = sanitizeProfile({ ...data.profile, id: undefined });
+    while (this.profiles.has(profile.id)) profile.id = makeId();
+    this.profiles.set(profile.id, profile);
+    this.save();
+    return profile;
+  }
+  /**Saves a profile as a file through the browser*/
+  download(id: string): ProfileManager {
+    let profile = this.getProfile(id);
+    let url = URL.createObjectURL(new Blob([this.exportProfile(id)], { type: "application/json" }));
+    let a = document.createElement("a");
+    a.href = url;
+    a.download = `${profile.name.replace(/[^a-zA-Z0-9_-]+/g, "_")}.obfprofile.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return this;
+  }
+}
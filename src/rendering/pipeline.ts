@@ -0,0 +1,278 @@
+import { Camera, PerspectiveCamera, Scene, Vector2, Vector3, WebGLRenderer } from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer";
+import { Pass } from "three/examples/jsm/postprocessing/Pass";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass";
+import { SMAAPass } from "three/examples/jsm/postprocessing/SMAAPass";
+import { SSAOPass } from "three/examples/jsm/postprocessing/SSAOPass";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass";
+import { ColorCorrectionShader } from "three/examples/jsm/shaders/ColorCorrectionShader";
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader";
+import { VignetteShader } from "three/examples/jsm/shaders/VignetteShader";
+import { GraphicsQuality, QUALITY_PRESETS, DEFAULT_QUALITY_PRESET } from "./quality";
+
+/**Names of the built in passes*/
+export const SCENE_PASS = "scene";
+export const BLOOM_PASS = "bloom";
+export const GRADING_PASS = "grading";
+export const VIGNETTE_PASS = "vignette";
+export const ANTIALIAS_PASS = "antialias";
+
+/**Makes a pass of the pipeline, again whenever the pipeline rebuilds*/
+export interface PipelinePassDef {
+  /**Lower runs earlier, built in: scene 0, bloom 200, grading 300, vignette 400, antialias 900*/
+  order: number;
+  /**Makes the pass, or nothing to leave it out at this quality
+   * @param width in pixels, the pixel ratio applied
+   */
+  create(quality: GraphicsQuality, width: number, height: number): Pass | void;
+  /**Called before every render with what is rendered, ex: for passes that draw the scene*/
+  setView?(pass: Pass, scene: Scene, camera: Camera): void;
+  /**Called after the pipeline resizes, in pixels with the pixel ratio applied*/
+  resize?(pass: Pass, width: number, height: number): void;
+}
+
+const ONE = new Vector3(1, 1, 1);
+const ZERO = new Vector3();
+
+function disposePass(pass: Pass) {
+  let disposable = pass as any;
+  if (typeof disposable.dispose === "function") disposable.dispose();
+}
+
+/**Post processing passes the scene goes through before the screen
+ * Renders straight to the screen when only the scene pass is enabled
+ */
+export class RenderPipeline {
+  webgl: WebGLRenderer;
+  composer: EffectComposer;
+  quality: GraphicsQuality;
+  private defs: Map<string, PipelinePassDef>;
+  private passes: Map<string, Pass>;
+  /**Passes turned off by name, kept across rebuilds*/
+  private disabled: Set<string>;
+  private width: number = 1;
+  private height: number = 1;
+  private pixelRatio: number = 1;
+  private needsBuild: boolean = true;
+  private vignette = { darkness: 0, offset: 1 };
+  private grading = { pow: ONE.clone(), mul: ONE.clone(), add: ZERO.clone() };
+
+  constructor(webgl: WebGLRenderer) {
+    this.webgl = webgl;
+    this.quality = { ...QUALITY_PRESETS[DEFAULT_QUALITY_PRESET] };
+    this.defs = new Map();
+    this.passes = new Map();
+    this.disabled = new Set();
+    this.addBuiltinPasses();
+  }
+  private addBuiltinPasses() {
+    this.addPass(SCENE_PASS, {
+      order: 0,
+      create: (quality, width, height) => {
+        //SSAO draws the scene itself
+        if (quality.ssao) return new SSAOPass(new Scene(), new PerspectiveCamera(), width, height);
+        return new RenderPass(new Scene(), new PerspectiveCamera());
+      },
+      setView: (pass: RenderPass | SSAOPass, scene, camera) => {
+        pass.scene = scene;
+        if (pass.camera === camera && !(pass instanceof SSAOPass)) return;
+        pass.camera = camera;
+        if (pass instanceof SSAOPass && camera instanceof PerspectiveCamera) {
+          let uniforms = pass.ssaoMaterial.uniforms;
+          uniforms["cameraNear"].value = camera.near;
+          uniforms["cameraFar"].value = camera.far;
+          uniforms["cameraProjectionMatrix"].value.copy(camera.projectionMatrix);
+          uniforms["cameraInverseProjectionMatrix"].value.getInverse(camera.projectionMatrix);
+          pass.depthRenderMaterial.uniforms["cameraNear"].value = camera.near;
+          pass.depthRenderMaterial.uniforms["cameraFar"].value = camera.far;
+        }
+      }
+    });
+    this.addPass(BLOOM_PASS, {
+      order: 200,
+      create: (quality, width, height) => {
+        if (!quality.bloom) return;
+        return new UnrealBloomPass(new Vector2(width, height), 0.6, 0.4, 0.85);
+      }
+    });
+    this.addPass(GRADING_PASS, {
+      order: 300,
+      create: () => {
+        let pass = new ShaderPass(ColorCorrectionShader);
+        this.applyColorGrading(pass);
+        return pass;
+      }
+    });
+    this.addPass(VIGNETTE_PASS, {
+      order: 400,
+      create: () => {
+        let pass = new ShaderPass(VignetteShader);
+        this.applyVignette(pass);
+        return pass;
+      }
+    });
+    this.addPass(ANTIALIAS_PASS, {
+      order: 900,
+      create: (quality, width, height) => {
+        if (quality.antialias === "smaa") return new SMAAPass(width, height);
+        if (quality.antialias !== "fxaa") return;
+        let pass = new ShaderPass(FXAAShader);
+        pass.uniforms["resolution"].value.set(1 / width, 1 / height);
+        return pass;
+      },
+      resize: (pass: ShaderPass, width, height) => {
+        if (pass.uniforms && pass.uniforms["resolution"]) pass.uniforms["resolution"].value.set(1 / width, 1 / height);
+      }
+    });
+  }
+  /**Adds a pass, ex: a module's screen effect, rebuilding the pipeline*/
+  addPass(name: string, def: PipelinePassDef): RenderPipeline {
+    if (this.defs.has(name)) throw `Render pass ${name} already exists`;
+    this.defs.set(name, def);
+    this.needsBuild = true;
+    return this;
+  }
+  removePass(name: string): RenderPipeline {
+    if (!this.defs.delete(name)) return this;
+    this.disabled.delete(name);
+    this.needsBuild = true;
+    return this;
+  }
+  hasPass(name: string): boolean {
+    return this.defs.has(name);
+  }
+  /**The pass made for name, undefined if it was left out at this quality
+   * Rebuilding makes new passes, so don't keep it
+   */
+  getPass<T extends Pass = Pass>(name: string): T {
+    if (this.needsBuild) this.build();
+    return this.passes.get(name) as T;
+  }
+  getPassNames(): Array<string> {
+    return Array.from(this.defs.keys()).sort((a, b) => this.defs.get(a).order - this.defs.get(b).order);
+  }
+  setPassEnabled(name: string, enabled: boolean): RenderPipeline {
+    if (enabled) this.disabled.delete(name);
+    else this.disabled.add(name);
+    let pass = this.getPass(name);
+    if (!pass) return this;
+    //These are also off while they wouldn't change anything
+    if (name === VIGNETTE_PASS) this.applyVignette(pass as ShaderPass);
+    else if (name === GRADING_PASS) this.applyColorGrading(pass as ShaderPass);
+    else pass.enabled = enabled;
+    return this;
+  }
+  isPassEnabled(name: string): boolean {
+    let pass = this.getPass(name);
+    return pass !== undefined && pass.enabled;
+  }
+  /**Darkens the screen's edges, ex: when taking damage, 0 turns it off*/
+  setVignette(darkness: number, offset: number = 1): RenderPipeline {
+    this.vignette = { darkness, offset };
+    let pass = this.getPass<ShaderPass>(VIGNETTE_PASS);
+    if (pass) this.applyVignette(pass);
+    return this;
+  }
+  private applyVignette(pass: ShaderPass) {
+    pass.uniforms["darkness"].value = this.vignette.darkness;
+    pass.uniforms["offset"].value = this.vignette.offset;
+    pass.enabled = this.vignette.darkness > 0 && !this.disabled.has(VIGNETTE_PASS);
+  }
+  /**color = pow(color, pow) * mul + add per channel, the defaults turn it off*/
+  setColorGrading(pow: Vector3 = new Vector3(1, 1, 1), mul: Vector3 = new Vector3(1, 1, 1), add: Vector3 = new Vector3()): RenderPipeline {
+    this.grading = { pow: pow.clone(), mul: mul.clone(), add: add.clone() };
+    let pass = this.getPass<ShaderPass>(GRADING_PASS);
+    if (pass) this.applyColorGrading(pass);
+    return this;
+  }
+  private applyColorGrading(pass: ShaderPass) {
+    let { pow, mul, add } = this.grading;
+    pass.uniforms["powRGB"].value.copy(pow);
+    pass.uniforms["mulRGB"].value.copy(mul);
+    pass.uniforms["addRGB"].value.copy(add);
+    let identity = pow.equals(ONE) && mul.equals(ONE) && add.equals(ZERO);
+    pass.enabled = !identity && !this.disabled.has(GRADING_PASS);
+  }
+  /**Rebuilds with the passes this quality wants*/
+  setQuality(quality: GraphicsQuality): RenderPipeline {
+    this.quality = { ...quality };
+    this.needsBuild = true;
+    return this;
+  }
+  /**@param width css pixels, as given to WebGLRenderer.setSize*/
+  setSize(width: number, height: number, pixelRatio: number): RenderPipeline {
+    width = Math.max(1, Math.floor(width));
+    height = Math.max(1, Math.floor(height));
+    if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return this;
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    if (!this.composer || this.needsBuild) return this;
+    this.composer.setPixelRatio(pixelRatio);
+    this.composer.setSize(width, height);
+    let w = width * pixelRatio;
+    let h = height * pixelRatio;
+    this.passes.forEach((pass, name) => {
+      let def = this.defs.get(name);
+      if (def.resize) def.resize(pass, w, h);
+    });
+    return this;
+  }
+  /**Disposes the passes and render targets*/
+  dispose() {
+    for (let pass of this.passes.values()) disposePass(pass);
+    this.passes.clear();
+    if (this.composer) {
+      this.composer.renderTarget1.dispose();
+      this.composer.renderTarget2.dispose();
+      this.composer = undefined;
+    }
+    this.needsBuild = true;
+  }
+  /**Makes every pass again, done before the next render after passes or quality change*/
+  build(): RenderPipeline {
+    this.dispose();
+    this.needsBuild = false;
+    this.composer = new EffectComposer(this.webgl);
+    this.composer.setPixelRatio(this.pixelRatio);
+    this.composer.setSize(this.width, this.height);
+    let w = this.width * this.pixelRatio;
+    let h = this.height * this.pixelRatio;
+    for (let name of this.getPassNames()) {
+      let pass: Pass | void;
+      try {
+        pass = this.defs.get(name).create(this.quality, w, h);
+      } catch (ex) {
+        console.warn(`Render pass ${name} threw while being made, leaving it out`, ex);
+        continue;
+      }
+      if (!pass) continue;
+      if (this.disabled.has(name)) pass.enabled = false;
+      this.passes.set(name, pass);
+      this.composer.addPass(pass);
+    }
+    return this;
+  }
+  /**Whether any pass would change the image, SSAO counts as it is the scene pass*/
+  isActive(): boolean {
+    if (this.needsBuild) this.build();
+    for (let [name, pass] of this.passes) {
+      if (!pass.enabled) continue;
+      if (name !== SCENE_PASS || pass instanceof SSAOPass) return true;
+    }
+    return false;
+  }
+  /**Renders scene through camera and every enabled pass to the renderer's current viewport*/
+  render(scene: Scene, camera: Camera, delta: number = undefined) {
+    if (!this.isActive()) {
+      this.webgl.render(scene, camera);
+      return;
+    }
+    this.passes.forEach((pass, name) => {
+      let def = this.defs.get(name);
+      if (def.setView) def.setView(pass, scene, camera);
+    });
+    this.composer.render(delta);
+  }
+}
@@ -0,0 +1,85 @@
+
+export type AntialiasMode = "none" | "fxaa" | "smaa";
+
+/**Graphics settings, see Renderer.setQuality*/
+export interface GraphicsQuality {
+  /**Width and height of shadow maps, 0 turns shadows off*/
+  shadowMapSize: number;
+  /**Multiplies the screen's pixel ratio, below 1 renders fewer pixels and scales them up*/
+  resolutionScale: number;
+  antialias: AntialiasMode;
+  bloom: boolean;
+  ssao: boolean;
+  /**Frames per second at most, 0 for as many as the screen shows*/
+  frameRateCap: number;
+}
+
+export type QualityPresetName = "low" | "medium" | "high" | "ultra";
+
+export const QUALITY_PRESETS: { [name in QualityPresetName]: GraphicsQuality } = {
+  low: {
+    shadowMapSize: 0,
+    resolutionScale: 0.75,
+    antialias: "none",
+    bloom: false,
+    ssao: false,
+    frameRateCap: 30
+  },
+  medium: {
+    shadowMapSize: 1024,
+    resolutionScale: 1,
+    antialias: "fxaa",
+    bloom: false,
+    ssao: false,
+    frameRateCap: 60
+  },
+  high: {
+    shadowMapSize: 2048,
+    resolutionScale: 1,
+    antialias: "smaa",
+    bloom: true,
+    ssao: false,
+    frameRateCap: 0
+  },
+  ultra: {
+    shadowMapSize: 4096,
+    resolutionScale: 1,
+    antialias: "smaa",
+    bloom: true,
+    ssao: true,
+    frameRateCap: 0
+  }
+};
+
+export const DEFAULT_QUALITY_PRESET: QualityPresetName = "medium";
+
+const ANTIALIAS_MODES: Array<AntialiasMode> = ["none", "fxaa", "smaa"];
+
+function clamp(value: any, min: number, max: number, fallback: number): number {
+  if (typeof value !== "number" || isNaN(value)) return fallback;
+  return Math.min(Math.max(value, min), max);
+}
+
+/**A complete GraphicsQuality from saved settings, missing or broken values come from the default preset*/
+export function sanitizeQuality(q: any): GraphicsQuality {
+  let fallback = QUALITY_PRESETS[DEFAULT_QUALITY_PRESET];
+  if (typeof q !== "object" || q === null) return { ...fallback };
+  return {
+    shadowMapSize: Math.round(clamp(q.shadowMapSize, 0, 8192, fallback.shadowMapSize)),
+    resolutionScale: clamp(q.resolutionScale, 0.25, 2, fallback.resolutionScale),
+    antialias: ANTIALIAS_MODES.includes(q.antialias) ? q.antialias : fallback.antialias,
+    bloom: typeof q.bloom === "boolean" ? q.bloom : fallback.bloom,
+    ssao: typeof q.ssao === "boolean" ? q.ssao : fallback.ssao,
+    frameRateCap: Math.round(clamp(q.frameRateCap, 0, 1000, fallback.frameRateCap))
+  };
+}
+
+/**The preset quality is the same as, undefined if it was customized*/
+export function findQualityPreset(quality: GraphicsQuality): QualityPresetName {
+  for (let name of Object.keys(QUALITY_PRESETS) as Array<QualityPresetName>) {
+    let preset = QUALITY_PRESETS[name];
+    let same = (Object.keys(preset) as Array<keyof GraphicsQuality>).every((key) => preset[key] === quality[key]);
+    if (same) return name;
+  }
+  return undefined;
+}
@@ -1,32 +1,64 @@
 
 import { Component } from "@repcomm/exponent-ts";
+import API from "../api";
+import { layoutRects, Viewport, ViewportLayout, ViewportRect } from "./viewport";
+import { RenderPipeline } from "./pipeline";
+import { GraphicsQuality, QUALITY_PRESETS, DEFAULT_QUALITY_PRESET } from "./quality";
 
 import {
   Camera,
+  Color,
   WebGLRenderer,
+  WebGLRenderTarget,
   Scene,
-  PerspectiveCamera
+  PerspectiveCamera,
+  Light,
+  Mesh
 } from "three";
 
+const api = API.get();
+
+export interface RenderCallback {
+  (renderer: Renderer): void;
+}
+
 export default class Renderer extends Component {
   webgl: WebGLRenderer;
   scene: Scene;
   camera: Camera;
   aspect: number = 1;
+  width: number = 100;
+  height: number = 100;
   needsRender: boolean = false;
   renderLoop: boolean = false;
   defaultCamera: Camera;
   renderCallback: FrameRequestCallback;
+  /**Post processing, see setQuality for what it does by default*/
+  pipeline: RenderPipeline;
+  private quality: GraphicsQuality;
+  private lastRenderTime: number = 0;
+  private preRenderCallbacks: Set<RenderCallback>;
+  private postRenderCallbacks: Set<RenderCallback>;
+  private viewports: Map<string, Viewport>;
+  private layout: ViewportLayout = "single";
+  private hudContainer: Component;
 
   constructor() {
     super();
+    this.viewports = new Map();
+    this.preRenderCallbacks = new Set();
+    this.postRenderCallbacks = new Set();
     this.webgl = new WebGLRenderer();
     this.useNative(this.webgl.domElement);
 
     // this.webgl.setClearColor("#eeeeff");
     this.webgl.setClearColor("#262552");
     this.webgl.setSize(100, 100);
+    //Counted over the whole frame, viewports and passes render more than once
+    this.webgl.info.autoReset = false;
     this.scene = new Scene();
+    this.pipeline = new RenderPipeline(this.webgl);
+    this.quality = { ...QUALITY_PRESETS[DEFAULT_QUALITY_PRESET] };
 
     this.defaultCamera = new PerspectiveCamera(
       75,
@@ -35,14 +67,66 @@ export default class Renderer extends Component {
       1000
     );
 
-    this.renderCallback = () => {
-      if (this.needsRender && this.camera) this.render();
+    this.renderCallback = (time) => {
+      if (this.needsRender && this.camera && !this.isFrameCapped(time)) {
+        this.lastRenderTime = time;
+        this.render();
+      }
       if (this.renderLoop) requestAnimationFrame(this.renderCallback);
     }
   }
+  /**Whether a frame at time comes too soon after the last for the frame rate cap*/
+  private isFrameCapped(time: number): boolean {
+    let cap = this.quality.frameRateCap;
+    if (!cap) return false;
+    //A millisecond of slack, so a 60 cap on a 60hz screen doesn't drop frames to jitter
+    return time - this.lastRenderTime < 1000 / cap - 1;
+  }
+  /**Applies graphics settings: shadows, resolution, antialiasing, effects and the frame rate cap*/
+  setQuality(quality: GraphicsQuality): Renderer {
+    let shadowsChanged = (quality.shadowMapSize > 0) !== this.webgl.shadowMap.enabled;
+    this.quality = { ...quality };
+    let ratio = (typeof devicePixelRatio === "number" ? devicePixelRatio : 1) * quality.resolutionScale;
+    this.webgl.setPixelRatio(ratio);
+    this.webgl.setSize(this.width, this.height, true);
+    this.webgl.shadowMap.enabled = quality.shadowMapSize > 0;
+    //Materials compile with or without shadows
+    if (shadowsChanged) {
+      this.scene.traverse((obj) => {
+        if (!(obj instanceof Mesh)) return;
+        let materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+        for (let material of materials) material.needsUpdate = true;
+      });
+    }
+    this.pipeline.setQuality(quality);
+    this.updateLayout();
+    return this;
+  }
+  getQuality(): GraphicsQuality {
+    return { ...this.quality };
+  }
+  /**Sizes the shadow maps of lights that cast shadows, lights added since are picked up every frame*/
+  private updateShadowMaps() {
+    let size = this.quality.shadowMapSize;
+    if (size < 1) return;
+    this.scene.traverse((obj) => {
+      if (!(obj instanceof Light) || !obj.castShadow || !obj.shadow) return;
+      let shadow = obj.shadow;
+      if (shadow.mapSize.x === size && shadow.mapSize.y === size) return;
+      shadow.mapSize.set(size, size);
+      //Made again at the new size
+      if (shadow.map) {
+        (shadow.map as WebGLRenderTarget).dispose();
+        shadow.map = null;
+      }
+    });
+  }
   setBackgroundColor (c) {
     this.webgl.setClearColor(c);
   }
+  getBackgroundColor (): Color {
+    return this.webgl.getClearColor().clone();
+  }
   getAspect (): number {
     return this.aspect;
   }
@@ -70,16 +154,137 @@ export default class Renderer extends Component {
   }
   resize(w: number, h: number) {
     this.aspect = w / h;
+    this.width = w;
+    this.height = h;
     this.webgl.setSize(w, h, true);
     if (this.camera && this.camera instanceof PerspectiveCamera) {
       this.camera.aspect = this.aspect;
       this.camera.updateProjectionMatrix();
     }
+    this.updateLayout();
+    api.getEvents().emit("resize", { width: w, height: h });
+  }
+  /**Where viewport HUDs are mounted, should be over the canvas with the same size*/
+  setHudContainer(container: Component): Renderer {
+    this.hudContainer = container;
+    for (let viewport of this.viewports.values()) viewport.hud.mount(container);
+    return this;
+  }
+  /**Adds a viewport, when there are none the whole canvas renders getCamera()
+   * @param rect where it is (ex: a minimap), placed with the layout if undefined (ex: a split screen player)
+   */
+  addViewport(name: string, camera: Camera, rect: ViewportRect = undefined): Viewport {
+    if (this.viewports.has(name)) throw `Viewport ${name} already exists`;
+    let viewport = new Viewport(name, camera, rect);
+    this.viewports.set(name, viewport);
+    if (this.hudContainer) viewport.hud.mount(this.hudContainer);
+    this.updateLayout();
+    return viewport;
+  }
+  removeViewport(name: string): Renderer {
+    let viewport = this.viewports.get(name);
+    if (!viewport) return this;
+    this.viewports.delete(name);
+    viewport.hud.unmount();
+    this.updateLayout();
+    return this;
+  }
+  getViewport(name: string): Viewport {
+    return this.viewports.get(name);
+  }
+  hasViewport(name: string): boolean {
+    return this.viewports.has(name);
+  }
+  /**In the order they render, later ones on top*/
+  getViewports(): Array<Viewport> {
+    //Stable, so viewports of the same order render in the order they were added
+    return Array.from(this.viewports.values()).sort((a, b) => a.order - b.order);
+  }
+  setLayout(layout: ViewportLayout): Renderer {
+    this.layout = layout;
+    this.updateLayout();
+    return this;
+  }
+  getLayout(): ViewportLayout {
+    return this.layout;
+  }
+  /**Places visible viewports that are in the layout and fits every viewport's camera
+   * Called on resize and when viewports are added or removed, call after changing a viewport
+   */
+  updateLayout(): Renderer {
+    let placed = Array.from(this.viewports.values()).filter((viewport) => viewport.inLayout && viewport.visible);
+    let rects = layoutRects(this.layout, placed.length);
+    placed.forEach((viewport, i) => viewport._setLayoutRect(rects[i]));
+    for (let viewport of this.viewports.values()) {
+      viewport._updateCamera(viewport.rect.width * this.width, viewport.rect.height * this.height);
+    }
+    //Viewports in a layout are all the same size, the pipeline renders them
+    let rect = placed.length > 0 ? placed[0].rect : { width: 1, height: 1 };
+    this.pipeline.setSize(rect.width * this.width, rect.height * this.height, this.webgl.getPixelRatio());
+    return this;
+  }
+
+  listenPreRender(cb: RenderCallback): Renderer {
+    this.preRenderCallbacks.add(cb);
+    return this;
+  }
+  deafenPreRender(cb: RenderCallback): Renderer {
+    this.preRenderCallbacks.delete(cb);
+    return this;
+  }
+  listenPostRender(cb: RenderCallback): Renderer {
+    this.postRenderCallbacks.add(cb);
+    return this;
+  }
+  deafenPostRender(cb: RenderCallback): Renderer {
+    this.postRenderCallbacks.delete(cb);
+    return this;
+  }
+  private notifyRender(callbacks: Set<RenderCallback>) {
+    for (let cb of callbacks) {
+      try {
+        cb(this);
+      } catch (ex) {
+        console.warn("Render listener threw", ex);
+      }
+    }
   }
   render() {
-    this.webgl.render(this.scene, this.camera);
+    this.webgl.info.reset();
+    this.notifyRender(this.preRenderCallbacks);
+    api.getEvents().emit("prerender", { renderer: this });
+    this.updateShadowMaps();
+    if (this.viewports.size > 0) this.renderViewports();
+    else this.pipeline.render(this.scene, this.camera);
+    this.notifyRender(this.postRenderCallbacks);
+    api.getEvents().emit("postrender", { renderer: this });
     //this.needsRender = false;
   }
+  private renderViewports() {
+    //Areas no viewport covers stay background
+    this.webgl.setScissorTest(false);
+    this.webgl.clear();
+    this.webgl.setScissorTest(true);
+    let background = this.getBackgroundColor();
+    for (let viewport of this.getViewports()) {
+      let rect = viewport.rect;
+      if (!viewport.visible || !viewport.camera || rect.width <= 0 || rect.height <= 0) continue;
+      //WebGL counts y from the bottom
+      let x = rect.x * this.width;
+      let y = (1 - rect.y - rect.height) * this.height;
+      let width = rect.width * this.width;
+      let height = rect.height * this.height;
+      this.webgl.setViewport(x, y, width, height);
+      this.webgl.setScissor(x, y, width, height);
+      if (viewport.clearColor) this.webgl.setClearColor(viewport.clearColor);
+      //Picture-in-picture isn't post processed, it isn't the pipeline's size
+      if (viewport.inLayout) this.pipeline.render(viewport.scene || this.scene, viewport.camera);
+      else this.webgl.render(viewport.scene || this.scene, viewport.camera);
+      if (viewport.clearColor) this.webgl.setClearColor(background);
+    }
+    this.webgl.setScissorTest(false);
+    this.webgl.setViewport(0, 0, this.width, this.height);
+  }
   start() {
     this.renderLoop = true;
     this.needsRender = true;
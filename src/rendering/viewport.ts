@@ -0,0 +1,144 @@
+import { Component } from "@repcomm/exponent-ts";
+import { Camera, Color, OrthographicCamera, PerspectiveCamera, Scene } from "three";
+
+/**Area of the canvas, 0 to 1 of its size from the top left*/
+export interface ViewportRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/**How Renderer places viewports that are in the layout
+ * single - the first one fills the canvas
+ * horizontal - stacked top to bottom
+ * vertical - side by side, left to right
+ * quad - 2x2 grid, left to right then top to bottom
+ */
+export type ViewportLayout = "single" | "horizontal" | "vertical" | "quad";
+
+export const FULL_RECT: ViewportRect = { x: 0, y: 0, width: 1, height: 1 };
+
+/**Rects of count viewports in a layout*/
+export function layoutRects(layout: ViewportLayout, count: number): Array<ViewportRect> {
+  let rects = new Array<ViewportRect>();
+  for (let i = 0; i < count; i++) {
+    switch (layout) {
+      case "horizontal":
+        rects.push({ x: 0, y: i / count, width: 1, height: 1 / count });
+        break;
+      case "vertical":
+        rects.push({ x: i / count, y: 0, width: 1 / count, height: 1 });
+        break;
+      case "quad":
+        //Two players still get half the screen each
+        if (count < 3) rects.push({ x: 0, y: i / count, width: 1, height: 1 / count });
+        else rects.push({ x: (i % 2) / 2, y: Math.floor(i / 2) / 2, width: 0.5, height: 0.5 });
+        break;
+      default:
+        //Only the first is shown
+        rects.push(i === 0 ? { ...FULL_RECT } : { x: 0, y: 0, width: 0, height: 0 });
+        break;
+    }
+  }
+  return rects;
+}
+
+/**A camera rendered into an area of the canvas, with a HUD layer over it
+ * In the layout (ex: a split screen player) Renderer places it,
+ * otherwise it keeps its own rect (ex: a minimap or scope picture-in-picture)
+ */
+export class Viewport {
+  name: string;
+  camera: Camera;
+  /**Rendered instead of the renderer's scene if set*/
+  scene: Scene;
+  rect: ViewportRect;
+  /**Whether Renderer places it with the layout*/
+  inLayout: boolean;
+  /**Higher renders later, on top, 0 by default*/
+  order: number = 0;
+  visible: boolean = true;
+  /**Cleared to this before rendering, the renderer's background color if undefined*/
+  clearColor: Color;
+  /**Elements over the viewport, ex: a player's health and ammo*/
+  hud: Component;
+
+  constructor(name: string, camera: Camera, rect: ViewportRect = undefined) {
+    this.name = name;
+    this.camera = camera;
+    this.inLayout = rect === undefined;
+    this.rect = { ...(rect || FULL_RECT) };
+    this.hud = new Component().make("div").addClasses("viewport-hud");
+    this.hud.element.dataset.viewport = name;
+    this.updateHud();
+  }
+  setCamera(camera: Camera): Viewport {
+    this.camera = camera;
+    return this;
+  }
+  getCamera(): Camera {
+    return this.camera;
+  }
+  setScene(scene: Scene): Viewport {
+    this.scene = scene;
+    return this;
+  }
+  /**Takes the viewport out of the layout and puts it at rect*/
+  setRect(rect: ViewportRect): Viewport {
+    this.rect = { ...rect };
+    this.inLayout = false;
+    this.updateHud();
+    return this;
+  }
+  getRect(): ViewportRect {
+    return { ...this.rect };
+  }
+  setOrder(order: number): Viewport {
+    this.order = order;
+    this.updateHud();
+    return this;
+  }
+  setVisible(visible: boolean): Viewport {
+    this.visible = visible;
+    this.updateHud();
+    return this;
+  }
+  setClearColor(color: Color): Viewport {
+    this.clearColor = color;
+    return this;
+  }
+  /**Internal - used by Renderer to place it with the layout*/
+  _setLayoutRect(rect: ViewportRect) {
+    this.rect = { ...rect };
+    this.updateHud();
+  }
+  /**Internal - fits the camera to the viewport's size in pixels*/
+  _updateCamera(width: number, height: number) {
+    if (width < 1 || height < 1) return;
+    let aspect = width / height;
+    if (this.camera instanceof PerspectiveCamera) {
+      if (this.camera.aspect === aspect) return;
+      this.camera.aspect = aspect;
+      this.camera.updateProjectionMatrix();
+    } else if (this.camera instanceof OrthographicCamera) {
+      //Keep the vertical extent, widen to fit
+      let halfHeight = (this.camera.top - this.camera.bottom) / 2;
+      let centerX = (this.camera.left + this.camera.right) / 2;
+      if (this.camera.right - centerX === halfHeight * aspect) return;
+      this.camera.left = centerX - halfHeight * aspect;
+      this.camera.right = centerX + halfHeight * aspect;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+  private updateHud() {
+    let shown = this.visible && this.rect.width > 0 && this.rect.height > 0;
+    if (shown) this.hud.show();
+    else this.hud.hide();
+    this.hud.styleItem("left", `${this.rect.x * 100}%`);
+    this.hud.styleItem("top", `${this.rect.y * 100}%`);
+    this.hud.styleItem("width", `${this.rect.width * 100}%`);
+    this.hud.styleItem("height", `${this.rect.height * 100}%`);
+    this.hud.styleItem("z-index", `${this.order}`);
+  }
+}
@@ -0,0 +1,254 @@
+
+/**Start of every recording file*/
+const MAGIC = "OBFR";
+/**Bumped whenever the file layout changes*/
+export const RECORDING_VERSION = 1;
+
+const FLAG_POINTER_LOCKED = 1;
+const FLAG_MOVEMENT = 2;
+
+const textEnc = new TextEncoder();
+const textDec = new TextDecoder();
+
+/**Input as it was at the start of one tick*/
+export interface RecordedTick {
+  /**One bit per binding, in Recording.bindings order*/
+  buttons: Uint8Array;
+  pointerLocked: boolean;
+  /**Mouse movement not consumed yet when the tick began*/
+  movementX: number;
+  movementY: number;
+}
+
+function ticksEqual(a: RecordedTick, b: RecordedTick): boolean {
+  if (a.pointerLocked !== b.pointerLocked) return false;
+  if (a.movementX !== b.movementX || a.movementY !== b.movementY) return false;
+  if (a.buttons.length !== b.buttons.length) return false;
+  for (let i = 0; i < a.buttons.length; i++) {
+    if (a.buttons[i] !== b.buttons[i]) return false;
+  }
+  return true;
+}
+
+class ByteWriter {
+  private bytes: Uint8Array;
+  private view: DataView;
+  length: number = 0;
+  constructor(capacity: number = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.view = new DataView(this.bytes.buffer);
+  }
+  private ensure(count: number) {
+    if (this.length + count <= this.bytes.length) return;
+    let bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+  u8(v: number) {
+    this.ensure(1);
+    this.bytes[this.length++] = v;
+  }
+  u32(v: number) {
+    this.ensure(4);
+    this.view.setUint32(this.length, v);
+    this.length += 4;
+  }
+  f64(v: number) {
+    this.ensure(8);
+    this.view.setFloat64(this.length, v);
+    this.length += 8;
+  }
+  /**Unsigned LEB128, small numbers take one byte*/
+  varint(v: number) {
+    do {
+      let byte = v % 128;
+      v = Math.floor(v / 128);
+      this.u8(v > 0 ? byte | 128 : byte);
+    } while (v > 0);
+  }
+  raw(data: Uint8Array) {
+    this.ensure(data.length);
+    this.bytes.set(data, this.length);
+    this.length += data.length;
+  }
+  string(s: string) {
+    let data = textEnc.encode(s);
+    this.varint(data.length);
+    this.raw(data);
+  }
+  toArrayBuffer(): ArrayBuffer {
+    return this.bytes.buffer.slice(0, this.length);
+  }
+}
+
+class ByteReader {
+  private bytes: Uint8Array;
+  private view: DataView;
+  offset: number = 0;
+  constructor(data: ArrayBuffer) {
+    this.bytes = new Uint8Array(data);
+    this.view = new DataView(data);
+  }
+  private need(count: number) {
+    if (this.offset + count > this.bytes.length) throw "Recording ends unexpectedly";
+  }
+  u8(): number {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+  u32(): number {
+    this.need(4);
+    let v = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return v;
+  }
+  f64(): number {
+    this.need(8);
+    let v = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return v;
+  }
+  varint(): number {
+    let result = 0;
+    let scale = 1;
+    let byte: number;
+    do {
+      byte = this.u8();
+      result += (byte & 127) * scale;
+      scale *= 128;
+    } while (byte & 128);
+    return result;
+  }
+  raw(count: number): Uint8Array {
+    this.need(count);
+    let result = this.bytes.slice(this.offset, this.offset + count);
+    this.offset += count;
+    return result;
+  }
+  string(): string {
+    return textDec.decode(this.raw(this.varint()));
+  }
+}
+
+/**A recorded session, everything ReplayManager needs to play it back
+ *
+ * Stored as a small binary file, runs of ticks with the same input are written once
+ */
+export class Recording {
+  tickRate: number;
+  /**State of api.getRandom() before modules were loaded*/
+  randomState: number;
+  /**name@version of every loaded module, in load order*/
+  modules: Array<string>;
+  /**GameInput binding names, buttons are stored in this order*/
+  bindings: Array<string>;
+  ticks: Array<RecordedTick>;
+
+  constructor(tickRate: number, randomState: number, modules: Array<string>, bindings: Array<string>) {
+    this.tickRate = tickRate;
+    this.randomState = randomState;
+    this.modules = modules;
+    this.bindings = bindings;
+    this.ticks = new Array();
+  }
+  getTickCount(): number {
+    return this.ticks.length;
+  }
+  /**Seconds of game time recorded*/
+  getDuration(): number {
+    return this.ticks.length / this.tickRate;
+  }
+  getBindingIndex(name: string): number {
+    return this.bindings.indexOf(name);
+  }
+  /**Bytes the button bits of each tick take*/
+  getMaskLength(): number {
+    return Math.ceil(this.bindings.length / 8);
+  }
+  /**Adds the input of the next tick
+   * @param buttons state of each binding, in bindings order
+   */
+  addTick(buttons: Array<boolean>, pointerLocked: boolean, movementX: number, movementY: number): Recording {
+    let mask = new Uint8Array(this.getMaskLength());
+    for (let i = 0; i < buttons.length; i++) {
+      if (buttons[i]) mask[i >> 3] |= 1 << (i & 7);
+    }
+    this.ticks.push({ buttons: mask, pointerLocked, movementX, movementY });
+    return this;
+  }
+  getTick(tick: number): RecordedTick {
+    return this.ticks[tick];
+  }
+  /**Whether binding index was held on tick*/
+  getButton(tick: number, index: number): boolean {
+    let recorded = this.ticks[tick];
+    if (!recorded || index < 0) return false;
+    return (recorded.buttons[index >> 3] & (1 << (index & 7))) !== 0;
+  }
+  encode(): ArrayBuffer {
+    let out = new ByteWriter();
+    out.raw(textEnc.encode(MAGIC));
+    out.u8(RECORDING_VERSION);
+    out.varint(this.tickRate);
+    out.u32(this.randomState);
+    out.varint(this.modules.length);
+    for (let mod of this.modules) out.string(mod);
+    out.varint(this.bindings.length);
+    for (let binding of this.bindings) out.string(binding);
+    out.varint(this.ticks.length);
+
+    let i = 0;
+    while (i < this.ticks.length) {
+      let tick = this.ticks[i];
+      let run = 1;
+      while (i + run < this.ticks.length && ticksEqual(tick, this.ticks[i + run])) run++;
+
+      out.varint(run);
+      let hasMovement = tick.movementX !== 0 || tick.movementY !== 0;
+      out.u8((tick.pointerLocked ? FLAG_POINTER_LOCKED : 0) | (hasMovement ? FLAG_MOVEMENT : 0));
+      out.raw(tick.buttons);
+      if (hasMovement) {
+        out.f64(tick.movementX);
+        out.f64(tick.movementY);
+      }
+      i += run;
+    }
+    return out.toArrayBuffer();
+  }
+  static decode(data: ArrayBuffer): Recording {
+    let input = new ByteReader(data);
+    if (textDec.decode(input.raw(MAGIC.length)) !== MAGIC) throw "Not a recording";
+    let version = input.u8();
+    if (version !== RECORDING_VERSION) throw `Recording version ${version} is not supported, expected ${RECORDING_VERSION}`;
+
+    let tickRate = input.varint();
+    let randomState = input.u32();
+    let modules = new Array<string>(input.varint());
+    for (let i = 0; i < modules.length; i++) modules[i] = input.string();
+    let bindings = new Array<string>(input.varint());
+    for (let i = 0; i < bindings.length; i++) bindings[i] = input.string();
+
+    let result = new Recording(tickRate, randomState, modules, bindings);
+    let count = input.varint();
+    let maskLength = result.getMaskLength();
+    while (result.ticks.length < count) {
+      let run = input.varint();
+      let flags = input.u8();
+      let tick: RecordedTick = {
+        buttons: input.raw(maskLength),
+        pointerLocked: (flags & FLAG_POINTER_LOCKED) !== 0,
+        movementX: 0,
+        movementY: 0
+      };
+      if (flags & FLAG_MOVEMENT) {
+        tick.movementX = input.f64();
+        tick.movementY = input.f64();
+      }
+      if (run < 1 || result.ticks.length + run > count) throw "Recording is corrupt";
+      //Runs share the same object, ticks are never modified after recording
+      for (let i = 0; i < run; i++) result.ticks.push(tick);
+    }
+    return result;
+  }
+}
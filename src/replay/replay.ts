@@ -0,0 +1,404 @@
+
+import { Camera, PerspectiveCamera, Vector3 } from "three";
+import { GameInput } from "@repcomm/gameinput-ts";
+import API from "../api";
+import { LocalInputSource } from "../input/commands";
+import { frameCallback, updateCallback } from "../utils/time";
+import { Recording } from "./recording";
+
+const api = API.get();
+
+export type ReplayState = "idle" | "recording" | "playing";
+
+export interface ReplayStateCallback {
+  (state: ReplayState): void;
+}
+
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+const tempMove = new Vector3();
+
+/**Records sessions and plays them back deterministically
+ *
+ * Input is latched at the start of every tick, so GameInput.getButton and mouse movement
+ * read the same values for the whole tick, live or replayed. Both recording and playback
+ * restart the simulation first (modules, worlds, entities and a fresh physics world),
+ * so it starts from the same state with the same random seed
+ *
+ * Only input read during ticks is replayed, modules should read bindings in their update
+ * rather than in raw input listeners, and use api.getRandom() instead of Math.random
+ * Bodies, triggers and characters have to be added through Module (or belong to a world or entity),
+ * recording, playing and seeking throw if others are left in the physics world after modules unload
+ */
+export class ReplayManager {
+  static SINGLETON: ReplayManager = undefined;
+  static get(): ReplayManager {
+    if (!ReplayManager.SINGLETON) ReplayManager.SINGLETON = new ReplayManager();
+    return ReplayManager.SINGLETON;
+  }
+  private state: ReplayState = "idle";
+  private recording: Recording;
+  /**Ticks recorded or played since the recording began*/
+  private tick: number = 0;
+  /**Binding states for the current tick*/
+  private latched: Map<string, boolean>;
+  private stateListeners: Set<ReplayStateCallback>;
+  private preTickCallback: updateCallback;
+  /**Restarting modules, ticks aren't recorded or played meanwhile*/
+  private restarting: boolean = false;
+
+  //Playback
+  private livePointer: any;
+  private replayPointer: any;
+  private liveTickRate: number;
+
+  //Free camera
+  private freeCamera: PerspectiveCamera;
+  private previousCamera: Camera;
+  private freeCameraFrame: frameCallback;
+  private freeYaw: number = 0;
+  private freePitch: number = 0;
+  private mouseX: number = 0;
+  private mouseY: number = 0;
+  private onMouseMove: (evt: MouseEvent) => void;
+  /**Metres per second, doubled while Shift is held*/
+  freeCameraSpeed: number = 8;
+  /**Radians per pixel of mouse movement*/
+  freeCameraSensitivity: number = 0.0025;
+
+  constructor() {
+    if (ReplayManager.SINGLETON) throw "Cannot instance ReplayManager twice";
+    ReplayManager.SINGLETON = this;
+    this.latched = new Map();
+    this.stateListeners = new Set();
+    this.preTickCallback = () => this.onPreTick();
+    this.freeCameraFrame = (alpha, delta) => this.updateFreeCamera(delta);
+    this.onMouseMove = (evt) => {
+      //Looks while pointer locked or dragging
+      if (typeof document !== "undefined" && !document.pointerLockElement && evt.buttons === 0) return;
+      this.mouseX += evt.movementX;
+      this.mouseY += evt.movementY;
+    };
+  }
+  getState(): ReplayState {
+    return this.state;
+  }
+  isRecording(): boolean {
+    return this.state === "recording";
+  }
+  isPlaying(): boolean {
+    return this.state === "playing";
+  }
+  /**The recording being made or played, undefined when idle*/
+  getRecording(): Recording {
+    return this.recording;
+  }
+  /**Ticks since the recording began*/
+  getTick(): number {
+    return this.tick;
+  }
+  listenState(cb: ReplayStateCallback): ReplayManager {
+    this.stateListeners.add(cb);
+    return this;
+  }
+  deafenState(cb: ReplayStateCallback): ReplayManager {
+    this.stateListeners.delete(cb);
+    return this;
+  }
+  private setState(state: ReplayState) {
+    this.state = state;
+    for (let cb of this.stateListeners) {
+      try {
+        cb(state);
+      } catch (ex) {
+        console.warn("Replay state listener threw", ex);
+      }
+    }
+  }
+  private getInput(): GameInput {
+    let input = api.getInputManager();
+    if (!input) throw "Replays need an input manager (not headless)";
+    return input;
+  }
+  /**Binding names known to GameInput*/
+  private getBindingNames(): Array<string> {
+    return Object.keys(this.getInput().bindingsToJson());
+  }
+  private getModuleNames(loaded: Array<string>): Array<string> {
+    let modules = api.getModuleManager();
+    return loaded.map((name) => `${name}@${modules.getLoadedModule(name).getVersion()}`);
+  }
+  /**Makes getButton answer from latched instead of live input, until restoreInput*/
+  private latchInput() {
+    let input = this.getInput();
+    let live = Object.getPrototypeOf(input).getButton;
+    input.getButton = (name: string): boolean => {
+      if (this.latched.has(name)) return this.latched.get(name);
+      //Bindings created after the recording began aren't recorded
+      return this.isPlaying() ? false : live.call(input, name);
+    };
+  }
+  private restoreInput() {
+    let input = this.getInput();
+    delete input.getButton;
+    if (this.livePointer) {
+      input.raw.pointer = this.livePointer;
+      this.livePointer = undefined;
+    }
+    this.latched.clear();
+  }
+  /**Puts the simulation, random numbers and look direction back to how a recording starts
+   * Modules are loaded again even if something was left in the physics world, then it throws
+   */
+  private async restart(randomState: number): Promise<Array<string>> {
+    let time = api.getTimeManager();
+    let wasPaused = time.isPaused();
+    time.pause();
+    this.restarting = true;
+    try {
+      let leftover: any = undefined;
+      let loaded = await api.getModuleManager().restartModules(() => {
+        //What modules made without tracking it
+        api.getResourceManager().unloadWorldResources();
+        let network = api.getNetworkManager();
+        if (network) network.despawnAll();
+        let entities = api.getEntityManager();
+        if (entities) entities.destroyAll();
+        try {
+          api.getPhysicsManager().resetWorld();
+        } catch (ex) {
+          leftover = ex;
+        }
+        api.getRandom().setState(randomState);
+      });
+      if (leftover !== undefined) throw `Replays can't restart from the same state: ${leftover}, add them through Module`;
+      let network = api.getNetworkManager();
+      if (network) {
+        let source = network.getLocalCommandSource();
+        if (source instanceof LocalInputSource) source.setLook(0, 0);
+      }
+      time.accumulator = 0;
+      this.tick = 0;
+      return loaded;
+    } finally {
+      this.restarting = false;
+      if (!wasPaused) time.resume();
+    }
+  }
+  /**Restarts modules and records input from the next tick on, see stopRecording*/
+  async startRecording(): Promise<ReplayManager> {
+    if (this.state !== "idle") throw `Cannot record while ${this.state}`;
+    let network = api.getNetworkManager();
+    if (network && network.getRole() !== "offline") throw "Only offline sessions can be recorded";
+    let time = api.getTimeManager();
+
+    let randomState = api.getRandom().getState();
+    let loaded = await this.restart(randomState);
+    this.recording = new Recording(time.tickRate, randomState, this.getModuleNames(loaded), this.getBindingNames());
+    this.latchInput();
+    time.listenPreTick(this.preTickCallback);
+    this.setState("recording");
+    return this;
+  }
+  /**Stops recording and returns the recording, see Recording.encode to save it*/
+  stopRecording(): Recording {
+    if (!this.isRecording()) throw "Not recording";
+    let result = this.recording;
+    api.getTimeManager().deafenPreTick(this.preTickCallback);
+    this.restoreInput();
+    this.recording = undefined;
+    this.setState("idle");
+    return result;
+  }
+  /**Restarts modules and feeds them the recorded input instead of live input
+   * @param paused start paused on the first tick, see step and seek
+   */
+  async play(recording: Recording, paused: boolean = false): Promise<ReplayManager> {
+    if (this.state !== "idle") throw `Cannot play while ${this.state}`;
+    let network = api.getNetworkManager();
+    if (network && network.getRole() !== "offline") throw "Leave multiplayer before playing a recording";
+    let time = api.getTimeManager();
+    let input = this.getInput();
+
+    this.recording = recording;
+    this.liveTickRate = time.tickRate;
+    time.setTickRate(recording.tickRate);
+    time.pause();
+
+    //Mouse movement comes from the recording, and LocalInputSource checks locked itself
+    this.livePointer = input.raw.pointer;
+    this.replayPointer = { ...this.livePointer, mx: 0, my: 0 };
+    input.raw.pointer = this.replayPointer;
+    this.latchInput();
+    this.setState("playing");
+
+    let loaded: Array<string>;
+    try {
+      loaded = await this.restart(recording.randomState);
+    } catch (ex) {
+      this.stopPlayback();
+      throw ex;
+    }
+    let modules = this.getModuleNames(loaded);
+    if (modules.join() !== recording.modules.join()) {
+      console.warn(`Recording was made with modules ${recording.modules.join(", ")}, playback may differ with ${modules.join(", ")}`);
+    }
+    time.listenPreTick(this.preTickCallback);
+    if (!paused) time.resume();
+    return this;
+  }
+  /**Returns to live input, modules keep the state playback left them in*/
+  stopPlayback(): ReplayManager {
+    if (!this.isPlaying()) return this;
+    let time = api.getTimeManager();
+    this.setFreeCamera(false);
+    time.deafenPreTick(this.preTickCallback);
+    time.setTickRate(this.liveTickRate);
+    this.restoreInput();
+    this.recording = undefined;
+    this.setState("idle");
+    time.resume();
+    return this;
+  }
+  pause(): ReplayManager {
+    api.getTimeManager().pause();
+    return this;
+  }
+  resume(): ReplayManager {
+    if (this.isPlaying() && this.tick >= this.recording.getTickCount()) return this;
+    api.getTimeManager().resume();
+    return this;
+  }
+  isPaused(): boolean {
+    return api.getTimeManager().isPaused();
+  }
+  /**Plays ticks right away, ex: while paused*/
+  step(count: number = 1): ReplayManager {
+    if (!this.isPlaying()) throw "Not playing";
+    count = Math.min(count, this.recording.getTickCount() - this.tick);
+    if (count > 0) api.getTimeManager().step(count);
+    return this;
+  }
+  /**Jumps to a tick of the recording
+   * Seeking backwards restarts the simulation and plays every tick up to it again
+   */
+  async seek(tick: number): Promise<ReplayManager> {
+    if (!this.isPlaying()) throw "Not playing";
+    if (this.restarting) throw "Already seeking";
+    tick = Math.max(0, Math.min(Math.floor(tick), this.recording.getTickCount()));
+    if (tick < this.tick) await this.restart(this.recording.randomState);
+    this.step(tick - this.tick);
+    return this;
+  }
+  private onPreTick() {
+    if (this.restarting) return;
+    if (this.isRecording()) {
+      this.recordTick();
+      this.tick++;
+    } else if (this.isPlaying() && this.playTick()) {
+      this.tick++;
+    }
+  }
+  /**Internal - latches live input and adds it to the recording*/
+  private recordTick() {
+    let input = this.getInput();
+    let live = Object.getPrototypeOf(input).getButton;
+    let bindings = this.recording.bindings;
+    let buttons = new Array<boolean>(bindings.length);
+    for (let i = 0; i < bindings.length; i++) {
+      buttons[i] = input.hasBinding(bindings[i]) && live.call(input, bindings[i]);
+      this.latched.set(bindings[i], buttons[i]);
+    }
+    let pointer = input.raw.pointer;
+    this.recording.addTick(buttons, pointer.locked, pointer.mx, pointer.my);
+  }
+  /**Internal - latches recorded input for the tick about to run, false past the end*/
+  private playTick(): boolean {
+    let recording = this.recording;
+    let bindings = recording.bindings;
+    let recorded = recording.getTick(this.tick);
+    if (!recorded) {
+      //Ran out, hold still on the last tick
+      for (let name of bindings) this.latched.set(name, false);
+      this.replayPointer.mx = 0;
+      this.replayPointer.my = 0;
+      api.getTimeManager().pause();
+      return false;
+    }
+    for (let i = 0; i < bindings.length; i++) {
+      this.latched.set(bindings[i], recording.getButton(this.tick, i));
+    }
+    this.replayPointer.locked = recorded.pointerLocked;
+    this.replayPointer.mx = recorded.movementX;
+    this.replayPointer.my = recorded.movementY;
+    //Pause right as the last tick plays, rather than one tick after
+    if (this.tick + 1 >= recording.getTickCount()) api.getTimeManager().pause();
+    return true;
+  }
+  /**Detaches the view from the game during playback, WASD to fly, Q and E down and up, mouse to look*/
+  setFreeCamera(enabled: boolean): ReplayManager {
+    let renderer = api.getRenderer();
+    if (enabled === this.isFreeCamera()) return this;
+    if (enabled) {
+      if (!this.isPlaying()) throw "Free camera is only available during playback";
+      if (!renderer) throw "Free camera needs a renderer";
+      this.previousCamera = renderer.getCamera();
+      this.freeCamera = new PerspectiveCamera(70, renderer.getAspect(), 0.1, 1000);
+      if (this.previousCamera) {
+        this.previousCamera.updateMatrixWorld();
+        this.previousCamera.matrixWorld.decompose(this.freeCamera.position, this.freeCamera.quaternion, tempMove);
+      }
+      this.freeCamera.rotation.setFromQuaternion(this.freeCamera.quaternion, "YXZ");
+      this.freeYaw = this.freeCamera.rotation.y;
+      this.freePitch = this.freeCamera.rotation.x;
+      this.mouseX = 0;
+      this.mouseY = 0;
+      renderer.setCamera(this.freeCamera);
+      window.addEventListener("mousemove", this.onMouseMove);
+      api.getTimeManager().listenFrame(this.freeCameraFrame);
+    } else {
+      api.getTimeManager().deafenFrame(this.freeCameraFrame);
+      window.removeEventListener("mousemove", this.onMouseMove);
+      if (renderer) renderer.setCamera(this.previousCamera);
+      this.freeCamera = undefined;
+      this.previousCamera = undefined;
+    }
+    return this;
+  }
+  isFreeCamera(): boolean {
+    return this.freeCamera !== undefined;
+  }
+  /**Internal - flies the free camera with raw keys, bindings are busy replaying*/
+  private updateFreeCamera(delta: number) {
+    let raw = this.getInput().raw;
+    let camera = this.freeCamera;
+
+    this.freeYaw -= this.mouseX * this.freeCameraSensitivity;
+    this.freePitch -= this.mouseY * this.freeCameraSensitivity;
+    this.freePitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.freePitch));
+    this.mouseX = 0;
+    this.mouseY = 0;
+    camera.rotation.set(this.freePitch, this.freeYaw, 0, "YXZ");
+
+    let key = (k: string) => raw.getKey(k) ? 1 : 0;
+    tempMove.set(
+      key("d") - key("a"),
+      key("e") - key("q"),
+      key("s") - key("w")
+    );
+    if (tempMove.lengthSq() === 0) return;
+    let speed = this.freeCameraSpeed * (raw.getKey("Shift") ? 2 : 1);
+    tempMove.normalize().multiplyScalar(speed * delta).applyQuaternion(camera.quaternion);
+    camera.position.add(tempMove);
+  }
+  /**Saves a recording as a file through the browser*/
+  download(recording: Recording, fileName: string = `openbf-${Date.now()}.obfreplay`): ReplayManager {
+    let url = URL.createObjectURL(new Blob([recording.encode()], { type: "application/octet-stream" }));
+    let a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return this;
+  }
+}
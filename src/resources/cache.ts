@@ -0,0 +1,98 @@
+
+/**A file's entry in a module manifest from the host*/
+export interface ManifestEntry {
+  /**sha-256 of the file contents, hex*/
+  hash: string;
+  size: number;
+}
+
+export interface ModuleManifest {
+  /**module path relative to host root, ex: resources/modules/mymod*/
+  path: string;
+  /**path relative to module folder -> entry*/
+  files: { [path: string]: ManifestEntry };
+}
+
+const HASH_PREFIX = "/~hash/";
+const QUERY_PREFIX = "/~last/";
+
+function toHex(buffer: ArrayBuffer): string {
+  let bytes = new Uint8Array(buffer);
+  let result = "";
+  for (let i = 0; i < bytes.length; i++) {
+    result += bytes[i].toString(16).padStart(2, "0");
+  }
+  return result;
+}
+
+/**Persistent browser side cache of resources keyed by content hash
+ * Uses Cache Storage, and does nothing where it isn't available (insecure context, node)
+ */
+export class ResourceCache {
+  name: string;
+  private cache: Promise<Cache>;
+
+  constructor(name: string = "openbf-resources") {
+    this.name = name;
+  }
+  isSupported(): boolean {
+    return typeof caches !== "undefined";
+  }
+  private open(): Promise<Cache> {
+    if (!this.cache) this.cache = caches.open(this.name);
+    return this.cache;
+  }
+  /**sha-256 hex of data, undefined when crypto.subtle is unavailable*/
+  static async hash(data: ArrayBuffer): Promise<string> {
+    if (typeof crypto === "undefined" || !crypto.subtle) return undefined;
+    return toHex(await crypto.subtle.digest("SHA-256", data));
+  }
+  async get(hash: string): Promise<ArrayBuffer> {
+    if (!this.isSupported()) return undefined;
+    let res = await (await this.open()).match(`${HASH_PREFIX}${hash}`);
+    if (!res) return undefined;
+    return res.arrayBuffer();
+  }
+  async has(hash: string): Promise<boolean> {
+    if (!this.isSupported()) return false;
+    let res = await (await this.open()).match(`${HASH_PREFIX}${hash}`);
+    return res !== undefined;
+  }
+  /**Stores data under its hash, refused if the data doesn't hash to it
+   * (the file changed on the host since its manifest was queried)
+   * Resolves if it was stored
+   */
+  async put(hash: string, data: ArrayBuffer): Promise<boolean> {
+    if (!this.isSupported()) return false;
+    let actual = await ResourceCache.hash(data);
+    if (actual !== undefined && actual !== hash) return false;
+    await (await this.open()).put(`${HASH_PREFIX}${hash}`, new Response(data));
+    return true;
+  }
+  /**Removes hashed entries not in keep*/
+  async prune(keep: Set<string>): Promise<number> {
+    if (!this.isSupported()) return 0;
+    let cache = await this.open();
+    let removed = 0;
+    for (let req of await cache.keys()) {
+      let path = new URL(req.url).pathname;
+      if (!path.startsWith(HASH_PREFIX)) continue;
+      if (!keep.has(path.substring(HASH_PREFIX.length))) {
+        await cache.delete(req);
+        removed++;
+      }
+    }
+    return removed;
+  }
+  /**Remembers the last response of a host query so the game can start offline*/
+  async putQuery(query: string, json: any): Promise<void> {
+    if (!this.isSupported()) return;
+    await (await this.open()).put(`${QUERY_PREFIX}${query}`, new Response(JSON.stringify(json)));
+  }
+  async getQuery(query: string): Promise<any> {
+    if (!this.isSupported()) return undefined;
+    let res = await (await this.open()).match(`${QUERY_PREFIX}${query}`);
+    if (!res) return undefined;
+    return res.json();
+  }
+}
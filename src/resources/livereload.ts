@@ -0,0 +1,99 @@
+
+/**A file change pushed by the apphost*/
+export interface LiveChange {
+  /**path relative to the host root, ex: resources/modules/mymod/models/x.glb*/
+  path: string;
+  /**create, modify, remove, etc (Deno.FsEvent kind)*/
+  kind: string;
+}
+
+export interface LiveChangeCallback {
+  (changes: Array<LiveChange>): void;
+}
+
+/**Subscribes to the apphost ~live socket and passes file changes to listeners*/
+export class LiveReloadClient {
+  static SINGLETON: LiveReloadClient = undefined;
+  private listeners: Set<LiveChangeCallback>;
+  socket: WebSocket;
+  url: string;
+  /**ms to wait before reconnecting after the host goes away*/
+  reconnectDelay: number = 2000;
+  private shouldConnect: boolean = false;
+
+  constructor() {
+    if (LiveReloadClient.SINGLETON) throw "Cannot instance LiveReloadClient twice";
+    this.listeners = new Set();
+  }
+  static get(): LiveReloadClient {
+    if (!LiveReloadClient.SINGLETON) LiveReloadClient.SINGLETON = new LiveReloadClient();
+    return LiveReloadClient.SINGLETON;
+  }
+  isListening(cb: LiveChangeCallback): boolean {
+    return this.listeners.has(cb);
+  }
+  listen(cb: LiveChangeCallback): LiveReloadClient {
+    if (this.isListening(cb)) throw "Cannot listen with same listener twice";
+    this.listeners.add(cb);
+    return this;
+  }
+  deafen(cb: LiveChangeCallback): LiveReloadClient {
+    this.listeners.delete(cb);
+    return this;
+  }
+  isConnected(): boolean {
+    return this.socket != undefined && this.socket.readyState === WebSocket.OPEN;
+  }
+  /**Connects to the live socket, reconnecting if the host restarts
+   * @param url ex: ws://localhost:8080/~live
+   */
+  connect(url: string): LiveReloadClient {
+    this.disconnect();
+    this.url = url;
+    this.shouldConnect = true;
+    this._open();
+    return this;
+  }
+  disconnect(): LiveReloadClient {
+    this.shouldConnect = false;
+    if (this.socket) {
+      this.socket.onclose = undefined;
+      this.socket.close();
+      this.socket = undefined;
+    }
+    return this;
+  }
+  private _open() {
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (ex) {
+      console.warn("[live] couldn't connect", ex);
+      return;
+    }
+    this.socket.onmessage = (evt) => {
+      let msg: any;
+      try {
+        msg = JSON.parse(evt.data);
+      } catch (ex) {
+        console.warn("[live] bad message", evt.data);
+        return;
+      }
+      if (msg.type === "changes" && msg.changes) this.notify(msg.changes);
+    };
+    this.socket.onclose = () => {
+      this.socket = undefined;
+      if (this.shouldConnect) setTimeout(() => {
+        if (this.shouldConnect && !this.socket) this._open();
+      }, this.reconnectDelay);
+    };
+  }
+  notify(changes: Array<LiveChange>) {
+    for (let cb of this.listeners) {
+      try {
+        cb(changes);
+      } catch (ex) {
+        console.warn("[live] listener threw", ex);
+      }
+    }
+  }
+}
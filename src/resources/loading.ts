@@ -0,0 +1,139 @@
+
+export interface LoadingItem {
+  name: string;
+  /**bytes received so far*/
+  loaded: number;
+  /**bytes expected, 0 when unknown (no content-length, or not a download)*/
+  total: number;
+  done: boolean;
+  error?: any;
+}
+
+export interface LoadingSessionCallback {
+  (session: LoadingSession): void;
+}
+
+/**Aggregates the progress of everything loading at once (a level, startup, etc)
+ * so mods and the menu can show it
+ */
+export class LoadingSession {
+  name: string;
+  items: Map<string, LoadingItem>;
+  /**The item that most recently made progress*/
+  current: LoadingItem;
+  failures: Array<LoadingItem>;
+  finished: boolean = false;
+  private listeners: Set<LoadingSessionCallback>;
+
+  constructor(name: string) {
+    this.name = name;
+    this.items = new Map();
+    this.failures = new Array();
+    this.listeners = new Set();
+  }
+  listen(cb: LoadingSessionCallback): LoadingSession {
+    this.listeners.add(cb);
+    return this;
+  }
+  deafen(cb: LoadingSessionCallback): LoadingSession {
+    this.listeners.delete(cb);
+    return this;
+  }
+  private notify() {
+    for (let cb of this.listeners) {
+      try {
+        cb(this);
+      } catch (ex) {
+        console.warn("Loading session listener threw", ex);
+      }
+    }
+  }
+  getItem(name: string): LoadingItem {
+    if (!this.items.has(name)) {
+      this.items.set(name, { name, loaded: 0, total: 0, done: false });
+    }
+    return this.items.get(name);
+  }
+  /**Forgets an item, ex: a failure that was recovered from*/
+  removeItem(name: string): LoadingSession {
+    let item = this.items.get(name);
+    if (!item) return this;
+    this.items.delete(name);
+    let index = this.failures.indexOf(item);
+    if (index > -1) this.failures.splice(index, 1);
+    if (this.current === item) this.current = undefined;
+    this.notify();
+    return this;
+  }
+  begin(name: string): LoadingSession {
+    this.current = this.getItem(name);
+    this.notify();
+    return this;
+  }
+  progress(name: string, loaded: number, total: number): LoadingSession {
+    let item = this.getItem(name);
+    item.loaded = loaded;
+    item.total = total;
+    this.current = item;
+    this.notify();
+    return this;
+  }
+  complete(name: string): LoadingSession {
+    let item = this.getItem(name);
+    item.done = true;
+    if (item.total < item.loaded) item.total = item.loaded;
+    this.notify();
+    return this;
+  }
+  fail(name: string, error: any): LoadingSession {
+    let item = this.getItem(name);
+    item.done = true;
+    item.error = error;
+    this.failures.push(item);
+    this.notify();
+    return this;
+  }
+  /**Tracks something that isn't a download (physics init, module import) as an item*/
+  track<T>(name: string, promise: Promise<T>): Promise<T> {
+    this.begin(name);
+    promise.then(() => {
+      this.complete(name);
+    }).catch((reason) => {
+      this.fail(name, reason);
+    });
+    return promise;
+  }
+  finish(): LoadingSession {
+    this.finished = true;
+    this.notify();
+    return this;
+  }
+  getLoadedBytes(): number {
+    let result = 0;
+    this.items.forEach((item) => result += item.loaded);
+    return result;
+  }
+  getTotalBytes(): number {
+    let result = 0;
+    this.items.forEach((item) => result += item.total);
+    return result;
+  }
+  getDoneCount(): number {
+    let result = 0;
+    this.items.forEach((item) => {
+      if (item.done) result++;
+    });
+    return result;
+  }
+  /**0 to 1, by bytes when sizes are known, by item count otherwise*/
+  getProgress(): number {
+    if (this.finished) return 1;
+    let total = this.getTotalBytes();
+    if (total > 0) return Math.min(this.getLoadedBytes() / total, 1);
+    if (this.items.size < 1) return 0;
+    return this.getDoneCount() / this.items.size;
+  }
+  hasFailures(): boolean {
+    return this.failures.length > 0;
+  }
+}
@@ -1,25 +1,80 @@
 
-import { Scene, Object3D } from "three";
+import { Scene, Object3D, Mesh, Material, Texture, Group, Color, Vector3, Quaternion, Camera } from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
 
 import API from "../api";
+import { satisfies } from "../utils/semver";
+import { Body, Trigger } from "../physics/physics";
+import { CharacterController } from "../physics/character";
+import { NetEntity } from "../network/entity";
+import { RPCCallback } from "../network/network";
+import { ActionDefaults } from "../input/bindings";
+import { ProfileStore } from "../profiles/profiles";
+import { MenuScreen, Screen } from "../ui/screens";
+import { ActivateCallback, ButtonListItem } from "../ui/buttonlist";
+import { makeShapeFromObject, hideColliderMeshes } from "../physics/shapes";
+import { updateCallback } from "../utils/time";
+import { LiveChange } from "./livereload";
+import { LoadingSession, LoadingSessionCallback } from "./loading";
+import { ManifestEntry, ModuleManifest, ResourceCache } from "./cache";
+import { loadLocalJson, saveLocalJson } from "../utils/storage";
+import { EngineEventName, EngineEvents, EventCallback, ListenOptions } from "../utils/events";
+import { ComponentFactory, EntitySystem } from "../entities/entities";
+import { Entity, EntityJson } from "../entities/entity";
+import { EntityScript } from "../entities/components";
+import { Viewport, ViewportRect } from "../rendering/viewport";
+import { PipelinePassDef } from "../rendering/pipeline";
+import {
+  WorldDef,
+  WorldModelDef,
+  WorldEntityDef,
+  SpawnPoint,
+  applyTransformDef,
+  makeSpawnPoint,
+  makeLight,
+  makeColliderShape,
+  defToVector3,
+  defToQuaternion
+} from "./world";
 const api: API = API.get();
 
 const textDec = new TextDecoder();
 
 //This will be replaced by gltf-ts when it is ready
 const gltfLoader = new GLTFLoader();
+//See HeadlessGLTFPlugin
+let headlessGltfLoader: GLTFLoader = undefined;
 
 //package.json interpreted by babel from any folder.. have to use a different name
 const MODULE_DEF_JSON_NAME = "module.json";
+/**Names of modules the player disabled*/
+const DISABLED_MODULES_KEY = "openbf-disabled-modules";
 
 export class Resource {
   isLoaded: boolean = false;
   arrayBuffer: ArrayBuffer;
   url: string;
   resourceManager: ResourceManager;
+  /**How many acquireResource calls haven't been released, only unreferenced resources are evicted*/
+  refCount: number = 0;
+  /**Date.now() of the last get/release, used to evict least recently used first*/
+  lastUsed: number = 0;
   constructor() {
   }
+  /**Bytes counted against the ResourceManager memory budget*/
+  getByteLength(): number {
+    if (!this.arrayBuffer) return 0;
+    return this.arrayBuffer.byteLength;
+  }
+  /**Whether eviction has to leave it alone*/
+  isInUse(): boolean {
+    return this.refCount > 0;
+  }
+  /**Frees anything held by this resource, called when evicted*/
+  dispose() {
+    this.arrayBuffer = undefined;
+    this.setLoaded(false);
+  }
   setLoaded(loaded: boolean): Resource {
     this.isLoaded = loaded;
     return this;
@@ -47,22 +102,322 @@ export class Resource {
   }
 }
 
+export interface ModelReloadCallback {
+  (res: ModelResource, oldScenes: Array<Object3D>): void;
+}
+
 export class ModelResource extends Resource {
   scenes: Array<Object3D>;
+  parsePromise: Promise<ModelResource>;
+  private reloadListeners: Set<ModelReloadCallback>;
 
   constructor() {
     super();
+    this.reloadListeners = new Set();
+  }
+  /**Called after the model was changed on disk and scenes replaced (live reload)*/
+  listenReload(cb: ModelReloadCallback): ModelResource {
+    this.reloadListeners.add(cb);
+    return this;
+  }
+  deafenReload(cb: ModelReloadCallback): ModelResource {
+    this.reloadListeners.delete(cb);
+    return this;
+  }
+  /**Swaps in new scenes, replacing old ones wherever they were parented
+   * The old scenes are disposed once reload listeners ran, so listeners have to replace their clones
+   */
+  replaceScenes(scenes: Array<Object3D>): ModelResource {
+    let oldScenes = this.scenes || [];
+    for (let i = 0; i < oldScenes.length; i++) {
+      let oldScene = oldScenes[i];
+      let newScene = scenes[i];
+      if (!newScene || !oldScene.parent) continue;
+      newScene.position.copy(oldScene.position);
+      newScene.quaternion.copy(oldScene.quaternion);
+      newScene.scale.copy(oldScene.scale);
+      oldScene.parent.add(newScene);
+      oldScene.parent.remove(oldScene);
+    }
+    this.scenes = scenes;
+    for (let cb of this.reloadListeners) {
+      try {
+        cb(this, oldScenes);
+      } catch (ex) {
+        console.warn(`Model ${this.url} reload listener threw`, ex);
+      }
+    }
+    for (let oldScene of oldScenes) {
+      disposeObject3D(oldScene);
+    }
+    return this;
+  }
+  /**Scenes parented somewhere count as in use, getResourceModel doesn't take a reference*/
+  isInUse(): boolean {
+    if (super.isInUse()) return true;
+    return this.scenes !== undefined && this.scenes.some((scene) => scene.parent !== null);
+  }
+  /**Frees the GPU side of the scenes (geometries, materials, textures)*/
+  dispose() {
+    if (this.scenes) {
+      for (let scene of this.scenes) {
+        disposeObject3D(scene);
+      }
+    }
+    this.scenes = undefined;
+    super.dispose();
+  }
+}
+
+function disposeMaterial(material: Material) {
+  for (let key of Object.keys(material)) {
+    let value = material[key];
+    if (value && (value as Texture).isTexture) (value as Texture).dispose();
+  }
+  material.dispose();
+}
+
+/**Disposes geometries, materials and textures of an object and its children*/
+export function disposeObject3D(obj: Object3D) {
+  obj.traverse((child) => {
+    let mesh = child as Mesh;
+    if (mesh.geometry) mesh.geometry.dispose();
+    if (mesh.material) {
+      if (Array.isArray(mesh.material)) {
+        for (let material of mesh.material) disposeMaterial(material);
+      } else {
+        disposeMaterial(mesh.material);
+      }
+    }
+  });
+}
+
+export interface ResourceProgressCallback {
+  (name: string, loaded: number, total: number): void;
+}
+
+/**Reads the contents of a resource url, see ResourceManager.setResourceReader*/
+export interface ResourceReader {
+  (url: string): Promise<ArrayBuffer>;
+}
+
+/**GLTFLoader plugin used while headless
+ * Textures are skipped (no images or GPU), and external buffers are read
+ * through the ResourceManager instead of XMLHttpRequest
+ */
+class HeadlessGLTFPlugin {
+  name: string = "OPENBF_headless";
+  parser: any;
+  resourceManager: ResourceManager;
+  private buffers: Map<number, Promise<ArrayBuffer>>;
+  constructor(parser: any, resourceManager: ResourceManager) {
+    this.parser = parser;
+    this.resourceManager = resourceManager;
+    this.buffers = new Map();
+  }
+  loadTexture(textureIndex: number): Promise<Texture> {
+    return Promise.resolve(null);
+  }
+  loadBufferView(viewIndex: number): Promise<ArrayBuffer> {
+    let viewDef = this.parser.json.bufferViews[viewIndex];
+    let bufferDef = this.parser.json.buffers[viewDef.buffer];
+    //glb body and data uris don't need a request
+    if (bufferDef.uri === undefined || bufferDef.uri.startsWith("data:")) return null;
+
+    if (!this.buffers.has(viewDef.buffer)) {
+      let url = new URL(bufferDef.uri, this.parser.options.path).href;
+      this.buffers.set(viewDef.buffer, this.resourceManager._fetchWithProgress(bufferDef.uri, url));
+    }
+    let byteOffset = viewDef.byteOffset || 0;
+    return this.buffers.get(viewDef.buffer).then((buffer) =>
+      buffer.slice(byteOffset, byteOffset + viewDef.byteLength)
+    );
   }
 }
 
 export class ResourceManager {
   private resources: Map<string, Resource>;
+  private worldEntityTypes: Map<string, WorldEntityHandler>;
+  /**Fetches that haven't finished, so callers of the same name share one*/
+  private inflight: Map<string, Promise<Resource>>;
+  /**name -> acquires waiting on a fetch, counted before the budget is enforced*/
+  private pendingAcquires: Map<string, number>;
+  private progressListeners: Set<ResourceProgressCallback>;
+  private sessionListeners: Set<LoadingSessionCallback>;
+  /**Downloads are reported to this session while it is set*/
+  private loadingSession: LoadingSession;
+  /**Persistent cache, files with a known hash are served from it when unchanged*/
+  private persistentCache: ResourceCache;
+  /**resource url -> hash and size, from module manifests*/
+  private manifestEntries: Map<string, ManifestEntry>;
+  /**Set when the host couldn't be reached and the game started from cache*/
+  private offline: boolean = false;
+  /**Reads resources instead of fetch when set, ex: from the filesystem when headless*/
+  private resourceReader: ResourceReader;
   resourceTransport: string = "http";
   resourceDomain: string = "localhost:8080";
+  /**Bytes of cached resources to keep before evicting unreferenced ones*/
+  memoryBudget: number = 256 * 1024 * 1024;
   static SINGLETON: ResourceManager = undefined;
   constructor() {
     if (ResourceManager.SINGLETON) throw "Cannot instance ResourceManager twice";
     this.resources = new Map();
+    this.inflight = new Map();
+    this.pendingAcquires = new Map();
+    this.progressListeners = new Set();
+    this.sessionListeners = new Set();
+    this.manifestEntries = new Map();
+    this.worldEntityTypes = new Map();
+  }
+  setPersistentCache(cache: ResourceCache): ResourceManager {
+    this.persistentCache = cache;
+    return this;
+  }
+  /**Reads resource urls with reader instead of fetching them
+   * resourceTransport and resourceDomain should be set to what the reader expects
+   */
+  setResourceReader(reader: ResourceReader): ResourceManager {
+    this.resourceReader = reader;
+    return this;
+  }
+  getResourceReader(): ResourceReader {
+    return this.resourceReader;
+  }
+  getPersistentCache(): ResourceCache {
+    return this.persistentCache;
+  }
+  hasPersistentCache(): boolean {
+    return this.persistentCache != undefined && this.persistentCache != null;
+  }
+  setOffline(offline: boolean): ResourceManager {
+    this.offline = offline;
+    return this;
+  }
+  /**True when the host couldn't be reached and resources come from the persistent cache*/
+  isOffline(): boolean {
+    return this.offline;
+  }
+  /**Registers file hashes of a module so unchanged files can be served from the persistent cache*/
+  addManifest(manifest: ModuleManifest): ResourceManager {
+    for (let file of Object.keys(manifest.files)) {
+      let url = this.resourceNameToURL(`${manifest.path}/${file}`);
+      this.manifestEntries.set(url, manifest.files[file]);
+    }
+    return this;
+  }
+  getManifestEntry(url: string): ManifestEntry {
+    return this.manifestEntries.get(url);
+  }
+  /**Hashes of every file in known manifests*/
+  getManifestHashes(): Set<string> {
+    let result: Set<string> = new Set();
+    this.manifestEntries.forEach((entry) => result.add(entry.hash));
+    return result;
+  }
+  /**Listen to byte progress of every resource download
+   * total is 0 when the host doesn't send a content-length
+   */
+  listenProgress(cb: ResourceProgressCallback): ResourceManager {
+    this.progressListeners.add(cb);
+    return this;
+  }
+  deafenProgress(cb: ResourceProgressCallback): ResourceManager {
+    this.progressListeners.delete(cb);
+    return this;
+  }
+  /**Listen for loading sessions starting, ex: to show a loading screen*/
+  listenLoadingSessions(cb: LoadingSessionCallback): ResourceManager {
+    this.sessionListeners.add(cb);
+    return this;
+  }
+  deafenLoadingSessions(cb: LoadingSessionCallback): ResourceManager {
+    this.sessionListeners.delete(cb);
+    return this;
+  }
+  /**Starts a loading session that downloads are reported to until endLoadingSession*/
+  beginLoadingSession(name: string): LoadingSession {
+    if (this.loadingSession) this.endLoadingSession();
+    this.loadingSession = new LoadingSession(name);
+    for (let cb of this.sessionListeners) {
+      cb(this.loadingSession);
+    }
+    return this.loadingSession;
+  }
+  getLoadingSession(): LoadingSession {
+    return this.loadingSession;
+  }
+  hasLoadingSession(): boolean {
+    return this.loadingSession != undefined && this.loadingSession != null;
+  }
+  endLoadingSession(): ResourceManager {
+    if (this.loadingSession) this.loadingSession.finish();
+    this.loadingSession = undefined;
+    return this;
+  }
+  private reportProgress(name: string, loaded: number, total: number) {
+    for (let cb of this.progressListeners) {
+      cb(name, loaded, total);
+    }
+    if (this.loadingSession) this.loadingSession.progress(name, loaded, total);
+  }
+  /**Internal - serves a url from the persistent cache if its hash is known and cached,
+   * otherwise fetches and caches it
+   */
+  async _fetchCached(name: string, url: string): Promise<ArrayBuffer> {
+    let entry = this.manifestEntries.get(url);
+    let cache = this.persistentCache;
+    if (entry && cache) {
+      let cached = await cache.get(entry.hash).catch(() => undefined);
+      if (cached) {
+        this.reportProgress(name, cached.byteLength, cached.byteLength);
+        return cached;
+      }
+    }
+    let data = await this._fetchWithProgress(name, url);
+    if (entry && cache) {
+      cache.put(entry.hash, data).catch((reason) => {
+        console.warn(`Couldn't cache ${name}`, reason);
+      });
+    }
+    return data;
+  }
+  /**Internal - fetches a url, streaming the body so progress can be reported*/
+  async _fetchWithProgress(name: string, url: string): Promise<ArrayBuffer> {
+    if (this.resourceReader) {
+      let read = await this.resourceReader(url);
+      this.reportProgress(name, read.byteLength, read.byteLength);
+      return read;
+    }
+    let res = await fetch(url);
+    if (!res.ok) throw `${res.status} ${res.statusText} fetching ${url}`;
+
+    let total = parseInt(res.headers.get("content-length")) || 0;
+    //No streams available, fall back to all at once
+    if (!res.body) {
+      let data = await res.arrayBuffer();
+      this.reportProgress(name, data.byteLength, data.byteLength);
+      return data;
+    }
+
+    let reader = res.body.getReader();
+    let chunks = new Array<Uint8Array>();
+    let loaded = 0;
+    this.reportProgress(name, loaded, total);
+    while (true) {
+      let { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.byteLength;
+      this.reportProgress(name, loaded, Math.max(total, loaded));
+    }
+
+    let result = new Uint8Array(loaded);
+    let offset = 0;
+    for (let chunk of chunks) {
+      result.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return result.buffer;
   }
   static get(): ResourceManager {
     if (!ResourceManager.SINGLETON) {
@@ -79,7 +434,12 @@ export class ResourceManager {
           name = name.substring(1 + sepInd);
           if (ModuleManager.get().hasModule(modName)) {
             let mod = ModuleManager.get().getLoadedModule(modName);
-            name = `${mod.url}${name}`;
+            //Works the same whether the module is a folder or a packed archive
+            if (mod.url.endsWith("/") || name.startsWith("/")) {
+              name = `${mod.url}${name}`;
+            } else {
+              name = `${mod.url}/${name}`;
+            }
             break;
           } else {
             throw `cannot get relative resource of module before module is queryed or loaded ${modName}`;
@@ -99,11 +459,17 @@ export class ResourceManager {
         url = this.resourceNameToURL(name);
       } catch (ex) {
         reject(`Couldn't parse resource name to url ${name}`);
+        return;
       }
-      let data = await fetch(url)
-        .then((res) => res.arrayBuffer())
-        .catch(reject);
+      let session = this.loadingSession;
+      if (session) session.begin(name);
+      let data = await this._fetchCached(name, url)
+        .catch((reason) => {
+          if (session) session.fail(name, reason);
+          reject(reason);
+        });
       if (data) {
+        if (session) session.complete(name);
         let result: Resource = premadeRes;;
         if (!result) result = new Resource();
         result.url = url;
@@ -117,6 +483,7 @@ export class ResourceManager {
   hasResource(name: string): boolean {
     return this.resources.has(name);
   }
+  /**Forgets a resource without disposing it, the next get fetches it again*/
   deleteResource(name: string): ResourceManager {
     this.resources.delete(name);
     return this;
@@ -126,56 +493,349 @@ export class ResourceManager {
     return this;
   }
   /**Gets a resource, which may or may not be loaded already
+   * Concurrent gets of the same name share one fetch
    * Rejects if resource couldn't be fetched
    * @param name of resource
+   * @param acquire counts a reference, see acquireResource
    */
-  getResource(name: string, premadeRes: Resource = undefined): Promise<Resource> {
+  getResource(name: string, premadeRes: Resource = undefined, acquire: boolean = false): Promise<Resource> {
     return new Promise(async (resolve, reject) => {
-      let result: Resource | void = premadeRes;
+      let result: Resource | void;
       if (this.hasResource(name)) {
         result = this.resources.get(name);
+        if (acquire) result.refCount++;
       } else {
-        result = await this._loadResource(name, result).catch((reason) => {
+        if (acquire) this.pendingAcquires.set(name, (this.pendingAcquires.get(name) || 0) + 1);
+        if (!this.inflight.has(name)) {
+          let request = this._loadResource(name, premadeRes);
+          this.inflight.set(name, request);
+          request.then((res) => {
+            res.refCount += this.pendingAcquires.get(name) || 0;
+            res.lastUsed = Date.now();
+            this.setResource(name, res);
+            this.enforceMemoryBudget(name);
+            api.getEvents().emit("resource:loaded", { name, resource: res });
+          }).catch(() => {
+            //Rejection is passed to the caller below
+          }).finally(() => {
+            this.inflight.delete(name);
+            this.pendingAcquires.delete(name);
+          });
+        }
+        result = await this.inflight.get(name).catch((reason) => {
           reject(reason);
         });
       }
       if (result) {
+        result.lastUsed = Date.now();
         resolve(result);
       } else {
         //Doesn't happen
       }
     });
   }
+  /**Gets a resource and counts a reference to it, it won't be evicted until released
+   * @param name of resource
+   */
+  acquireResource(name: string): Promise<Resource> {
+    return this.getResource(name, undefined, true);
+  }
+  /**See acquireResource, loads the model as well*/
+  acquireResourceModel(name: string): Promise<ModelResource> {
+    return this.getResourceModel(name, true);
+  }
+  /**Releases a reference from acquireResource
+   * Unreferenced resources are evicted when the cache is over budget
+   */
+  releaseResource(name: string): ResourceManager {
+    let res = this.resources.get(name);
+    if (!res) return this;
+    if (res.refCount > 0) res.refCount--;
+    res.lastUsed = Date.now();
+    this.enforceMemoryBudget();
+    return this;
+  }
+  setMemoryBudget(bytes: number): ResourceManager {
+    this.memoryBudget = bytes;
+    this.enforceMemoryBudget();
+    return this;
+  }
+  getMemoryBudget(): number {
+    return this.memoryBudget;
+  }
+  getCachedCount(): number {
+    return this.resources.size;
+  }
+  /**Total bytes of cached resources*/
+  getCachedBytes(): number {
+    let result = 0;
+    this.resources.forEach((res) => {
+      result += res.getByteLength();
+    });
+    return result;
+  }
+  /**Disposes a resource and removes it from the cache, regardless of references*/
+  evictResource(name: string): ResourceManager {
+    let res = this.resources.get(name);
+    if (!res) return this;
+    this.resources.delete(name);
+    res.dispose();
+    return this;
+  }
+  /**Evicts least recently used resources not in use until under budget
+   * @param keep name of a resource to never evict, ex: one just loaded for a caller
+   */
+  enforceMemoryBudget(keep: string = undefined): ResourceManager {
+    let total = this.getCachedBytes();
+    if (total <= this.memoryBudget) return this;
+
+    let candidates = new Array<string>();
+    this.resources.forEach((res, name) => {
+      if (name !== keep && !res.isInUse()) candidates.push(name);
+    });
+    candidates.sort((a, b) => this.resources.get(a).lastUsed - this.resources.get(b).lastUsed);
+
+    for (let name of candidates) {
+      if (total <= this.memoryBudget) break;
+      total -= this.resources.get(name).getByteLength();
+      this.evictResource(name);
+    }
+    return this;
+  }
+  /**Evicts every resource not in use, handy between levels*/
+  evictUnreferenced(): ResourceManager {
+    let names = new Array<string>();
+    this.resources.forEach((res, name) => {
+      if (!res.isInUse()) names.push(name);
+    });
+    for (let name of names) this.evictResource(name);
+    return this;
+  }
   /**TODO - rename to getModelResource
+   * Doesn't take a reference, the model is kept while one of its scenes is parented
+   * (used as is, not cloned), clones keep nothing, see acquireResourceModel
    * @param name 
+   * @param acquire counts a reference, see acquireResourceModel
    */
-  getResourceModel(name: string): Promise<ModelResource> {
+  getResourceModel(name: string, acquire: boolean = false): Promise<ModelResource> {
     return new Promise(async (resolve, reject) => {
-      let res = await this.getResource(name).catch(reject) as ModelResource;
-      if (!res) return;
+      let fetched = await this.getResource(name, new ModelResource(), acquire).catch(reject) as Resource;
+      if (!fetched) return;
+
+      let res: ModelResource;
+      if (fetched instanceof ModelResource) {
+        res = fetched;
+      } else {
+        //Was fetched as a plain resource first
+        res = new ModelResource();
+        res.url = fetched.url;
+        res.refCount = fetched.refCount;
+        res.lastUsed = fetched.lastUsed;
+        res.setArrayBuffer(fetched.arrayBuffer).setResourceManager(this);
+        this.setResource(name, res);
+      }
 
       if (res.getLoaded()) {
-        console.log("already loaded", name);
         resolve(res);
       } else {
-        console.log("Haven't loaded", name, "yet");
-        gltfLoader.load(res.url, (gltf) => {
-          res.scenes = gltf.scenes;
-          resolve(res);
-        }, undefined, reject);
-        res.setLoaded(true);
+        if (!res.parsePromise) res.parsePromise = this._parseModel(res).then((scenes) => {
+          res.scenes = scenes;
+          res.setLoaded(true);
+          return res;
+        }).finally(() => {
+          res.parsePromise = undefined;
+        });
+        res.parsePromise.then(resolve).catch((reason) => {
+          //Caller won't get the model, so it won't release it either
+          if (acquire && res.refCount > 0) res.refCount--;
+          reject(reason);
+        });
       }
+    });
+  }
+  /**Internal - parses a fetched gltf/glb resource into three.js scenes*/
+  _parseModel(res: Resource): Promise<Array<Object3D>> {
+    return new Promise((resolve, reject) => {
+      //Relative uris inside the gltf (buffers, textures) resolve against its folder
+      let basePath = res.url.substring(0, res.url.lastIndexOf("/") + 1);
+      this.getGltfLoader().parse(res.arrayBuffer, basePath, (gltf) => {
+        resolve(gltf.scenes);
+      }, reject);
+    });
+  }
+  private getGltfLoader(): GLTFLoader {
+    if (!api.getHeadless()) return gltfLoader;
+    if (!headlessGltfLoader) {
+      headlessGltfLoader = new GLTFLoader();
+      //Not in three's typings yet
+      (headlessGltfLoader as any).register((parser: any) => new HeadlessGLTFPlugin(parser, this));
+    }
+    return headlessGltfLoader;
+  }
+  /**Fetches a loaded model again and swaps its scenes in place*/
+  async reloadModelResource(name: string): Promise<ModelResource> {
+    let res = this.resources.get(name) as ModelResource;
+    if (!(res instanceof ModelResource)) throw `${name} is not a loaded model resource`;
+    let fresh = await this._loadResource(name);
+    res.setArrayBuffer(fresh.arrayBuffer);
+    res.replaceScenes(await this._parseModel(res));
+    return res;
+  }
+  /**Handles files changed on the host, see LiveReloadClient
+   * Loaded models are fetched again, anything else is dropped so the next get fetches it
+   */
+  onLiveChanges(changes: Array<LiveChange>) {
+    for (let change of changes) {
+      let url = this.resourceNameToURL(change.path);
+      //A changed folder or module archive affects everything inside it
+      let affects = (other: string) => other === url || other.startsWith(`${url}/`);
 
+      //Hash is stale now, fetch it from the host
+      for (let entryUrl of Array.from(this.manifestEntries.keys())) {
+        if (affects(entryUrl)) this.manifestEntries.delete(entryUrl);
+      }
+      this.resources.forEach((res, name) => {
+        if (!affects(res.url)) return;
+        if (res instanceof ModelResource && res.getLoaded() && change.kind !== "remove") {
+          this.reloadModelResource(name).catch((reason) => {
+            console.warn(`[live] couldn't reload model ${name}`, reason);
+          });
+        } else {
+          this.deleteResource(name);
+        }
+      });
+    }
+  }
+  /**The url of the host's live reload socket*/
+  getLiveReloadURL(): string {
+    return this.resourceNameToURL("~live").replace(/^http/, "ws");
+  }
+  /**Lets worlds declare entities of a type, ex: "mymod:capture-zone"
+   * Types should be namespaced by module name to avoid collisions
+   */
+  registerWorldEntityType(type: string, handler: WorldEntityHandler): ResourceManager {
+    if (this.worldEntityTypes.has(type)) throw `World entity type ${type} already registered`;
+    this.worldEntityTypes.set(type, handler);
+    return this;
+  }
+  unregisterWorldEntityType(type: string): ResourceManager {
+    this.worldEntityTypes.delete(type);
+    return this;
+  }
+  getWorldEntityType(type: string): WorldEntityHandler {
+    return this.worldEntityTypes.get(type);
+  }
+  /**Loads a world (level) file and everything it references,
+   * and instantiates it into the scene and physics world
+   * @param name of world json resource, ex: @mymod:worlds/level1.json
+   */
+  async getWorldResource(name: string): Promise<WorldResource> {
+    let res = await this.getResource(name, new WorldResource());
+    if (!(res instanceof WorldResource)) {
+      //Was fetched as a plain resource first
+      let world = new WorldResource();
+      world.url = res.url;
+      world.setArrayBuffer(res.arrayBuffer).setResourceManager(this);
+      this.setResource(name, world);
+      res = world;
+    }
+    let world = res as WorldResource;
+    if (!world.instantiated) await world.instantiate();
+    return world;
+  }
+  /**Removes a world instantiated by getWorldResource, see WorldResource.unload*/
+  unloadWorldResource(name: string): ResourceManager {
+    let res = this.resources.get(name);
+    if (res instanceof WorldResource) res.unload();
+    return this;
+  }
+  /**Removes every instantiated world, ex: restarting for a replay*/
+  unloadWorldResources(): ResourceManager {
+    this.resources.forEach((res) => {
+      if (res instanceof WorldResource) res.unload();
     });
+    return this;
   }
-  // getResourceWorld (name: string): Promise<WorldResource> {
+}
+
+/**The contents of a module's module.json
+ * Dependency and loadAfter names refer to module names as queried (folder names)
+ */
+export interface ModuleDef {
+  name?: string;
+  version?: string;
+  author?: string;
+  description?: string;
+  main?: string;
+  /**module name -> semver range, ex: { "shared-lib": "^1.2.0" }*/
+  dependencies?: { [name: string]: string };
+  /**modules that should load first if they are present, but aren't required*/
+  loadAfter?: Array<string>;
+}
+
+/**See ModuleManager.getModuleStatus
+ * unavailable - can't be loaded because of its dependencies, see getModuleProblems
+ * unloaded - can be loaded, but isn't (yet)
+ */
+export type ModuleStatus = "loaded" | "loading" | "failed" | "disabled" | "unavailable" | "unloaded";
+
+export interface ModuleStatusCallback {
+  (mod: Module, status: ModuleStatus): void;
+}
+
+export interface ModuleLoadOrder {
+  /**Module names in the order they can be loaded*/
+  order: Array<string>;
+  /**Modules that cannot be loaded, and why*/
+  problems: Map<string, Array<string>>;
+}
 
-  // }
+/**Same signature as gameinput's raw Input listeners*/
+export interface InputListener {
+  (type: string): any;
+}
+
+/**Hooks a module's main may export, all optional
+ * ModuleManager calls these, modules shouldn't wire themselves up to the TimeManager
+ */
+export interface ModuleHooks {
+  /**Called once after import, before dependents are loaded*/
+  init?(api: API, mod: Module): void | Promise<void>;
+  /**Called every TimeManager tick while loaded*/
+  update?(delta: number): void;
+  /**Called before unload/reload, after which tracked bodies, objects and listeners are removed*/
+  dispose?(): void | Promise<void>;
 }
 
 export class Module extends Resource {
   imps: any;
   moduleManager: ModuleManager;
+  name: string;
+  def: ModuleDef;
+  loadPromise: Promise<Module>;
+  /**Set while main is imported and init runs*/
+  loading: boolean = false;
+  /**Why the last load failed, undefined if it didn't*/
+  loadError: any;
+  updateCallback: updateCallback;
+  private trackedBodies: Set<Body> = new Set();
+  private trackedTriggers: Set<Trigger> = new Set();
+  private trackedCharacters: Set<CharacterController> = new Set();
+  private trackedObjects: Set<Object3D> = new Set();
+  private trackedInputListeners: Set<InputListener> = new Set();
+  private trackedNetEntities: Set<NetEntity> = new Set();
+  private trackedRPCListeners: Array<[string, RPCCallback]> = new Array();
+  private trackedEventListeners: Array<[string, EventCallback]> = new Array();
+  private trackedActions: Set<string> = new Set();
+  private trackedScreens: Set<string> = new Set();
+  private trackedMenuItems: Set<ButtonListItem> = new Set();
+  private trackedViewports: Set<string> = new Set();
+  private trackedRenderPasses: Set<string> = new Set();
+  private trackedEntities: Set<Entity> = new Set();
+  private trackedComponentTypes: Set<string> = new Set();
+  private trackedScripts: Set<string> = new Set();
+  private trackedSystems: Set<EntitySystem> = new Set();
+  private disposers: Array<() => void> = new Array();
   setImports(imps: any): Module {
     this.imps = imps;
     return this;
@@ -190,6 +850,286 @@ export class Module extends Resource {
   getModuleManager(): ModuleManager {
     return this.moduleManager;
   }
+  setDef(def: ModuleDef): Module {
+    this.def = def;
+    return this;
+  }
+  getDef(): ModuleDef {
+    return this.def;
+  }
+  hasDef(): boolean {
+    return this.def != undefined && this.def != null;
+  }
+  getVersion(): string {
+    if (this.hasDef() && this.def.version) return this.def.version;
+    return "0.0.0";
+  }
+  getDependencies(): { [name: string]: string } {
+    if (this.hasDef() && this.def.dependencies) return this.def.dependencies;
+    return {};
+  }
+  getLoadAfter(): Array<string> {
+    if (this.hasDef() && this.def.loadAfter) return this.def.loadAfter;
+    return [];
+  }
+  /**name in module.json, or the name the host lists it by*/
+  getDisplayName(): string {
+    if (this.hasDef() && this.def.name) return this.def.name;
+    return this.name;
+  }
+  getHooks(): ModuleHooks {
+    return this.imps || {};
+  }
+  /**Adds a body to the physics world, it will be removed when this module unloads*/
+  addBody(body: Body): Module {
+    api.getPhysicsManager().addBody(body);
+    this.trackedBodies.add(body);
+    return this;
+  }
+  /**Adds a trigger to the physics world, it will be removed when this module unloads*/
+  addTrigger(trigger: Trigger): Module {
+    api.getPhysicsManager().addTrigger(trigger);
+    this.trackedTriggers.add(trigger);
+    return this;
+  }
+  /**Adds a character to the physics world, it will be removed when this module unloads*/
+  addCharacter(character: CharacterController): Module {
+    api.getPhysicsManager().addCharacter(character);
+    this.trackedCharacters.add(character);
+    return this;
+  }
+  /**Adds an object to the scene (or parent), it will be removed when this module unloads*/
+  addObject3D(obj: Object3D, parent: Object3D = undefined): Module {
+    if (!parent) parent = api.getScene();
+    parent.add(obj);
+    this.trackedObjects.add(obj);
+    return this;
+  }
+  /**Listens to raw input events, the listener is removed when this module unloads*/
+  listenInput(cb: InputListener): Module {
+    if (!api.getInputManager()) throw `Module ${this.name} listened to input, but there is none (headless)`;
+    api.getInputManager().raw.listen(cb);
+    this.trackedInputListeners.add(cb);
+    return this;
+  }
+  /**Declares a rebindable action (see BindingRegistry.declareAction), it is removed when this module unloads
+   * Does nothing headless, there is no input to bind
+   */
+  declareAction(name: string, defaults: ActionDefaults, label: string = name, category: string = this.name): Module {
+    let bindings = api.getBindings();
+    if (!bindings) return this;
+    bindings.declareAction(name, defaults, label, category);
+    this.trackedActions.add(name);
+    return this;
+  }
+  /**Registers a screen (see ScreenManager.registerScreen), it is unregistered when this module unloads*/
+  registerScreen(name: string, screen: Screen): Module {
+    let screens = api.getScreenManager();
+    if (!screens) throw `Module ${this.name} registered a screen, but there are no screens (headless)`;
+    screens.registerScreen(name, screen);
+    this.trackedScreens.add(name);
+    return this;
+  }
+  /**Adds an item to the main menu (or another MenuScreen), it is removed when this module unloads
+   * @param index where to insert it, last if undefined
+   */
+  addMenuItem(text: string, onActivate: ActivateCallback, index: number = undefined, menu: string = "main"): ButtonListItem {
+    let screens = api.getScreenManager();
+    if (!screens) throw `Module ${this.name} added a menu item, but there are no screens (headless)`;
+    let screen = screens.getScreen(menu) as MenuScreen;
+    if (!screen || !screen.addItem) throw `No menu ${menu} for module ${this.name} to add to`;
+    let item = screen.addItem(text, onActivate, index);
+    this.trackedMenuItems.add(item);
+    return item;
+  }
+  /**Adds a viewport (see Renderer.addViewport), it is removed when this module unloads
+   * @param rect where it is, ex: a minimap, placed with the split screen layout if undefined
+   */
+  addViewport(name: string, camera: Camera, rect: ViewportRect = undefined): Viewport {
+    let renderer = api.getRenderer();
+    if (!renderer) throw `Module ${this.name} added a viewport, but there is no renderer (headless)`;
+    let viewport = renderer.addViewport(name, camera, rect);
+    this.trackedViewports.add(name);
+    return viewport;
+  }
+  /**Adds a post processing pass (see RenderPipeline.addPass), it is removed when this module unloads
+   * Does nothing headless, nothing is rendered
+   */
+  addRenderPass(name: string, def: PipelinePassDef): Module {
+    let renderer = api.getRenderer();
+    if (!renderer) return this;
+    renderer.pipeline.addPass(name, def);
+    this.trackedRenderPasses.add(name);
+    return this;
+  }
+  /**Data this module keeps in the active profile, ex: unlocks and statistics
+   * Namespaced by module name, follows profile switches
+   */
+  getProfileStore(): ProfileStore {
+    let profiles = api.getProfileManager();
+    if (!profiles) throw `Module ${this.name} used profiles, but there are none (headless)`;
+    return profiles.getStore(this.name);
+  }
+  /**Spawns a replicated entity (see NetworkManager.spawn), it will be despawned when this module unloads*/
+  spawnNetEntity(type: string, props: any = {}, owner: number = undefined): NetEntity {
+    let entity = api.getNetworkManager().spawn(type, props, owner);
+    this.trackedNetEntities.add(entity);
+    return entity;
+  }
+  /**Listens to RPC messages on channel, the listener is removed when this module unloads*/
+  listenRPC(channel: string, cb: RPCCallback): Module {
+    api.getNetworkManager().listenRPC(channel, cb);
+    this.trackedRPCListeners.push([channel, cb]);
+    return this;
+  }
+  /**Listens to an event (see EventBus.listen), the listener is removed when this module unloads*/
+  listenEvent<K extends EngineEventName>(type: K, cb: EventCallback<EngineEvents[K]>, options?: ListenOptions): Module;
+  listenEvent<T = any>(type: string, cb: EventCallback<T>, options?: ListenOptions): Module;
+  listenEvent(type: string, cb: EventCallback, options: ListenOptions = {}): Module {
+    api.getEvents().listen(type, cb, options);
+    this.trackedEventListeners.push([type, cb]);
+    return this;
+  }
+  /**Emits an event, custom events should be namespaced with the module name, ex: mymodule:round-over*/
+  emitEvent<T = any>(type: string, payload: T = undefined): Module {
+    api.getEvents().emit(type, payload);
+    return this;
+  }
+  /**Registers an entity component type (see EntityManager.registerComponentType), it is unregistered when this module unloads*/
+  registerComponentType(type: string, factory: ComponentFactory): Module {
+    api.getEntityManager().registerComponentType(type, factory);
+    this.trackedComponentTypes.add(type);
+    return this;
+  }
+  /**Registers an entity script (see EntityManager.registerScript), it is unregistered when this module unloads*/
+  registerScript(name: string, script: EntityScript): Module {
+    api.getEntityManager().registerScript(name, script);
+    this.trackedScripts.add(name);
+    return this;
+  }
+  /**Adds an entity system (see EntityManager.addSystem), it is removed when this module unloads*/
+  addSystem(system: EntitySystem): Module {
+    api.getEntityManager().addSystem(system);
+    this.trackedSystems.add(system);
+    return this;
+  }
+  /**Spawns an entity from JSON (see EntityManager.fromJson), it is destroyed when this module unloads*/
+  spawnEntity(json: EntityJson, parent: Object3D = undefined): Entity {
+    let entity = api.getEntityManager().fromJson(json, parent || api.getScene());
+    this.trackedEntities.add(entity);
+    return entity;
+  }
+  /**Adds a callback that is called when this module unloads, for anything not tracked already*/
+  addDisposer(cb: () => void): Module {
+    this.disposers.push(cb);
+    return this;
+  }
+  /**Internal - removes everything this module added through its tracking methods*/
+  _teardown(): Module {
+    //Entities first, their components remove their own bodies and objects
+    let entities = api.getEntityManager();
+    for (let entity of this.trackedEntities) {
+      entities.destroyEntity(entity);
+    }
+    this.trackedEntities.clear();
+
+    for (let system of this.trackedSystems) {
+      entities.removeSystem(system);
+    }
+    this.trackedSystems.clear();
+
+    for (let name of this.trackedScripts) {
+      entities.unregisterScript(name);
+    }
+    this.trackedScripts.clear();
+
+    for (let type of this.trackedComponentTypes) {
+      entities.unregisterComponentType(type);
+    }
+    this.trackedComponentTypes.clear();
+
+    let physics = api.getPhysicsManager();
+    for (let body of this.trackedBodies) {
+      if (physics && physics.hasBody(body)) physics.removeBody(body);
+    }
+    this.trackedBodies.clear();
+
+    for (let trigger of this.trackedTriggers) {
+      if (physics && physics.hasTrigger(trigger)) physics.removeTrigger(trigger);
+    }
+    this.trackedTriggers.clear();
+
+    for (let character of this.trackedCharacters) {
+      if (physics && physics.hasCharacter(character)) physics.removeCharacter(character);
+    }
+    this.trackedCharacters.clear();
+
+    for (let obj of this.trackedObjects) {
+      if (obj.parent) obj.parent.remove(obj);
+    }
+    this.trackedObjects.clear();
+
+    let input = api.getInputManager();
+    for (let cb of this.trackedInputListeners) {
+      input.raw.deafen(cb);
+    }
+    this.trackedInputListeners.clear();
+
+    let bindings = api.getBindings();
+    for (let name of this.trackedActions) {
+      bindings.removeAction(name);
+    }
+    this.trackedActions.clear();
+
+    let screens = api.getScreenManager();
+    for (let item of this.trackedMenuItems) {
+      if (item.list) item.list.removeItem(item);
+    }
+    this.trackedMenuItems.clear();
+
+    for (let name of this.trackedScreens) {
+      screens.unregisterScreen(name);
+    }
+    this.trackedScreens.clear();
+
+    let renderer = api.getRenderer();
+    for (let name of this.trackedViewports) {
+      renderer.removeViewport(name);
+    }
+    this.trackedViewports.clear();
+
+    for (let name of this.trackedRenderPasses) {
+      renderer.pipeline.removePass(name);
+    }
+    this.trackedRenderPasses.clear();
+
+    let network = api.getNetworkManager();
+    for (let entity of this.trackedNetEntities) {
+      network.despawn(entity);
+    }
+    this.trackedNetEntities.clear();
+
+    for (let [channel, cb] of this.trackedRPCListeners) {
+      network.deafenRPC(channel, cb);
+    }
+    this.trackedRPCListeners.length = 0;
+
+    let events = api.getEvents();
+    for (let [type, cb] of this.trackedEventListeners) {
+      events.deafen(type, cb);
+    }
+    this.trackedEventListeners.length = 0;
+
+    for (let cb of this.disposers) {
+      try {
+        cb();
+      } catch (ex) {
+        console.warn(`Module ${this.name} disposer threw`, ex);
+      }
+    }
+    this.disposers.length = 0;
+    return this;
+  }
 }
 
 export class ModuleManager {
@@ -197,6 +1137,11 @@ export class ModuleManager {
   static MODULE_FETCH_PREFIX = "$";
   static SINGLETON: ModuleManager = undefined;
   private loadedModules: Map<string, Module>;
+  private loadOrder: ModuleLoadOrder;
+  private disabledModules: Set<string>;
+  /**Failed modules being tried again, their main is imported past the browser's cache*/
+  private retrying: Set<string>;
+  private statusListeners: Set<ModuleStatusCallback>;
   constructor() {
     if (!ModuleManager.SINGLETON) {
       ModuleManager.SINGLETON = this;
@@ -204,6 +1149,10 @@ export class ModuleManager {
       throw "Module should not be instantiated more than once";
     }
     this.loadedModules = new Map();
+    this.statusListeners = new Set();
+    this.retrying = new Set();
+    let disabled = loadLocalJson(DISABLED_MODULES_KEY);
+    this.disabledModules = new Set(Array.isArray(disabled) ? disabled : []);
   }
   static get(): ModuleManager {
     if (!ModuleManager.SINGLETON) {
@@ -220,32 +1169,279 @@ export class ModuleManager {
     return this.loadedModules.has(name);
   }
   setModule(name: string, mod: Module): ModuleManager {
+    mod.name = name;
     this.loadedModules.set(name, mod);
+    this.loadOrder = undefined;
     return this;
   }
-  async _loadModule(mod: Module) {
-    let pkgJson = await fetch(`${mod.url}/${MODULE_DEF_JSON_NAME}`).then((r) => r.json());
-    if (pkgJson.main) {
-      let _path = ResourceManager.get().resourceNameToURL(
-        `${mod.url}/${pkgJson.main}`
-      )
-      //fixes dynamic mod loading in webpack
-      let imps = await import(/*webpackIgnore: true*/_path);
-      mod.setImports(imps);
+  /**Fetches and stores a module's module.json if it hasn't been already*/
+  async _loadModuleDef(mod: Module): Promise<ModuleDef> {
+    if (!mod.hasDef()) {
+      let res = await ResourceManager.get().getResource(`${mod.url}/${MODULE_DEF_JSON_NAME}`);
+      mod.setDef(res.json());
+      this.loadOrder = undefined;
+    }
+    return mod.getDef();
+  }
+  /**Called when a module loads, fails to load, unloads or is enabled/disabled*/
+  listenStatus(cb: ModuleStatusCallback): ModuleManager {
+    this.statusListeners.add(cb);
+    return this;
+  }
+  deafenStatus(cb: ModuleStatusCallback): ModuleManager {
+    this.statusListeners.delete(cb);
+    return this;
+  }
+  private notifyStatus(mod: Module) {
+    let status = this.getModuleStatus(mod.name);
+    for (let cb of this.statusListeners) {
+      try {
+        cb(mod, status);
+      } catch (ex) {
+        console.warn("Module status listener threw", ex);
+      }
+    }
+  }
+  /**Where a module is at, failed modules keep their error in loadError*/
+  getModuleStatus(name: string): ModuleStatus {
+    let mod = this.loadedModules.get(name);
+    if (!mod) throw `No module is known for ${name}`;
+    if (mod.getLoaded()) return "loaded";
+    if (this.isModuleDisabled(name)) return "disabled";
+    if (mod.loading) return "loading";
+    if (mod.loadError !== undefined) return "failed";
+    if (this.getModuleProblems(name).length > 0) return "unavailable";
+    return "unloaded";
+  }
+  isModuleDisabled(name: string): boolean {
+    return this.disabledModules.has(name);
+  }
+  getDisabledModules(): Array<string> {
+    return Array.from(this.disabledModules);
+  }
+  /**Enables or disables a module, the choice is saved for next time
+   * Disabling unloads it and the modules depending on it, enabling loads whatever it was holding back
+   * Resolves the names of modules that were loaded or unloaded
+   */
+  async setModuleEnabled(name: string, enabled: boolean): Promise<Array<string>> {
+    if (!this.hasModule(name)) throw `No module is known for ${name}`;
+    if (enabled !== this.isModuleDisabled(name)) return [];
+    //Unloaded while still in the load order, which is how dependents are found
+    let unloaded = enabled ? [] : await this.unloadModule(name);
+    if (enabled) {
+      this.disabledModules.delete(name);
+    } else {
+      this.disabledModules.add(name);
+    }
+    saveLocalJson(DISABLED_MODULES_KEY, this.getDisabledModules());
+    this.loadOrder = undefined;
+    this.loadedModules.get(name).loadError = undefined;
+    //Dependents can or can't load now
+    this.loadedModules.forEach((mod) => this.notifyStatus(mod));
+    if (enabled) return this.loadModules();
+    return unloaded;
+  }
+  /**Internal - imports a module's main and runs its init hook, keeping track of failure
+   * @param cacheBust append a query to the url so the browser imports it again (reloading)
+   */
+  async _loadModule(mod: Module, cacheBust: boolean = false) {
+    mod.loading = true;
+    mod.loadError = undefined;
+    this.notifyStatus(mod);
+    try {
+      await this._importModule(mod, cacheBust);
+    } catch (ex) {
+      mod.loadError = ex === undefined ? "unknown error" : ex;
+      mod.loading = false;
+      this.notifyStatus(mod);
+      api.getEvents().emit("module:failed", { module: mod, error: mod.loadError });
+      throw ex;
+    }
+    mod.loading = false;
+    this.notifyStatus(mod);
+    if (mod.getLoaded()) api.getEvents().emit("module:loaded", { module: mod });
+  }
+  /**Internal - see _loadModule*/
+  async _importModule(mod: Module, cacheBust: boolean) {
+    let pkgJson = await this._loadModuleDef(mod);
+    mod.setModuleManager(this);
+    mod.setResourceManager(ResourceManager.get());
+    //Resource only modules (models, worlds) are loaded once their definition is read
+    if (!pkgJson.main) {
       mod.setLoaded(true);
-      mod.setModuleManager(this);
-      mod.setResourceManager(ResourceManager.get());
+      return;
+    }
+    let _path = ResourceManager.get().resourceNameToURL(
+      `${mod.url}/${pkgJson.main}`
+    )
+    //Only busts main, files it imports itself are still cached by the browser
+    if (cacheBust) _path += `?t=${Date.now()}`;
+    let imps: any;
+    if (ResourceManager.get().isOffline()) {
+      imps = await this._importFromCache(mod, pkgJson.main);
+    } else {
+      //fixes dynamic mod loading in webpack
+      imps = await import(/*webpackIgnore: true*/_path);
+    }
+    mod.setImports(imps);
+
+    let hooks = mod.getHooks();
+    if (typeof hooks.init === "function") {
+      try {
+        await hooks.init(api, mod);
+      } catch (ex) {
+        //Don't leave half initialized things around
+        mod._teardown();
+        mod.setImports(undefined);
+        throw ex;
+      }
+    }
+    if (typeof hooks.update === "function") {
+      mod.updateCallback = (delta) => {
+        try {
+          hooks.update(delta);
+        } catch (ex) {
+          console.error(`Module ${mod.name} update threw`, ex);
+        }
+      };
+      api.getTimeManager().listen(mod.updateCallback);
+    }
+    mod.setLoaded(true);
+  }
+  /**Internal - imports a module's main from the persistent cache when the host is unreachable
+   * The main is imported from a blob url, so it has to be bundled (no relative imports)
+   */
+  async _importFromCache(mod: Module, main: string): Promise<any> {
+    let res = await ResourceManager.get().getResource(`${mod.url}/${main}`);
+    let url = URL.createObjectURL(new Blob([res.arrayBuffer], { type: "text/javascript" }));
+    try {
+      return await import(/*webpackIgnore: true*/url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+  /**Returns the names of loaded modules that depend on name, directly or not
+   * Ordered so that dependents come before what they depend on
+   */
+  getLoadedDependents(name: string): Array<string> {
+    let result = new Array<string>();
+    let { order } = this.resolveLoadOrder();
+    let affected: Set<string> = new Set([name]);
+    for (let other of order) {
+      if (other === name) continue;
+      let deps = Object.keys(this.loadedModules.get(other).getDependencies());
+      if (deps.some((dep) => affected.has(dep))) {
+        affected.add(other);
+        if (this.loadedModules.get(other).getLoaded()) result.push(other);
+      }
+    }
+    return result.reverse();
+  }
+  /**Internal - runs dispose hook and removes everything the module registered*/
+  async _unloadModule(mod: Module) {
+    if (!mod.getLoaded()) return;
+    let hooks = mod.getHooks();
+    if (mod.updateCallback) {
+      api.getTimeManager().deafen(mod.updateCallback);
+      mod.updateCallback = undefined;
+    }
+    if (typeof hooks.dispose === "function") {
+      try {
+        await hooks.dispose();
+      } catch (ex) {
+        console.warn(`Module ${mod.name} dispose threw`, ex);
+      }
+    }
+    mod._teardown();
+    mod.setImports(undefined);
+    mod.setLoaded(false);
+    mod.loadPromise = undefined;
+    this.notifyStatus(mod);
+    api.getEvents().emit("module:unloaded", { module: mod });
+  }
+  /**Unloads a module, and any loaded modules that depend on it first
+   * Resolves the names of all modules that were unloaded
+   */
+  async unloadModule(name: string): Promise<Array<string>> {
+    if (!this.hasModule(name)) throw `No module is known for ${name}`;
+    let unloaded = this.getLoadedDependents(name);
+    for (let dependent of unloaded) {
+      await this._unloadModule(this.loadedModules.get(dependent));
+    }
+    let mod = this.loadedModules.get(name);
+    if (mod.getLoaded()) {
+      await this._unloadModule(mod);
+      unloaded.push(name);
+    }
+    return unloaded;
+  }
+  /**Unloads and imports a module again, bypassing the browser's module cache
+   * Modules depending on it are reloaded as well
+   */
+  async reloadModule(name: string): Promise<Module> {
+    let unloaded = await this.unloadModule(name);
+    let mod = this.loadedModules.get(name);
+    //module.json may have changed as well
+    ResourceManager.get().deleteResource(`${mod.url}/${MODULE_DEF_JSON_NAME}`);
+    mod.setDef(undefined);
+    if (!ResourceManager.get().isOffline()) {
+      await this.queryManifest(name).catch((reason) => {
+        console.warn(`Couldn't query manifest of ${name}`, reason);
+      });
+    }
+    await this._loadModuleDef(mod);
+    await this._reimportModule(mod);
+    //Bring back dependents in load order, they hold references to the old imports
+    for (let dependent of unloaded.reverse()) {
+      if (dependent !== name) await this._reimportModule(this.loadedModules.get(dependent));
     }
+    return mod;
+  }
+  /**Unloads every loaded module and imports them again in load order, ex: a fresh start for replays
+   * Resolves the names of modules that were loaded again
+   * @param onUnloaded called once every module is unloaded, ex: to clear what they didn't track
+   */
+  async restartModules(onUnloaded: () => void = undefined): Promise<Array<string>> {
+    let { order } = this.resolveLoadOrder();
+    let loaded = order.filter((name) => this.loadedModules.get(name).getLoaded());
+    for (let name of loaded.slice().reverse()) {
+      await this._unloadModule(this.loadedModules.get(name));
+    }
+    if (onUnloaded) onUnloaded();
+    for (let name of loaded) {
+      await this._reimportModule(this.loadedModules.get(name));
+    }
+    return loaded;
+  }
+  async _reimportModule(mod: Module): Promise<Module> {
+    mod.loadPromise = this._loadModule(mod, true).then(() => mod);
+    try {
+      await mod.loadPromise;
+    } catch (ex) {
+      mod.loadPromise = undefined;
+      throw ex;
+    }
+    return mod;
   }
   getLoadedModule (name: string): Module {
     return this.loadedModules.get(name);
   }
+  /**Gets a module, loading it (and its dependencies first) if it isn't loaded
+   * Rejects if the module or one of its dependencies cannot be loaded
+   */
   getModule(name: string): Promise<Module> {
     return new Promise(async (resolve, reject) => {
       if (this.hasModule(name)) {
         let result: Module = this.loadedModules.get(name);
         if (!result.getLoaded()) {
-          await this._loadModule(result);
+          if (!result.loadPromise) result.loadPromise = this._loadModuleWithDependencies(result);
+          try {
+            await result.loadPromise;
+          } catch (ex) {
+            result.loadPromise = undefined;
+            reject(ex);
+            return;
+          }
         }
         resolve(result);
       } else {
@@ -253,19 +1449,277 @@ export class ModuleManager {
       }
     });
   }
-  listModules(): Array<Module> {
+  async _loadModuleWithDependencies(mod: Module): Promise<Module> {
+    if (this.isModuleDisabled(mod.name)) throw `Module ${mod.name} is disabled`;
+    await this._loadModuleDef(mod);
+    let problems = this.getModuleProblems(mod.name);
+    if (problems.length > 0) {
+      throw `Cannot load module ${mod.name}: ${problems.join(", ")}`;
+    }
+    for (let dep of Object.keys(mod.getDependencies())) {
+      await this.getModule(dep);
+    }
+    await this._loadModule(mod, this.retrying.delete(mod.name));
+    return mod;
+  }
+  /**Names of every known module, loaded or not*/
+  listModules(): Array<string> {
     let result = new Array();
     this.loadedModules.forEach((v, k) => {
       result.push(k);
     });
     return result;
   }
+  /**Returns the reasons a module cannot be loaded, empty if it can
+   * Module definitions must have been fetched (see queryModules) for results to be accurate
+   */
+  getModuleProblems(name: string): Array<string> {
+    return this.resolveLoadOrder().problems.get(name) || [];
+  }
+  /**Sorts known modules so that each module comes after its dependencies
+   * and after any present modules listed in its loadAfter
+   *
+   * Modules with missing dependencies, dependency version mismatches,
+   * dependency cycles, or dependencies that cannot load are left out of
+   * the order and listed in problems instead
+   *
+   * Disabled modules are left out of the order, and modules depending on them are problems
+   */
+  resolveLoadOrder(): ModuleLoadOrder {
+    if (this.loadOrder) return this.loadOrder;
+
+    let problems: Map<string, Array<string>> = new Map();
+    let addProblem = (name: string, problem: string) => {
+      if (!problems.has(name)) problems.set(name, new Array());
+      problems.get(name).push(problem);
+    };
+
+    //Sort names so order doesn't depend on how the host listed folders
+    let names = Array.from(this.loadedModules.keys()).sort();
+
+    //Check that dependencies exist and versions match
+    for (let name of names) {
+      let mod = this.loadedModules.get(name);
+      let deps = mod.getDependencies();
+      for (let dep of Object.keys(deps)) {
+        if (!this.hasModule(dep)) {
+          addProblem(name, `missing dependency ${dep}`);
+          continue;
+        }
+        let depVersion = this.loadedModules.get(dep).getVersion();
+        let range = deps[dep];
+        let ok: boolean;
+        try {
+          ok = satisfies(depVersion, range);
+        } catch (ex) {
+          addProblem(name, `${ex} for dependency ${dep}`);
+          continue;
+        }
+        if (!ok) {
+          addProblem(name, `dependency ${dep}@${depVersion} does not satisfy ${range}`);
+        }
+      }
+    }
+
+    //Build edges, dependencies are required
+    let after: Map<string, Set<string>> = new Map();
+    for (let name of names) {
+      let edges: Set<string> = new Set();
+      for (let dep of Object.keys(this.loadedModules.get(name).getDependencies())) {
+        if (this.hasModule(dep)) edges.add(dep);
+      }
+      after.set(name, edges);
+    }
+    //Whether from loads after to, directly or not
+    let reaches = (from: string, to: string): boolean => {
+      let seen: Set<string> = new Set();
+      let pending = [from];
+      while (pending.length > 0) {
+        let current = pending.pop();
+        if (current === to) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        for (let other of after.get(current)) pending.push(other);
+      }
+      return false;
+    };
+    //loadAfter is only a hint, it applies if present and doesn't make a cycle
+    for (let name of names) {
+      for (let other of this.loadedModules.get(name).getLoadAfter()) {
+        if (!this.hasModule(other) || other === name) continue;
+        if (reaches(other, name)) {
+          console.warn(`Module ${name} can't load after ${other}, ${other} has to load after it, ignoring loadAfter`);
+          continue;
+        }
+        after.get(name).add(other);
+      }
+    }
+
+    //Depth first topological sort, reporting dependency cycles
+    let order = new Array<string>();
+    let visited: Set<string> = new Set();
+    let stack = new Array<string>();
+
+    let visit = (name: string) => {
+      if (visited.has(name)) return;
+      let stackIndex = stack.indexOf(name);
+      if (stackIndex > -1) {
+        let cycle = stack.slice(stackIndex).concat(name);
+        for (let member of stack.slice(stackIndex)) {
+          addProblem(member, `dependency cycle ${cycle.join(" -> ")}`);
+        }
+        return;
+      }
+      stack.push(name);
+      for (let other of Array.from(after.get(name)).sort()) {
+        visit(other);
+      }
+      stack.pop();
+      visited.add(name);
+      order.push(name);
+    };
+    for (let name of names) visit(name);
+
+    //Anything depending on a module that can't load can't load either
+    //order is dependencies first, so one pass propagates transitively
+    for (let name of order) {
+      let deps = this.loadedModules.get(name).getDependencies();
+      for (let dep of Object.keys(deps)) {
+        if (problems.has(name)) break;
+        if (this.isModuleDisabled(dep)) {
+          addProblem(name, `dependency ${dep} is disabled`);
+        } else if (problems.has(dep)) {
+          addProblem(name, `dependency ${dep} cannot be loaded`);
+        }
+      }
+    }
+
+    this.loadOrder = {
+      order: order.filter((name) => !problems.has(name) && !this.isModuleDisabled(name)),
+      problems
+    };
+    return this.loadOrder;
+  }
+  /**Loads every known module in dependency order that isn't loaded yet
+   * Modules that cannot be loaded are reported with console.warn and skipped
+   * A module failing to load only takes down the modules depending on it,
+   * failed modules aren't tried again here, see reloadModule
+   * Resolves the names of modules that were loaded
+   */
+  async loadModules(): Promise<Array<string>> {
+    let { order, problems } = this.resolveLoadOrder();
+    problems.forEach((reasons, name) => {
+      console.warn(`Module ${name} will not be loaded:`, reasons.join(", "));
+    });
+    let session = ResourceManager.get().getLoadingSession();
+    let loaded = new Array<string>();
+    for (let name of order) {
+      if (this.getModuleStatus(name) !== "unloaded") continue;
+      let mod = this.loadedModules.get(name);
+      let failedDep = Object.keys(mod.getDependencies()).find((dep) => this.getModuleStatus(dep) === "failed");
+      if (failedDep) {
+        mod.loadError = `dependency ${failedDep} failed to load`;
+        this.notifyStatus(mod);
+        api.getEvents().emit("module:failed", { module: mod, error: mod.loadError });
+        continue;
+      }
+      let item = `module ${name}`;
+      if (session) session.begin(item);
+      try {
+        await this.getModule(name);
+        loaded.push(name);
+        if (session) session.complete(item);
+      } catch (ex) {
+        console.error(`Module ${name} failed to load`, ex);
+        //Shown on the modules screen, the game goes on without it
+        if (session) session.removeItem(item);
+      }
+    }
+    return loaded;
+  }
+  /**Tries loading failed modules again, ex: after fixing them on the host
+   * Resolves the names of modules that were loaded
+   */
+  async retryFailedModules(): Promise<Array<string>> {
+    this.loadedModules.forEach((mod, name) => {
+      if (this.getModuleStatus(name) !== "failed") return;
+      mod.loadError = undefined;
+      this.retrying.add(name);
+    });
+    try {
+      return await this.loadModules();
+    } finally {
+      this.retrying.clear();
+    }
+  }
+  /**Handles files changed on the host, see LiveReloadClient
+   * Loaded modules whose module.json or scripts changed are reloaded
+   */
+  async onLiveChanges(changes: Array<LiveChange>) {
+    let changed: Set<string> = new Set();
+    for (let change of changes) {
+      let isScript = /(\.m?js|\/module\.json)$/.test(change.path);
+      this.loadedModules.forEach((mod, name) => {
+        if (!mod.getLoaded()) return;
+        //Whole module archive replaced
+        if (change.path === mod.url) changed.add(name);
+        if (isScript && change.path.startsWith(`${mod.url}/`)) changed.add(name);
+      });
+    }
+    //Reloading a module reloads its dependents already
+    let reloaded: Set<string> = new Set();
+    for (let name of this.resolveLoadOrder().order) {
+      if (!changed.has(name) || reloaded.has(name)) continue;
+      for (let dependent of this.getLoadedDependents(name)) reloaded.add(dependent);
+      reloaded.add(name);
+      await this.reloadModule(name).catch((reason) => {
+        console.warn(`[live] couldn't reload module ${name}`, reason);
+      });
+    }
+  }
+  /**Queries the host for the file hashes of one module, see ResourceManager.addManifest*/
+  async queryManifest(name: string): Promise<ModuleManifest> {
+    let query = `~query.manifest/${name}`;
+    let resourceManager = ResourceManager.get();
+    resourceManager.deleteResource(query);
+    let json = (await resourceManager.getResource(query)).json();
+    if (json.status !== "ok") throw json.description;
+    resourceManager.addManifest(json.data);
+    return json.data;
+  }
+  /**Queries the host for available modules and fetches their module.json
+   * Falls back to the last query in the persistent cache if the host can't be reached
+   * Resolves the names of all found modules
+   */
   queryModules(): Promise<Array<string>> {
     return new Promise(async (resolve, reject) => {
-      let json = (
-        await ResourceManager.get()
-          .getResource("~query.modules")
-      ).json();
+      let resourceManager = ResourceManager.get();
+      let cache = resourceManager.getPersistentCache();
+      let json: any;
+      try {
+        json = (await resourceManager.getResource("~query.modules")).json();
+        if (cache) await cache.putQuery("query.modules", json);
+      } catch (ex) {
+        if (cache) json = await cache.getQuery("query.modules").catch(() => undefined);
+        if (!json) {
+          reject(ex);
+          return;
+        }
+        console.warn("Host unreachable, starting from cached resources", ex);
+        resourceManager.setOffline(true);
+        let session = resourceManager.getLoadingSession();
+        if (session) session.removeItem("~query.modules");
+      }
+      if (json.manifests) {
+        for (let key of Object.keys(json.manifests)) {
+          resourceManager.addManifest(json.manifests[key]);
+        }
+        if (cache && !resourceManager.isOffline()) {
+          cache.prune(resourceManager.getManifestHashes()).catch((reason) => {
+            console.warn("Couldn't prune resource cache", reason);
+          });
+        }
+      }
       let keys = Object.keys(json.data);
       for (let key of keys) {
         let mod = new Module();
@@ -274,13 +1728,231 @@ export class ModuleManager {
         mod.setLoaded(false);
         this.addModule(key, mod);
       }
+      await Promise.all(keys.map((key) =>
+        this._loadModuleDef(this.loadedModules.get(key)).catch((reason) => {
+          console.warn(`Couldn't read ${MODULE_DEF_JSON_NAME} of module ${key}`, reason);
+        })
+      ));
       resolve(keys);
     });
   }
 }
 
+export interface WorldEntityInstance {
+  def: WorldEntityDef;
+  /**What spawn returned, if anything, parented to the world root*/
+  object: Object3D | void;
+  handler: WorldEntityHandler;
+}
+
+/**Implemented by modules to spawn their entity types from world files*/
+export interface WorldEntityHandler {
+  /**Returned objects are added to the world root with the def's transform applied*/
+  spawn(def: WorldEntityDef, world: WorldResource): Object3D | void | Promise<Object3D | void>;
+  despawn?(instance: WorldEntityInstance, world: WorldResource): void;
+}
+
+interface WorldModelInstance {
+  def: WorldModelDef;
+  resource: ModelResource;
+  object: Object3D;
+}
+
+/**A declarative level, see WorldDef for the file format*/
 export class WorldResource extends Resource {
+  def: WorldDef;
+  /**Everything visual the world adds is under this*/
+  root: Object3D;
+  spawns: Array<SpawnPoint>;
+  bodies: Array<Body>;
+  entities: Array<WorldEntityInstance>;
+  instantiated: boolean = false;
+  private models: Map<string, ModelResource>;
+  private modelInstances: Array<WorldModelInstance>;
+  private previousBackground: Color;
+  private onModelReload: ModelReloadCallback;
+
   constructor () {
     super();
+    this.spawns = new Array();
+    this.bodies = new Array();
+    this.entities = new Array();
+    this.models = new Map();
+    this.modelInstances = new Array();
+    this.onModelReload = (res) => this.replaceModelInstances(res);
+  }
+  getDef(): WorldDef {
+    if (!this.def) this.def = this.json();
+    return this.def;
+  }
+  getSpawns(team: string = undefined): Array<SpawnPoint> {
+    if (team === undefined) return this.spawns;
+    return this.spawns.filter((spawn) => spawn.team === team);
+  }
+  getSpawn(name: string): SpawnPoint {
+    return this.spawns.find((spawn) => spawn.name === name);
+  }
+  /**Internal - see ResourceManager.getWorldResource*/
+  async instantiate(): Promise<WorldResource> {
+    if (this.instantiated) return this;
+    this.instantiated = true;
+    //Not evicted while in the scene
+    this.refCount++;
+    let def = this.getDef();
+    let resourceManager = this.getResourceManager();
+    let renderer = api.getRenderer();
+
+    this.root = new Group();
+    this.root.name = def.name || this.url;
+
+    try {
+      //Fetch all models up front, in parallel
+      let modelNames = new Set((def.models || []).map((model) => model.resource));
+      await Promise.all(Array.from(modelNames).map(async (name) => {
+        let model = await resourceManager.acquireResourceModel(name);
+        this.models.set(name, model);
+        model.listenReload(this.onModelReload);
+      }));
+
+      let physics = api.getPhysicsManager();
+      for (let modelDef of def.models || []) {
+        let resource = this.models.get(modelDef.resource);
+        let object = this._cloneModel(resource, modelDef);
+        this.root.add(object);
+        this.modelInstances.push({ def: modelDef, resource, object });
+
+        if (modelDef.collider && modelDef.collider !== "none") {
+          let shape = makeShapeFromObject(object, {
+            type: modelDef.collider === "auto" ? undefined : modelDef.collider,
+            isStatic: true
+          });
+          if (shape) {
+            let body = this._makeStaticBody(shape, object.position, object.quaternion);
+            physics.addBody(body);
+            this.bodies.push(body);
+          }
+        }
+      }
+
+      for (let lightDef of def.lights || []) {
+        for (let obj of makeLight(lightDef)) this.root.add(obj);
+      }
+
+      for (let colliderDef of def.colliders || []) {
+        let body = this._makeStaticBody(
+          makeColliderShape(colliderDef),
+          defToVector3(colliderDef.position),
+          defToQuaternion(colliderDef.rotation)
+        );
+        physics.addBody(body);
+        this.bodies.push(body);
+      }
+
+      this.spawns = (def.spawns || []).map(makeSpawnPoint);
+
+      for (let entityDef of def.entities || []) {
+        let handler = resourceManager.getWorldEntityType(entityDef.type);
+        if (!handler) {
+          console.warn(`World ${this.url} uses unknown entity type ${entityDef.type}, skipping`);
+          continue;
+        }
+        let object = await handler.spawn(entityDef, this);
+        if (object) {
+          applyTransformDef(object, entityDef);
+          this.root.add(object);
+        }
+        this.entities.push({ def: entityDef, object, handler });
+      }
+
+      if (def.background && renderer) {
+        this.previousBackground = renderer.getBackgroundColor();
+        renderer.setBackgroundColor(def.background);
+      }
+      let scene = api.getScene();
+      if (scene) scene.add(this.root);
+    } catch (ex) {
+      this.unload();
+      throw ex;
+    }
+    return this;
+  }
+  /**Internal - static bodies don't need a Body -> Object3D sync*/
+  _makeStaticBody(shape: Ammo.btCollisionShape, p: Vector3, q: Quaternion): Body {
+    return api.getPhysicsManager().makeBody({
+      shape,
+      mass: 0,
+      x: p.x,
+      y: p.y,
+      z: p.z,
+      quaternion: q
+    });
+  }
+  /**Internal - an instance of a model placed by a model def*/
+  _cloneModel(resource: ModelResource, def: WorldModelDef): Object3D {
+    let scene = resource.scenes[def.scene || 0];
+    if (!scene) throw `${def.resource} has no scene ${def.scene || 0}`;
+    let object = scene.clone();
+    if (def.name) object.name = def.name;
+    applyTransformDef(object, def);
+    hideColliderMeshes(object);
+    return object;
+  }
+  /**Swaps model instances for clones of a model that was live reloaded
+   * Collision made from the model is not rebuilt
+   */
+  private replaceModelInstances(res: ModelResource) {
+    for (let instance of this.modelInstances) {
+      if (instance.resource !== res) continue;
+      let object = this._cloneModel(res, instance.def);
+      if (instance.object.parent) instance.object.parent.remove(instance.object);
+      this.root.add(object);
+      instance.object = object;
+    }
+  }
+  /**Removes everything the world added to the scene and physics world
+   * and releases its models, the world can be instantiated again later
+   */
+  unload(): WorldResource {
+    if (!this.instantiated) return this;
+    this.instantiated = false;
+    if (this.refCount > 0) this.refCount--;
+
+    for (let instance of this.entities) {
+      if (instance.handler.despawn) {
+        try {
+          instance.handler.despawn(instance, this);
+        } catch (ex) {
+          console.warn(`Despawning ${instance.def.type} threw`, ex);
+        }
+      }
+    }
+    this.entities.length = 0;
+
+    let physics = api.getPhysicsManager();
+    for (let body of this.bodies) {
+      if (physics.hasBody(body)) physics.removeBody(body);
+      //Shapes were made for this world alone
+      body.destroy(true);
+    }
+    this.bodies.length = 0;
+
+    if (this.root && this.root.parent) this.root.parent.remove(this.root);
+    this.root = undefined;
+    this.modelInstances.length = 0;
+
+    let resourceManager = this.getResourceManager();
+    this.models.forEach((model, name) => {
+      model.deafenReload(this.onModelReload);
+      resourceManager.releaseResource(name);
+    });
+    this.models.clear();
+
+    this.spawns = new Array();
+
+    if (this.previousBackground) {
+      api.getRenderer().setBackgroundColor(this.previousBackground);
+      this.previousBackground = undefined;
+    }
+    return this;
   }
 }
@@ -0,0 +1,227 @@
+
+import {
+  Object3D,
+  Light,
+  AmbientLight,
+  HemisphereLight,
+  DirectionalLight,
+  PointLight,
+  SpotLight,
+  Euler,
+  MathUtils,
+  Quaternion,
+  Vector3
+} from "three";
+import { ColliderType } from "../physics/shapes";
+
+export type Vec3Def = [number, number, number];
+
+/**Position, rotation (degrees, XYZ euler) and scale, all optional*/
+export interface TransformDef {
+  position?: Vec3Def;
+  rotation?: Vec3Def;
+  scale?: Vec3Def;
+}
+
+export interface WorldModelDef extends TransformDef {
+  name?: string;
+  /**resource name of a gltf/glb, ex: @mymod:models/terrain.glb*/
+  resource: string;
+  /**scene index in the gltf, defaults to 0*/
+  scene?: number;
+  /**Makes static collision from the model's meshes, see makeShapeFromObject
+   * auto lets each mesh choose through extras/naming, falling back to exact triangles
+   */
+  collider?: ColliderType | "auto";
+}
+
+export type ColliderShapeType = "box" | "sphere" | "capsule" | "cylinder" | "cone" | "plane";
+
+export interface WorldColliderDef extends TransformDef {
+  shape: ColliderShapeType;
+  /**box full size*/
+  size?: Vec3Def;
+  /**sphere, capsule, cylinder, cone*/
+  radius?: number;
+  /**capsule, cylinder, cone total height*/
+  height?: number;
+  /**plane normal, defaults to up*/
+  normal?: Vec3Def;
+}
+
+export interface WorldSpawnDef extends TransformDef {
+  name?: string;
+  team?: string;
+}
+
+export type WorldLightType = "ambient" | "hemisphere" | "directional" | "point" | "spot";
+
+export interface WorldLightDef extends TransformDef {
+  type: WorldLightType;
+  color?: string;
+  /**hemisphere only*/
+  groundColor?: string;
+  intensity?: number;
+  /**directional, spot: where the light points*/
+  target?: Vec3Def;
+  /**point, spot*/
+  distance?: number;
+  /**spot, degrees*/
+  angle?: number;
+  /**spot, 0 to 1*/
+  penumbra?: number;
+  castShadow?: boolean;
+}
+
+/**An entity whose type is registered by a module, see ResourceManager.registerWorldEntityType*/
+export interface WorldEntityDef extends TransformDef {
+  /**ex: mymod:capture-zone*/
+  type: string;
+  name?: string;
+  /**Anything the entity type wants*/
+  props?: any;
+}
+
+/**The json contents of a world (level) file*/
+export interface WorldDef {
+  name?: string;
+  /**Clear colour while the world is loaded, ex: #262552*/
+  background?: string;
+  models?: Array<WorldModelDef>;
+  colliders?: Array<WorldColliderDef>;
+  spawns?: Array<WorldSpawnDef>;
+  lights?: Array<WorldLightDef>;
+  entities?: Array<WorldEntityDef>;
+}
+
+export interface SpawnPoint {
+  name: string;
+  team: string;
+  position: Vector3;
+  quaternion: Quaternion;
+}
+
+export function defToVector3(def: Vec3Def, fallback: Vec3Def = [0, 0, 0]): Vector3 {
+  let v = def || fallback;
+  return new Vector3(v[0], v[1], v[2]);
+}
+
+/**Converts a degrees XYZ euler def to a quaternion*/
+export function defToQuaternion(def: Vec3Def): Quaternion {
+  let v = def || [0, 0, 0];
+  return new Quaternion().setFromEuler(new Euler(
+    v[0] * MathUtils.DEG2RAD,
+    v[1] * MathUtils.DEG2RAD,
+    v[2] * MathUtils.DEG2RAD
+  ));
+}
+
+export function applyTransformDef(obj: Object3D, def: TransformDef) {
+  if (def.position) obj.position.copy(defToVector3(def.position));
+  if (def.rotation) obj.quaternion.copy(defToQuaternion(def.rotation));
+  if (def.scale) obj.scale.copy(defToVector3(def.scale));
+}
+
+/**The inverse of applyTransformDef, ex: saving an object*/
+export function objectToTransformDef(obj: Object3D): TransformDef {
+  let euler = new Euler().setFromQuaternion(obj.quaternion, "XYZ");
+  return {
+    position: obj.position.toArray() as Vec3Def,
+    rotation: [
+      euler.x * MathUtils.RAD2DEG,
+      euler.y * MathUtils.RAD2DEG,
+      euler.z * MathUtils.RAD2DEG
+    ],
+    scale: obj.scale.toArray() as Vec3Def
+  };
+}
+
+export function makeSpawnPoint(def: WorldSpawnDef, index: number): SpawnPoint {
+  return {
+    name: def.name || `spawn${index}`,
+    team: def.team,
+    position: defToVector3(def.position),
+    quaternion: defToQuaternion(def.rotation)
+  };
+}
+
+/**Creates a three.js light from a def
+ * Directional and spot light targets are children of the light's parent,
+ * so add the returned array to the same parent
+ */
+export function makeLight(def: WorldLightDef): Array<Object3D> {
+  let color = def.color || "#ffffff";
+  let intensity = def.intensity !== undefined ? def.intensity : 1;
+  let light: Light;
+  switch (def.type) {
+    case "ambient":
+      light = new AmbientLight(color, intensity);
+      break;
+    case "hemisphere":
+      light = new HemisphereLight(color, def.groundColor || "#444444", intensity);
+      break;
+    case "directional":
+      light = new DirectionalLight(color, intensity);
+      break;
+    case "point":
+      light = new PointLight(color, intensity, def.distance || 0);
+      break;
+    case "spot":
+      light = new SpotLight(
+        color,
+        intensity,
+        def.distance || 0,
+        (def.angle !== undefined ? def.angle : 60) * MathUtils.DEG2RAD,
+        def.penumbra || 0
+      );
+      break;
+    default:
+      throw `Unknown light type ${def.type}`;
+  }
+  applyTransformDef(light, def);
+  light.castShadow = def.castShadow === true;
+
+  let result: Array<Object3D> = [light];
+  if (light instanceof DirectionalLight || light instanceof SpotLight) {
+    if (def.target) light.target.position.copy(defToVector3(def.target));
+    result.push(light.target);
+  }
+  return result;
+}
+
+/**Creates an Ammo collision shape from a collider def
+ * Scale is not applied, give sizes directly
+ */
+export function makeColliderShape(def: WorldColliderDef): Ammo.btCollisionShape {
+  let radius = def.radius !== undefined ? def.radius : 0.5;
+  let height = def.height !== undefined ? def.height : 1;
+  //Shapes copy vectors given to them
+  let temp: Ammo.btVector3;
+  let shape: Ammo.btCollisionShape;
+  switch (def.shape) {
+    case "box":
+      let size = def.size || [1, 1, 1];
+      temp = new Ammo.btVector3(size[0] / 2, size[1] / 2, size[2] / 2);
+      shape = new Ammo.btBoxShape(temp);
+      break;
+    case "sphere":
+      return new Ammo.btSphereShape(radius);
+    case "capsule":
+      return new Ammo.btCapsuleShape(radius, Math.max(height - radius * 2, 0));
+    case "cylinder":
+      temp = new Ammo.btVector3(radius, height / 2, radius);
+      shape = new Ammo.btCylinderShape(temp);
+      break;
+    case "cone":
+      return new Ammo.btConeShape(radius, height);
+    case "plane":
+      let normal = def.normal || [0, 1, 0];
+      temp = new Ammo.btVector3(normal[0], normal[1], normal[2]);
+      shape = new Ammo.btStaticPlaneShape(temp, 0);
+      break;
+    default:
+      throw `Unknown collider shape ${def.shape}`;
+  }
+  Ammo.destroy(temp);
+  return shape;
+}
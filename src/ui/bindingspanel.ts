@@ -0,0 +1,119 @@
+import { Component, Panel } from "@repcomm/exponent-ts";
+import { BindingRegistry, BindingsChangeCallback, describeInput, InputDevice } from "../input/bindings";
+import { Screen } from "./screens";
+
+/**Controls settings, lists actions by category and rebinds them
+ * Clicking a keyboard or gamepad cell captures the next input for it
+ */
+export class BindingsPanel extends Panel implements Screen {
+  registry: BindingRegistry;
+  header: Component;
+  list: Component;
+  status: Component;
+  footer: Component;
+  private onChange: BindingsChangeCallback;
+  private onBack: () => void;
+
+  constructor(registry: BindingRegistry = BindingRegistry.get()) {
+    super();
+    this.registry = registry;
+    this.addClasses("bindings-panel");
+    this.header = new Component().make("div").addClasses("bindings-header").textContent("CONTROLS").mount(this);
+    this.list = new Component().make("div").addClasses("bindings-list").mount(this);
+    this.status = new Component().make("div").addClasses("bindings-status").mount(this);
+    this.footer = new Component().make("div").addClasses("bindings-footer").mount(this);
+
+    this.makeButton("RESET ALL").mount(this.footer).on("click", () => {
+      this.registry.stopCapture();
+      this.registry.resetAll();
+      this.setStatus("");
+    });
+    this.makeButton("BACK").mount(this.footer).on("click", () => {
+      this.registry.stopCapture();
+      if (this.onBack) this.onBack();
+    });
+
+    this.onChange = () => this.update();
+  }
+  getComponent(): Component {
+    return this;
+  }
+  /**Escape cancels capturing before it leaves the screen*/
+  back(): boolean {
+    if (!this.registry.isCapturing()) return false;
+    this.registry.stopCapture();
+    return true;
+  }
+  /**Called when BACK is clicked*/
+  setOnBack(cb: () => void): this {
+    this.onBack = cb;
+    return this;
+  }
+  show(): this {
+    super.show();
+    this.registry.listen(this.onChange);
+    this.update();
+    return this;
+  }
+  hide(): this {
+    super.hide();
+    if (this.registry) {
+      this.registry.deafen(this.onChange);
+      this.registry.stopCapture();
+    }
+    return this;
+  }
+  private makeButton(text: string): Component {
+    return new Component().make("span").addClasses("bindings-button").textContent(text);
+  }
+  private setStatus(text: string) {
+    this.status.textContent(text);
+  }
+  private describe(name: string, device: InputDevice): string {
+    let inputs = this.registry.getInputs(name, device);
+    if (inputs.length < 1) return "-";
+    return inputs.map(describeInput).join(" / ");
+  }
+  private async rebind(name: string, device: InputDevice, cell: Component) {
+    let label = this.registry.getAction(name).label;
+    cell.textContent("...");
+    this.setStatus(`Press ${device === "keyboard" ? "a key" : "a gamepad button or stick"} for ${label}, Escape to cancel`);
+    let input = await this.registry.capture(device);
+    if (!input || !this.registry.hasAction(name)) {
+      this.setStatus("");
+      this.update();
+      return;
+    }
+    let conflicts = this.registry.getConflicts(input, name);
+    this.registry.bind(name, input);
+    if (conflicts.length > 0) {
+      let labels = conflicts.map((other) => this.registry.getAction(other).label);
+      this.setStatus(`${describeInput(input)} is also bound to ${labels.join(", ")}`);
+    } else {
+      this.setStatus("");
+    }
+  }
+  /**Rebuilds the rows from the registry*/
+  update(): this {
+    this.list.removeChildren();
+    let category: string = undefined;
+    for (let action of this.registry.getActions()) {
+      if (action.category !== category) {
+        category = action.category;
+        new Component().make("div").addClasses("bindings-category").textContent(category).mount(this.list);
+      }
+      let row = new Component().make("div").addClasses("bindings-row").mount(this.list);
+      if (this.registry.hasConflicts(action.name)) row.addClasses("bindings-conflict");
+
+      new Component().make("span").addClasses("bindings-label").textContent(action.label).mount(row);
+      for (let device of ["keyboard", "gamepad"] as Array<InputDevice>) {
+        let cell = this.makeButton(this.describe(action.name, device)).mount(row);
+        cell.on("click", () => this.rebind(action.name, device, cell));
+      }
+      let reset = this.makeButton("RESET").mount(row);
+      if (this.registry.isDefault(action.name)) reset.addClasses("bindings-default");
+      reset.on("click", () => this.registry.resetAction(action.name));
+    }
+    return this;
+  }
+}
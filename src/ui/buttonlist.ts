@@ -0,0 +1,124 @@
+import { Component, Panel } from "@repcomm/exponent-ts";
+
+export interface ActivateCallback {
+  (item: ButtonListItem): void;
+}
+
+/**A header and a column of items, one of which has focus for keyboard and gamepad navigation*/
+export class ButtonList extends Panel {
+  header: ButtonListHeader;
+  items: Array<ButtonListItem>;
+  private focused: ButtonListItem;
+
+  constructor () {
+    super();
+    this.items = new Array();
+    this.header = new ButtonListHeader().textContent("text").mount(this);
+  }
+  /**Adds an item, at index if given, otherwise last*/
+  addItem (item: ButtonListItem, index: number = this.items.length): this {
+    index = Math.max(0, Math.min(index, this.items.length));
+    item.list = this;
+    if (index < this.items.length) {
+      this.element.insertBefore(item.element, this.items[index].element);
+    } else {
+      this.mountChild(item);
+    }
+    this.items.splice(index, 0, item);
+    return this;
+  }
+  createItem (name: string, index: number = this.items.length): ButtonListItem {
+    let item = new ButtonListItem().textContent(name);
+    this.addItem(item, index);
+    return item;
+  }
+  removeItem (item: ButtonListItem): this {
+    let index = this.items.indexOf(item);
+    if (index < 0) return this;
+    if (this.focused === item) this.focus(this.items[index + 1] || this.items[index - 1]);
+    this.items.splice(index, 1);
+    item.unmount();
+    item.list = undefined;
+    return this;
+  }
+  getHeader (): Component {
+    return this.header;
+  }
+  getFocused (): ButtonListItem {
+    return this.focused;
+  }
+  focus (item: ButtonListItem): this {
+    if (this.focused) this.focused.removeClasses("focused");
+    this.focused = item;
+    if (item) item.addClasses("focused");
+    return this;
+  }
+  /**Moves focus by offset, wrapping around*/
+  moveFocus (offset: number): this {
+    if (this.items.length < 1) return this;
+    let index = this.items.indexOf(this.focused);
+    if (index < 0) {
+      index = offset > 0 ? 0 : this.items.length - 1;
+    } else {
+      index = (index + offset + this.items.length) % this.items.length;
+    }
+    return this.focus(this.items[index]);
+  }
+  activateFocused (): this {
+    if (this.focused) this.focused.activate();
+    return this;
+  }
+}
+
+export class ButtonListHeader extends Component {
+  text: Component;
+  constructor () {
+    super();
+    this.make("div");
+    this.text = new Component().make("span").textContent("text").mount(this);
+  }
+  textContent (text: string): this {
+    this.text.textContent(text);
+    return this;
+  }
+}
+
+export class ButtonListItem extends Component {
+  text: Component;
+  /**Set while the item is in a ButtonList*/
+  list: ButtonList;
+  private activateCallbacks: Set<ActivateCallback>;
+  constructor () {
+    super();
+    this.make("div");
+    this.activateCallbacks = new Set();
+    this.text = new Component().make("span").textContent("text").mount(this);
+    this.on("click", () => this.activate());
+    this.on("mouseenter", () => {
+      if (this.list) this.list.focus(this);
+    });
+  }
+  textContent (text: string): this {
+    this.text.textContent(text);
+    return this;
+  }
+  /**Called when clicked, or ok is pressed while focused*/
+  onActivate (cb: ActivateCallback): this {
+    this.activateCallbacks.add(cb);
+    return this;
+  }
+  offActivate (cb: ActivateCallback): this {
+    this.activateCallbacks.delete(cb);
+    return this;
+  }
+  activate (): this {
+    for (let cb of this.activateCallbacks) {
+      try {
+        cb(this);
+      } catch (ex) {
+        console.warn("Menu item activate listener threw", ex);
+      }
+    }
+    return this;
+  }
+}
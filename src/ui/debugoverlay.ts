@@ -0,0 +1,310 @@
+import { Component, Panel } from "@repcomm/exponent-ts";
+import { MathUtils, Object3D, Quaternion, Vector3 } from "three";
+import API from "../api";
+import { DebugDrawMode, PhysicsDebugDraw } from "../physics/debugdraw";
+import { Body } from "../physics/physics";
+import { formatBytes } from "./loadingoverlay";
+
+const api = API.get();
+
+/**Rows a tree node shows before "... more", scenes can have thousands of children*/
+const MAX_TREE_CHILDREN = 200;
+
+const STATS_INTERVAL = 0.25;
+const TREE_INTERVAL = 1;
+
+const AXES = ["x", "y", "z"];
+
+/**What the transform editor's inputs edit*/
+type TransformField = "position" | "rotation" | "scale";
+
+/**Stats, physics wireframes and a scene inspector over the game, toggled with a binding
+ * Call update every frame
+ */
+export class DebugOverlay extends Panel {
+  stats: Component;
+  inspector: Component;
+  tree: Component;
+  editor: Component;
+  physicsDraw: PhysicsDebugDraw;
+  /**Object the editor shows*/
+  selected: Object3D;
+  private toggleBinding: string;
+  private toggleHeld: boolean = false;
+  private open: boolean = false;
+  /**uuids of tree nodes showing their children*/
+  private expanded: Set<string>;
+  private editorTitle: Component;
+  private inputs: Map<string, HTMLInputElement>;
+  private visibleInput: HTMLInputElement;
+  private statsTimer: number = 0;
+  private treeTimer: number = 0;
+  private secondTimer: number = 0;
+  private frames: number = 0;
+  private ticks: number = 0;
+  private renderFps: number = 0;
+  private tickRate: number = 0;
+  private onPostRender: () => void;
+  private onTick: () => void;
+
+  /**@param toggleBinding GameInput binding that shows and hides it*/
+  constructor(toggleBinding: string = "debug") {
+    super();
+    this.toggleBinding = toggleBinding;
+    this.expanded = new Set();
+    this.inputs = new Map();
+    this.addClasses("debug-overlay");
+    this.hide();
+
+    this.stats = new Component().make("div").addClasses("debug-stats").mount(this);
+    this.inspector = new Component().make("div").addClasses("debug-inspector").mount(this);
+
+    let toolbar = new Component().make("div").addClasses("debug-toolbar").mount(this.inspector);
+    this.makeModeButton("COLLIDERS", DebugDrawMode.WIREFRAME).mount(toolbar);
+    this.makeModeButton("BOUNDS", DebugDrawMode.AABB).mount(toolbar);
+    this.makeModeButton("CONTACTS", DebugDrawMode.CONTACT_POINTS).mount(toolbar);
+
+    this.tree = new Component().make("div").addClasses("debug-tree").mount(this.inspector);
+    this.editor = new Component().make("div").addClasses("debug-editor").mount(this.inspector);
+    this.makeEditor();
+
+    this.onPostRender = () => this.frames++;
+    this.onTick = () => this.ticks++;
+  }
+  private makeModeButton(text: string, mode: DebugDrawMode): Component {
+    let button = new Component().make("span").addClasses("debug-button").textContent(text);
+    button.on("click", () => {
+      let draw = this.getPhysicsDraw();
+      if (!draw) return;
+      let modes = draw.getMode() ^ mode;
+      draw.setMode(modes);
+      draw.setEnabled(modes !== DebugDrawMode.NONE);
+      if (!draw.lines.parent) api.getScene().add(draw.lines);
+      if (modes & mode) button.addClasses("active");
+      else button.removeClasses("active");
+    });
+    //Colliders show by default
+    if (mode === DebugDrawMode.WIREFRAME) button.addClasses("active");
+    return button;
+  }
+  /**Made when first opened, physics has to be initialized*/
+  private getPhysicsDraw(): PhysicsDebugDraw {
+    let physics = api.getPhysicsManager();
+    if (!physics || !physics.ammoIsReady) return undefined;
+    if (!this.physicsDraw) this.physicsDraw = new PhysicsDebugDraw(physics);
+    return this.physicsDraw;
+  }
+  private makeEditor() {
+    this.editorTitle = new Component().make("div").addClasses("debug-editor-title").mount(this.editor);
+    for (let field of ["position", "rotation", "scale"] as Array<TransformField>) {
+      let row = new Component().make("div").addClasses("debug-editor-row").mount(this.editor);
+      new Component().make("span").addClasses("debug-editor-label").textContent(field).mount(row);
+      for (let axis of AXES) {
+        let input = new Component().make("input").inputType("number").addClasses("debug-editor-input").mount(row);
+        let element = input.element as HTMLInputElement;
+        element.step = field === "rotation" ? "1" : "0.1";
+        element.title = `${field} ${axis}`;
+        input.on("input", () => this.applyEditor());
+        this.inputs.set(`${field}.${axis}`, element);
+      }
+    }
+    let row = new Component().make("div").addClasses("debug-editor-row").mount(this.editor);
+    new Component().make("span").addClasses("debug-editor-label").textContent("visible").mount(row);
+    let visible = new Component().make("input").inputType("checkbox").mount(row);
+    this.visibleInput = visible.element as HTMLInputElement;
+    visible.on("change", () => this.applyEditor());
+    this.select(undefined);
+  }
+  isOpen(): boolean {
+    return this.open;
+  }
+  setOpen(open: boolean): this {
+    if (open === this.open) return this;
+    this.open = open;
+    let events = api.getEvents();
+    let draw = this.getPhysicsDraw();
+    if (open) {
+      this.show();
+      events.listen("postrender", this.onPostRender);
+      events.listen("tick", this.onTick);
+      if (draw) {
+        api.getScene().add(draw.lines);
+        draw.setEnabled(draw.getMode() !== DebugDrawMode.NONE);
+      }
+      //Right away instead of after the first interval
+      this.statsTimer = STATS_INTERVAL;
+      this.treeTimer = TREE_INTERVAL;
+    } else {
+      this.hide();
+      events.deafen("postrender", this.onPostRender);
+      events.deafen("tick", this.onTick);
+      if (draw) {
+        draw.setEnabled(false);
+        if (draw.lines.parent) draw.lines.parent.remove(draw.lines);
+      }
+    }
+    return this;
+  }
+  toggle(): this {
+    return this.setOpen(!this.open);
+  }
+  /**Checks the toggle binding and refreshes what is shown, call every frame*/
+  update(delta: number) {
+    let input = api.getInputManager();
+    let down = input && input.hasBinding(this.toggleBinding) && input.getButton(this.toggleBinding);
+    if (down && !this.toggleHeld) this.toggle();
+    this.toggleHeld = down;
+    if (!this.open) return;
+
+    this.secondTimer += delta;
+    if (this.secondTimer >= 1) {
+      this.renderFps = Math.round(this.frames / this.secondTimer);
+      this.tickRate = Math.round(this.ticks / this.secondTimer);
+      this.frames = 0;
+      this.ticks = 0;
+      this.secondTimer = 0;
+    }
+    this.statsTimer += delta;
+    if (this.statsTimer >= STATS_INTERVAL) {
+      this.statsTimer = 0;
+      this.updateStats();
+      this.updateEditor();
+    }
+    this.treeTimer += delta;
+    if (this.treeTimer >= TREE_INTERVAL) {
+      this.treeTimer = 0;
+      this.updateTree();
+    }
+  }
+  private updateStats() {
+    let lines = new Array<string>();
+    let time = api.getTimeManager();
+    lines.push(`FPS ${time.avgfps} (rendered ${this.renderFps})`);
+    lines.push(`TICKS ${this.tickRate}/${time.tickRate}${time.isPaused() ? " PAUSED" : ""}`);
+    let renderer = api.getRenderer();
+    if (renderer) {
+      let info = renderer.webgl.info;
+      lines.push(`DRAW CALLS ${info.render.calls}`);
+      lines.push(`TRIANGLES ${info.render.triangles}`);
+      lines.push(`GEOMETRIES ${info.memory.geometries} TEXTURES ${info.memory.textures}`);
+    }
+    let resources = api.getResourceManager();
+    if (resources) lines.push(`RESOURCES ${resources.getCachedCount()} (${formatBytes(resources.getCachedBytes())})`);
+    let physics = api.getPhysicsManager();
+    if (physics) lines.push(`BODIES ${physics.getBodyCount()}`);
+    let entities = api.getEntityManager();
+    if (entities) lines.push(`ENTITIES ${entities.getEntities().length}`);
+
+    this.stats.removeChildren();
+    for (let line of lines) new Component().make("div").textContent(line).mount(this.stats);
+  }
+  /**Rebuilds the tree of the renderer's scene, expanded nodes show their children*/
+  updateTree() {
+    this.tree.removeChildren();
+    let scene = api.getScene();
+    if (!scene) return;
+    //The scene starts open
+    if (this.expanded.size < 1) this.expanded.add(scene.uuid);
+    //Dropped from the scene since
+    if (this.selected && !this.isInScene(this.selected)) this.select(undefined);
+    this.addTreeNode(scene, 0);
+  }
+  private isInScene(obj: Object3D): boolean {
+    let scene = api.getScene();
+    for (let current = obj; current; current = current.parent) {
+      if (current === scene) return true;
+    }
+    return false;
+  }
+  private addTreeNode(obj: Object3D, depth: number) {
+    if (this.physicsDraw && obj === this.physicsDraw.lines) return;
+    let open = this.expanded.has(obj.uuid);
+    let row = new Component().make("div").addClasses("debug-tree-row").mount(this.tree);
+    row.styleItem("padding-left", `${depth}em`);
+    if (obj === this.selected) row.addClasses("selected");
+
+    let arrow = new Component().make("span").addClasses("debug-tree-arrow").mount(row);
+    if (obj.children.length > 0) {
+      arrow.textContent(open ? "-" : "+");
+      arrow.on("click", (evt) => {
+        evt.stopPropagation();
+        if (open) this.expanded.delete(obj.uuid);
+        else this.expanded.add(obj.uuid);
+        this.updateTree();
+      });
+    }
+    let label = obj.name ? `${obj.name} (${obj.type})` : obj.type;
+    new Component().make("span").textContent(label).mount(row);
+    row.on("click", () => {
+      this.select(obj);
+      this.updateTree();
+    });
+
+    if (!open) return;
+    let children = obj.children.slice(0, MAX_TREE_CHILDREN);
+    for (let child of children) this.addTreeNode(child, depth + 1);
+    let more = obj.children.length - children.length;
+    if (more > 0) {
+      new Component().make("div").addClasses("debug-tree-row")
+        .styleItem("padding-left", `${depth + 1}em`)
+        .textContent(`... ${more} more`)
+        .mount(this.tree);
+    }
+  }
+  /**Shows obj in the transform editor, undefined to show nothing*/
+  select(obj: Object3D): this {
+    this.selected = obj;
+    if (obj) this.editor.show();
+    else this.editor.hide();
+    this.updateEditor(true);
+    return this;
+  }
+  /**Fills the inputs from the selected object, except while one is being typed in*/
+  private updateEditor(force: boolean = false) {
+    let obj = this.selected;
+    if (!obj) return;
+    if (!force && this.editor.element.contains(document.activeElement)) return;
+    this.editorTitle.textContent(`${obj.name || obj.type}${this.findBody(obj) ? " (body)" : ""}`);
+    let values = {
+      position: obj.position.toArray(),
+      rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z].map((r) => r * MathUtils.RAD2DEG),
+      scale: obj.scale.toArray()
+    };
+    for (let field of Object.keys(values)) {
+      AXES.forEach((axis, i) => {
+        this.inputs.get(`${field}.${axis}`).value = `${Math.round(values[field][i] * 1000) / 1000}`;
+      });
+    }
+    this.visibleInput.checked = obj.visible;
+  }
+  private readField(field: TransformField): Array<number> {
+    return AXES.map((axis) => parseFloat(this.inputs.get(`${field}.${axis}`).value));
+  }
+  /**Sets the selected object's transform from the inputs*/
+  private applyEditor() {
+    let obj = this.selected;
+    if (!obj) return;
+    let position = this.readField("position");
+    let rotation = this.readField("rotation");
+    let scale = this.readField("scale");
+    //Half typed numbers, ex: "-"
+    if ([...position, ...rotation, ...scale].some((value) => isNaN(value))) return;
+
+    obj.position.fromArray(position);
+    obj.rotation.set(rotation[0] * MathUtils.DEG2RAD, rotation[1] * MathUtils.DEG2RAD, rotation[2] * MathUtils.DEG2RAD);
+    obj.scale.fromArray(scale);
+    obj.visible = this.visibleInput.checked;
+
+    //Physics would move it right back, move the body too (kinematic ones follow their object already)
+    let body = this.findBody(obj);
+    if (body && !body.isKinematic()) {
+      obj.updateMatrixWorld(true);
+      body.teleport(obj.getWorldPosition(new Vector3()), obj.getWorldQuaternion(new Quaternion()));
+    }
+  }
+  private findBody(obj: Object3D): Body {
+    let physics = api.getPhysicsManager();
+    if (!physics) return undefined;
+    return physics.getBodies().find((body) => body.hasNativeObject3D() && body.getNativeObject3D() === obj);
+  }
+}
@@ -0,0 +1,171 @@
+import { Component, Panel } from "@repcomm/exponent-ts";
+import { ProfileCallback, ProfileManager } from "../profiles/profiles";
+import {
+  AntialiasMode,
+  findQualityPreset,
+  GraphicsQuality,
+  QualityPresetName,
+  QUALITY_PRESETS,
+  sanitizeQuality
+} from "../rendering/quality";
+import { NavigateDirection, Screen } from "./screens";
+
+/**Profile setting graphics are saved under*/
+export const GRAPHICS_SETTING = "graphics";
+
+/**Graphics of the active profile, the default preset if it has none saved*/
+export function loadGraphicsQuality(profiles: ProfileManager): GraphicsQuality {
+  return sanitizeQuality(profiles.getSetting(GRAPHICS_SETTING));
+}
+
+interface Option<T> {
+  label: string;
+  value: T;
+}
+
+/**A setting the player cycles through options of*/
+interface GraphicsRow {
+  label: string;
+  /**Index of the current option, -1 if it isn't one of them*/
+  current(quality: GraphicsQuality): number;
+  labels: Array<string>;
+  /**quality with option index picked*/
+  pick(quality: GraphicsQuality, index: number): GraphicsQuality;
+}
+
+function makeRow<K extends keyof GraphicsQuality>(label: string, key: K, options: Array<Option<GraphicsQuality[K]>>): GraphicsRow {
+  return {
+    label,
+    labels: options.map((option) => option.label),
+    current: (quality) => options.findIndex((option) => option.value === quality[key]),
+    pick: (quality, index) => ({ ...quality, [key]: options[index].value })
+  };
+}
+
+const ON_OFF: Array<Option<boolean>> = [{ label: "OFF", value: false }, { label: "ON", value: true }];
+const PRESET_NAMES = Object.keys(QUALITY_PRESETS) as Array<QualityPresetName>;
+
+const ROWS: Array<GraphicsRow> = [
+  {
+    label: "PRESET",
+    labels: PRESET_NAMES.map((name) => name.toUpperCase()),
+    current: (quality) => PRESET_NAMES.indexOf(findQualityPreset(quality)),
+    pick: (quality, index) => ({ ...QUALITY_PRESETS[PRESET_NAMES[index]] })
+  },
+  makeRow("SHADOWS", "shadowMapSize", [
+    { label: "OFF", value: 0 },
+    { label: "LOW", value: 1024 },
+    { label: "HIGH", value: 2048 },
+    { label: "ULTRA", value: 4096 }
+  ]),
+  makeRow("RESOLUTION", "resolutionScale", [0.5, 0.75, 1, 1.5, 2].map((value) => ({ label: `${value * 100}%`, value }))),
+  makeRow<"antialias">("ANTIALIASING", "antialias", (["none", "fxaa", "smaa"] as Array<AntialiasMode>).map((value) => ({
+    label: value.toUpperCase(),
+    value
+  }))),
+  makeRow("BLOOM", "bloom", ON_OFF),
+  makeRow("AMBIENT OCCLUSION", "ssao", ON_OFF),
+  makeRow("FRAME RATE CAP", "frameRateCap", [
+    { label: "30", value: 30 },
+    { label: "60", value: 60 },
+    { label: "120", value: 120 },
+    { label: "144", value: 144 },
+    { label: "NONE", value: 0 }
+  ])
+];
+
+/**Graphics settings of the active profile, applied by whoever listens to the profile*/
+export class GraphicsPanel extends Panel implements Screen {
+  profiles: ProfileManager;
+  header: Component;
+  list: Component;
+  footer: Component;
+  private rows: Array<Component>;
+  private focused: number = 0;
+  private onProfile: ProfileCallback;
+  private onBack: () => void;
+
+  constructor(profiles: ProfileManager = ProfileManager.get()) {
+    super();
+    this.profiles = profiles;
+    this.addClasses("graphics-panel");
+    this.header = new Component().make("div").addClasses("graphics-header").textContent("GRAPHICS").mount(this);
+    this.list = new Component().make("div").addClasses("graphics-list").mount(this);
+    this.footer = new Component().make("div").addClasses("graphics-footer").mount(this);
+
+    this.rows = ROWS.map((row, i) => {
+      let element = new Component().make("div").addClasses("graphics-row").mount(this.list);
+      element.on("click", () => {
+        this.focus(i);
+        this.cycle(1);
+      });
+      element.on("mouseenter", () => this.focus(i));
+      return element;
+    });
+    this.makeButton("BACK").mount(this.footer).on("click", () => {
+      if (this.onBack) this.onBack();
+    });
+
+    this.onProfile = () => this.update();
+  }
+  getComponent(): Component {
+    return this;
+  }
+  /**Called when BACK is clicked*/
+  setOnBack(cb: () => void): this {
+    this.onBack = cb;
+    return this;
+  }
+  show(): this {
+    super.show();
+    this.profiles.listen(this.onProfile);
+    this.update();
+    return this;
+  }
+  hide(): this {
+    super.hide();
+    if (this.profiles) this.profiles.deafen(this.onProfile);
+    return this;
+  }
+  private makeButton(text: string): Component {
+    return new Component().make("span").addClasses("graphics-button").textContent(text);
+  }
+  private focus(index: number) {
+    this.focused = index;
+    this.update();
+  }
+  /**Picks the next (1) or previous (-1) option of the focused row and saves it to the profile*/
+  private cycle(step: number) {
+    let row = ROWS[this.focused];
+    let quality = loadGraphicsQuality(this.profiles);
+    let count = row.labels.length;
+    let current = row.current(quality);
+    //Customized values go to the first or last option
+    let index = current < 0 ? (step > 0 ? 0 : count - 1) : (current + step + count) % count;
+    this.profiles.setSetting(GRAPHICS_SETTING, row.pick(quality, index));
+  }
+  navigate(direction: NavigateDirection) {
+    if (direction === "up") this.focus((this.focused + ROWS.length - 1) % ROWS.length);
+    else if (direction === "down") this.focus((this.focused + 1) % ROWS.length);
+    else this.cycle(direction === "right" ? 1 : -1);
+  }
+  activate() {
+    this.cycle(1);
+  }
+  /**Shows the active profile's settings*/
+  update(): this {
+    let quality = loadGraphicsQuality(this.profiles);
+    ROWS.forEach((row, i) => {
+      let current = row.current(quality);
+      let element = this.rows[i];
+      element.removeChildren();
+      if (i === this.focused) element.addClasses("focused");
+      else element.removeClasses("focused");
+      new Component().make("span").addClasses("graphics-label").textContent(row.label).mount(element);
+      new Component().make("span").addClasses("graphics-value")
+        .textContent(current < 0 ? "CUSTOM" : `< ${row.labels[current]} >`)
+        .mount(element);
+    });
+    return this;
+  }
+}
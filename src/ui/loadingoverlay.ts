@@ -0,0 +1,79 @@
+
+import { Component, Panel } from "@repcomm/exponent-ts";
+import { LoadingSession, LoadingSessionCallback } from "../resources/loading";
+
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**Shows the progress of a LoadingSession, hides itself when it finishes without failures*/
+export class LoadingOverlay extends Panel {
+  title: Component;
+  bar: Component;
+  barFill: Component;
+  bytes: Component;
+  current: Component;
+  failures: Component;
+  session: LoadingSession;
+  private onSessionUpdate: LoadingSessionCallback;
+
+  constructor() {
+    super();
+    this.addClasses("loading-overlay");
+    this.title = new Component().make("div").addClasses("loading-title").mount(this);
+    this.bar = new Component().make("div").addClasses("loading-bar").mount(this);
+    this.barFill = new Component().make("div").addClasses("loading-bar-fill").mount(this.bar);
+    this.bytes = new Component().make("div").addClasses("loading-bytes").mount(this);
+    this.current = new Component().make("div").addClasses("loading-current").mount(this);
+    this.failures = new Component().make("div").addClasses("loading-failures").mount(this);
+
+    this.onSessionUpdate = (session) => this.update(session);
+    this.hide();
+  }
+  setSession(session: LoadingSession): this {
+    if (this.session) this.session.deafen(this.onSessionUpdate);
+    this.session = session;
+    if (session) {
+      session.listen(this.onSessionUpdate);
+      this.update(session);
+    } else {
+      this.hide();
+    }
+    return this;
+  }
+  getSession(): LoadingSession {
+    return this.session;
+  }
+  update(session: LoadingSession) {
+    if (session.finished && !session.hasFailures()) {
+      this.hide();
+      return;
+    }
+    this.show();
+    this.title.textContent(session.name);
+    this.barFill.styleItem("width", `${(session.getProgress() * 100).toFixed(1)}%`);
+
+    let total = session.getTotalBytes();
+    let loaded = session.getLoadedBytes();
+    this.bytes.textContent(
+      total > 0 ?
+        `${formatBytes(loaded)} / ${formatBytes(total)}` :
+        `${session.getDoneCount()} / ${session.items.size}`
+    );
+
+    this.current.textContent(
+      session.current && !session.finished ? session.current.name : ""
+    );
+
+    this.failures.removeChildren();
+    for (let item of session.failures) {
+      new Component()
+        .make("div")
+        .addClasses("loading-failure")
+        .textContent(`${item.name}: ${item.error}`)
+        .mount(this.failures);
+    }
+  }
+}
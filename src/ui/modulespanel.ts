@@ -0,0 +1,133 @@
+import { Component, Panel } from "@repcomm/exponent-ts";
+import { Module, ModuleDef, ModuleManager, ModuleStatus, ModuleStatusCallback } from "../resources/resources";
+import { Screen } from "./screens";
+
+const STATUS_TEXT: { [status in ModuleStatus]: string } = {
+  loaded: "LOADED",
+  loading: "LOADING",
+  failed: "FAILED",
+  disabled: "DISABLED",
+  unavailable: "UNAVAILABLE",
+  unloaded: "NOT LOADED"
+};
+
+/**An error with its stack when there is one*/
+function describeError(error: any): string {
+  if (error instanceof Error && error.stack) {
+    //Chrome's stack starts with the message, Firefox's doesn't
+    return error.stack.startsWith(`${error}`) ? error.stack : `${error}\n${error.stack}`;
+  }
+  return `${error}`;
+}
+
+/**Lists the modules the host has, with their load status, and enables/disables them*/
+export class ModulesPanel extends Panel implements Screen {
+  modules: ModuleManager;
+  header: Component;
+  list: Component;
+  status: Component;
+  footer: Component;
+  private onStatus: ModuleStatusCallback;
+  private onBack: () => void;
+
+  constructor(modules: ModuleManager = ModuleManager.get()) {
+    super();
+    this.modules = modules;
+    this.addClasses("modules-panel");
+    this.header = new Component().make("div").addClasses("modules-header").textContent("MODULES").mount(this);
+    this.list = new Component().make("div").addClasses("modules-list").mount(this);
+    this.status = new Component().make("div").addClasses("modules-status").mount(this);
+    this.footer = new Component().make("div").addClasses("modules-footer").mount(this);
+
+    this.makeButton("RETRY FAILED").mount(this.footer).on("click", () => {
+      this.attempt(this.modules.retryFailedModules());
+    });
+    this.makeButton("BACK").mount(this.footer).on("click", () => {
+      if (this.onBack) this.onBack();
+    });
+
+    this.onStatus = () => this.update();
+  }
+  getComponent(): Component {
+    return this;
+  }
+  /**Called when BACK is clicked*/
+  setOnBack(cb: () => void): this {
+    this.onBack = cb;
+    return this;
+  }
+  show(): this {
+    super.show();
+    this.modules.listenStatus(this.onStatus);
+    this.setStatus("");
+    this.update();
+    return this;
+  }
+  hide(): this {
+    super.hide();
+    if (this.modules) this.modules.deafenStatus(this.onStatus);
+    return this;
+  }
+  private makeButton(text: string): Component {
+    return new Component().make("span").addClasses("modules-button").textContent(text);
+  }
+  private setStatus(text: string) {
+    this.status.textContent(text);
+  }
+  /**Waits for a change, showing why it failed instead of throwing*/
+  private async attempt(change: Promise<any>) {
+    try {
+      await change;
+    } catch (ex) {
+      this.setStatus(`${ex}`);
+    }
+    this.update();
+  }
+  private makeInfo(mod: Module): string {
+    let def: ModuleDef = mod.getDef() || {};
+    let info = new Array<string>();
+    if (def.author) info.push(`by ${def.author}`);
+    let deps = mod.getDependencies();
+    let names = Object.keys(deps);
+    if (names.length > 0) info.push(`requires ${names.map((name) => `${name} ${deps[name]}`).join(", ")}`);
+    return info.join(" - ");
+  }
+  /**Rebuilds the rows from the ModuleManager*/
+  update(): this {
+    this.list.removeChildren();
+    let names = this.modules.listModules().sort();
+    if (names.length < 1) {
+      new Component().make("div").addClasses("modules-info").textContent("No modules found").mount(this.list);
+    }
+    for (let name of names) {
+      let mod = this.modules.getLoadedModule(name);
+      let status = this.modules.getModuleStatus(name);
+      let def: ModuleDef = mod.getDef() || {};
+
+      let row = new Component().make("div").addClasses("modules-row", `modules-${status}`).mount(this.list);
+      let title = new Component().make("div").addClasses("modules-title").mount(row);
+      new Component().make("span").addClasses("modules-name")
+        .textContent(`${mod.getDisplayName()} ${mod.getVersion()}`)
+        .mount(title);
+      new Component().make("span").addClasses("modules-state").textContent(STATUS_TEXT[status]).mount(title);
+
+      let disabled = this.modules.isModuleDisabled(name);
+      let toggle = this.makeButton(disabled ? "ENABLE" : "DISABLE").mount(title);
+      toggle.on("click", () => this.attempt(this.modules.setModuleEnabled(name, disabled)));
+
+      if (def.description) {
+        new Component().make("div").addClasses("modules-description").textContent(def.description).mount(row);
+      }
+      let info = this.makeInfo(mod);
+      if (info) new Component().make("div").addClasses("modules-info").textContent(info).mount(row);
+
+      if (status === "unavailable") {
+        let problems = this.modules.getModuleProblems(name).join(", ");
+        new Component().make("div").addClasses("modules-problems").textContent(`Can't load: ${problems}`).mount(row);
+      } else if (status === "failed") {
+        new Component().make("pre").addClasses("modules-error").textContent(describeError(mod.loadError)).mount(row);
+      }
+    }
+    return this;
+  }
+}
@@ -0,0 +1,149 @@
+import { Component, Panel } from "@repcomm/exponent-ts";
+import { Profile, ProfileCallback, ProfileManager } from "../profiles/profiles";
+import { Screen } from "./screens";
+
+/**Avatars bigger than this are refused, every profile is kept in local storage*/
+const MAX_AVATAR_BYTES = 256 * 1024;
+
+/**Asks the player for a file, resolves undefined if they cancel*/
+function pickFile(accept: string): Promise<File> {
+  return new Promise((resolve) => {
+    let picker = document.createElement("input");
+    picker.type = "file";
+    picker.accept = accept;
+    picker.addEventListener("change", () => resolve(picker.files[0]));
+    picker.click();
+  });
+}
+
+function readDataURL(file: File): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**Lists local profiles, switches between them and manages them*/
+export class ProfilesPanel extends Panel implements Screen {
+  profiles: ProfileManager;
+  header: Component;
+  list: Component;
+  status: Component;
+  footer: Component;
+  private onProfile: ProfileCallback;
+  private onBack: () => void;
+
+  constructor(profiles: ProfileManager = ProfileManager.get()) {
+    super();
+    this.profiles = profiles;
+    this.addClasses("profiles-panel");
+    this.header = new Component().make("div").addClasses("profiles-header").textContent("PROFILES").mount(this);
+    this.list = new Component().make("div").addClasses("profiles-list").mount(this);
+    this.status = new Component().make("div").addClasses("profiles-status").mount(this);
+    this.footer = new Component().make("div").addClasses("profiles-footer").mount(this);
+
+    this.makeButton("NEW").mount(this.footer).on("click", () => {
+      let name = prompt("Profile name", "");
+      if (name === null) return;
+      this.attempt(() => this.profiles.switchTo(this.profiles.create(name).id));
+    });
+    this.makeButton("IMPORT").mount(this.footer).on("click", async () => {
+      let file = await pickFile(".json");
+      if (!file) return;
+      try {
+        let profile = this.profiles.importProfile(await file.text());
+        this.setStatus(`Imported ${profile.name}`);
+        this.update();
+      } catch (ex) {
+        this.setStatus(`Couldn't import: ${ex}`);
+      }
+    });
+    this.makeButton("BACK").mount(this.footer).on("click", () => {
+      if (this.onBack) this.onBack();
+    });
+
+    this.onProfile = () => this.update();
+  }
+  getComponent(): Component {
+    return this;
+  }
+  /**Called when BACK is clicked*/
+  setOnBack(cb: () => void): this {
+    this.onBack = cb;
+    return this;
+  }
+  show(): this {
+    super.show();
+    this.profiles.listen(this.onProfile);
+    this.setStatus("");
+    this.update();
+    return this;
+  }
+  hide(): this {
+    super.hide();
+    if (this.profiles) this.profiles.deafen(this.onProfile);
+    return this;
+  }
+  private makeButton(text: string): Component {
+    return new Component().make("span").addClasses("profiles-button").textContent(text);
+  }
+  private setStatus(text: string) {
+    this.status.textContent(text);
+  }
+  /**Runs a change, showing why it failed instead of throwing*/
+  private attempt(change: () => void) {
+    try {
+      change();
+      this.setStatus("");
+    } catch (ex) {
+      this.setStatus(`${ex}`);
+    }
+    this.update();
+  }
+  private async changeAvatar(profile: Profile) {
+    let file = await pickFile("image/*");
+    if (!file) return;
+    if (file.size > MAX_AVATAR_BYTES) {
+      this.setStatus(`Avatar images can be up to ${MAX_AVATAR_BYTES / 1024} KB`);
+      return;
+    }
+    try {
+      let url = await readDataURL(file);
+      this.attempt(() => this.profiles.setAvatar(profile.id, url));
+    } catch (ex) {
+      this.setStatus(`Couldn't read ${file.name}`);
+    }
+  }
+  /**Rebuilds the rows from the ProfileManager*/
+  update(): this {
+    this.list.removeChildren();
+    let active = this.profiles.getActive();
+    for (let profile of this.profiles.getProfiles()) {
+      let row = new Component().make("div").addClasses("profiles-row").mount(this.list);
+      if (profile === active) row.addClasses("profiles-active");
+
+      let avatar = new Component().make("span").addClasses("profiles-avatar").mount(row);
+      avatar.on("click", () => this.changeAvatar(profile));
+      if (profile.avatar) avatar.backgroundImage(profile.avatar);
+
+      let name = new Component().make("span").addClasses("profiles-name").textContent(profile.name).mount(row);
+      name.on("click", () => this.attempt(() => this.profiles.switchTo(profile.id)));
+
+      this.makeButton("RENAME").mount(row).on("click", () => {
+        let name = prompt("Profile name", profile.name);
+        if (name === null) return;
+        this.attempt(() => this.profiles.rename(profile.id, name));
+      });
+      this.makeButton("EXPORT").mount(row).on("click", () => {
+        this.profiles.download(profile.id);
+      });
+      this.makeButton("DELETE").mount(row).on("click", () => {
+        if (!confirm(`Delete profile ${profile.name}? Its settings, bindings and progress will be lost`)) return;
+        this.attempt(() => this.profiles.delete(profile.id));
+      });
+    }
+    return this;
+  }
+}
@@ -0,0 +1,293 @@
+import { Component } from "@repcomm/exponent-ts";
+import API from "../api";
+import { ActivateCallback, ButtonList, ButtonListItem } from "./buttonlist";
+
+const api = API.get();
+
+export type NavigateDirection = "up" | "down" | "left" | "right";
+
+/**Something ScreenManager can push, ex: a MenuScreen or a settings panel*/
+export interface Screen {
+  /**Mounted in the overlay while this screen is on the stack, shown while it is on top*/
+  getComponent(): Component;
+  /**Became the top screen*/
+  onShow?(): void;
+  /**Stopped being the top screen, covered or popped*/
+  onHide?(): void;
+  /**Moves focus, ex: from the directional bindings*/
+  navigate?(direction: NavigateDirection): void;
+  /**ok was pressed*/
+  activate?(): void;
+  /**escape was pressed, return true if handled, otherwise the screen is popped*/
+  back?(): boolean;
+}
+
+/**GameInput binding names menus are navigated with*/
+export interface NavigationBindings {
+  up: string;
+  down: string;
+  left: string;
+  right: string;
+  ok: string;
+  back: string;
+}
+
+export const DEFAULT_NAVIGATION_BINDINGS: NavigationBindings = {
+  up: "forward",
+  down: "backward",
+  left: "left",
+  right: "right",
+  ok: "ok",
+  back: "escape"
+};
+
+/**A ButtonList as a screen, items are activated by click or ok*/
+export class MenuScreen implements Screen {
+  list: ButtonList;
+
+  constructor(title: string) {
+    this.list = new ButtonList().addClasses("menu-screen");
+    this.list.getHeader()
+      .addClasses("menu-header")
+      .textContent(title);
+  }
+  getComponent(): Component {
+    return this.list;
+  }
+  /**Adds an item that calls onActivate, at index if given, otherwise last*/
+  addItem(text: string, onActivate: ActivateCallback = undefined, index: number = undefined): ButtonListItem {
+    let item = this.list.createItem(text, index).addClasses("menu-item");
+    if (onActivate) item.onActivate(onActivate);
+    return item;
+  }
+  removeItem(item: ButtonListItem): MenuScreen {
+    this.list.removeItem(item);
+    return this;
+  }
+  getItems(): Array<ButtonListItem> {
+    return this.list.items.slice();
+  }
+  onShow() {
+    if (!this.list.getFocused()) this.list.moveFocus(1);
+  }
+  navigate(direction: NavigateDirection) {
+    if (direction === "up") this.list.moveFocus(-1);
+    else if (direction === "down") this.list.moveFocus(1);
+  }
+  activate() {
+    this.list.activateFocused();
+  }
+}
+
+/**A stack of screens (menus, settings) shown over the game
+ *
+ * Only the top screen is shown. Screens are navigated with the ok, escape
+ * and directional bindings so they work with a gamepad, see update
+ */
+export class ScreenManager {
+  static SINGLETON: ScreenManager = undefined;
+  static get(): ScreenManager {
+    if (!ScreenManager.SINGLETON) new ScreenManager();
+    return ScreenManager.SINGLETON;
+  }
+  private container: Component;
+  private screens: Map<string, Screen>;
+  private stack: Array<Screen>;
+  /**Seconds each navigation binding has been held, undefined while released*/
+  private held: Map<string, number>;
+  /**Pushed when escape is pressed with no screen shown, see setRootScreen*/
+  private rootScreen: Screen;
+  bindings: NavigationBindings = DEFAULT_NAVIGATION_BINDINGS;
+  /**Seconds a direction is held before it repeats*/
+  repeatDelay: number = 0.4;
+  /**Seconds between repeats while held*/
+  repeatInterval: number = 0.12;
+
+  constructor() {
+    if (ScreenManager.SINGLETON) throw "Cannot instance ScreenManager twice";
+    ScreenManager.SINGLETON = this;
+    this.screens = new Map();
+    this.stack = new Array();
+    this.held = new Map();
+  }
+  /**Where screen components are mounted, ex: the OverlayPanel over the renderer*/
+  setContainer(container: Component): ScreenManager {
+    this.container = container;
+    for (let screen of this.stack) screen.getComponent().mount(container);
+    return this;
+  }
+  getContainer(): Component {
+    return this.container;
+  }
+  /**Names a screen so it can be pushed by name, modules should prefix names with the module name*/
+  registerScreen(name: string, screen: Screen): ScreenManager {
+    if (this.screens.has(name)) throw `Screen ${name} is already registered`;
+    this.screens.set(name, screen);
+    return this;
+  }
+  /**Unregisters a screen, removing it from the stack if it is on it*/
+  unregisterScreen(name: string): ScreenManager {
+    let screen = this.screens.get(name);
+    if (!screen) return this;
+    this.screens.delete(name);
+    if (this.rootScreen === screen) this.rootScreen = undefined;
+    this.remove(screen);
+    return this;
+  }
+  hasScreen(name: string): boolean {
+    return this.screens.has(name);
+  }
+  getScreen(name: string): Screen {
+    return this.screens.get(name);
+  }
+  /**The screen escape brings back when every screen was popped, ex: the main menu while playing*/
+  setRootScreen(screen: Screen | string): ScreenManager {
+    this.rootScreen = screen === undefined ? undefined : this.resolve(screen);
+    return this;
+  }
+  getRootScreen(): Screen {
+    return this.rootScreen;
+  }
+  /**The main menu, registered as "main"*/
+  getMainMenu(): MenuScreen {
+    return this.screens.get("main") as MenuScreen;
+  }
+  private resolve(screen: Screen | string): Screen {
+    if (typeof screen !== "string") return screen;
+    let result = this.screens.get(screen);
+    if (!result) throw `No screen ${screen} is registered`;
+    return result;
+  }
+  private hideScreen(screen: Screen) {
+    screen.getComponent().hide();
+    if (screen.onHide) {
+      try {
+        screen.onHide();
+      } catch (ex) {
+        console.warn("Screen onHide threw", ex);
+      }
+    }
+  }
+  private showScreen(screen: Screen) {
+    screen.getComponent().show();
+    if (screen.onShow) {
+      try {
+        screen.onShow();
+      } catch (ex) {
+        console.warn("Screen onShow threw", ex);
+      }
+    }
+  }
+  /**Shows a screen (or registered screen name) over the current one*/
+  push(screen: Screen | string): ScreenManager {
+    let next = this.resolve(screen);
+    if (this.stack.includes(next)) throw "Screen is already on the stack";
+    let top = this.getTop();
+    if (top) this.hideScreen(top);
+    this.stack.push(next);
+    if (this.container) next.getComponent().mount(this.container);
+    this.showScreen(next);
+    if (!top) api.getEvents().emit("menu:open", { screen: next });
+    return this;
+  }
+  /**Removes the top screen, showing the one under it*/
+  pop(): Screen {
+    let top = this.stack.pop();
+    if (!top) return undefined;
+    this.hideScreen(top);
+    top.getComponent().unmount();
+    let under = this.getTop();
+    if (under) {
+      this.showScreen(under);
+    } else {
+      api.getEvents().emit("menu:close", { screen: top });
+    }
+    return top;
+  }
+  /**Removes a screen wherever it is in the stack*/
+  remove(screen: Screen | string): ScreenManager {
+    let target = this.resolve(screen);
+    if (target === this.getTop()) {
+      this.pop();
+    } else {
+      let index = this.stack.indexOf(target);
+      if (index < 0) return this;
+      this.stack.splice(index, 1);
+      target.getComponent().unmount();
+    }
+    return this;
+  }
+  /**Pops screens until screen is on top*/
+  popTo(screen: Screen | string): ScreenManager {
+    let target = this.resolve(screen);
+    if (!this.stack.includes(target)) throw "Screen is not on the stack";
+    while (this.getTop() !== target) this.pop();
+    return this;
+  }
+  getTop(): Screen {
+    return this.stack[this.stack.length - 1];
+  }
+  getStack(): Array<Screen> {
+    return this.stack.slice();
+  }
+  /**Whether any screen is shown, the game shouldn't take input meanwhile*/
+  isOpen(): boolean {
+    return this.stack.length > 0;
+  }
+  /**Whether a binding was pressed since last update, or held long enough to repeat*/
+  private pressed(name: string, delta: number, repeats: boolean): boolean {
+    let input = api.getInputManager();
+    let down = input.hasBinding(name) && input.getButton(name);
+    let time = this.held.get(name);
+    if (!down) {
+      this.held.delete(name);
+      return false;
+    }
+    if (time === undefined) {
+      this.held.set(name, 0);
+      return true;
+    }
+    let next = time + delta;
+    this.held.set(name, next);
+    if (!repeats || next < this.repeatDelay) return false;
+    //Count repeats past the delay
+    let before = Math.floor((time - this.repeatDelay) / this.repeatInterval);
+    let after = Math.floor((next - this.repeatDelay) / this.repeatInterval);
+    return time < this.repeatDelay || after > before;
+  }
+  /**Navigates the top screen with the bindings, call every frame*/
+  update(delta: number) {
+    let input = api.getInputManager();
+    if (!input) return;
+    //Bindings are replaying recorded input
+    let replays = api.getReplayManager();
+    if (replays && replays.isPlaying()) return;
+
+    let b = this.bindings;
+    let top = this.getTop();
+    if (!top) {
+      //Playing, only escape matters
+      if (this.pressed(b.back, delta, false) && this.rootScreen) this.push(this.rootScreen);
+      for (let name of this.held.keys()) {
+        if (name !== b.back) this.held.delete(name);
+      }
+      return;
+    }
+    let directions: Array<[string, NavigateDirection]> = [
+      [b.up, "up"], [b.down, "down"], [b.left, "left"], [b.right, "right"]
+    ];
+    try {
+      for (let [name, direction] of directions) {
+        if (this.pressed(name, delta, true) && top.navigate) top.navigate(direction);
+      }
+      if (this.pressed(b.ok, delta, false) && top.activate) top.activate();
+      if (this.pressed(b.back, delta, false)) {
+        let handled = top.back ? top.back() : false;
+        //The bottom screen stays, there is nothing to go back to
+        if (!handled && this.stack.length > 1 && this.getTop() === top) this.pop();
+      }
+    } catch (ex) {
+      console.warn("Screen input threw", ex);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+
+import { Entity } from "../entities/entity";
+import Renderer from "../rendering/renderer";
+import { Module, Resource } from "../resources/resources";
+import { Screen } from "../ui/screens";
+
+/**Events the engine emits, by name -> payload
+ * Anything else is a custom event and has to be namespaced, ex: "ctf:flag-captured"
+ */
+export interface EngineEvents {
+  /**A module's main was imported and its init hook ran*/
+  "module:loaded": { module: Module };
+  /**A module couldn't be loaded, error is why*/
+  "module:failed": { module: Module; error: any };
+  "module:unloaded": { module: Module };
+  /**A resource was fetched, it may not be parsed yet (models)*/
+  "resource:loaded": { name: string; resource: Resource };
+  /**An entity was spawned and its components attached*/
+  "entity:spawned": { entity: Entity };
+  /**An entity's components were detached and it was removed*/
+  "entity:destroyed": { entity: Entity };
+  /**After every TimeManager tick's update listeners*/
+  "tick": { delta: number; tick: number };
+  "physics:step": { delta: number };
+  "prerender": { renderer: Renderer };
+  "postrender": { renderer: Renderer };
+  "resize": { width: number; height: number };
+  /**TimeManager was paused or resumed*/
+  "pause": { paused: boolean };
+  /**A screen was shown over the game while none was*/
+  "menu:open": { screen: Screen };
+  /**The last screen was popped, back to the game*/
+  "menu:close": { screen: Screen };
+}
+
+export type EngineEventName = keyof EngineEvents;
+
+export interface EventCallback<T = any> {
+  (payload: T): void;
+}
+
+export interface ListenOptions {
+  /**Higher runs first, listeners of the same priority run in the order they were added, 0 by default*/
+  priority?: number;
+  /**Removed before its first call*/
+  once?: boolean;
+}
+
+interface EventListener {
+  cb: EventCallback;
+  priority: number;
+  once: boolean;
+}
+
+/**Unnamespaced names that are the engine's*/
+const ENGINE_EVENTS: Set<string> = new Set(["tick", "prerender", "postrender", "resize", "pause"]);
+
+/**Publish/subscribe between the engine and modules, see API.getEvents
+ * Modules should listen through Module.listenEvent so their listeners go away when they unload
+ */
+export class EventBus {
+  private listeners: Map<string, Array<EventListener>>;
+
+  constructor() {
+    this.listeners = new Map();
+  }
+  private checkType(type: string) {
+    if (typeof type !== "string" || type.length < 1) throw "Event type must be a non empty string";
+    if (ENGINE_EVENTS.has(type)) return;
+    let sep = type.indexOf(":");
+    if (sep < 1 || sep === type.length - 1) throw `Event ${type} needs a namespace, ex: mymodule:${type}`;
+  }
+  /**Listening again with the same callback replaces the old options*/
+  listen<K extends EngineEventName>(type: K, cb: EventCallback<EngineEvents[K]>, options?: ListenOptions): EventBus;
+  listen<T = any>(type: string, cb: EventCallback<T>, options?: ListenOptions): EventBus;
+  listen(type: string, cb: EventCallback, options: ListenOptions = {}): EventBus {
+    this.checkType(type);
+    this.deafen(type, cb);
+    let listener: EventListener = {
+      cb,
+      priority: options.priority || 0,
+      once: options.once === true
+    };
+    let list = this.listeners.get(type);
+    if (!list) {
+      list = new Array();
+      this.listeners.set(type, list);
+    }
+    //After every listener of the same or higher priority
+    let index = list.findIndex((other) => other.priority < listener.priority);
+    if (index < 0) index = list.length;
+    list.splice(index, 0, listener);
+    return this;
+  }
+  listenOnce<K extends EngineEventName>(type: K, cb: EventCallback<EngineEvents[K]>, priority?: number): EventBus;
+  listenOnce<T = any>(type: string, cb: EventCallback<T>, priority?: number): EventBus;
+  listenOnce(type: string, cb: EventCallback, priority: number = 0): EventBus {
+    return this.listen(type, cb, { priority, once: true });
+  }
+  deafen(type: string, cb: EventCallback): EventBus {
+    let list = this.listeners.get(type);
+    if (!list) return this;
+    let index = list.findIndex((listener) => listener.cb === cb);
+    if (index > -1) list.splice(index, 1);
+    if (list.length < 1) this.listeners.delete(type);
+    return this;
+  }
+  hasListeners(type: string): boolean {
+    return this.listeners.has(type);
+  }
+  /**Calls listeners of type by priority, a listener throwing doesn't stop the rest*/
+  emit<K extends EngineEventName>(type: K, payload: EngineEvents[K]): EventBus;
+  emit<T = any>(type: string, payload?: T): EventBus;
+  emit(type: string, payload: any = undefined): EventBus {
+    this.checkType(type);
+    let list = this.listeners.get(type);
+    if (!list) return this;
+    for (let listener of list.slice()) {
+      //Deafened by an earlier listener
+      if (!list.includes(listener)) continue;
+      if (listener.once) this.deafen(type, listener.cb);
+      try {
+        listener.cb(payload);
+      } catch (ex) {
+        console.warn(`Listener of event ${type} threw`, ex);
+      }
+    }
+    return this;
+  }
+}
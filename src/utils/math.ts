@@ -1,63 +1,64 @@
 
-// import { ConvexHull } from "";
+import { Box3, BufferGeometry, Matrix4, Mesh, Vector3 } from "three";
+import { ConvexHull } from "three/examples/jsm/math/ConvexHull";
 
-// function attrToConvex(verts, inds) {
-//   if ( !(verts instanceof Array) ) verts = Array.from(verts);
-//   if ( !(inds instanceof Array) ) inds = Array.from(inds);
-//   let hull = new ConvexHull();
-//   hull.setFromPoints(verts);
+/**Vertex positions of a mesh, transformed by matrix
+ * @param mesh with a BufferGeometry
+ * @param matrix applied to each point, ex: mesh space -> body space
+ */
+export function getMeshPoints(mesh: Mesh, matrix: Matrix4): Array<Vector3> {
+  let geometry = mesh.geometry as BufferGeometry;
+  let position = geometry.getAttribute("position");
+  let result = new Array<Vector3>(position.count);
+  for (let i = 0; i < position.count; i++) {
+    result[i] = new Vector3(
+      position.getX(i),
+      position.getY(i),
+      position.getZ(i)
+    ).applyMatrix4(matrix);
+  }
+  return result;
+}
 
-//   let result = {
-//     indicies:new Array(),
-//     verticies:new Array()
-//   }
-//   let edge;
-//   let point;
-//   let indCount = 0;
-//   for (let face of hull.faces) {
-//     edge = face.edge;
-//     do {
-//       point = edge.head().point;
+/**Triangles of a mesh as a flat array of points, 3 per triangle
+ * Handles indexed and non-indexed geometry
+ */
+export function getMeshTriangles(mesh: Mesh, matrix: Matrix4): Array<Vector3> {
+  let points = getMeshPoints(mesh, matrix);
+  let index = (mesh.geometry as BufferGeometry).getIndex();
+  if (!index) return points.slice(0, points.length - (points.length % 3));
 
-//       result.verticies.push(point.x, point.y, point.z);
-//       result.indicies.push(indCount);
-//       indCount++; //Not sure if triangulation needs to be done..
+  let result = new Array<Vector3>(index.count - (index.count % 3));
+  for (let i = 0; i < result.length; i++) {
+    result[i] = points[index.getX(i)];
+  }
+  return result;
+}
 
-//       edge = edge.next;
-//     } while (edge !== face.edge);
-//   }
-//   console.log(hull);
-//   return result;
-// }
-// module.exports.attrToConvex = attrToConvex;
+/**Reduces points to the vertices of their convex hull*/
+export function convexHullPoints(points: Array<Vector3>): Array<Vector3> {
+  //Quickhull needs a non-degenerate volume
+  if (points.length < 4) return points;
 
-// const cannon = require("../../libs/cannon-es/cannon-es.cjs");
+  let hull: ConvexHull;
+  try {
+    hull = new ConvexHull().setFromPoints(points);
+  } catch (ex) {
+    //Flat or otherwise degenerate, bullet can deal with the raw points
+    return points;
+  }
+  if (hull.faces.length < 1) return points;
+  let unique: Set<Vector3> = new Set();
+  for (let face of hull.faces) {
+    let edge = face.edge;
+    do {
+      unique.add(edge.head().point);
+      edge = edge.next;
+    } while (edge !== face.edge);
+  }
+  return Array.from(unique);
+}
 
-// /**Create a cannon js convex mesh
-//  * @param {Array<number>} verts ...x,y,z
-//  * @param {Array<number>} inds
-//  */
-// function makeCannonConvexMesh(verts, inds) {
-//   if (verts.length % 3 !== 0) throw `coords length not divisible by 3 ${verts.length}`;
-//   let convex = attrToConvex(inds, verts);
-//   verts = convex.verticies;
-//   inds = convex.indicies;
-
-//   let vecs = new Array(verts / 3);
-//   for (let i = 0; i < verts.length; i += 3) {
-//     vecs.push(new cannon.Vec3(
-//       verts[i + 0],
-//       verts[i + 1],
-//       verts[i + 2],
-//     ));
-//   }
-//   let indicies = new Array();
-//   for (let i = 0; i < inds.length; i += 3) {
-//     indicies.push([
-//       inds.array[i + 0],
-//       inds.array[i + 1],
-//       inds.array[i + 2]
-//     ]);
-//   }
-//   return new cannon.ConvexPolyhedron(vecs, indicies);
-// }
+export function pointsBounds(points: Array<Vector3>): Box3 {
+  return new Box3().setFromPoints(points);
+}
@@ -0,0 +1,46 @@
+
+/**Seedable pseudo random numbers (mulberry32)
+ * Gameplay code should use api.getRandom() instead of Math.random so replays play out the same
+ */
+export class Random {
+  private state: number;
+
+  constructor(seed: number = Date.now()) {
+    this.setSeed(seed);
+  }
+  setSeed(seed: number): Random {
+    this.state = seed >>> 0;
+    return this;
+  }
+  /**Everything needed to continue the same sequence later, see setState*/
+  getState(): number {
+    return this.state;
+  }
+  setState(state: number): Random {
+    this.state = state >>> 0;
+    return this;
+  }
+  /**0 (inclusive) to 1 (exclusive), like Math.random*/
+  next(): number {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  /**min (inclusive) to max (exclusive)*/
+  range(min: number, max: number): number {
+    return min + this.next() * (max - min);
+  }
+  /**Whole number from min to max, both inclusive*/
+  int(min: number, max: number): number {
+    return Math.floor(this.range(min, max + 1));
+  }
+  /**True with a probability of 0 to 1*/
+  chance(probability: number): boolean {
+    return this.next() < probability;
+  }
+  pick<T>(items: Array<T>): T {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
@@ -0,0 +1,193 @@
+
+export interface Version {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: string;
+}
+
+interface Comparator {
+  operator: string;
+  version: Version;
+}
+
+const VERSION_REGEX = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_REGEX = /^v?(\d+|x|X|\*)(?:\.(\d+|x|X|\*))?(?:\.(\d+|x|X|\*))?(?:-([0-9A-Za-z.-]+))?$/;
+
+/**Parses a full version string such as 1.2.3 or 1.2.3-beta.1
+ * Returns undefined if the string is not a valid version
+ */
+export function parseVersion(v: string): Version | undefined {
+  if (typeof v !== "string") return undefined;
+  let match = VERSION_REGEX.exec(v.trim());
+  if (!match) return undefined;
+  return {
+    major: parseInt(match[1]),
+    minor: parseInt(match[2]),
+    patch: parseInt(match[3]),
+    prerelease: match[4] || ""
+  };
+}
+
+function comparePrerelease(a: string, b: string): number {
+  if (a === b) return 0;
+  //A version without prerelease is greater than one with
+  if (a === "") return 1;
+  if (b === "") return -1;
+  let aParts = a.split(".");
+  let bParts = b.split(".");
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    if (aParts[i] === undefined) return -1;
+    if (bParts[i] === undefined) return 1;
+    let aNum = /^\d+$/.test(aParts[i]);
+    let bNum = /^\d+$/.test(bParts[i]);
+    if (aNum && bNum) {
+      let diff = parseInt(aParts[i]) - parseInt(bParts[i]);
+      if (diff !== 0) return diff;
+    } else if (aNum !== bNum) {
+      return aNum ? -1 : 1;
+    } else if (aParts[i] !== bParts[i]) {
+      return aParts[i] < bParts[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**Returns negative if a < b, positive if a > b, 0 if equal*/
+export function compareVersions(a: Version, b: Version): number {
+  if (a.major !== b.major) return a.major - b.major;
+  if (a.minor !== b.minor) return a.minor - b.minor;
+  if (a.patch !== b.patch) return a.patch - b.patch;
+  return comparePrerelease(a.prerelease, b.prerelease);
+}
+
+function isWild(part: string): boolean {
+  return part === undefined || part === "x" || part === "X" || part === "*";
+}
+
+function makeVersion(major: number, minor: number, patch: number, prerelease: string = ""): Version {
+  return { major, minor, patch, prerelease };
+}
+
+/**Expands a single range token (^1.2, ~1.2.3, >=1.0, 1.x, etc) into comparators*/
+function parseComparators(token: string): Array<Comparator> {
+  let opMatch = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/.exec(token);
+  let op = opMatch[1] || "";
+  let rest = opMatch[2];
+
+  if (rest === "" || rest === "*" || rest === "x" || rest === "X") return [];
+
+  let match = PARTIAL_REGEX.exec(rest);
+  if (!match) throw `Invalid version range "${token}"`;
+
+  let wildMinor = isWild(match[2]);
+  let wildPatch = wildMinor || isWild(match[3]);
+  if (isWild(match[1])) return [];
+
+  let major = parseInt(match[1]);
+  let minor = wildMinor ? 0 : parseInt(match[2]);
+  let patch = wildPatch ? 0 : parseInt(match[3]);
+  let pre = match[4] || "";
+  let base = makeVersion(major, minor, patch, pre);
+
+  switch (op) {
+    case "^":
+      if (major > 0 || wildMinor) {
+        return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(major + 1, 0, 0) }];
+      } else if (minor > 0 || wildPatch) {
+        return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(0, minor + 1, 0) }];
+      }
+      return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(0, 0, patch + 1) }];
+    case "~":
+      if (wildMinor) {
+        return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(major + 1, 0, 0) }];
+      }
+      return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(major, minor + 1, 0) }];
+    case ">":
+      if (wildMinor) return [{ operator: ">=", version: makeVersion(major + 1, 0, 0) }];
+      if (wildPatch) return [{ operator: ">=", version: makeVersion(major, minor + 1, 0) }];
+      return [{ operator: ">", version: base }];
+    case "<=":
+      if (wildMinor) return [{ operator: "<", version: makeVersion(major + 1, 0, 0) }];
+      if (wildPatch) return [{ operator: "<", version: makeVersion(major, minor + 1, 0) }];
+      return [{ operator: "<=", version: base }];
+    case ">=":
+    case "<":
+      return [{ operator: op, version: base }];
+    default:
+      //Exact or partial (1.2 means >=1.2.0 <1.3.0)
+      if (wildMinor) {
+        return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(major + 1, 0, 0) }];
+      } else if (wildPatch) {
+        return [{ operator: ">=", version: base }, { operator: "<", version: makeVersion(major, minor + 1, 0) }];
+      }
+      return [{ operator: "=", version: base }];
+  }
+}
+
+function testComparator(version: Version, comp: Comparator): boolean {
+  let diff = compareVersions(version, comp.version);
+  switch (comp.operator) {
+    case ">": return diff > 0;
+    case ">=": return diff >= 0;
+    case "<": return diff < 0;
+    case "<=": return diff <= 0;
+    default: return diff === 0;
+  }
+}
+
+/**Parses one space separated set of range tokens (no ||)*/
+function parseComparatorSet(set: string): Array<Comparator> {
+  set = set.trim();
+  //Hyphen range: 1.2.3 - 2.3.4
+  let hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(set);
+  if (hyphen) {
+    return [
+      ...parseComparators(`>=${hyphen[1]}`),
+      ...parseComparators(`<=${hyphen[2]}`)
+    ];
+  }
+  let result = new Array<Comparator>();
+  //Allow a space between operator and version (">= 1.0.0")
+  let tokens = set.replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1").split(/\s+/);
+  for (let token of tokens) {
+    if (token === "") continue;
+    result.push(...parseComparators(token));
+  }
+  return result;
+}
+
+/**Tests if a version satisfies a semver range
+ * Supports *, x, exact, partial, ^, ~, comparison operators, hyphen ranges and ||
+ *
+ * Throws if the range cannot be parsed
+ * @param version full version string, ex: 1.2.3
+ * @param range ex: ^1.2.0 || >=2.0.0 <3.0.0
+ */
+export function satisfies(version: string, range: string): boolean {
+  let v = parseVersion(version);
+  if (!v) return false;
+  if (range === undefined || range === null) range = "*";
+
+  for (let set of range.split("||")) {
+    let comparators = parseComparatorSet(set);
+    let ok = true;
+    for (let comp of comparators) {
+      if (!testComparator(v, comp)) {
+        ok = false;
+        break;
+      }
+    }
+    //Prereleases only match ranges that explicitly mention the same major.minor.patch prerelease
+    if (ok && v.prerelease !== "") {
+      ok = comparators.some((comp) =>
+        comp.version.prerelease !== "" &&
+        comp.version.major === v.major &&
+        comp.version.minor === v.minor &&
+        comp.version.patch === v.patch
+      );
+    }
+    if (ok) return true;
+  }
+  return false;
+}
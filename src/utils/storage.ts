@@ -0,0 +1,34 @@
+
+/**Whether local storage can be used, it is missing in node and throws when disabled*/
+export function hasLocalStorage(): boolean {
+  try {
+    return typeof localStorage !== "undefined";
+  } catch (ex) {
+    return false;
+  }
+}
+
+/**Parsed JSON saved under key, undefined if there is none or it is corrupt*/
+export function loadLocalJson(key: string): any {
+  if (!hasLocalStorage()) return undefined;
+  let saved = localStorage.getItem(key);
+  if (!saved) return undefined;
+  try {
+    return JSON.parse(saved);
+  } catch (ex) {
+    console.warn(`Saved ${key} is corrupt`, ex);
+    return undefined;
+  }
+}
+
+/**Saves value as JSON under key, returns false if it couldn't be (no storage, quota)*/
+export function saveLocalJson(key: string, value: any): boolean {
+  if (!hasLocalStorage()) return false;
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (ex) {
+    console.warn(`Couldn't save ${key}`, ex);
+    return false;
+  }
+}
@@ -1,37 +1,74 @@
 
+import API from "../api";
+
+const api = API.get();
+
 export interface updateCallback {
   (delta: number):void;
 }
 
+export interface frameCallback {
+  /**@param alpha 0 to 1, how far between the last two ticks this frame is
+   * @param delta real seconds since the last frame
+   */
+  (alpha: number, delta: number):void;
+}
+
+/**Milliseconds, high resolution when available*/
+export function timestamp (): number {
+  if (typeof performance !== "undefined") return performance.now();
+  return Date.now();
+}
+
+/**Fixed timestep game loop
+ *
+ * Update listeners get a fixed delta (see getTickDelta) at tickRate per second of game time,
+ * however often frames actually happen. Frame listeners run once per frame after ticks,
+ * with an alpha for interpolating between the last two ticks
+ */
 export class TimeManager {
+  private preTickCallbacks: Set<updateCallback>;
   private updateCallbacks: Set<updateCallback>;
+  private frameCallbacks: Set<frameCallback>;
   loop: boolean;
-  intervalId: number = -1;
-  fps: number;
+  /**Simulation ticks per second*/
+  tickRate: number;
+  /**Ticks since start*/
+  tick: number = 0;
+  /**Unsimulated game time in seconds, always less than a tick after a frame*/
+  accumulator: number = 0;
+  /**Game seconds per real second*/
+  timeScale: number = 1;
+  paused: boolean = false;
+  /**Longer frames (tab switch, breakpoint) are clamped so the game doesn't fast forward*/
+  maxFrameDelta: number = 0.25;
+  /**Ticks a single frame can catch up on, unsimulated time past this is dropped*/
+  maxTicksPerFrame: number = 8;
+  /**Frames are driven by requestAnimationFrame when available, setTimeout otherwise*/
+  useAnimationFrame: boolean = true;
+  /**Real seconds of the last frame*/
   delta: number = 0;
-  lastTime: number = 0;
+  lastTime: number = undefined;
   now: number = 0;
   secondCounter: number = 0;
   fpsCounter: number = 0;
   avgfps: number = 0;
-  intervalDelay: number = 0;
+  private frameId: number = undefined;
+  private timeoutId: any = undefined;
+  private frameCallback: () => void;
 
-  constructor (fps: number = 60) {
+  constructor (tickRate: number = 60) {
+    this.preTickCallbacks = new Set();
     this.updateCallbacks = new Set();
-    this.loop = true;
-    this.intervalId;
-    this.fps = fps;
-    this.delta = 0;
-    this.lastTime = 0;
-    this.now = 0;
-
-    this.secondCounter = 0;
-    this.fpsCounter = 0;
-    this.avgfps = 0;
+    this.frameCallbacks = new Set();
+    this.loop = false;
+    this.tickRate = tickRate;
+    this.frameCallback = () => this.onFrame();
   }
   isListening (cb: updateCallback): boolean {
     return this.updateCallbacks.has(cb);
   }
+  /**Called every tick with the fixed tick delta*/
   listen (cb: updateCallback): TimeManager {
     if (this.isListening(cb)) throw "Cannot listen with same listener twice";
     this.updateCallbacks.add(cb);
@@ -41,20 +78,123 @@ export class TimeManager {
     if (this.isListening(cb)) this.updateCallbacks.delete(cb);
     return this;
   }
+  /**Called every tick before update listeners, ex: latching input for the whole tick*/
+  listenPreTick (cb: updateCallback): TimeManager {
+    this.preTickCallbacks.add(cb);
+    return this;
+  }
+  deafenPreTick (cb: updateCallback): TimeManager {
+    this.preTickCallbacks.delete(cb);
+    return this;
+  }
+  /**Called every frame after ticks, see frameCallback*/
+  listenFrame (cb: frameCallback): TimeManager {
+    this.frameCallbacks.add(cb);
+    return this;
+  }
+  deafenFrame (cb: frameCallback): TimeManager {
+    this.frameCallbacks.delete(cb);
+    return this;
+  }
+  getTick (): number {
+    return this.tick;
+  }
+  /**Game seconds per tick*/
+  getTickDelta (): number {
+    return 1 / this.tickRate;
+  }
+  setTickRate (tickRate: number): TimeManager {
+    this.tickRate = tickRate;
+    return this;
+  }
+  setTimeScale (scale: number): TimeManager {
+    this.timeScale = Math.max(scale, 0);
+    return this;
+  }
+  getTimeScale (): number {
+    return this.timeScale;
+  }
+  pause (): TimeManager {
+    if (this.paused) return this;
+    this.paused = true;
+    api.getEvents().emit("pause", { paused: true });
+    return this;
+  }
+  resume (): TimeManager {
+    if (!this.paused) return this;
+    this.paused = false;
+    api.getEvents().emit("pause", { paused: false });
+    return this;
+  }
+  isPaused (): boolean {
+    return this.paused;
+  }
+  /**Runs ticks right away, ex: stepping through a paused game*/
+  step (count: number = 1): TimeManager {
+    for (let i = 0; i < count; i++) this.runTick();
+    return this;
+  }
+  /**0 to 1, how far the current moment is between the last tick and the next
+   * Calculated live, so it is correct whether or not this frame's ticks already ran
+   */
+  getAlpha (): number {
+    let pending = this.accumulator;
+    if (!this.paused && this.loop && this.lastTime !== undefined) {
+      let elapsed = Math.min((timestamp() - this.lastTime) / 1000, this.maxFrameDelta);
+      pending += elapsed * this.timeScale;
+    }
+    return Math.max(0, Math.min(pending / this.getTickDelta(), 1));
+  }
   start (): TimeManager {
     this.stop();
-    this.intervalDelay = 1000/this.fps;
-    this.intervalId = setInterval(()=>this.onTick(), this.intervalDelay);
+    this.loop = true;
+    this.lastTime = timestamp();
+    this.schedule();
     return this;
   }
   stop (): TimeManager {
-    if (this.intervalId) clearInterval(this.intervalId);
-    this.intervalId = -1;
+    this.loop = false;
+    if (this.frameId !== undefined) cancelAnimationFrame(this.frameId);
+    if (this.timeoutId !== undefined) clearTimeout(this.timeoutId);
+    this.frameId = undefined;
+    this.timeoutId = undefined;
     return this;
   }
-  onTick () {
-    this.now = Date.now();
-    this.delta = (this.now - this.lastTime)/1000;
+  private schedule () {
+    if (!this.loop) return;
+    if (this.useAnimationFrame && typeof requestAnimationFrame !== "undefined") {
+      this.frameId = requestAnimationFrame(this.frameCallback);
+    } else {
+      this.timeoutId = setTimeout(this.frameCallback, 1000 / this.tickRate);
+    }
+  }
+  private runTick () {
+    let delta = this.getTickDelta();
+    this.tick++;
+    for (let cb of this.preTickCallbacks) {
+      try {
+        cb(delta);
+      } catch (ex) {
+        console.warn("Pre tick listener threw", ex);
+      }
+    }
+    for (let cb of this.updateCallbacks) {
+      try {
+        cb(delta);
+      } catch (ex) {
+        console.warn("Update listener threw", ex);
+      }
+    }
+    api.getEvents().emit("tick", { delta, tick: this.tick });
+  }
+  onFrame () {
+    this.frameId = undefined;
+    this.timeoutId = undefined;
+    this.now = timestamp();
+    if (this.lastTime === undefined) this.lastTime = this.now;
+    this.delta = Math.min((this.now - this.lastTime) / 1000, this.maxFrameDelta);
+    this.lastTime = this.now;
+
     this.secondCounter += this.delta;
     this.fpsCounter ++;
     if (this.secondCounter >= 0.99) {
@@ -62,9 +202,28 @@ export class TimeManager {
       this.avgfps = this.fpsCounter;
       this.fpsCounter = 0;
     }
-    this.lastTime = this.now;
-    for (let cb of this.updateCallbacks) {
-      cb(this.delta);
+
+    if (!this.paused) {
+      this.accumulator += this.delta * this.timeScale;
+      let tickDelta = this.getTickDelta();
+      let ticks = 0;
+      while (this.accumulator >= tickDelta && ticks < this.maxTicksPerFrame) {
+        this.runTick();
+        this.accumulator -= tickDelta;
+        ticks++;
+      }
+      //Couldn't keep up, drop the rest rather than spiral
+      if (this.accumulator >= tickDelta) this.accumulator = 0;
+    }
+
+    let alpha = this.getAlpha();
+    for (let cb of this.frameCallbacks) {
+      try {
+        cb(alpha, this.delta);
+      } catch (ex) {
+        console.warn("Frame listener threw", ex);
+      }
     }
+    this.schedule();
   }
 }
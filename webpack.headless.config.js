@@ -0,0 +1,15 @@
+
+const client = require('./webpack.config.js');
+
+//Dedicated servers and CI, see src/headless.ts
+//Resources (ammo, modules) are read from apphost/build, so build the client first
+module.exports = {
+  entry: './src/headless.ts',
+  target: 'node',
+  resolve: client.resolve,
+  output: {
+    filename: 'headless.js',
+    path: client.output.path,
+  },
+  module: client.module
+};